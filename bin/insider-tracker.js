@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/**
+ * Command-line access to the trade store, analyses and ingest jobs, for
+ * scripts and cron pipelines. Run `insider-tracker help` for the commands.
+ */
+const { run } = require("../lib/cli");
+
+// Keep stdout for command output (tables, JSON, CSV); the server modules'
+// progress logging goes to stderr instead
+console.log = console.error;
+
+run(process.argv.slice(2), {
+  // Loaded on demand, so `help` stays instant
+  loadServices: () => {
+    const services = require("../index");
+    services.logger.stream = process.stderr; // JSON log lines too
+    return services;
+  },
+}).then((code) => {
+  process.exitCode = code;
+});
@@ -1,141 +1,1174 @@
 // Import required libraries
 const express = require("express"); // Web framework for handling HTTP requests
-const axios = require("axios"); // HTTP client for making API requests
-const cron = require("node-cron"); // Scheduler for running tasks periodically
+const path = require("path"); // Locates the vendored Chart.js build
 require("dotenv").config(); // Load environment variables from a .env file
+const { TradeStore } = require("./lib/store"); // Persistent on-disk trade history
+const {
+  QueryError,
+  parseNumber,
+  parseDate,
+  parseTicker,
+  parseTradeQuery,
+  matchesFilters,
+  filterTrades,
+  queryTrades,
+} = require("./lib/query"); // Trade filtering and pagination
+const { detectClusters, parseClusterQuery } = require("./lib/clusters"); // Cluster-buy detection
+const { RuleStore, AlertEngine } = require("./lib/alerts"); // Alert rules and delivery
+const { TradeStream } = require("./lib/stream"); // Server-Sent Events for new trades
+const { UpstreamClient } = require("./lib/upstream"); // Cached, rate-limited upstream API access
+const { createProvider } = require("./lib/providers"); // Insider trade data sources
+const { createUpstreamHttp } = require("./lib/fixtures"); // Live, recorded or synthetic upstream data
+const { PriceService, insiderMarkers } = require("./lib/prices"); // Daily price history from Tiingo
+const {
+  TIMEFRAMES,
+  MAX_PERIODS,
+  FinancialsService,
+  financialSeries,
+} = require("./lib/financials"); // Financial statements from Polygon
+const { loadProfiles, ScoringService } = require("./lib/scoring"); // Profile-driven recommendations
+const { Backtester } = require("./lib/backtest"); // Post-trade performance tracking
+const { buildInsiderProfile } = require("./lib/insiders"); // Per-insider trading history
+const {
+  withClassification,
+  describeCategories,
+} = require("./lib/classification"); // Transaction-code categories
+const {
+  EXPORT_FORMATS,
+  parseExportQuery,
+  exportColumns,
+  createCompanyLookup,
+  exportRecords,
+  writeExport,
+} = require("./lib/export"); // CSV/NDJSON/XLSX trade exports
+const { CompanyService, CompanyCache } = require("./lib/companies"); // Ticker reference data from Polygon
+const { enrichTrade, describeFacets } = require("./lib/enrichment"); // Company metadata and relative trade sizes
+const { JobRunner } = require("./lib/jobs"); // Scheduled jobs with retries and run history
+const { addDays, ingestTrades, backfillTrades } = require("./lib/ingest"); // Provider-to-store ingestion
+const { DigestStore, DigestService } = require("./lib/digests"); // Scheduled activity digests
+const { PortfolioService } = require("./lib/holdings"); // Portfolio valuation and insider sentiment
+const { AnalysisService } = require("./lib/analysis"); // TTM, growth, valuation and health metrics
+const { PeerService, parsePeerQuery } = require("./lib/peers"); // Peer groups and percentile ranks
+const { createRulesRouter } = require("./routes/rules"); // Alert rule CRUD endpoints
+const { createDigestsRouter } = require("./routes/digests"); // Digest browsing endpoints
+const { createJobsRouter } = require("./routes/jobs"); // Job status and backfill endpoints
+const {
+  sendError,
+  sendErrorMessage,
+  ticker,
+  validate,
+  errorHandler,
+} = require("./lib/validation"); // Request validation and structured errors
+const {
+  securityHeaders,
+  createAccessControl,
+  createRateLimiter,
+} = require("./lib/security"); // Security headers, app-wide auth and per-client rate limits
+const { UserStore } = require("./lib/users"); // Local accounts, watchlists and saved views
+const { createAuth } = require("./lib/auth"); // Session authentication middleware
+const { createAuthRouter } = require("./routes/auth"); // Register/login/logout endpoints
+const {
+  createWatchlistsRouter,
+  createViewsRouter,
+} = require("./routes/watchlists"); // Watchlist and saved view CRUD endpoints
+const { createHoldingsRouter } = require("./routes/holdings"); // Portfolio CRUD, CSV import and summary
+const { Logger, captureConsole, requestLogger } = require("./lib/logger"); // JSON log lines with request and job ids
+const {
+  MetricsRegistry,
+  instrumentHttp,
+  httpMetrics,
+} = require("./lib/metrics"); // Prometheus metrics
+const { feedStatus, healthReport } = require("./lib/health"); // Insider feed freshness
+const { createHealthRouter } = require("./routes/health"); // Health checks and metrics endpoints
 
 // Initialize the Express app
 const app = express();
 const PORT = 3000; // Define the port where the server will run
 
-// In-memory storage for insider trading data
-// This array will hold the filtered insider trading data
-let insiderData = [];
+// JSON log lines on stdout; LOG_LEVEL is "debug", "info" (default), "warn", "error" or "silent"
+const logger = new Logger({ level: process.env.LOG_LEVEL || "info" });
+
+// Prometheus metrics served at /metrics. Upstream requests are timed and
+// their failures counted per provider; the rest is read when scraped.
+const metrics = new MetricsRegistry();
+const upstreamMetrics = {
+  duration: metrics.histogram({
+    name: "insider_upstream_request_duration_seconds",
+    help: "Duration of upstream API requests by provider.",
+  }),
+  errors: metrics.counter({
+    name: "insider_upstream_errors_total",
+    help: "Failed upstream API requests by provider and HTTP status.",
+  }),
+};
+const tradesIngested = metrics.counter({
+  name: "insider_trades_ingested_total",
+  help: "Insider trades stored by the fetch and backfill jobs, by job and whether new or updated.",
+});
+
+// Persistent storage for insider trading data
+// Every fetched trade is upserted into an append-only JSONL file so history
+// survives restarts and is not overwritten by the next poll
+const tradeStore = new TradeStore(
+  process.env.TRADES_DB_PATH || "data/trades.jsonl"
+);
+tradeStore.load();
+
+// Shared upstream clients for the price and financials lookups behind the modal.
+// Daily prices only change once a day and filings once a quarter, so both are
+// cached; the token buckets default to the providers' free-tier limits.
+// UPSTREAM_MODE picks where all three APIs answer from: the network ("live"),
+// the network while saving fixtures ("record"), saved fixtures ("replay") or
+// generated data ("synthetic").
+const HOUR_MS = 60 * 60 * 1000;
+const TIINGO_RATE_LIMIT = Number(process.env.TIINGO_RATE_LIMIT) || 50; // Requests per hour
+const upstreamHttp = createUpstreamHttp();
+const tiingoClient = new UpstreamClient({
+  name: "tiingo",
+  http: instrumentHttp(upstreamHttp, "tiingo", upstreamMetrics),
+  ttlMs: 24 * HOUR_MS, // Daily prices: cache for a day
+  rateLimit: {
+    capacity: TIINGO_RATE_LIMIT,
+    intervalMs: HOUR_MS,
+  },
+});
+const polygonClient = new UpstreamClient({
+  name: "polygon",
+  http: instrumentHttp(upstreamHttp, "polygon", upstreamMetrics),
+  ttlMs: 7 * 24 * HOUR_MS, // Financials: cache for a week
+  rateLimit: {
+    capacity: Number(process.env.POLYGON_RATE_LIMIT) || 5, // Requests per minute
+    intervalMs: 60 * 1000,
+  },
+});
+
+// Price history, financial statements and the backtester that joins prices with stored trades
+const priceService = new PriceService(tiingoClient);
+const financialsService = new FinancialsService(polygonClient);
+const companyService = new CompanyService(polygonClient);
+const backtester = new Backtester(priceService);
+
+// Recommendation scoring driven by the JSON profiles in config/scoring
+const scoringService = new ScoringService({
+  profiles: loadProfiles(process.env.SCORING_PROFILES_DIR || "config/scoring"),
+  defaultProfile: process.env.SCORING_DEFAULT_PROFILE || "conservative",
+  financialsService,
+  priceService,
+  tradeStore,
+});
+
+// Users' holdings valued at the latest Tiingo close, next to recent insider activity
+const portfolioService = new PortfolioService({ priceService, tradeStore });
+const analysisService = new AnalysisService({
+  financialsService,
+  priceService,
+});
+
+// Company name, sector, exchange and market cap per ticker, cached on disk
+// and refreshed in the background by the "enrich-companies" job
+const companyCache = new CompanyCache(
+  process.env.COMPANIES_DB_PATH || "data/companies.json",
+  companyService,
+  { maxAgeMs: (Number(process.env.COMPANY_MAX_AGE_DAYS) || 30) * 24 * HOUR_MS }
+);
+companyCache.load();
+const peerService = new PeerService({
+  companyCache,
+  financialsService,
+  tradeStore,
+});
 
 /**
- * Helper function to determine if a symbol is US-based.
- * US-based stock tickers typically consist of uppercase letters without exchange suffixes.
- * @param {string} symbol - Stock ticker symbol
- * @returns {boolean} - True if the symbol matches the US equity format
+ * Attach the cached company profile and relative trade sizes to a stored trade.
+ * @param {Object} trade - Stored insider trade
+ * @returns {Object} - Enriched copy (see lib/enrichment.js)
  */
-function isUsEquity(symbol) {
-  return /^[A-Z]+$/.test(symbol); // Matches only uppercase letters
+function enrichStoredTrade(trade) {
+  return enrichTrade(trade, companyCache.get(trade.symbol));
 }
 
 /**
- * Fetch insider trading data from the Finnhub API.
- * Filters the response to include only US-based equities.
+ * Every stored trade, enriched, newest transaction first.
+ * @returns {Array} - Enriched trades
  */
-async function fetchInsiderTradingData() {
-  try {
-    // API call to Finnhub for insider trading transactions
-    const response = await axios.get(
-      "https://finnhub.io/api/v1/stock/insider-transactions",
-      {
-        params: {
-          limit: 100, // Limit the number of results to 100
-          token: process.env.FINNHUB_API_KEY, // API key from environment variables
-        },
-      }
-    );
+function enrichedTrades() {
+  return tradeStore.all().map(enrichStoredTrade);
+}
 
-    // Filter the response to include only US-based stock symbols
-    insiderData = response.data.data.filter((trade) =>
-      isUsEquity(trade.symbol)
-    );
+// Streaming clients that receive newly stored trades as they arrive
+const tradeStream = new TradeStream(tradeStore, {
+  // Streamed trades carry their category and company like the table API
+  format: (trade) => withClassification(enrichStoredTrade(trade)),
+});
+
+// Local user accounts with their watchlists and saved views
+const userStore = new UserStore(process.env.USERS_DB_PATH || "data/users.json");
+userStore.load();
+const auth = createAuth(userStore);
+
+// Alert rules, checked against every newly seen trade
+const ruleStore = new RuleStore(
+  process.env.ALERT_RULES_PATH || "data/rules.json"
+);
+ruleStore.load();
+const alertEngine = new AlertEngine({
+  ruleStore,
+  firedPath: process.env.ALERT_FIRED_PATH || "data/alerts-fired.jsonl",
+});
+alertEngine.load();
+
+// Daily and weekly digests of insider activity, saved to disk and optionally
+// sent by email (DIGEST_EMAIL_TO) and/or webhook (DIGEST_WEBHOOK_URL)
+const digestStore = new DigestStore(process.env.DIGEST_DIR || "data/digests");
+const digestService = new DigestService({
+  tradeStore,
+  digestStore,
+  companyService: companyCache, // Sectors come from the local cache first
+  priceService,
+  emailTo: process.env.DIGEST_EMAIL_TO,
+  webhookUrl: process.env.DIGEST_WEBHOOK_URL,
+});
 
-    console.log("Insider trading data updated for US equities only.");
+// Source of insider trades, selected with INSIDER_PROVIDER ("finnhub" or "edgar")
+const insiderProviderName = process.env.INSIDER_PROVIDER || "finnhub";
+const insiderProvider = createProvider(insiderProviderName, {
+  http: instrumentHttp(upstreamHttp, insiderProviderName, upstreamMetrics),
+});
+
+// Scheduled and on-demand jobs, with their run history kept on disk so the
+// incremental fetch resumes where it left off after a restart
+const jobRunner = new JobRunner(
+  process.env.JOBS_STATE_PATH || "data/jobs.json"
+);
+const FETCH_OVERLAP_DAYS = Number(process.env.FETCH_OVERLAP_DAYS) || 3; // Re-check recent days for late filings
+const FETCH_INITIAL_DAYS = Number(process.env.FETCH_INITIAL_DAYS) || 30; // Range of the very first fetch
+
+/**
+ * Hand newly stored trades to the live stream and the alert rules.
+ * @param {Array} inserted - Trades stored for the first time
+ * @returns {Promise<number>} - Number of alerts fired
+ */
+async function announceTrades(inserted) {
+  // Push the newly seen trades to connected browsers
+  tradeStream.publish(inserted);
+
+  // Check the newly seen trades against the alert rules; delivery carries
+  // on in the background so slow channels do not delay the fetch job
+  try {
+    const alerts = await alertEngine.process(inserted);
+    if (alerts.length) {
+      logger.info("Insider trade alerts fired", { alerts: alerts.length });
+    }
+    return alerts.length;
   } catch (error) {
-    console.error("Error fetching insider trading data:", error.message);
+    console.error("Error processing insider trade alerts:", error.message);
+    return 0;
   }
 }
 
-// Schedule the Finnhub data fetching task to run every minute
-// This ensures that the insider trading data is updated frequently while staying within API rate limits
-cron.schedule("*/1 * * * *", fetchInsiderTradingData);
-fetchInsiderTradingData(); // Perform an initial data fetch when the server starts
+/**
+ * Fetch insider trades filed since the last successful run.
+ * The range starts a few days before the previous run's end date, because
+ * trades can be reported days after they happen; duplicates are merged by the store.
+ * @param {Object} params - Unused; the range comes from the job's history
+ * @param {Object} job - The "fetch-trades" job
+ * @returns {Promise<Object>} - Date range and row counts for "/api/jobs"
+ */
+async function fetchInsiderTradingData(params, job) {
+  const to = new Date().toISOString().slice(0, 10);
+  const previousTo = job.state.lastResult && job.state.lastResult.to;
+  const from = previousTo
+    ? addDays(previousTo, -FETCH_OVERLAP_DAYS)
+    : addDays(to, -FETCH_INITIAL_DAYS);
+
+  const { fetched, inserted, updated } = await ingestTrades(
+    insiderProvider,
+    tradeStore,
+    { from, to }
+  );
+  tradesIngested.inc(
+    { job: "fetch-trades", result: "inserted" },
+    inserted.length
+  );
+  tradesIngested.inc(
+    { job: "fetch-trades", result: "updated" },
+    updated.length
+  );
+  logger.info("Insider trades fetched", {
+    provider: insiderProvider.name,
+    from,
+    to,
+    fetched,
+    inserted: inserted.length,
+    updated: updated.length,
+    stored: tradeStore.size,
+  });
+
+  const alerts = await announceTrades(inserted);
+  return {
+    from,
+    to,
+    fetched,
+    inserted: inserted.length,
+    updated: updated.length,
+    alerts,
+  };
+}
+
+jobRunner.add({
+  name: "fetch-trades",
+  schedule: process.env.FETCH_SCHEDULE || "*/1 * * * *",
+  run: fetchInsiderTradingData,
+  staleAfterMs: (Number(process.env.FETCH_STALE_MINUTES) || 15) * 60 * 1000,
+});
+
+// Look up company profiles for tickers that are new or due a refresh. Each
+// run makes at most ENRICH_BATCH_SIZE Polygon requests, leaving room in the
+// shared rate limit for the financials shown in the UI.
+jobRunner.add({
+  name: "enrich-companies",
+  schedule: process.env.ENRICH_SCHEDULE || "*/5 * * * *",
+  retries: 0, // Tickers that fail stay due and are retried next run
+  run: () =>
+    companyCache.refresh(
+      tradeStore.all().map((trade) => trade.symbol),
+      { limit: Number(process.env.ENRICH_BATCH_SIZE) || 3 }
+    ),
+});
+
+// One-off historical load, started with POST /api/jobs/backfill or `npm run backfill`
+// (`chunkDays` is only passed by the CLI).
+// Backfilled trades are not pushed to the stream or alerted on, since they are
+// not new. Clients that reconnect afterwards replay them like any missed trade,
+// or reload the table when there are too many.
+jobRunner.add({
+  name: "backfill",
+  retries: 0, // Each chunk is retried inside `backfillTrades`
+  run: ({ from, to, chunkDays }, job) =>
+    backfillTrades(insiderProvider, tradeStore, {
+      from,
+      to,
+      chunkDays: chunkDays || Number(process.env.BACKFILL_CHUNK_DAYS) || 7,
+      onProgress: (progress) => {
+        const previous = job.progress || { inserted: 0, updated: 0 }; // Totals so far in this run
+        tradesIngested.inc(
+          { job: "backfill", result: "inserted" },
+          progress.inserted - previous.inserted
+        );
+        tradesIngested.inc(
+          { job: "backfill", result: "updated" },
+          progress.updated - previous.updated
+        );
+        job.progress = progress;
+        logger.info("Backfill chunk stored", {
+          chunk: progress.lastChunk,
+          completedChunks: progress.completedChunks,
+          chunks: progress.chunks,
+          inserted: progress.inserted,
+          updated: progress.updated,
+        });
+      },
+    }),
+});
+
+// Summarize the previous day every morning and the previous week on Mondays
+jobRunner.add({
+  name: "digest-daily",
+  schedule: process.env.DIGEST_DAILY_CRON || "0 7 * * *",
+  retries: 2,
+  run: async () => summarizeDigest(await digestService.run("daily")),
+});
+jobRunner.add({
+  name: "digest-weekly",
+  schedule: process.env.DIGEST_WEEKLY_CRON || "0 7 * * 1",
+  retries: 2,
+  run: async () => summarizeDigest(await digestService.run("weekly")),
+});
+
+// Metrics read from the upstream clients, the trade store and the job history when scraped
+const upstreamClients = [tiingoClient, polygonClient];
+const fetchJob = jobRunner.get("fetch-trades");
+
+/**
+ * Samples of one UpstreamClient counter per provider.
+ * @param {string} counter - Key of `UpstreamClient.counters`
+ * @returns {Array} - `{ labels, value }` per client
+ */
+function upstreamCounter(counter) {
+  return upstreamClients.map((client) => ({
+    labels: { provider: client.name },
+    value: client.counters[counter],
+  }));
+}
+
+/**
+ * Samples of one value per registered job.
+ * @param {Function} read - Returns the value for a job, or null to leave it out
+ * @returns {Array} - `{ labels, value }` per job
+ */
+function jobSamples(read) {
+  return jobRunner
+    .all()
+    .map((job) => ({ labels: { job: job.name }, value: read(job) }))
+    .filter((sample) => sample.value !== null);
+}
+
+metrics.counter({
+  name: "insider_upstream_cache_hits_total",
+  help: "Upstream lookups answered from the cache, by provider.",
+  collect: () => upstreamCounter("hits"),
+});
+metrics.counter({
+  name: "insider_upstream_cache_misses_total",
+  help: "Upstream lookups that needed a request, by provider.",
+  collect: () => upstreamCounter("misses"),
+});
+metrics.counter({
+  name: "insider_upstream_rate_limited_total",
+  help: "429 responses received from the provider.",
+  collect: () => upstreamCounter("rateLimited"),
+});
+metrics.gauge({
+  name: "insider_trades_stored",
+  help: "Insider trades in the local store.",
+  collect: () => tradeStore.size,
+});
+metrics.gauge({
+  name: "insider_feed_age_seconds",
+  help: "Seconds since the insider trades were last fetched successfully (absent before the first success).",
+  collect: () => {
+    const { ageSeconds } = feedStatus(fetchJob);
+    return ageSeconds === null ? [] : ageSeconds;
+  },
+});
+metrics.gauge({
+  name: "insider_feed_stale",
+  help: "1 while the insider feed is older than FETCH_STALE_MINUTES.",
+  collect: () => (feedStatus(fetchJob).stale ? 1 : 0),
+});
+metrics.counter({
+  name: "insider_job_runs_total",
+  help: "Job runs, by job.",
+  collect: () => jobSamples((job) => job.state.runs),
+});
+metrics.counter({
+  name: "insider_job_failures_total",
+  help: "Job runs that failed after every retry, by job.",
+  collect: () => jobSamples((job) => job.state.failures),
+});
+metrics.gauge({
+  name: "insider_job_last_success_timestamp_seconds",
+  help: "Unix time of each job's latest successful run.",
+  collect: () =>
+    jobSamples((job) =>
+      job.state.lastSuccessAt
+        ? Date.parse(job.state.lastSuccessAt) / 1000
+        : null
+    ),
+});
+
+/**
+ * Reduce a digest to the fields shown in the job status.
+ * @param {Object} digest - Saved digest
+ * @returns {Object} - Digest id, period and trade count
+ */
+function summarizeDigest(digest) {
+  return {
+    id: digest.id,
+    from: digest.from,
+    to: digest.to,
+    trades: digest.totals.trades,
+  };
+}
+
+// Behind a reverse proxy, TRUST_PROXY lets req.ip and req.secure reflect the
+// client instead of the proxy (e.g. "1" for one hop, or "loopback")
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", process.env.TRUST_PROXY);
+}
+app.disable("x-powered-by");
+
+// Request id, JSON request log line and request metrics for every response
+app.use(requestLogger(logger));
+app.use(
+  httpMetrics({
+    requests: metrics.counter({
+      name: "insider_http_requests_total",
+      help: "HTTP requests answered, by method and status.",
+    }),
+    duration: metrics.histogram({
+      name: "insider_http_request_duration_seconds",
+      help: "Time to answer HTTP requests, by method.",
+    }),
+  })
+);
+
+// Security headers and Content Security Policy on every response
+app.use(securityHeaders());
+
+// Optional protection for the whole app: API keys (APP_API_KEYS, comma-separated,
+// sent as X-API-Key) and/or HTTP basic auth (APP_BASIC_AUTH as "user:password")
+const accessControl = createAccessControl({
+  apiKeys: (process.env.APP_API_KEYS || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean),
+  basicAuth: process.env.APP_BASIC_AUTH,
+});
+
+// Health checks for probes (open) and Prometheus metrics (behind the access control)
+app.use(
+  createHealthRouter({
+    report: () =>
+      healthReport({
+        job: fetchJob,
+        tradeStore,
+        provider: insiderProvider.name,
+      }),
+    metrics,
+    protect: accessControl,
+  })
+);
+
+app.use(accessControl);
 
 // Serve static frontend files from the "public" directory
 // This allows the client (browser) to load the HTML, CSS, and JavaScript files
 app.use(express.static("public"));
 
+// Chart.js from the installed package, so the CSP does not need to allow a CDN
+app.use(
+  "/vendor/chart.js",
+  express.static(path.dirname(require.resolve("chart.js")))
+);
+
+// Limit API requests per client (RATE_LIMIT_PER_MINUTE, default 120)
+app.use(
+  "/api",
+  createRateLimiter({
+    capacity: Number(process.env.RATE_LIMIT_PER_MINUTE) || 120,
+  })
+);
+
+// Parse JSON request bodies for the endpoints that accept them
+app.use(express.json({ limit: "100kb" }));
+
+// Alert rule CRUD endpoints (login required)
+app.use("/api/rules", createRulesRouter(ruleStore, auth));
+
+// Accounts, watchlists, saved views and holdings
+app.use("/api/auth", createAuthRouter(userStore, auth));
+app.use("/api/watchlists", createWatchlistsRouter(userStore, auth));
+app.use("/api/views", createViewsRouter(userStore, auth));
+app.use(
+  "/api/holdings",
+  createHoldingsRouter(userStore, auth, portfolioService)
+);
+app.use("/api/digests", createDigestsRouter(digestStore, digestService, auth));
+app.use("/api/jobs", createJobsRouter(jobRunner, auth));
+
+/**
+ * Resolve the `watchlist` query option into the symbols and insiders it follows.
+ * @param {Object} options - Options from `parseTradeQuery`
+ * @param {Object|null} user - Logged-in user
+ * @throws {Error} - With status 401 when not logged in, 404 for an unknown watchlist
+ */
+function applyWatchlist(options, user) {
+  if (!options.watchlist) {
+    return;
+  }
+  if (!user) {
+    throw Object.assign(new Error("Login required to filter by watchlist."), {
+      status: 401,
+    });
+  }
+
+  const lists =
+    options.watchlist === "all"
+      ? user.watchlists
+      : user.watchlists.filter((list) => list.id === options.watchlist);
+  if (options.watchlist !== "all" && !lists.length) {
+    throw Object.assign(new Error("Watchlist not found."), { status: 404 });
+  }
+
+  options.watch = {
+    symbols: lists.flatMap((list) => list.symbols),
+    insiders: lists.flatMap((list) =>
+      list.insiders.map((name) => name.toLowerCase())
+    ),
+  };
+}
+
 /**
- * API Endpoint: Retrieve the latest insider trading data.
- * Responds with the in-memory `insiderData` array to provide filtered insider trading information.
+ * API Endpoint: Retrieve the stored insider trading history.
+ * Supports filtering, sorting and pagination through query parameters
+ * (see `parseTradeQuery` in lib/query.js for the full list). Logged-in users
+ * can pass `watchlist=<id>` or `watchlist=all` to see only followed trades.
+ * Responds with one page of trades plus totals for the filtered set.
  */
-app.get("/api/insider-trades", (req, res) => {
-  res.json(insiderData); // Send the insider trading data as a JSON response
+app.get("/api/insider-trades", auth.authenticate, (req, res) => {
+  let options;
+  try {
+    options = parseTradeQuery(req.query); // Validate and normalize the query parameters
+    applyWatchlist(options, req.user); // Narrow to the user's followed tickers and insiders
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const result = queryTrades(enrichedTrades(), options);
+  result.data = result.data.map(withClassification); // Category, code label and 10b5-1 flag per trade
+  res.json(result); // Send the filtered page as a JSON response
 });
 
 /**
- * API Endpoint: Fetch stock price data from Tiingo API.
- * @query {string} symbol - Stock ticker symbol
- * Returns the latest stock price data for the given symbol.
+ * API Endpoint: Trade categories and the SEC Form 4 transaction codes in each.
+ * Used by the frontend for the legend and category filter toggles.
  */
-app.get("/api/tiingo", async (req, res) => {
-  const symbol = req.query.symbol; // Retrieve the stock symbol from query parameters
-  const url = `https://api.tiingo.com/tiingo/daily/${symbol}/prices`; // Tiingo API endpoint
+app.get("/api/transaction-codes", (req, res) => {
+  res.json(describeCategories());
+});
 
+/**
+ * API Endpoint: Sectors, exchanges and market cap sizes among the stored
+ * trades, with trade counts, for the table's filter dropdowns.
+ */
+app.get("/api/insider-trades/facets", (req, res) => {
+  res.json(describeFacets(enrichedTrades()));
+});
+
+/**
+ * API Endpoint: Download the filtered insider trades.
+ * Accepts the same filters and sorting as "/api/insider-trades" (no paging) plus:
+ * @query {string} [format=csv] - "csv", "ndjson" or "xlsx"
+ * @query {string} [include] - Comma list of "ratios" and/or "recommendation"
+ * @query {string} [profile] - Scoring profile for the recommendation columns
+ * Rows are streamed as they are written; every row carries the trade value.
+ */
+app.get("/api/insider-trades/export", auth.authenticate, async (req, res) => {
+  let options;
+  let exportOptions;
   try {
-    // Make a GET request to Tiingo API
-    const response = await axios.get(url, {
-      headers: {
-        "Content-Type": "application/json", // Request header
-        Authorization: `Token ${process.env.TIINGO_API_KEY}`, // Tiingo API key
-      },
-    });
+    options = parseTradeQuery(req.query);
+    applyWatchlist(options, req.user);
+    exportOptions = parseExportQuery(req.query);
+    if (exportOptions.include.recommendation) {
+      scoringService.getProfile(exportOptions.profile); // Reject unknown profiles up front
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const { format, include, profile, maxSymbols } = exportOptions;
+  const columns = exportColumns(include);
+  const lookup =
+    include.ratios || include.recommendation
+      ? createCompanyLookup(
+          { financialsService, scoringService },
+          include,
+          profile,
+          maxSymbols
+        )
+      : undefined;
+  const trades = filterTrades(enrichedTrades(), options);
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const today = new Date().toISOString().slice(0, 10);
 
-    if (response.data && response.data.length > 0) {
-      console.log(`Stock price data fetched for ${symbol}`);
-      res.json(response.data); // Send the stock price data as a JSON response
-    } else {
-      console.error(`No stock price data available for symbol: ${symbol}`);
-      res
-        .status(404)
-        .send(`No stock price data available for symbol: ${symbol}`);
+  res.setHeader("Content-Type", contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="insider-trades-${today}.${extension}"`
+  );
+
+  try {
+    await writeExport(
+      res,
+      format,
+      exportRecords(trades, columns, lookup),
+      columns
+    );
+  } catch (error) {
+    console.error("Error exporting insider trades:", error.message);
+    res.destroy(error); // Headers are already sent; abort the download
+  }
+});
+
+/**
+ * API Endpoint: Stream newly stored insider trades as Server-Sent Events.
+ * Each "trades" event holds the trades added by one fetch. Reconnecting
+ * clients resume from the `Last-Event-ID` header (or `lastEventId` query).
+ */
+app.get("/api/insider-trades/stream", (req, res) => {
+  tradeStream.subscribe(req, res);
+});
+
+/**
+ * API Endpoint: Detect cluster buys in the stored insider trades.
+ * @query {number} [windowDays=5] - Rolling window size in days
+ * @query {number} [minInsiders=2] - Distinct insiders required for a cluster
+ * @query {string} [since] - Only consider trades on or after this YYYY-MM-DD date
+ * @query {number} [limit=20] - Maximum number of clusters to return
+ * Responds with clusters of open-market purchases, highest score first.
+ */
+app.get("/api/clusters", (req, res) => {
+  let options;
+  try {
+    options = parseClusterQuery(req.query); // Validate and normalize the query parameters
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  res.json(detectClusters(tradeStore.all(), options)); // Send the scored clusters as JSON
+});
+
+/**
+ * API Endpoint: Profile of a single insider across every company they trade.
+ * @param {string} name - Insider name as shown in the trade table
+ * Responds with per-company net shares, average purchase price, holdings
+ * trend (from the reported `share` field) and the full trade history.
+ */
+app.get("/api/insiders/:name", (req, res) => {
+  const profile = buildInsiderProfile(tradeStore.all(), req.params.name);
+  if (!profile) {
+    return sendErrorMessage(res, 404, "No trades found for this insider.");
+  }
+  res.json(profile);
+});
+
+/**
+ * API Endpoint: List the available recommendation scoring profiles.
+ */
+app.get("/api/scoring/profiles", (req, res) => {
+  res.json(scoringService.listProfiles());
+});
+
+/**
+ * API Endpoint: Score a symbol with a recommendation profile.
+ * @param {string} symbol - Stock ticker symbol
+ * @query {string} [profile] - Profile name (defaults to SCORING_DEFAULT_PROFILE)
+ * Responds with a 0-100 score, BUY/HOLD/SELL and a per-factor explanation.
+ */
+app.get("/api/score/:symbol", async (req, res) => {
+  let symbol;
+  let profile;
+  try {
+    symbol = parseTicker(req.params.symbol);
+    profile = scoringService.getProfile(req.query.profile || undefined).name;
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  try {
+    res.json(await scoringService.score(symbol, profile));
+  } catch (error) {
+    console.error(`Error scoring ${symbol}:`, error.message);
+    sendErrorMessage(res, 500, "Error computing recommendation.");
+  }
+});
+
+/**
+ * API Endpoint: Fundamental analysis from the last eight quarterly filings
+ * and the latest Tiingo close.
+ * @param {string} symbol - Stock ticker symbol
+ * Responds with `{ symbol, price, periods, metrics }`: TTM revenue and EPS,
+ * QoQ/YoY growth, free cash flow, P/E, P/B, EV/EBITDA, Altman Z and
+ * Piotroski F, each as `{ value, flags }` with data-quality flags for
+ * missing or substituted inputs.
+ */
+app.get("/api/analysis/:symbol", async (req, res) => {
+  let symbol;
+  try {
+    symbol = parseTicker(req.params.symbol);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  try {
+    const analysis = await analysisService.analyze(symbol);
+    if (!analysis) {
+      return sendErrorMessage(res, 404, "No financial data available.");
     }
+    res.json(analysis);
   } catch (error) {
     console.error(
-      `Error fetching Tiingo stock price data for ${symbol}:`,
+      `Error analyzing ${symbol}:`,
       error.response?.data || error.message
     );
-    res
-      .status(error.response?.status || 500)
-      .send("Error fetching stock price data");
+    sendErrorMessage(
+      res,
+      error.status === 429 ? 429 : 500, // Surface local rate limiting to the client
+      "Error computing analysis."
+    );
   }
 });
 
 /**
- * API Endpoint: Fetch financial data from Polygon.io API.
- * @query {string} symbol - Stock ticker symbol
- * Returns the financial data for the given symbol.
+ * API Endpoint: Compare a company's financial ratios and insider activity
+ * with its peers.
+ * @param {string} symbol - Stock ticker symbol
+ * @query {string} [peers] - Comma-separated peer tickers (defaults to the company's SIC industry)
+ * @query {number} [days=90] - Insider activity window in days
+ * Responds with `{ symbol, source, sector, days, companies, medians }`; each
+ * company carries its ratios, percentile ranks within the group and net
+ * insider buying or selling over the window.
+ */
+app.get("/api/peers/:symbol", async (req, res) => {
+  let symbol;
+  let options;
+  try {
+    symbol = parseTicker(req.params.symbol);
+    options = parsePeerQuery(req.query, symbol);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  try {
+    const comparison = await peerService.compare(symbol, options);
+    if (!comparison) {
+      return sendErrorMessage(
+        res,
+        404,
+        `No peers found for ${symbol}. List them with the "peers" parameter.`
+      );
+    }
+    res.json(comparison);
+  } catch (error) {
+    console.error(`Error comparing ${symbol} with its peers:`, error.message);
+    sendErrorMessage(res, 500, "Error comparing peers.");
+  }
+});
+
+/**
+ * Parse the optional `benchmark` ticker used by the backtest endpoints.
+ * @param {Object} query - Express `req.query` object
+ * @returns {string|undefined} - Upper-cased benchmark ticker
+ * @throws {QueryError} - When the ticker is malformed
+ */
+function parseBenchmark(query) {
+  return query.benchmark
+    ? parseTicker(query.benchmark, "benchmark")
+    : undefined;
+}
+
+/**
+ * API Endpoint: Forward returns after a single stored trade.
+ * @param {string} id - Trade id
+ * @query {string} [benchmark] - Benchmark ticker such as "SPY"
+ * Responds with +5/+20/+60/+120 trading-day returns (null where not yet elapsed).
+ */
+app.get("/api/backtest/trades/:id", async (req, res) => {
+  const trade = tradeStore.get(req.params.id);
+  if (!trade) {
+    return sendErrorMessage(res, 404, "Trade not found.");
+  }
+
+  let benchmark;
+  try {
+    benchmark = parseBenchmark(req.query);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  try {
+    res.json(await backtester.trade(trade, benchmark));
+  } catch (error) {
+    console.error(
+      `Error computing performance for trade ${trade.id}:`,
+      error.response?.data || error.message
+    );
+    sendErrorMessage(
+      res,
+      error.status || 500,
+      "Error computing trade performance."
+    );
+  }
+});
+
+/**
+ * API Endpoint: Forward returns aggregated per insider and per transaction code.
+ * Accepts the same filters as "/api/insider-trades" plus:
+ * @query {string} [benchmark] - Benchmark ticker such as "SPY"
+ * @query {number} [maxSymbols=25] - Most tickers to load price history for
+ * Every ticker (and the benchmark) costs a Tiingo request, so `maxSymbols`
+ * may not exceed what one hour's Tiingo rate limit allows; more would end
+ * in 429s partway through the request.
  */
-app.get("/api/polygon-financials", async (req, res) => {
-  const symbol = req.query.symbol; // Retrieve the stock symbol from query parameters
-  const apiKey = process.env.POLYGON_API_KEY; // Polygon.io API key
+app.get("/api/backtest/summary", auth.authenticate, async (req, res) => {
+  let options;
+  let benchmark;
+  let maxSymbols;
+  try {
+    options = parseTradeQuery(req.query); // Reuse the trade table filters
+    applyWatchlist(options, req.user);
+    benchmark = parseBenchmark(req.query);
+    const limit = Math.max(TIINGO_RATE_LIMIT - (benchmark ? 1 : 0), 1);
+    maxSymbols = parseNumber(req.query, "maxSymbols") ?? Math.min(25, limit);
+    if (!Number.isInteger(maxSymbols) || maxSymbols < 1 || maxSymbols > limit) {
+      throw new QueryError(
+        `Query parameter "maxSymbols" must be between 1 and ${limit}.`,
+        "maxSymbols"
+      );
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
 
   try {
-    // Make a GET request to Polygon.io API
-    const response = await axios.get(
-      `https://api.polygon.io/vX/reference/financials?ticker=${symbol}&limit=1&apiKey=${apiKey}`
+    const trades = enrichedTrades().filter((trade) =>
+      matchesFilters(trade, options)
+    );
+    res.json(await backtester.summary(trades, { benchmark, maxSymbols }));
+  } catch (error) {
+    console.error(
+      "Error running backtest summary:",
+      error.response?.data || error.message
     );
+    sendErrorMessage(res, error.status || 500, "Error running backtest.");
+  }
+});
+
+/**
+ * API Endpoint: Fetch stock price data from Tiingo API.
+ * @query {string} symbol - Stock ticker symbol
+ * Returns the latest stock price data for the given symbol.
+ */
+app.get(
+  "/api/tiingo",
+  validate({ query: { symbol: ticker() } }),
+  async (req, res) => {
+    const symbol = req.valid.symbol; // Validated, upper-cased ticker from the query
+    const url = `https://api.tiingo.com/tiingo/daily/${encodeURIComponent(
+      symbol
+    )}/prices`; // Tiingo API endpoint
 
-    if (response.data.results?.length) {
-      res.json(response.data.results[0]); // Send the first result as the JSON response
-    } else {
-      console.error(`No financial data found for ${symbol}.`);
-      res.status(404).send("No financial data available.");
+    try {
+      // Make a GET request to Tiingo API through the shared cached client
+      const data = await tiingoClient.get(
+        url,
+        {
+          headers: {
+            "Content-Type": "application/json", // Request header
+            Authorization: `Token ${process.env.TIINGO_API_KEY}`, // Tiingo API key
+          },
+        },
+        process.env.TIINGO_API_KEY // Rate limit applies per API key
+      );
+
+      if (data && data.length > 0) {
+        console.log(`Stock price data fetched for ${symbol}`);
+        res.json(data); // Send the stock price data as a JSON response
+      } else {
+        console.error(`No stock price data available for symbol: ${symbol}`);
+        sendErrorMessage(
+          res,
+          404,
+          `No stock price data available for symbol: ${symbol}`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `Error fetching Tiingo stock price data for ${symbol}:`,
+        error.response?.data || error.message
+      );
+      sendErrorMessage(
+        res,
+        error.response?.status || error.status || 500,
+        "Error fetching stock price data"
+      );
+    }
+  }
+);
+
+/**
+ * API Endpoint: Daily price history with insider purchases and sales marked.
+ * @param {string} symbol - Stock ticker symbol
+ * @query {string} [from] - First date (YYYY-MM-DD, defaults to one year ago)
+ * @query {string} [to] - Last date (YYYY-MM-DD, defaults to today)
+ * Responds with `{ symbol, from, to, bars, markers }`.
+ */
+app.get("/api/prices/:symbol", async (req, res) => {
+  let symbol;
+  let from;
+  let to;
+  try {
+    symbol = parseTicker(req.params.symbol);
+    to = parseDate(req.query, "to") || new Date().toISOString().slice(0, 10);
+    from = parseDate(req.query, "from");
+    if (!from) {
+      const start = new Date(`${to}T00:00:00Z`);
+      start.setUTCFullYear(start.getUTCFullYear() - 1);
+      from = start.toISOString().slice(0, 10);
+    }
+    if (from > to) {
+      throw new QueryError('"from" must not be after "to".');
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  try {
+    const bars = await priceService.history(symbol, {
+      startDate: from,
+      endDate: to,
+    });
+    if (!bars.length) {
+      return sendErrorMessage(
+        res,
+        404,
+        `No stock price data available for symbol: ${symbol}`
+      );
     }
+
+    const trades = tradeStore.all().filter((trade) => trade.symbol === symbol);
+    res.json({
+      symbol,
+      from,
+      to,
+      bars: bars.map(({ date, open, high, low, close, volume }) => ({
+        date,
+        open,
+        high,
+        low,
+        close,
+        volume,
+      })),
+      markers: insiderMarkers(bars, trades),
+    });
   } catch (error) {
     console.error(
-      `Error fetching financial data for ${symbol}:`,
+      `Error fetching price history for ${symbol}:`,
       error.response?.data || error.message
     );
-    res.status(500).send("Error fetching financial data.");
+    sendErrorMessage(
+      res,
+      error.response?.status || error.status || 500,
+      "Error fetching price history."
+    );
   }
 });
 
-// Start the server and listen on the specified port
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+/**
+ * Parse the optional history parameters of "/api/polygon-financials".
+ * @param {Object} query - Express `req.query` object
+ * @returns {Object|null} - `{ periods, timeframe }`, or null when only the latest filing is wanted
+ * @throws {QueryError} - When a parameter is out of range
+ */
+function parseFinancialsHistory(query) {
+  const periods = parseNumber(query, "periods");
+  if (periods === undefined && !query.timeframe) {
+    return null;
+  }
+  if (
+    periods !== undefined &&
+    (!Number.isInteger(periods) || periods < 1 || periods > MAX_PERIODS)
+  ) {
+    throw new QueryError(
+      `Query parameter "periods" must be an integer from 1 to ${MAX_PERIODS}.`
+    );
+  }
+  const timeframe = query.timeframe || "quarterly";
+  if (!TIMEFRAMES.includes(timeframe)) {
+    throw new QueryError(
+      `Query parameter "timeframe" must be one of: ${TIMEFRAMES.join(", ")}.`
+    );
+  }
+  return { periods: periods ?? 8, timeframe };
+}
+
+/**
+ * API Endpoint: Fetch financial data from Polygon.io API.
+ * @query {string} symbol - Stock ticker symbol
+ * @query {number} [periods] - Return this many filings (1-20) instead of only the latest
+ * @query {string} [timeframe="quarterly"] - "quarterly" or "annual" filings
+ * Returns the latest filing for the given symbol or, when `periods` or
+ * `timeframe` is given, `{ symbol, timeframe, periods }` with one chart-ready
+ * entry (revenue, net income and ratios) per filing, oldest first.
+ */
+app.get(
+  "/api/polygon-financials",
+  validate({ query: { symbol: ticker() } }),
+  async (req, res) => {
+    const symbol = req.valid.symbol; // Validated, upper-cased ticker from the query
+
+    let history;
+    try {
+      history = parseFinancialsHistory(req.query);
+    } catch (error) {
+      return sendError(res, error);
+    }
+
+    try {
+      if (history) {
+        const filings = await financialsService.history(symbol, history);
+        if (!filings.length) {
+          console.error(`No financial data found for ${symbol}.`);
+          return sendErrorMessage(res, 404, "No financial data available.");
+        }
+        return res.json({
+          symbol,
+          timeframe: history.timeframe,
+          periods: financialSeries(filings),
+        });
+      }
+
+      // Fetch the latest filing from Polygon.io through the shared cached client
+      const financialData = await financialsService.latest(symbol);
+
+      if (financialData) {
+        res.json(financialData); // Send the latest filing as the JSON response
+      } else {
+        console.error(`No financial data found for ${symbol}.`);
+        sendErrorMessage(res, 404, "No financial data available.");
+      }
+    } catch (error) {
+      console.error(
+        `Error fetching financial data for ${symbol}:`,
+        error.response?.data || error.message
+      );
+      sendErrorMessage(
+        res,
+        error.status === 429 ? 429 : 500, // Surface local rate limiting to the client
+        "Error fetching financial data."
+      );
+    }
+  }
+);
+
+/**
+ * API Endpoint: Upstream cache and rate-limit statistics.
+ * Responds with hit/miss counts, coalesced lookups and 429s per provider.
+ */
+app.get("/api/admin/upstream-stats", (req, res) => {
+  res.json({
+    tiingo: tiingoClient.stats(),
+    polygon: polygonClient.stats(),
+  });
 });
+
+// Structured errors for malformed JSON bodies and anything a handler did not catch
+app.use(errorHandler);
+
+// Start the server and the scheduled jobs when run directly (`npm start`);
+// tests require this file for `app` without listening or fetching
+if (require.main === module) {
+  captureConsole(logger); // Existing console calls become JSON lines too
+  app.listen(PORT, () => {
+    logger.info("Server running", { url: `http://localhost:${PORT}` });
+  });
+  jobRunner.start();
+  // Perform an initial data fetch when the server starts, then look up the new tickers
+  jobRunner
+    .get("fetch-trades")
+    .tick()
+    .then(() => jobRunner.get("enrich-companies").tick());
+}
+
+// The CLI (bin/insider-tracker.js) reuses the same stores, services and jobs
+module.exports = {
+  app,
+  tradeStore,
+  jobRunner,
+  scoringService,
+  enrichStoredTrade,
+  enrichedTrades,
+  logger,
+};
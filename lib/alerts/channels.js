@@ -0,0 +1,237 @@
+const fs = require("fs"); // File system access for the log sink
+const path = require("path"); // Path helpers for the log sink location
+const dns = require("dns"); // Resolves webhook hosts before connecting
+const net = require("net"); // IP address parsing for the webhook address check
+const http = require("http"); // Agents that refuse private webhook addresses
+const https = require("https");
+const axios = require("axios"); // HTTP client for webhook delivery
+const nodemailer = require("nodemailer"); // SMTP client for email delivery
+
+// Registered delivery channels, keyed by the `type` used in rule definitions.
+// Each channel lists the settings a rule may give it in `fields`, and has
+// `validate(config)` (returns an error message or null) and
+// `send(config, alert)` (returns a promise).
+const channels = new Map();
+
+let mailTransport = null; // Lazily created SMTP transport shared by email channels
+
+// Loopback, private, link-local and other non-public ranges webhooks may not reach
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3], // Multicast and reserved
+].forEach(([address, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+/**
+ * Register a delivery channel so rules can reference it by `type`.
+ * @param {string} type - Channel type name
+ * @param {Object} channel - Object with `fields` (allowed settings), `validate(config)` and `send(config, alert)`
+ */
+function registerChannel(type, channel) {
+  channels.set(type, channel);
+}
+
+/**
+ * Look up a registered delivery channel.
+ * @param {string} type - Channel type name
+ * @returns {Object|undefined} - The channel, if registered
+ */
+function getChannel(type) {
+  return channels.get(type);
+}
+
+/**
+ * List the registered channel types.
+ * @returns {string[]} - Channel type names
+ */
+function channelTypes() {
+  return Array.from(channels.keys());
+}
+
+/**
+ * Check whether an IP address is outside the public internet.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True for loopback, private, link-local and reserved addresses
+ */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4-mapped IPv6
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+  const family = net.isIP(address);
+  return family
+    ? PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4")
+    : false;
+}
+
+/**
+ * Hosts webhooks may reach even though they are private, from the
+ * comma-separated ALERT_WEBHOOK_ALLOWED_HOSTS (e.g. an internal receiver).
+ * @returns {string[]} - Lower-cased host names or addresses
+ */
+function allowedWebhookHosts() {
+  return (process.env.ALERT_WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * `dns.lookup` replacement for the webhook agents that fails when the host
+ * resolves to a private address, so a public name pointing inward is
+ * caught at connect time.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(
+        new Error(
+          `Webhook host ${hostname} resolves to a private address (${blocked.address}).`
+        )
+      );
+    }
+    callback(null, address, family);
+  });
+}
+
+const webhookAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+/**
+ * Check a webhook URL: http(s) only, and no private address literals
+ * unless the host is in ALERT_WEBHOOK_ALLOWED_HOSTS.
+ * @param {string} url - Webhook URL
+ * @returns {Object} - `{ problem, allowed }`: an error message or null, and whether the host is allowlisted
+ */
+function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { problem: 'Webhook channels need an http(s) "url".' };
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return { problem: 'Webhook channels need an http(s) "url".' };
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  const allowed = allowedWebhookHosts().includes(host);
+  if (!allowed && (host === "localhost" || isPrivateAddress(host))) {
+    return { problem: `Webhook host ${host} is a private address.` };
+  }
+  return { problem: null, allowed };
+}
+
+/**
+ * Build the SMTP transport from environment variables on first use.
+ * @returns {Object} - Nodemailer transport
+ */
+function getMailTransport() {
+  if (!mailTransport) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST is not configured; cannot send email.");
+    }
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true", // true for port 465
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return mailTransport;
+}
+
+// Generic JSON webhook: POSTs the alert payload to `config.url`.
+// Private addresses are refused, both as URL literals and after DNS
+// resolution, and redirects are not followed.
+registerChannel("webhook", {
+  fields: ["url"],
+  validate(config) {
+    return checkWebhookUrl(config.url || "").problem;
+  },
+  async send(config, alert) {
+    const { problem, allowed } = checkWebhookUrl(config.url || "");
+    if (problem) {
+      throw new Error(problem);
+    }
+    return axios.post(config.url, alert, {
+      headers: { "Content-Type": "application/json" },
+      timeout: 10000, // Do not let a slow receiver hold up the fetch job
+      maxRedirects: 0,
+      ...(allowed ? {} : webhookAgents),
+    });
+  },
+});
+
+// SMTP email: sends a plain-text summary to `config.to`
+registerChannel("email", {
+  fields: ["to"],
+  validate(config) {
+    const addresses = String(config.to || "").split(",");
+    return config.to &&
+      addresses.every((address) => /^[^\s@]+@[^\s@]+$/.test(address.trim()))
+      ? null
+      : 'Email channels need a "to" address (comma-separated for several).';
+  },
+  send(config, alert) {
+    return getMailTransport().sendMail({
+      from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+      to: config.to,
+      subject: `Insider alert: ${alert.summary}`,
+      text: `${alert.summary}\n\nRule: ${alert.rule.name}\n\n${JSON.stringify(
+        alert.trade,
+        null,
+        2
+      )}`,
+    });
+  },
+});
+
+// Local log sink: appends one JSON line per alert to ALERT_LOG_PATH.
+// The location is server configuration only; rules cannot choose a file.
+registerChannel("log", {
+  fields: [],
+  validate() {
+    return null;
+  },
+  async send(config, alert) {
+    const logPath = path.resolve(
+      process.env.ALERT_LOG_PATH || "data/alerts.log"
+    );
+    await fs.promises.mkdir(path.dirname(logPath), { recursive: true });
+    await fs.promises.appendFile(logPath, `${JSON.stringify(alert)}\n`);
+  },
+});
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  channelTypes,
+  getMailTransport,
+  isPrivateAddress,
+};
@@ -0,0 +1,161 @@
+const fs = require("fs"); // File system access for the fired-alerts log
+const path = require("path"); // Path helpers for the fired-alerts location
+const { tradeValue } = require("../trades");
+const { matchesRule } = require("./rules");
+const { getChannel } = require("./channels");
+const { retry } = require("../jobs");
+
+/**
+ * Build the payload delivered to every channel when a rule fires.
+ * @param {Object} rule - Rule that matched
+ * @param {Object} trade - Stored insider trade
+ * @returns {Object} - Alert payload
+ */
+function buildAlert(rule, trade) {
+  const value = tradeValue(trade);
+  return {
+    rule: { id: rule.id, name: rule.name },
+    trade,
+    value,
+    summary: `${trade.symbol} ${trade.transactionCode} by ${trade.name}: ${
+      trade.change
+    } shares @ $${Number(trade.transactionPrice || 0).toFixed(
+      2
+    )} ($${Math.round(value ?? 0).toLocaleString()})`,
+    triggeredAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Checks newly seen trades against the alert rules and delivers matches.
+ *
+ * Each (rule, trade) pair fires at most once: pairs are recorded in an
+ * append-only JSONL file before delivery, so a restart or a re-fetched
+ * trade never sends the same alert twice. Delivery runs in the background
+ * so a slow channel does not hold up the caller; a failed delivery is
+ * retried a few times per channel before it is logged and given up.
+ */
+class AlertEngine {
+  /**
+   * @param {Object} options
+   * @param {Object} options.ruleStore - RuleStore holding the alert rules
+   * @param {string} options.firedPath - Location of the fired-alerts JSONL file
+   * @param {number} [options.retries=2] - Delivery retries per channel after a failure
+   * @param {number} [options.retryDelayMs=2000] - Wait before the first retry, doubled each time
+   */
+  constructor({ ruleStore, firedPath, retries = 2, retryDelayMs = 2000 }) {
+    this.ruleStore = ruleStore;
+    this.firedPath = path.resolve(firedPath);
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.fired = new Set(); // "ruleId:tradeId" pairs that already fired
+    this.deliveries = new Set(); // Deliveries still in progress
+  }
+
+  /**
+   * Replay the fired-alerts file into memory.
+   */
+  load() {
+    if (!fs.existsSync(this.firedPath)) {
+      return;
+    }
+    fs.readFileSync(this.firedPath, "utf8")
+      .split("\n")
+      .filter((line) => line.trim())
+      .forEach((line) => {
+        try {
+          const { ruleId, tradeId } = JSON.parse(line);
+          this.fired.add(`${ruleId}:${tradeId}`);
+        } catch (error) {
+          console.warn(`Skipping malformed line in ${this.firedPath}`);
+        }
+      });
+  }
+
+  /**
+   * Evaluate trades against every enabled rule and start delivering the
+   * matches. Resolves once the fired pairs are recorded, without waiting
+   * for delivery (see `drain`). Delivery failures are logged per channel
+   * and never thrown.
+   * @param {Array} trades - Newly stored insider trades
+   * @returns {Promise<Array>} - Alerts that fired
+   */
+  async process(trades) {
+    const alerts = [];
+    const firedRecords = [];
+
+    this.ruleStore
+      .list()
+      .filter((rule) => rule.enabled)
+      .forEach((rule) => {
+        trades.forEach((trade) => {
+          const key = `${rule.id}:${trade.id}`;
+          if (this.fired.has(key) || !matchesRule(rule, trade)) {
+            return;
+          }
+          this.fired.add(key);
+          firedRecords.push({
+            ruleId: rule.id,
+            tradeId: trade.id,
+            firedAt: new Date().toISOString(),
+          });
+          alerts.push({ rule, alert: buildAlert(rule, trade) });
+        });
+      });
+
+    if (!alerts.length) {
+      return [];
+    }
+
+    // Record the pairs before delivering so a crash mid-delivery cannot re-fire them
+    await fs.promises.mkdir(path.dirname(this.firedPath), { recursive: true });
+    await fs.promises.appendFile(
+      this.firedPath,
+      firedRecords.map((record) => JSON.stringify(record)).join("\n") + "\n"
+    );
+
+    const delivery = Promise.all(
+      alerts.map(({ rule, alert }) => this.deliver(rule, alert))
+    );
+    this.deliveries.add(delivery);
+    delivery.then(() => this.deliveries.delete(delivery));
+    return alerts.map(({ alert }) => alert);
+  }
+
+  /**
+   * Wait for every delivery started so far, e.g. before shutting down.
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    await Promise.all(this.deliveries);
+  }
+
+  /**
+   * Send one alert through every channel configured on its rule.
+   * @param {Object} rule - Rule that fired
+   * @param {Object} alert - Alert payload from `buildAlert`
+   */
+  async deliver(rule, alert) {
+    await Promise.all(
+      rule.channels.map(async (config) => {
+        try {
+          await retry(() => getChannel(config.type).send(config, alert), {
+            retries: this.retries,
+            baseDelayMs: this.retryDelayMs,
+            onRetry: (error, attempt, delayMs) =>
+              console.warn(
+                `Delivering "${rule.name}" alert via ${config.type} failed (${error.message}); retry ${attempt}/${this.retries} in ${delayMs}ms.`
+              ),
+          });
+        } catch (error) {
+          console.error(
+            `Error delivering "${rule.name}" alert via ${config.type}:`,
+            error.message
+          );
+        }
+      })
+    );
+  }
+}
+
+module.exports = { buildAlert, AlertEngine };
@@ -0,0 +1,30 @@
+// Alert rules engine: user-defined rules evaluated against newly seen trades,
+// delivered through pluggable channels (webhook, email, log).
+const {
+  RuleValidationError,
+  validateRule,
+  matchesRule,
+  RuleStore,
+} = require("./rules");
+const {
+  registerChannel,
+  getChannel,
+  channelTypes,
+  getMailTransport,
+  isPrivateAddress,
+} = require("./channels");
+const { buildAlert, AlertEngine } = require("./engine");
+
+module.exports = {
+  RuleValidationError,
+  validateRule,
+  matchesRule,
+  RuleStore,
+  registerChannel,
+  getChannel,
+  channelTypes,
+  getMailTransport,
+  isPrivateAddress,
+  buildAlert,
+  AlertEngine,
+};
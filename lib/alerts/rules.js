@@ -0,0 +1,305 @@
+const path = require("path"); // Path helpers for resolving the rules location
+const crypto = require("crypto"); // Random ids for new rules
+const { tradeValue } = require("../trades");
+const { readJson, writeJson } = require("../json-file");
+const { getChannel, channelTypes } = require("./channels");
+
+// Numeric conditions and the trade value each one bounds
+const NUMERIC_CONDITIONS = {
+  minValue: (trade) => tradeValue(trade) ?? 0,
+  maxValue: (trade) => tradeValue(trade) ?? 0,
+  minPrice: (trade) => Number(trade.transactionPrice) || 0,
+  maxPrice: (trade) => Number(trade.transactionPrice) || 0,
+  minShares: (trade) => Math.abs(Number(trade.change) || 0),
+};
+
+/**
+ * Error raised when a rule definition is invalid.
+ * Carries an HTTP status so routes can respond with 400 directly.
+ */
+class RuleValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RuleValidationError";
+    this.status = 400;
+  }
+}
+
+/**
+ * Validate and normalize a rule definition.
+ *
+ * A rule looks like:
+ *   {
+ *     name: "Large purchases",
+ *     enabled: true,
+ *     conditions: { transactionCodes: ["P"], minValue: 1000000 },
+ *     channels: [{ type: "webhook", url: "https://..." }, { type: "log" }]
+ *   }
+ *
+ * Every condition present must match for the rule to fire. Supported
+ * conditions are `transactionCodes`, `symbols` and `insiders` (lists) plus
+ * the numeric bounds in `NUMERIC_CONDITIONS`.
+ *
+ * @param {Object} input - Rule definition from the API
+ * @returns {Object} - Normalized rule without id/timestamps
+ * @throws {RuleValidationError} - When the definition is invalid
+ */
+function validateRule(input) {
+  if (!input || typeof input !== "object") {
+    throw new RuleValidationError("Rule must be a JSON object.");
+  }
+  if (typeof input.name !== "string" || !input.name.trim()) {
+    throw new RuleValidationError('Rule "name" is required.');
+  }
+
+  const conditions = {};
+  const rawConditions = input.conditions || {};
+
+  // List conditions: symbols and codes are upper-cased, insider names lower-cased
+  ["transactionCodes", "symbols", "insiders"].forEach((key) => {
+    if (rawConditions[key] === undefined) {
+      return;
+    }
+    if (
+      !Array.isArray(rawConditions[key]) ||
+      !rawConditions[key].every((item) => typeof item === "string")
+    ) {
+      throw new RuleValidationError(
+        `Condition "${key}" must be a list of strings.`
+      );
+    }
+    conditions[key] = rawConditions[key].map((item) =>
+      key === "insiders" ? item.trim().toLowerCase() : item.trim().toUpperCase()
+    );
+  });
+
+  Object.keys(NUMERIC_CONDITIONS).forEach((key) => {
+    if (rawConditions[key] === undefined) {
+      return;
+    }
+    if (
+      typeof rawConditions[key] !== "number" ||
+      !Number.isFinite(rawConditions[key])
+    ) {
+      throw new RuleValidationError(`Condition "${key}" must be a number.`);
+    }
+    conditions[key] = rawConditions[key];
+  });
+
+  const unknown = Object.keys(rawConditions).filter(
+    (key) => !(key in conditions) && rawConditions[key] !== undefined
+  );
+  if (unknown.length) {
+    throw new RuleValidationError(
+      `Unknown condition(s): ${unknown.join(", ")}.`
+    );
+  }
+  if (!Object.keys(conditions).length) {
+    throw new RuleValidationError("Rule needs at least one condition.");
+  }
+
+  if (!Array.isArray(input.channels) || !input.channels.length) {
+    throw new RuleValidationError("Rule needs at least one delivery channel.");
+  }
+  const channels = input.channels.map((channel) => {
+    const handler =
+      channel && typeof channel === "object" && getChannel(channel.type);
+    if (!handler) {
+      throw new RuleValidationError(
+        `Channel "type" must be one of: ${channelTypes().join(", ")}.`
+      );
+    }
+    // Only the settings the channel declares are accepted, and only as strings
+    const fields = handler.fields || [];
+    const unknownFields = Object.keys(channel).filter(
+      (key) => key !== "type" && !fields.includes(key)
+    );
+    if (unknownFields.length) {
+      throw new RuleValidationError(
+        `Unknown ${channel.type} channel setting(s): ${unknownFields.join(
+          ", "
+        )}.`
+      );
+    }
+    const settings = { type: channel.type };
+    fields.forEach((key) => {
+      if (channel[key] === undefined) {
+        return;
+      }
+      if (typeof channel[key] !== "string") {
+        throw new RuleValidationError(
+          `Channel setting "${key}" must be a string.`
+        );
+      }
+      settings[key] = channel[key].trim();
+    });
+    const problem = handler.validate(settings); // Channel-specific settings check
+    if (problem) {
+      throw new RuleValidationError(problem);
+    }
+    return settings;
+  });
+
+  return {
+    name: input.name.trim(),
+    enabled: input.enabled !== false,
+    conditions,
+    channels,
+  };
+}
+
+/**
+ * Check whether a trade satisfies every condition of a rule.
+ * @param {Object} rule - Validated rule
+ * @param {Object} trade - Stored insider trade
+ * @returns {boolean} - True when the rule should fire for the trade
+ */
+function matchesRule(rule, trade) {
+  const { conditions } = rule;
+
+  if (
+    conditions.transactionCodes &&
+    !conditions.transactionCodes.includes(trade.transactionCode)
+  ) {
+    return false;
+  }
+  if (conditions.symbols && !conditions.symbols.includes(trade.symbol)) {
+    return false;
+  }
+  if (
+    conditions.insiders &&
+    !conditions.insiders.includes(String(trade.name || "").toLowerCase())
+  ) {
+    return false;
+  }
+
+  return Object.keys(NUMERIC_CONDITIONS).every((key) => {
+    if (conditions[key] === undefined) {
+      return true;
+    }
+    const value = NUMERIC_CONDITIONS[key](trade);
+    return key.startsWith("min")
+      ? value >= conditions[key]
+      : value <= conditions[key];
+  });
+}
+
+/**
+ * Alert rules persisted as a JSON array on disk. Each rule belongs to the
+ * user who created it; the alert engine checks every user's rules.
+ */
+class RuleStore {
+  /**
+   * @param {string} filePath - Location of the rules JSON file (created on first save)
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.rules = new Map(); // Rule id -> rule
+  }
+
+  /**
+   * Read the rules file into memory, if it exists.
+   */
+  load() {
+    readJson(this.filePath, []).forEach((rule) =>
+      this.rules.set(rule.id, rule)
+    );
+  }
+
+  /**
+   * Write all rules back to disk.
+   */
+  save() {
+    return writeJson(this.filePath, this.list());
+  }
+
+  /**
+   * List the rules, optionally only one user's.
+   * @param {string} [userId] - Owner to filter by; every rule when omitted
+   * @returns {Array} - Rules
+   */
+  list(userId) {
+    const rules = Array.from(this.rules.values());
+    return userId === undefined
+      ? rules
+      : rules.filter((rule) => rule.userId === userId);
+  }
+
+  /**
+   * Look up a rule, optionally only when a given user owns it.
+   * @param {string} id - Rule id
+   * @param {string} [userId] - Required owner
+   * @returns {Object|undefined} - Rule
+   */
+  get(id, userId) {
+    const rule = this.rules.get(id);
+    if (!rule || (userId !== undefined && rule.userId !== userId)) {
+      return undefined;
+    }
+    return rule;
+  }
+
+  /**
+   * Validate and add a new rule.
+   * @param {Object} input - Rule definition
+   * @param {string} [userId] - Owner of the rule
+   * @returns {Promise<Object>} - Stored rule with id, owner and timestamps
+   */
+  async create(input, userId) {
+    const now = new Date().toISOString();
+    const rule = {
+      id: crypto.randomUUID(),
+      userId,
+      ...validateRule(input),
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.rules.set(rule.id, rule);
+    await this.save();
+    return rule;
+  }
+
+  /**
+   * Validate and replace an existing rule.
+   * @param {string} id - Rule id
+   * @param {Object} input - New rule definition
+   * @param {string} [userId] - Required owner
+   * @returns {Promise<Object|null>} - Updated rule, or null when not found (or owned by someone else)
+   */
+  async update(id, input, userId) {
+    const existing = this.get(id, userId);
+    if (!existing) {
+      return null;
+    }
+    const rule = {
+      ...existing,
+      ...validateRule(input),
+      updatedAt: new Date().toISOString(),
+    };
+    this.rules.set(id, rule);
+    await this.save();
+    return rule;
+  }
+
+  /**
+   * Delete a rule.
+   * @param {string} id - Rule id
+   * @param {string} [userId] - Required owner
+   * @returns {Promise<boolean>} - True when a rule was removed
+   */
+  async remove(id, userId) {
+    if (!this.get(id, userId)) {
+      return false;
+    }
+    this.rules.delete(id);
+    await this.save();
+    return true;
+  }
+}
+
+module.exports = {
+  RuleValidationError,
+  validateRule,
+  matchesRule,
+  RuleStore,
+};
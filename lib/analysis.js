@@ -0,0 +1,584 @@
+const ANALYSIS_QUARTERS = 8; // Two years of quarterly filings: a trailing year and the one before it
+
+// Where each input lives in a Polygon filing: [statement, line item]
+const INPUTS = {
+  revenues: ["income_statement", "revenues"],
+  grossProfit: ["income_statement", "gross_profit"],
+  operatingIncome: ["income_statement", "operating_income_loss"],
+  depreciation: ["income_statement", "depreciation_and_amortization"],
+  netIncome: ["income_statement", "net_income_loss"],
+  dilutedEps: ["income_statement", "diluted_earnings_per_share"],
+  basicEps: ["income_statement", "basic_earnings_per_share"],
+  basicShares: ["income_statement", "basic_average_shares"],
+  dilutedShares: ["income_statement", "diluted_average_shares"],
+  assets: ["balance_sheet", "assets"],
+  currentAssets: ["balance_sheet", "current_assets"],
+  currentLiabilities: ["balance_sheet", "current_liabilities"],
+  liabilities: ["balance_sheet", "liabilities"],
+  equity: ["balance_sheet", "equity"],
+  longTermDebt: ["balance_sheet", "long_term_debt"],
+  cash: ["balance_sheet", "cash"],
+  retainedEarnings: ["balance_sheet", "retained_earnings"],
+  operatingCashFlow: [
+    "cash_flow_statement",
+    "net_cash_flow_from_operating_activities",
+  ],
+  investingCashFlow: [
+    "cash_flow_statement",
+    "net_cash_flow_from_investing_activities",
+  ],
+  capitalExpenditure: ["cash_flow_statement", "capital_expenditure"],
+};
+
+// Data-quality flag messages by code
+const FLAG_MESSAGES = {
+  missing: (flag) => `${flag.input} is missing`,
+  proxy: (flag) => `${flag.input} is missing; ${flag.used} is used instead`,
+  assumed_zero: (flag) => `${flag.input} is missing and counted as 0`,
+  not_meaningful: (flag) => `${flag.input} is zero or negative`,
+  insufficient_history: (flag) =>
+    `needs ${flag.needed} quarterly filings, ${flag.available} available`,
+  no_price: () => "no recent closing price",
+};
+
+/**
+ * Label a filing by its fiscal period.
+ * @param {Object} filing - Polygon financials result
+ * @returns {string} - e.g. "Q2 2024"
+ */
+function periodLabel(filing) {
+  return [filing.fiscal_period, filing.fiscal_year].filter(Boolean).join(" ");
+}
+
+/**
+ * Record a data-quality flag. Repeats of the same flag in other periods
+ * are folded into one flag listing every period.
+ * @param {Array} flags - Flags of the metric being computed
+ * @param {Object} flag - `{ code, input?, used?, needed?, available? }`
+ * @param {Object} [filing] - Filing the flag applies to
+ */
+function addFlag(flags, flag, filing) {
+  const { periods = [], message, ...fields } = flag;
+  let entry = flags.find(
+    (existing) =>
+      existing.code === fields.code &&
+      existing.input === fields.input &&
+      existing.used === fields.used
+  );
+  if (!entry) {
+    entry = {
+      ...fields,
+      message: message || FLAG_MESSAGES[fields.code](fields),
+    };
+    flags.push(entry);
+  }
+  const labels = filing ? [...periods, periodLabel(filing)] : periods;
+  labels.forEach((label) => {
+    entry.periods = entry.periods || [];
+    if (!entry.periods.includes(label)) {
+      entry.periods.push(label);
+    }
+  });
+}
+
+/**
+ * Carry the flags of the metrics a calculation builds on.
+ * @param {Array} flags - Flags of the metric being computed
+ * @param {...Object} inputs - Metrics `{ value, flags }` used as inputs
+ */
+function inherit(flags, ...inputs) {
+  inputs.forEach((input) =>
+    input.flags.forEach((flag) => addFlag(flags, flag))
+  );
+}
+
+/**
+ * Read an input from a filing.
+ * @param {Object} filing - Polygon financials result
+ * @param {string} input - Key of INPUTS
+ * @returns {number|undefined} - Reported value
+ */
+function raw(filing, input) {
+  const [statement, item] = INPUTS[input];
+  const value = filing.financials?.[statement]?.[item]?.value;
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Read a required input, flagging it when the filing lacks it.
+ * @param {Object} filing - Polygon financials result
+ * @param {string} input - Key of INPUTS
+ * @param {Array} flags - Flags of the metric being computed
+ * @returns {number|undefined} - Reported value
+ */
+function read(filing, input, flags) {
+  const value = raw(filing, input);
+  if (value === undefined) {
+    addFlag(flags, { code: "missing", input }, filing);
+  }
+  return value;
+}
+
+/**
+ * Read the first reported input of a list, flagging a stand-in.
+ * @param {Object} filing - Polygon financials result
+ * @param {string[]} inputs - Keys of INPUTS, preferred first
+ * @param {Array} flags - Flags of the metric being computed
+ * @returns {number|undefined} - Reported value
+ */
+function readFirst(filing, inputs, flags) {
+  const used = inputs.find((input) => raw(filing, input) !== undefined);
+  if (used === undefined) {
+    return read(filing, inputs[0], flags);
+  }
+  if (used !== inputs[0]) {
+    addFlag(flags, { code: "proxy", input: inputs[0], used }, filing);
+  }
+  return raw(filing, used);
+}
+
+/**
+ * Read an input that may be left out of a formula, flagging it as 0 when missing.
+ * @param {Object} filing - Polygon financials result
+ * @param {string} input - Key of INPUTS
+ * @param {Array} flags - Flags of the metric being computed
+ * @returns {number} - Reported value, or 0
+ */
+function readOptional(filing, input, flags) {
+  const value = raw(filing, input);
+  if (value === undefined) {
+    addFlag(flags, { code: "assumed_zero", input }, filing);
+    return 0;
+  }
+  return value;
+}
+
+/**
+ * Check that enough quarters were filed, flagging the shortfall.
+ * @param {Array} quarters - Quarterly filings
+ * @param {number} needed - Quarters required
+ * @param {Array} flags - Flags of the metric being computed
+ * @returns {boolean} - Whether there are enough
+ */
+function hasQuarters(quarters, needed, flags) {
+  if (quarters.length >= needed) {
+    return true;
+  }
+  addFlag(flags, {
+    code: "insufficient_history",
+    needed,
+    available: quarters.length,
+  });
+  return false;
+}
+
+/**
+ * Sum a per-quarter figure over a trailing year.
+ * @param {Array} quarters - Quarterly filings, oldest first
+ * @param {Function} valueOf - `(filing, flags) => number|undefined`
+ * @param {Array} flags - Flags of the metric being computed
+ * @param {number} [offset=0] - Quarters to skip back from the latest (4 for the year before)
+ * @returns {number|null} - Sum over four quarters, or null when any is missing
+ */
+function trailing(quarters, valueOf, flags, offset = 0) {
+  if (!hasQuarters(quarters, 4 + offset, flags)) {
+    return null;
+  }
+  const values = quarters
+    .slice(quarters.length - 4 - offset, quarters.length - offset)
+    .map((filing) => valueOf(filing, flags));
+  return values.every(Number.isFinite)
+    ? values.reduce((sum, value) => sum + value, 0)
+    : null;
+}
+
+/**
+ * Divide, flagging a zero or negative denominator instead of dividing by it.
+ * @param {number|null|undefined} numerator - Missing inputs are flagged by the caller
+ * @param {number|null|undefined} denominator - Missing inputs are flagged by the caller
+ * @param {string} input - Name of the denominator for the flag
+ * @param {Array} flags - Flags of the metric being computed
+ * @param {number} [scale=1] - Multiplier, e.g. 100 for a percentage
+ * @returns {number|null} - Ratio, or null
+ */
+function divide(numerator, denominator, input, flags, scale = 1) {
+  if (!Number.isFinite(numerator) || !Number.isFinite(denominator)) {
+    return null;
+  }
+  if (denominator <= 0) {
+    addFlag(flags, { code: "not_meaningful", input });
+    return null;
+  }
+  return (numerator / denominator) * scale;
+}
+
+/**
+ * Change between two periods as a percentage of the earlier one.
+ * Growth from a zero or negative base is flagged as not meaningful.
+ * @param {Array} quarters - Quarterly filings, oldest first
+ * @param {Function} valueOf - `(filing, flags) => number|undefined`
+ * @param {number} lag - Quarters between the periods (1 for QoQ, 4 for YoY)
+ * @param {string} input - Name of the figure for the flags
+ * @returns {Object} - Metric `{ value, flags }` in percent
+ */
+function growth(quarters, valueOf, lag, input) {
+  const flags = [];
+  if (!hasQuarters(quarters, lag + 1, flags)) {
+    return { value: null, flags };
+  }
+  const current = valueOf(quarters[quarters.length - 1], flags);
+  const previous = valueOf(quarters[quarters.length - 1 - lag], flags);
+  return {
+    value: divide(current - previous, previous, `earlier ${input}`, flags, 100),
+    flags,
+  };
+}
+
+// Per-quarter figures built from several inputs
+const eps = (filing, flags) =>
+  readFirst(filing, ["dilutedEps", "basicEps"], flags);
+const revenues = (filing, flags) => read(filing, "revenues", flags);
+
+/**
+ * Free cash flow: operating cash flow less capital expenditure. Polygon
+ * often leaves capex out; the net investing cash flow then stands in for
+ * it (flagged), which also counts acquisitions and securities.
+ * @param {Object} filing - Polygon financials result
+ * @param {Array} flags - Flags of the metric being computed
+ * @returns {number|undefined} - Free cash flow
+ */
+function freeCashFlow(filing, flags) {
+  const operating = read(filing, "operatingCashFlow", flags);
+  const capex = raw(filing, "capitalExpenditure");
+  if (capex !== undefined) {
+    return operating - Math.abs(capex);
+  }
+  addFlag(
+    flags,
+    { code: "proxy", input: "capitalExpenditure", used: "investingCashFlow" },
+    filing
+  );
+  return operating + read(filing, "investingCashFlow", flags);
+}
+
+/**
+ * EBITDA: operating income plus depreciation and amortization.
+ * @param {Object} filing - Polygon financials result
+ * @param {Array} flags - Flags of the metric being computed
+ * @returns {number|undefined} - EBITDA
+ */
+function ebitda(filing, flags) {
+  return (
+    read(filing, "operatingIncome", flags) +
+    readOptional(filing, "depreciation", flags)
+  );
+}
+
+/**
+ * Build a metric from a calculation that records its own flags.
+ * @param {Function} calculate - `(flags) => number|null|undefined`
+ * @returns {Object} - `{ value, flags }`
+ */
+function metric(calculate) {
+  const flags = [];
+  const value = calculate(flags);
+  return { value: Number.isFinite(value) ? value : null, flags };
+}
+
+/**
+ * Altman Z-score (original public-company model) from the latest balance
+ * sheet and trailing-year income: above 2.99 is "safe", below 1.81
+ * "distress", in between "grey".
+ * @param {Array} quarters - Quarterly filings, oldest first
+ * @param {number|null} marketCap - Market value of equity
+ * @returns {Object} - Metric with `zone` and the five unweighted ratios as `components`
+ */
+function altmanZ(quarters, marketCap) {
+  const flags = [];
+  const latest = quarters[quarters.length - 1];
+  const assets = read(latest, "assets", flags);
+  if (marketCap === null) {
+    addFlag(flags, { code: "no_price" });
+  }
+  const ratios = {
+    workingCapital: divide(
+      read(latest, "currentAssets", flags) -
+        read(latest, "currentLiabilities", flags),
+      assets,
+      "assets",
+      flags
+    ),
+    retainedEarnings: divide(
+      readOptional(latest, "retainedEarnings", flags),
+      assets,
+      "assets",
+      flags
+    ),
+    ebit: divide(
+      trailing(
+        quarters,
+        (filing) => read(filing, "operatingIncome", flags),
+        flags
+      ),
+      assets,
+      "assets",
+      flags
+    ),
+    marketValueOfEquity: divide(
+      marketCap,
+      read(latest, "liabilities", flags),
+      "liabilities",
+      flags
+    ),
+    sales: divide(trailing(quarters, revenues, flags), assets, "assets", flags),
+  };
+  const weights = {
+    workingCapital: 1.2,
+    retainedEarnings: 1.4,
+    ebit: 3.3,
+    marketValueOfEquity: 0.6,
+    sales: 1.0,
+  };
+
+  const complete = Object.values(ratios).every((value) => value !== null);
+  const value = complete
+    ? Object.keys(weights).reduce(
+        (sum, key) => sum + weights[key] * ratios[key],
+        0
+      )
+    : null;
+  let zone = null;
+  if (value > 2.99) {
+    zone = "safe";
+  } else if (value !== null && value < 1.81) {
+    zone = "distress";
+  } else if (value !== null) {
+    zone = "grey";
+  }
+  return { value, flags, zone, components: ratios };
+}
+
+/**
+ * Piotroski F-score: nine pass/fail tests of profitability, leverage,
+ * liquidity and efficiency, comparing the trailing year with the year
+ * before. Tests whose inputs are missing are left out (`passed: null`)
+ * and the score counts the passes among the rest.
+ * @param {Array} quarters - Quarterly filings, oldest first
+ * @returns {Object} - Metric with `tested` and per-test `tests`
+ */
+function piotroskiF(quarters) {
+  const flags = [];
+  if (!hasQuarters(quarters, ANALYSIS_QUARTERS, flags)) {
+    return { value: null, flags, tested: 0, tests: [] };
+  }
+  const current = quarters[quarters.length - 1];
+  const prior = quarters[quarters.length - 5]; // Same quarter a year earlier
+  const sum = (input, offset) =>
+    trailing(quarters, (filing) => read(filing, input, flags), flags, offset);
+  const year = (offset, filing) => {
+    const assets = read(filing, "assets", flags);
+    const revenue = sum("revenues", offset);
+    return {
+      netIncome: sum("netIncome", offset),
+      roa: divide(sum("netIncome", offset), assets, "assets", flags),
+      operatingCashFlow: sum("operatingCashFlow", offset),
+      leverage: divide(
+        readOptional(filing, "longTermDebt", flags),
+        assets,
+        "assets",
+        flags
+      ),
+      currentRatio: divide(
+        read(filing, "currentAssets", flags),
+        read(filing, "currentLiabilities", flags),
+        "currentLiabilities",
+        flags
+      ),
+      shares: readFirst(filing, ["basicShares", "dilutedShares"], flags),
+      grossMargin: divide(
+        sum("grossProfit", offset),
+        revenue,
+        "revenues",
+        flags
+      ),
+      assetTurnover: divide(revenue, assets, "assets", flags),
+    };
+  };
+  const now = year(0, current);
+  const before = year(4, prior);
+
+  // Each test passes, fails, or is null when an input is missing
+  const test = (name, ...values) => {
+    const check = values.pop();
+    return {
+      name,
+      passed: values.every(Number.isFinite) ? check(...values) : null,
+    };
+  };
+  const tests = [
+    test("positiveReturnOnAssets", now.roa, (roa) => roa > 0),
+    test("positiveOperatingCashFlow", now.operatingCashFlow, (cfo) => cfo > 0),
+    test("improvingReturnOnAssets", now.roa, before.roa, (a, b) => a > b),
+    test(
+      "cashFlowAboveNetIncome",
+      now.operatingCashFlow,
+      now.netIncome,
+      (cfo, income) => cfo > income
+    ),
+    test("lowerLeverage", now.leverage, before.leverage, (a, b) => a < b),
+    test(
+      "higherCurrentRatio",
+      now.currentRatio,
+      before.currentRatio,
+      (a, b) => a > b
+    ),
+    test("noNewShares", now.shares, before.shares, (a, b) => a <= b),
+    test(
+      "higherGrossMargin",
+      now.grossMargin,
+      before.grossMargin,
+      (a, b) => a > b
+    ),
+    test(
+      "higherAssetTurnover",
+      now.assetTurnover,
+      before.assetTurnover,
+      (a, b) => a > b
+    ),
+  ];
+
+  const tested = tests.filter((entry) => entry.passed !== null);
+  return {
+    value: tested.length ? tested.filter((entry) => entry.passed).length : null,
+    flags,
+    tested: tested.length,
+    tests,
+  };
+}
+
+/**
+ * Compute trailing, growth, cash flow, valuation and financial-health
+ * metrics from quarterly filings and the latest close.
+ *
+ * Every metric is `{ value, flags }`. A metric whose inputs are missing or
+ * meaningless (e.g. P/E on negative earnings) is null, and `flags` says
+ * why; when a stand-in is used instead (basic for diluted EPS, investing
+ * cash flow for capex, 0 for an absent line item) the value is kept and
+ * the stand-in is flagged. Growth rates are percentages; money is in the
+ * filing's currency.
+ *
+ * @param {Array} filings - Quarterly Polygon financials results, oldest first
+ * @param {Object|null} bar - Latest daily bar `{ close, date }`, or null
+ * @returns {Object} - `{ price, periods, metrics }`
+ */
+function analyzeFilings(filings, bar) {
+  const quarters = filings.filter((filing) => filing && filing.financials);
+  const latest = quarters[quarters.length - 1];
+  const price = bar ? bar.close : null;
+
+  const priced = (flags) => {
+    if (price === null) {
+      addFlag(flags, { code: "no_price" });
+    }
+    return price;
+  };
+  const marketCap = metric((flags) => {
+    const shares = readFirst(latest, ["basicShares", "dilutedShares"], flags);
+    return priced(flags) === null ? null : price * shares;
+  });
+  const ttmEps = metric((flags) => trailing(quarters, eps, flags));
+
+  return {
+    price: bar ? { close: bar.close, date: bar.date } : null,
+    periods: quarters.map((filing) => ({
+      label: periodLabel(filing),
+      endDate: filing.end_date || null,
+      filingDate: filing.filing_date || null,
+    })),
+    metrics: {
+      ttmRevenue: metric((flags) => trailing(quarters, revenues, flags)),
+      ttmEps,
+      revenueGrowthQoQ: growth(quarters, revenues, 1, "revenues"),
+      revenueGrowthYoY: growth(quarters, revenues, 4, "revenues"),
+      epsGrowthQoQ: growth(quarters, eps, 1, "eps"),
+      epsGrowthYoY: growth(quarters, eps, 4, "eps"),
+      freeCashFlow: metric((flags) => freeCashFlow(latest, flags)),
+      ttmFreeCashFlow: metric((flags) =>
+        trailing(quarters, freeCashFlow, flags)
+      ),
+      marketCap,
+      peRatio: metric((flags) => {
+        inherit(flags, ttmEps);
+        return divide(priced(flags), ttmEps.value, "ttmEps", flags);
+      }),
+      pbRatio: metric((flags) => {
+        inherit(flags, marketCap);
+        return divide(
+          marketCap.value,
+          read(latest, "equity", flags),
+          "equity",
+          flags
+        );
+      }),
+      evToEbitda: metric((flags) => {
+        inherit(flags, marketCap);
+        if (marketCap.value === null) {
+          return null; // Debt and cash alone are not an enterprise value
+        }
+        const enterpriseValue =
+          marketCap.value +
+          readOptional(latest, "longTermDebt", flags) -
+          readOptional(latest, "cash", flags);
+        return divide(
+          enterpriseValue,
+          trailing(quarters, ebitda, flags),
+          "ttmEbitda",
+          flags
+        );
+      }),
+      altmanZ: altmanZ(quarters, marketCap.value),
+      piotroskiF: piotroskiF(quarters),
+    },
+  };
+}
+
+/**
+ * Fundamental analysis of a company from its recent quarterly filings
+ * and latest closing price.
+ */
+class AnalysisService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.financialsService - FinancialsService for quarterly filings
+   * @param {Object} deps.priceService - PriceService for the latest close
+   */
+  constructor({ financialsService, priceService }) {
+    this.financialsService = financialsService;
+    this.priceService = priceService;
+  }
+
+  /**
+   * Analyze a symbol. A failed price lookup leaves the valuation metrics
+   * null (flagged) instead of failing the analysis.
+   * @param {string} symbol - Stock ticker symbol
+   * @returns {Promise<Object|null>} - `{ symbol, price, periods, metrics }`, or null without filings
+   */
+  async analyze(symbol) {
+    const [filings, bar] = await Promise.all([
+      this.financialsService.history(symbol, {
+        timeframe: "quarterly",
+        periods: ANALYSIS_QUARTERS,
+      }),
+      this.priceService.latest(symbol).catch((error) => {
+        console.error(`Error loading the price of ${symbol}:`, error.message);
+        return null;
+      }),
+    ]);
+    if (!filings.some((filing) => filing && filing.financials)) {
+      return null;
+    }
+    return { symbol, ...analyzeFilings(filings, bar) };
+  }
+}
+
+module.exports = { ANALYSIS_QUARTERS, analyzeFilings, AnalysisService };
@@ -0,0 +1,55 @@
+const { sendErrorMessage } = require("./validation");
+
+const SESSION_COOKIE = "session"; // Name of the cookie carrying the session token
+
+/**
+ * Read a cookie value from the request's Cookie header.
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} - Decoded cookie value
+ */
+function readCookie(req, name) {
+  const header = req.get("Cookie") || "";
+  const match = header
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : undefined;
+}
+
+/**
+ * Extract the session token from `Authorization: Bearer <token>` or the session cookie.
+ * @param {Object} req - Express request
+ * @returns {string|undefined} - Session token
+ */
+function sessionToken(req) {
+  const header = req.get("Authorization") || "";
+  if (header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim();
+  }
+  return readCookie(req, SESSION_COOKIE);
+}
+
+/**
+ * Build authentication middleware backed by a UserStore.
+ * @param {Object} userStore - UserStore with sessions
+ * @returns {Object} - `authenticate` (sets `req.user` when logged in) and `requireUser` (401 otherwise)
+ */
+function createAuth(userStore) {
+  function authenticate(req, res, next) {
+    req.user = userStore.userForToken(sessionToken(req));
+    next();
+  }
+
+  function requireUser(req, res, next) {
+    req.user = userStore.userForToken(sessionToken(req));
+    if (!req.user) {
+      return sendErrorMessage(res, 401, "Login required.");
+    }
+    next();
+  }
+
+  return { authenticate, requireUser };
+}
+
+module.exports = { SESSION_COOKIE, sessionToken, createAuth };
@@ -0,0 +1,254 @@
+const HORIZONS = [5, 20, 60, 120]; // Forward windows in trading days
+const DEFAULT_MAX_SYMBOLS = 25; // Cap on tickers per summary run, to respect Tiingo limits
+
+/**
+ * Pick the price used for returns: split/dividend adjusted close when available.
+ * @param {Object} bar - Tiingo daily bar
+ * @returns {number} - Price
+ */
+function barPrice(bar) {
+  return bar.adjClose ?? bar.close;
+}
+
+/**
+ * Find the index of the first bar on or after a date.
+ * @param {Array} bars - Daily bars, oldest first
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} - Bar index, or -1 when every bar is earlier
+ */
+function entryIndex(bars, date) {
+  return bars.findIndex((bar) => bar.date >= date);
+}
+
+/**
+ * Compute forward returns after a date.
+ * Entry is the close of the first trading day on or after `date`; each
+ * horizon is the close `n` trading days later. Horizons that have not
+ * elapsed yet are null.
+ *
+ * @param {Array} bars - Daily bars, oldest first
+ * @param {string} date - Trade date (YYYY-MM-DD)
+ * @returns {Object|null} - `{ entryDate, entryPrice, returns: { 5: 0.031, ... } }`, or null without an entry bar
+ */
+function forwardReturns(bars, date) {
+  const start = entryIndex(bars, date);
+  if (start === -1) {
+    return null;
+  }
+  const entryPrice = barPrice(bars[start]);
+  const returns = {};
+  HORIZONS.forEach((horizon) => {
+    const exit = bars[start + horizon];
+    returns[horizon] =
+      exit && entryPrice ? barPrice(exit) / entryPrice - 1 : null;
+  });
+  return { entryDate: bars[start].date, entryPrice, returns };
+}
+
+/**
+ * Measure one trade's forward returns, optionally against a benchmark.
+ * @param {Object} trade - Stored insider trade
+ * @param {Array} bars - Daily bars for the trade's symbol
+ * @param {Array|null} benchmarkBars - Daily bars for the benchmark, if any
+ * @returns {Object} - Per-horizon returns, benchmark returns and excess returns
+ */
+function tradePerformance(trade, bars, benchmarkBars) {
+  const result = {
+    tradeId: trade.id,
+    symbol: trade.symbol,
+    name: trade.name,
+    transactionCode: trade.transactionCode,
+    transactionDate: trade.transactionDate,
+    entryDate: null,
+    entryPrice: null,
+    returns: {},
+    benchmarkReturns: {},
+    excessReturns: {},
+  };
+
+  const own = forwardReturns(bars, trade.transactionDate);
+  if (!own) {
+    return result; // No price data on or after the trade date yet
+  }
+  result.entryDate = own.entryDate;
+  result.entryPrice = own.entryPrice;
+  result.returns = own.returns;
+
+  const benchmark = benchmarkBars
+    ? forwardReturns(benchmarkBars, trade.transactionDate)
+    : null;
+  HORIZONS.forEach((horizon) => {
+    const mine = own.returns[horizon];
+    const theirs = benchmark ? benchmark.returns[horizon] : null;
+    result.benchmarkReturns[horizon] = theirs;
+    result.excessReturns[horizon] =
+      mine !== null && theirs !== null ? mine - theirs : null;
+  });
+  return result;
+}
+
+/**
+ * Average, median and hit rate of a list of returns (nulls ignored).
+ * @param {Array<number|null>} values - Returns
+ * @returns {Object} - `{ count, average, median, hitRate }`
+ */
+function summarize(values) {
+  const present = values
+    .filter((value) => value !== null)
+    .sort((a, b) => a - b);
+  if (!present.length) {
+    return { count: 0, average: null, median: null, hitRate: null };
+  }
+  const middle = Math.floor(present.length / 2);
+  return {
+    count: present.length,
+    average: present.reduce((sum, value) => sum + value, 0) / present.length,
+    median:
+      present.length % 2
+        ? present[middle]
+        : (present[middle - 1] + present[middle]) / 2,
+    hitRate: present.filter((value) => value > 0).length / present.length, // Share of trades followed by a rise
+  };
+}
+
+/**
+ * Aggregate per-trade performance by a trade field.
+ * @param {Array} results - Results from `tradePerformance`
+ * @param {string} field - Field to group by ("name" or "transactionCode")
+ * @returns {Array} - Groups with per-horizon return and excess-return summaries, most trades first
+ */
+function aggregate(results, field) {
+  const groups = new Map();
+  results.forEach((result) => {
+    const key = result[field] || "N/A";
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(result);
+  });
+
+  return Array.from(groups.entries())
+    .map(([key, members]) => {
+      const horizons = {};
+      HORIZONS.forEach((horizon) => {
+        horizons[horizon] = {
+          ...summarize(
+            members.map((member) => member.returns[horizon] ?? null)
+          ),
+          excess: summarize(
+            members.map((member) => member.excessReturns[horizon] ?? null)
+          ).average,
+        };
+      });
+      return { [field]: key, trades: members.length, horizons };
+    })
+    .sort((a, b) => b.trades - a.trades);
+}
+
+/**
+ * Join insider trades with Tiingo price history and measure what happened next.
+ */
+class Backtester {
+  /**
+   * @param {Object} priceService - PriceService for daily bars
+   */
+  constructor(priceService) {
+    this.priceService = priceService;
+  }
+
+  /**
+   * Load bars for a symbol from a start date, treating missing data as empty.
+   */
+  async bars(symbol, startDate) {
+    try {
+      return await this.priceService.history(symbol, { startDate });
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return []; // Tiingo does not cover this ticker
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Forward returns for a single trade.
+   * @param {Object} trade - Stored insider trade
+   * @param {string} [benchmark] - Benchmark ticker such as "SPY"
+   * @returns {Promise<Object>} - Result from `tradePerformance`
+   */
+  async trade(trade, benchmark) {
+    const [bars, benchmarkBars] = await Promise.all([
+      this.bars(trade.symbol, trade.transactionDate),
+      benchmark ? this.bars(benchmark, trade.transactionDate) : null,
+    ]);
+    return tradePerformance(trade, bars, benchmarkBars);
+  }
+
+  /**
+   * Forward returns for many trades, aggregated per insider and per transaction code.
+   * Price history is loaded once per symbol, from its earliest trade date.
+   *
+   * @param {Array} trades - Stored insider trades
+   * @param {Object} [options]
+   * @param {string} [options.benchmark] - Benchmark ticker such as "SPY"
+   * @param {number} [options.maxSymbols=25] - Most tickers to load prices for (most active first)
+   * @returns {Promise<Object>} - `{ horizons, trades, byInsider, byTransactionCode, skippedSymbols }`
+   */
+  async summary(trades, { benchmark, maxSymbols = DEFAULT_MAX_SYMBOLS } = {}) {
+    const bySymbol = new Map();
+    trades
+      .filter((trade) => trade.transactionDate)
+      .forEach((trade) => {
+        if (!bySymbol.has(trade.symbol)) {
+          bySymbol.set(trade.symbol, []);
+        }
+        bySymbol.get(trade.symbol).push(trade);
+      });
+
+    // Keep the most active tickers when there are more than the cap
+    const symbols = Array.from(bySymbol.keys()).sort(
+      (a, b) => bySymbol.get(b).length - bySymbol.get(a).length
+    );
+    const included = symbols.slice(0, maxSymbols);
+    const earliest = (symbolTrades) =>
+      symbolTrades.reduce(
+        (min, trade) =>
+          trade.transactionDate < min ? trade.transactionDate : min,
+        symbolTrades[0].transactionDate
+      );
+
+    const allIncluded = included.flatMap((symbol) => bySymbol.get(symbol));
+    const benchmarkBars =
+      benchmark && allIncluded.length
+        ? await this.bars(benchmark, earliest(allIncluded))
+        : null;
+
+    const results = [];
+    // Load symbols one at a time so the rate limiter paces the requests
+    for (const symbol of included) {
+      const symbolTrades = bySymbol.get(symbol);
+      const bars = await this.bars(symbol, earliest(symbolTrades));
+      symbolTrades.forEach((trade) =>
+        results.push(tradePerformance(trade, bars, benchmarkBars))
+      );
+    }
+
+    return {
+      horizons: HORIZONS,
+      benchmark: benchmark || null,
+      trades: results,
+      byInsider: aggregate(results, "name"),
+      byTransactionCode: aggregate(results, "transactionCode"),
+      skippedSymbols: symbols.slice(maxSymbols),
+    };
+  }
+}
+
+module.exports = {
+  HORIZONS,
+  forwardReturns,
+  tradePerformance,
+  summarize,
+  aggregate,
+  Backtester,
+};
@@ -0,0 +1,130 @@
+// Trade categories, from most to least informative.
+// Open-market buys and sells are discretionary; the rest is mostly routine.
+const CATEGORIES = {
+  buy: { label: "Open-Market Buy", discretionary: true },
+  sell: { label: "Open-Market Sell", discretionary: true },
+  compensation: { label: "Compensation", discretionary: false },
+  exercise: { label: "Option Exercise", discretionary: false },
+  gift: { label: "Gift", discretionary: false },
+  tax: { label: "Tax Withholding", discretionary: false },
+  other: { label: "Other", discretionary: false },
+};
+
+// SEC Form 4 transaction codes (General Instructions, item 8) -> category and label
+const TRANSACTION_CODES = {
+  P: { category: "buy", label: "Open market or private purchase" },
+  S: { category: "sell", label: "Open market or private sale" },
+  A: { category: "compensation", label: "Grant or award" },
+  D: { category: "compensation", label: "Disposition to the issuer" },
+  I: { category: "compensation", label: "Discretionary plan transaction" },
+  M: { category: "exercise", label: "Exercise or conversion of derivative" },
+  C: { category: "exercise", label: "Conversion of derivative security" },
+  X: { category: "exercise", label: "Exercise of in-the-money derivative" },
+  O: { category: "exercise", label: "Exercise of out-of-the-money derivative" },
+  E: { category: "exercise", label: "Expiration of short derivative position" },
+  H: { category: "exercise", label: "Expiration of long derivative position" },
+  G: { category: "gift", label: "Bona fide gift" },
+  W: { category: "gift", label: "Acquisition or disposition by will" },
+  F: { category: "tax", label: "Payment of exercise price or tax withholding" },
+  J: { category: "other", label: "Other acquisition or disposition" },
+  K: { category: "other", label: "Equity swap" },
+  L: { category: "other", label: "Small acquisition" },
+  U: { category: "other", label: "Tender in a change of control" },
+  V: { category: "other", label: "Voluntarily reported transaction" },
+  Z: { category: "other", label: "Voting trust deposit or withdrawal" },
+};
+
+const PLAN_PATTERN = /10b5-?1/i; // Footnote wording for trading plan sales
+
+/**
+ * Check whether a trade's source reports Rule 10b5-1 plans at all. Only
+ * Form 4 filings read from EDGAR carry the plan checkbox and footnotes;
+ * Finnhub returns neither, so its sales cannot be told apart.
+ * @param {Object} trade - Insider trade
+ * @returns {boolean} - True when the plan checkbox or footnotes are present
+ */
+function reportsPlans(trade) {
+  return (
+    typeof trade.aff10b5One === "boolean" || Array.isArray(trade.footnotes)
+  );
+}
+
+/**
+ * Decide whether a sale was likely made under a Rule 10b5-1 trading plan.
+ * Uses the Form 4 plan checkbox when the filing has it, otherwise a
+ * footnote mentioning 10b5-1.
+ * @param {Object} trade - Insider trade
+ * @returns {boolean|null} - True for sales that look pre-planned, null for
+ *   sales from a source that does not report plans (see `reportsPlans`)
+ */
+function isPlannedSale(trade) {
+  if (trade.transactionCode !== "S") {
+    return false;
+  }
+  if (!reportsPlans(trade)) {
+    return null;
+  }
+  if (trade.aff10b5One) {
+    return true;
+  }
+  return (trade.footnotes || []).some((footnote) =>
+    PLAN_PATTERN.test(footnote.text || "")
+  );
+}
+
+/**
+ * Classify an insider trade by its transaction code.
+ * @param {Object} trade - Insider trade
+ * @returns {Object} - `{ category, categoryLabel, codeLabel, discretionary, planned }`
+ *   where `planned` is true, false or null (see `isPlannedSale`)
+ */
+function classifyTrade(trade) {
+  const code = String(trade.transactionCode || "").toUpperCase();
+  const entry = TRANSACTION_CODES[code] || {
+    category: "other",
+    label: code ? `Unknown code "${code}"` : "No transaction code",
+  };
+  const planned = isPlannedSale(trade);
+
+  return {
+    category: entry.category,
+    categoryLabel: CATEGORIES[entry.category].label,
+    codeLabel: entry.label,
+    discretionary: CATEGORIES[entry.category].discretionary && !planned, // Planned sales are routine
+    planned, // null when the source does not report 10b5-1 plans
+  };
+}
+
+/**
+ * Copy a trade with its classification attached, for API responses.
+ * @param {Object} trade - Insider trade
+ * @returns {Object} - Trade with a `classification` field
+ */
+function withClassification(trade) {
+  return { ...trade, classification: classifyTrade(trade) };
+}
+
+/**
+ * Describe every category and the transaction codes it covers, for legends.
+ * @returns {Array} - `{ key, label, discretionary, codes: [{ code, label }] }` per category
+ */
+function describeCategories() {
+  return Object.entries(CATEGORIES).map(([key, category]) => ({
+    key,
+    label: category.label,
+    discretionary: category.discretionary,
+    codes: Object.entries(TRANSACTION_CODES)
+      .filter(([, entry]) => entry.category === key)
+      .map(([code, entry]) => ({ code, label: entry.label })),
+  }));
+}
+
+module.exports = {
+  CATEGORIES,
+  TRANSACTION_CODES,
+  reportsPlans,
+  isPlannedSale,
+  classifyTrade,
+  withClassification,
+  describeCategories,
+};
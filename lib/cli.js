@@ -0,0 +1,455 @@
+const {
+  parseTradeQuery,
+  filterTrades,
+  parseDate,
+  parseTicker,
+} = require("./query");
+const { withClassification } = require("./classification");
+const {
+  RATIO_COLUMNS,
+  exportColumns,
+  exportRecords,
+  writeExport,
+} = require("./export");
+const {
+  formatPrice,
+  formatUsd,
+  formatPercent,
+  formatMetric,
+  tradeValue,
+} = require("../public/format"); // Same number formats as the table in the browser
+
+const USAGE = `Usage: insider-tracker <command> [options]
+
+Commands:
+  trades                 List stored trades, newest first
+    --symbol, --name, --transaction-code, --category, --from, --to,
+    --min-price, --max-price, --min-value, --sector, --exchange,
+    --market-cap-size, --min-percent-of-market-cap, --min-percent-of-holdings
+                         Filters, as on /api/insider-trades
+    --sort, --order      Sort field and direction (default transactionDate desc)
+    --limit <n>          Rows to print (default 50 for tables, all otherwise)
+    --format <f>         table (default), json, csv or ndjson
+  analyze <symbol>       Print a company's ratios and recommendation
+    --profile <name>     Scoring profile (see config/scoring)
+    --format <f>         table (default) or json
+  fetch                  Fetch new trades once, like the scheduled job
+  backfill               Load historical trades
+    --from, --to         Date range (YYYY-MM-DD), required
+    --chunk-days <n>     Days per provider request (default BACKFILL_CHUNK_DAYS or 7)
+  watch                  Fetch on an interval and print new trades as they arrive
+    --interval <s>       Seconds between fetches (default 60)
+    --recent <n>         Print the latest n stored trades first (default 10)
+    --format <f>         table (default) or json (one trade per line)
+
+fetch, backfill and watch write the trade store, so stop the server first
+(or use POST /api/jobs/... while it runs).`;
+
+// Options accepted by `trades`, passed on to parseTradeQuery
+const TRADE_FILTERS = [
+  "symbol",
+  "name",
+  "transactionCode",
+  "category",
+  "from",
+  "to",
+  "minPrice",
+  "maxPrice",
+  "minValue",
+  "sector",
+  "exchange",
+  "marketCapSize",
+  "minPercentOfMarketCap",
+  "minPercentOfHoldings",
+  "sort",
+  "order",
+];
+
+/**
+ * Error for a malformed command line; `run` exits with code 2 for it.
+ */
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CliError";
+  }
+}
+
+/**
+ * Split a command line into the command, positional arguments and options.
+ * `--min-price 5` and `--min-price=5` both become `{ minPrice: "5" }`; an
+ * option without a value is `true`, and a repeated option collects an array.
+ * @param {Array} argv - Arguments after the program name
+ * @returns {Object} - `{ command, args, options }`
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "-h") {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (value === undefined) {
+      const next = argv[i + 1];
+      value = next === undefined || next.startsWith("--") ? true : next;
+      i += value === true ? 0 : 1;
+    }
+    const key = name.replace(/-([a-z])/g, (match, letter) =>
+      letter.toUpperCase()
+    );
+    options[key] =
+      options[key] === undefined ? value : [].concat(options[key], value);
+  }
+  const [command, ...args] = positional;
+  return { command, args, options };
+}
+
+/**
+ * Spell an option name the way it is typed, e.g. "minPrice" -> "--min-price".
+ * @param {string} key - Option name from `parseArgs`
+ * @returns {string} - Command-line flag
+ */
+function flagName(key) {
+  return `--${key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+}
+
+/**
+ * Reject options a command does not know, so typos do not silently widen a query.
+ * @param {Object} options - Options from `parseArgs`
+ * @param {Array} known - Accepted option names
+ * @throws {CliError} - On the first unknown option
+ */
+function checkOptions(options, known) {
+  Object.keys(options).forEach((key) => {
+    if (!known.includes(key)) {
+      throw new CliError(`Unknown option "${flagName(key)}".`);
+    }
+    if (options[key] === true) {
+      throw new CliError(`Option "${flagName(key)}" needs a value.`);
+    }
+  });
+}
+
+/**
+ * Read a whole-number option.
+ * @param {Object} options - Options from `parseArgs`
+ * @param {string} key - Option name
+ * @param {number} fallback - Value when the option is absent
+ * @param {number} [min=0] - Smallest accepted value
+ * @returns {number} - The option's value
+ * @throws {CliError} - When the value is not a whole number of at least `min`
+ */
+function intOption(options, key, fallback, min = 0) {
+  if (options[key] === undefined) {
+    return fallback;
+  }
+  const value = Number(options[key]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new CliError(
+      `${flagName(key)} must be a whole number of at least ${min}.`
+    );
+  }
+  return value;
+}
+
+/**
+ * Read the `--format` option.
+ * @param {Object} options - Options from `parseArgs`
+ * @param {Array} formats - Accepted formats; the first is the default
+ * @returns {string} - Chosen format
+ * @throws {CliError} - For any other format
+ */
+function formatOption(options, formats) {
+  const format = options.format ?? formats[0];
+  if (!formats.includes(format)) {
+    throw new CliError(`--format must be one of: ${formats.join(", ")}.`);
+  }
+  return format;
+}
+
+/**
+ * Lay out rows as a plain-text table with a header and aligned columns.
+ * @param {Array} columns - `{ label, value(row), align }`; `align: "right"` for numbers
+ * @param {Array} rows - Rows to print
+ * @returns {string} - Table text, one line per row, ending with a newline
+ */
+function formatTable(columns, rows) {
+  const cells = rows.map((row) =>
+    columns.map((column) => String(column.value(row) ?? ""))
+  );
+  const widths = columns.map((column, index) =>
+    Math.max(column.label.length, ...cells.map((line) => line[index].length))
+  );
+  const pad = (text, index) =>
+    columns[index].align === "right"
+      ? text.padStart(widths[index])
+      : text.padEnd(widths[index]);
+  return [columns.map((column) => column.label), ...cells]
+    .map((line) => line.map(pad).join("  ").trimEnd())
+    .join("\n")
+    .concat("\n");
+}
+
+// Columns of the trade table, mirroring the browser table
+const TRADE_TABLE = [
+  { label: "Date", value: (trade) => trade.transactionDate },
+  { label: "Symbol", value: (trade) => trade.symbol },
+  { label: "Insider", value: (trade) => trade.name },
+  {
+    label: "Type",
+    value: (trade) =>
+      `${trade.transactionCode || "?"} ${
+        trade.classification.planned
+          ? "10b5-1 Sale"
+          : trade.classification.categoryLabel
+      }`,
+  },
+  { label: "Shares", value: (trade) => trade.change, align: "right" },
+  {
+    label: "Price",
+    value: (trade) => formatPrice(trade.transactionPrice),
+    align: "right",
+  },
+  {
+    label: "Value",
+    value: (trade) => formatUsd(tradeValue(trade)),
+    align: "right",
+  },
+  {
+    label: "% Mkt Cap",
+    value: (trade) => formatPercent(trade.percentOfMarketCap),
+    align: "right",
+  },
+  {
+    label: "% Holdings",
+    value: (trade) => formatPercent(trade.percentOfHoldings),
+    align: "right",
+  },
+  { label: "Sector", value: (trade) => trade.company?.sector || "" },
+];
+
+/**
+ * `trades`: filter, sort and print stored trades.
+ * @param {Object} context - `{ services, args, options, stdout }`
+ */
+async function tradesCommand({ services, options, stdout }) {
+  checkOptions(options, [...TRADE_FILTERS, "limit", "format"]);
+  const format = formatOption(options, ["table", "json", "csv", "ndjson"]);
+  const filters = {};
+  TRADE_FILTERS.forEach((key) => {
+    if (options[key] !== undefined) {
+      filters[key] = options[key];
+    }
+  });
+  const query = parseTradeQuery(filters);
+  const limit = intOption(
+    options,
+    "limit",
+    format === "table" ? 50 : Infinity,
+    1
+  );
+
+  const trades = filterTrades(services.enrichedTrades(), query)
+    .slice(0, limit)
+    .map(withClassification);
+
+  if (format === "table") {
+    stdout.write(
+      trades.length ? formatTable(TRADE_TABLE, trades) : "No trades found.\n"
+    );
+  } else if (format === "json") {
+    stdout.write(`${JSON.stringify(trades, null, 2)}\n`);
+  } else {
+    const columns = exportColumns({});
+    await writeExport(stdout, format, exportRecords(trades, columns), columns);
+  }
+}
+
+/**
+ * `analyze <symbol>`: print the financial ratios and the recommendation.
+ * @param {Object} context - `{ services, args, options, stdout }`
+ */
+async function analyzeCommand({ services, args, options, stdout }) {
+  checkOptions(options, ["profile", "format"]);
+  const format = formatOption(options, ["table", "json"]);
+  if (!args[0]) {
+    throw new CliError("analyze needs a ticker symbol, e.g. `analyze AAPL`.");
+  }
+  const symbol = parseTicker(args[0]);
+  const result = await services.scoringService.score(symbol, options.profile);
+
+  if (format === "json") {
+    stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    return;
+  }
+
+  stdout.write(
+    `${symbol}: ${result.recommendation} (score ${result.score}, ${result.profile} profile)\n\n`
+  );
+  stdout.write(
+    formatTable(
+      [
+        { label: "Ratio", value: (column) => column.label },
+        {
+          label: "Value",
+          value: (column) => formatMetric(result.metrics[column.key]),
+          align: "right",
+        },
+      ],
+      RATIO_COLUMNS
+    )
+  );
+  stdout.write("\n");
+  stdout.write(
+    formatTable(
+      [
+        { label: "Factor", value: (factor) => factor.label },
+        {
+          label: "Value",
+          value: (factor) => formatMetric(factor.value),
+          align: "right",
+        },
+        { label: "Points", value: (factor) => factor.points, align: "right" },
+        { label: "Reason", value: (factor) => factor.reason },
+      ],
+      result.factors
+    )
+  );
+  if (result.unavailable.length) {
+    stdout.write(`\nUnavailable: ${result.unavailable.join(", ")}\n`);
+  }
+}
+
+/**
+ * `fetch`: run the "fetch-trades" job once, then look up any new companies
+ * as the server would. Both jobs log their own summaries.
+ * @param {Object} context - `{ services, args, options, stdout }`
+ */
+async function fetchCommand({ services, options }) {
+  checkOptions(options, []);
+  await services.jobRunner.get("fetch-trades").trigger();
+  await services.jobRunner.get("enrich-companies").tick();
+}
+
+/**
+ * `backfill`: run the "backfill" job over a date range.
+ * @param {Object} context - `{ services, args, options, stdout }`
+ */
+async function backfillCommand({ services, options, stdout }) {
+  checkOptions(options, ["from", "to", "chunkDays"]);
+  const from = parseDate(options, "from");
+  const to = parseDate(options, "to");
+  if (!from || !to) {
+    throw new CliError("--from and --to are required.");
+  }
+  if (from > to) {
+    throw new CliError("--from must not be after --to.");
+  }
+  const totals = await services.jobRunner.get("backfill").trigger({
+    from,
+    to,
+    chunkDays: intOption(options, "chunkDays", undefined, 1),
+  });
+  stdout.write(
+    `Backfill complete: ${totals.fetched} fetched, ${totals.inserted} new, ${totals.updated} updated, ${services.tradeStore.size} stored.\n`
+  );
+}
+
+/**
+ * `watch`: fetch on an interval and print each new trade once. Runs until interrupted.
+ * @param {Object} context - `{ services, args, options, stdout, sleep }`
+ */
+async function watchCommand({ services, options, stdout, sleep }) {
+  checkOptions(options, ["interval", "recent", "format"]);
+  const format = formatOption(options, ["table", "json"]);
+  const intervalMs = intOption(options, "interval", 60, 1) * 1000;
+  const recent = intOption(options, "recent", 10);
+  const { tradeStore } = services;
+
+  const print = (records) => {
+    const trades = records.map((record) =>
+      withClassification(services.enrichStoredTrade(record))
+    );
+    if (!trades.length) {
+      return;
+    }
+    stdout.write(
+      format === "json"
+        ? trades.map((trade) => `${JSON.stringify(trade)}\n`).join("")
+        : formatTable(TRADE_TABLE, trades)
+    );
+  };
+
+  print(recent ? tradeStore.since(0).slice(-recent) : []);
+  const fetchJob = services.jobRunner.get("fetch-trades");
+  for (;;) {
+    const seq = tradeStore.lastSeq;
+    await fetchJob.tick(); // Failures are logged and retried on the next round
+    print(tradeStore.since(seq));
+    await sleep(intervalMs);
+  }
+}
+
+const COMMANDS = {
+  trades: tradesCommand,
+  analyze: analyzeCommand,
+  fetch: fetchCommand,
+  backfill: backfillCommand,
+  watch: watchCommand,
+};
+
+/**
+ * Run a command line.
+ * @param {Array} argv - Arguments after the program name
+ * @param {Object} io
+ * @param {Function} io.loadServices - Returns the application's stores and services (see index.js)
+ * @param {stream.Writable} [io.stdout=process.stdout] - Where command output goes
+ * @param {stream.Writable} [io.stderr=process.stderr] - Where usage and errors go
+ * @param {Function} [io.sleep] - Delay between `watch` rounds, replaceable in tests
+ * @returns {Promise<number>} - Exit code: 0 on success, 2 for bad usage, 1 otherwise
+ */
+async function run(
+  argv,
+  {
+    loadServices,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  }
+) {
+  const { command, args, options } = parseArgs(argv);
+  if (!command || command === "help" || options.help) {
+    (command ? stdout : stderr).write(`${USAGE}\n`);
+    return command ? 0 : 2;
+  }
+  const handler = COMMANDS[command];
+  if (!handler) {
+    stderr.write(`Unknown command "${command}".\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  try {
+    await handler({
+      services: loadServices(),
+      args,
+      options,
+      stdout,
+      sleep,
+    });
+    return 0;
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    // Usage mistakes, and errors the API would answer with a 4xx, are exit code 2
+    return error instanceof CliError || error.status < 500 ? 2 : 1;
+  }
+}
+
+module.exports = { USAGE, CliError, parseArgs, formatTable, run };
@@ -0,0 +1,178 @@
+const { tradeValue } = require("./trades");
+const { QueryError, parseNumber, parseDate } = require("./query");
+
+const DAY_MS = 24 * 60 * 60 * 1000; // Milliseconds in one day
+
+// Defaults for cluster detection; all can be overridden per request
+const DEFAULT_OPTIONS = {
+  transactionCode: "P", // Open-market purchases only
+  windowDays: 5, // Maximum span of a cluster in calendar days
+  minInsiders: 2, // Distinct insiders needed to call it a cluster
+  halfLifeDays: 30, // Recency decay: a cluster loses half its score every 30 days
+  limit: 20, // Number of clusters returned, best score first
+};
+
+/**
+ * Convert a YYYY-MM-DD date into a UTC timestamp.
+ * @param {string} date - Date string
+ * @returns {number} - Milliseconds since the epoch (NaN when invalid)
+ */
+function toTime(date) {
+  return Date.parse(`${date}T00:00:00Z`);
+}
+
+/**
+ * Score a cluster by distinct insider count, dollar value and recency.
+ *
+ * The base score rewards each distinct insider heavily and total value on a
+ * log scale (so one $50M trade does not drown out five $200k buys), and is
+ * then decayed by the age of the most recent trade in the cluster.
+ *
+ * @param {Object} cluster - Cluster with `insiderCount`, `totalValue` and `endDate`
+ * @param {number} now - Reference timestamp for recency
+ * @param {number} halfLifeDays - Days after which the score halves
+ * @returns {Object} - Total score and the per-factor components
+ */
+function scoreCluster(cluster, now, halfLifeDays) {
+  const insiders = cluster.insiderCount * 10; // 10 points per distinct insider
+  const value = Math.log10(1 + cluster.totalValue) * 5; // ~30 points at $1M
+  const ageDays = Math.max(0, (now - toTime(cluster.endDate)) / DAY_MS);
+  const recency = Math.pow(0.5, ageDays / halfLifeDays); // 1.0 for today's trades
+
+  return {
+    score: Number(((insiders + value) * recency).toFixed(2)),
+    components: {
+      insiders,
+      value: Number(value.toFixed(2)),
+      recency: Number(recency.toFixed(3)),
+      ageDays: Math.floor(ageDays),
+    },
+  };
+}
+
+/**
+ * Find cluster buys: several distinct insiders trading the same ticker
+ * within a rolling window of `windowDays`.
+ *
+ * Trades are grouped by symbol and walked in date order. Each window starts
+ * at a trade and takes every later trade within `windowDays`; when that
+ * window holds at least `minInsiders` distinct insiders it becomes a cluster
+ * and the walk resumes after it, so clusters never overlap.
+ *
+ * @param {Array} trades - Stored insider trades
+ * @param {Object} [options] - Overrides for `DEFAULT_OPTIONS`, plus optional `since` date and `now` timestamp
+ * @returns {Array} - Clusters sorted by score, highest first
+ */
+function detectClusters(trades, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const now = settings.now || Date.now();
+  const windowMs = settings.windowDays * DAY_MS;
+
+  // Group qualifying trades by ticker symbol
+  const bySymbol = new Map();
+  trades.forEach((trade) => {
+    if (trade.transactionCode !== settings.transactionCode) {
+      return;
+    }
+    if (settings.since && (trade.transactionDate || "") < settings.since) {
+      return;
+    }
+    if (Number.isNaN(toTime(trade.transactionDate))) {
+      return;
+    }
+    if (!bySymbol.has(trade.symbol)) {
+      bySymbol.set(trade.symbol, []);
+    }
+    bySymbol.get(trade.symbol).push(trade);
+  });
+
+  const clusters = [];
+  bySymbol.forEach((symbolTrades, symbol) => {
+    symbolTrades.sort((a, b) =>
+      a.transactionDate.localeCompare(b.transactionDate)
+    );
+
+    let start = 0;
+    while (start < symbolTrades.length) {
+      const windowEnd = toTime(symbolTrades[start].transactionDate) + windowMs;
+      let end = start;
+      while (
+        end + 1 < symbolTrades.length &&
+        toTime(symbolTrades[end + 1].transactionDate) <= windowEnd
+      ) {
+        end += 1;
+      }
+
+      const windowTrades = symbolTrades.slice(start, end + 1);
+      const insiders = [...new Set(windowTrades.map((trade) => trade.name))];
+
+      if (insiders.length < settings.minInsiders) {
+        start += 1; // Slide the window forward by one trade
+        continue;
+      }
+
+      const cluster = {
+        symbol,
+        startDate: windowTrades[0].transactionDate,
+        endDate: windowTrades[windowTrades.length - 1].transactionDate,
+        insiders,
+        insiderCount: insiders.length,
+        tradeCount: windowTrades.length,
+        totalShares: windowTrades.reduce(
+          (sum, trade) => sum + (Number(trade.change) || 0),
+          0
+        ),
+        totalValue: windowTrades.reduce(
+          (sum, trade) => sum + (tradeValue(trade) ?? 0),
+          0
+        ),
+        tradeIds: windowTrades.map((trade) => trade.id),
+      };
+      clusters.push({
+        ...cluster,
+        ...scoreCluster(cluster, now, settings.halfLifeDays),
+      });
+      start = end + 1; // Continue after this cluster so windows do not overlap
+    }
+  });
+
+  return clusters.sort((a, b) => b.score - a.score).slice(0, settings.limit);
+}
+
+/**
+ * Translate Express query parameters into cluster detection options.
+ * @param {Object} query - Express `req.query` object
+ * @returns {Object} - Options for `detectClusters`
+ * @throws {QueryError} - When a parameter is malformed or out of range
+ */
+function parseClusterQuery(query = {}) {
+  const options = {
+    windowDays: parseNumber(query, "windowDays") ?? DEFAULT_OPTIONS.windowDays,
+    minInsiders:
+      parseNumber(query, "minInsiders") ?? DEFAULT_OPTIONS.minInsiders,
+    limit: parseNumber(query, "limit") ?? DEFAULT_OPTIONS.limit,
+    since: parseDate(query, "since"),
+  };
+
+  if (options.windowDays < 0 || options.windowDays > 365) {
+    throw new QueryError(
+      'Query parameter "windowDays" must be between 0 and 365.'
+    );
+  }
+  if (!Number.isInteger(options.minInsiders) || options.minInsiders < 1) {
+    throw new QueryError(
+      'Query parameter "minInsiders" must be a positive integer.'
+    );
+  }
+  if (!Number.isInteger(options.limit) || options.limit < 1) {
+    throw new QueryError('Query parameter "limit" must be a positive integer.');
+  }
+  return options;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  scoreCluster,
+  detectClusters,
+  parseClusterQuery,
+};
@@ -0,0 +1,202 @@
+const path = require("path"); // Path helpers for resolving the cache location
+const { readJson, writeJson } = require("./json-file");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Company reference data (name, sector, exchange, market cap) from Polygon.io,
+ * fetched through the shared cached client.
+ */
+class CompanyService {
+  /**
+   * @param {Object} client - UpstreamClient for Polygon
+   * @param {string} [apiKey] - Polygon API key (defaults to POLYGON_API_KEY)
+   */
+  constructor(client, apiKey = process.env.POLYGON_API_KEY) {
+    this.client = client;
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Fetch the reference profile of a ticker.
+   * Polygon has no sector field, so the SIC industry description stands in for it.
+   * @param {string} symbol - Stock ticker symbol
+   * @returns {Promise<Object|null>} - `{ symbol, name, sector, exchange, marketCap, sharesOutstanding }`, or null when unknown
+   */
+  async profile(symbol) {
+    let data;
+    try {
+      data = await this.client.get(
+        `https://api.polygon.io/v3/reference/tickers/${encodeURIComponent(
+          symbol
+        )}`,
+        { params: { apiKey: this.apiKey } },
+        this.apiKey // Rate limit applies per API key
+      );
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null; // Polygon does not know the ticker
+      }
+      throw error;
+    }
+    const details = data && data.results;
+    if (!details) {
+      return null;
+    }
+    return {
+      symbol,
+      name: details.name || null,
+      sector: details.sic_description || null,
+      exchange: details.primary_exchange || null,
+      marketCap: details.market_cap ?? null,
+      sharesOutstanding:
+        details.share_class_shares_outstanding ??
+        details.weighted_shares_outstanding ??
+        null,
+    };
+  }
+}
+
+/**
+ * Company profiles kept on disk, so enrichment survives restarts and each
+ * ticker costs one Polygon lookup per `maxAgeMs` instead of one per request.
+ *
+ * Tickers Polygon does not know are cached too (`found: false`), so they
+ * are not looked up again until their entry expires.
+ *
+ * Exposes the same `profile(symbol)` as CompanyService, so it can stand in
+ * for it (e.g. for digest sectors).
+ */
+class CompanyCache {
+  /**
+   * @param {string} filePath - Location of the cache JSON file (created on first save)
+   * @param {Object} service - CompanyService used for lookups
+   * @param {Object} [options]
+   * @param {number} [options.maxAgeMs=30 days] - Refresh profiles older than this
+   */
+  constructor(filePath, service, { maxAgeMs = 30 * DAY_MS } = {}) {
+    this.filePath = path.resolve(filePath);
+    this.service = service;
+    this.maxAgeMs = maxAgeMs;
+    this.entries = new Map(); // Symbol -> profile plus `found` and `fetchedAt`
+  }
+
+  /**
+   * Read the cache file into memory, if it exists.
+   */
+  load() {
+    readJson(this.filePath, []).forEach((entry) =>
+      this.entries.set(entry.symbol, entry)
+    );
+  }
+
+  /**
+   * Write every entry back to disk.
+   */
+  save() {
+    return writeJson(this.filePath, Array.from(this.entries.values()));
+  }
+
+  /**
+   * Cached profile of a ticker, however old, without any lookup.
+   * @param {string} symbol - Stock ticker symbol
+   * @returns {Object|null} - Profile, or null when unknown or not cached yet
+   */
+  get(symbol) {
+    const entry = this.entries.get(symbol);
+    return entry && entry.found ? entry : null;
+  }
+
+  /**
+   * Every cached profile of a known ticker.
+   * @returns {Array} - Profiles
+   */
+  all() {
+    return Array.from(this.entries.values()).filter((entry) => entry.found);
+  }
+
+  /**
+   * Check whether a ticker has no entry or an expired one.
+   * @param {string} symbol - Stock ticker symbol
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {boolean} - True when a lookup is due
+   */
+  isStale(symbol, now = Date.now()) {
+    const entry = this.entries.get(symbol);
+    return !entry || now - Date.parse(entry.fetchedAt) > this.maxAgeMs;
+  }
+
+  /**
+   * Profile of a ticker, looked up and cached when missing or expired.
+   * @param {string} symbol - Stock ticker symbol
+   * @returns {Promise<Object|null>} - Profile, or null when Polygon does not know the ticker
+   */
+  async profile(symbol) {
+    if (this.isStale(symbol)) {
+      await this.fetch(symbol);
+      await this.save();
+    }
+    return this.get(symbol);
+  }
+
+  /**
+   * Look up a ticker with the service and cache the answer.
+   * @param {string} symbol - Stock ticker symbol
+   * @returns {Promise<Object>} - New cache entry
+   */
+  async fetch(symbol) {
+    const profile = await this.service.profile(symbol);
+    const entry = {
+      symbol,
+      found: Boolean(profile),
+      ...profile,
+      fetchedAt: new Date().toISOString(),
+    };
+    this.entries.set(symbol, entry);
+    return entry;
+  }
+
+  /**
+   * Look up the tickers with no or expired entries, never-seen ones first.
+   * Stops early when the Polygon rate limit is reached, leaving the rest
+   * for the next run.
+   * @param {Array} symbols - Tickers to keep enriched
+   * @param {Object} [options]
+   * @param {number} [options.limit=Infinity] - Most lookups in this run
+   * @returns {Promise<Object>} - `{ due, refreshed, unknown, failed, remaining }`
+   */
+  async refresh(symbols, { limit = Infinity } = {}) {
+    const now = Date.now();
+    const due = Array.from(new Set(symbols))
+      .filter((symbol) => symbol && this.isStale(symbol, now))
+      .sort((a, b) => {
+        const fetchedAt = (symbol) =>
+          this.entries.has(symbol)
+            ? Date.parse(this.entries.get(symbol).fetchedAt)
+            : 0;
+        return fetchedAt(a) - fetchedAt(b) || a.localeCompare(b);
+      });
+
+    const totals = { due: due.length, refreshed: 0, unknown: 0, failed: 0 };
+    for (const symbol of due.slice(0, limit)) {
+      try {
+        const entry = await this.fetch(symbol);
+        totals[entry.found ? "refreshed" : "unknown"] += 1;
+      } catch (error) {
+        totals.failed += 1;
+        console.error(`Company lookup failed for ${symbol}:`, error.message);
+        if (error.status === 429 || error.response?.status === 429) {
+          break; // Out of Polygon requests; try again next run
+        }
+      }
+    }
+    if (totals.refreshed || totals.unknown) {
+      await this.save();
+    }
+    totals.remaining =
+      totals.due - totals.refreshed - totals.unknown - totals.failed;
+    return totals;
+  }
+}
+
+module.exports = { CompanyService, CompanyCache };
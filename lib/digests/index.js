@@ -0,0 +1,17 @@
+// Scheduled insider-activity digests: report building, HTML/Markdown
+// rendering, on-disk storage and email/webhook delivery.
+const { PERIODS, digestPeriod, buildDigest } = require("./report");
+const { renderMarkdown, renderHtml } = require("./render");
+const { FORMATS, DigestStore } = require("./store");
+const { DigestService } = require("./service");
+
+module.exports = {
+  PERIODS,
+  digestPeriod,
+  buildDigest,
+  renderMarkdown,
+  renderHtml,
+  FORMATS,
+  DigestStore,
+  DigestService,
+};
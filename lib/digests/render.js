@@ -0,0 +1,225 @@
+/**
+ * Format a dollar amount without cents, e.g. "$1,250,000".
+ * @param {number} value - Amount in USD
+ * @returns {string} - Formatted amount
+ */
+function formatUsd(value) {
+  const sign = value < 0 ? "-" : "";
+  return `${sign}$${Math.round(Math.abs(value)).toLocaleString("en-US")}`;
+}
+
+/**
+ * Format a fractional return such as 0.0312 as "+3.12%".
+ * @param {number|null} value - Return as a fraction
+ * @returns {string} - Formatted percentage, or "n/a"
+ */
+function formatReturn(value) {
+  if (value === null || value === undefined) {
+    return "n/a";
+  }
+  return `${value >= 0 ? "+" : ""}${(value * 100).toFixed(2)}%`;
+}
+
+/**
+ * Lay out the digest as titled sections of tables, shared by both renderers.
+ * @param {Object} digest - Digest from `buildDigest`
+ * @returns {Object} - `{ title, summary, sections: [{ title, empty, headers, rows }] }`
+ */
+function digestSections(digest) {
+  const period =
+    digest.from === digest.to ? digest.from : `${digest.from} to ${digest.to}`;
+  const kind = digest.kind === "weekly" ? "Weekly" : "Daily";
+
+  return {
+    title: `${kind} Insider Digest: ${period}`,
+    summary: `${digest.totals.trades} trades filed across ${
+      digest.totals.tickers
+    } tickers. Open-market buying ${formatUsd(
+      digest.totals.buyValue
+    )}, selling ${formatUsd(digest.totals.sellValue)}.`,
+    sections: [
+      {
+        title: "Top Buys by Dollar Value",
+        empty: "No open-market purchases were filed.",
+        headers: ["Symbol", "Insider", "Date", "Shares", "Price", "Value"],
+        rows: digest.topBuys.map((trade) => [
+          trade.symbol,
+          trade.name,
+          trade.transactionDate,
+          trade.shares.toLocaleString("en-US"),
+          trade.price !== null ? `$${Number(trade.price).toFixed(2)}` : "n/a",
+          formatUsd(trade.value),
+        ]),
+      },
+      {
+        title: "Most Active Tickers",
+        empty: "No trades were filed.",
+        headers: ["Symbol", "Trades", "Insiders", "Bought", "Sold", "Net"],
+        rows: digest.activeTickers.map((ticker) => [
+          ticker.symbol,
+          ticker.trades,
+          ticker.insiders,
+          formatUsd(ticker.buyValue),
+          formatUsd(ticker.sellValue),
+          formatUsd(ticker.netValue),
+        ]),
+      },
+      {
+        title: "Biggest Net Insider Buying by Sector",
+        empty: "No sector had net insider buying.",
+        headers: ["Sector", "Tickers", "Bought", "Sold", "Net"],
+        rows: digest.sectors.netBuying.map(sectorRow),
+      },
+      {
+        title: "Biggest Net Insider Selling by Sector",
+        empty: "No sector had net insider selling.",
+        headers: ["Sector", "Tickers", "Bought", "Sold", "Net"],
+        rows: digest.sectors.netSelling.map(sectorRow),
+      },
+      {
+        title: "New Cluster Buys",
+        empty: "No new cluster buys.",
+        headers: ["Symbol", "From", "To", "Insiders", "Value", "Score"],
+        rows: digest.clusters.map((cluster) => [
+          cluster.symbol,
+          cluster.startDate,
+          cluster.endDate,
+          cluster.insiderCount,
+          formatUsd(cluster.totalValue),
+          cluster.score,
+        ]),
+      },
+      {
+        title: "Previous Period's Top Picks",
+        empty: "No picks from a previous digest.",
+        headers: ["Symbol", "Entry", "Entry Close", "Latest Close", "Return"],
+        rows: digest.previousPicks.map((pick) => [
+          pick.symbol,
+          pick.entryDate || "n/a",
+          pick.entryClose !== null ? `$${pick.entryClose.toFixed(2)}` : "n/a",
+          pick.latestClose !== null ? `$${pick.latestClose.toFixed(2)}` : "n/a",
+          formatReturn(pick.return),
+        ]),
+      },
+    ],
+  };
+}
+
+/**
+ * Table row for a sector flow.
+ * @param {Object} entry - Sector flow from the digest
+ * @returns {Array} - Cells
+ */
+function sectorRow(entry) {
+  return [
+    entry.sector,
+    entry.symbols,
+    formatUsd(entry.buyValue),
+    formatUsd(entry.sellValue),
+    formatUsd(entry.netValue),
+  ];
+}
+
+/**
+ * Escape a Markdown table cell.
+ * @param {*} value - Cell value
+ * @returns {string} - Cell text with pipes escaped
+ */
+function markdownCell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|");
+}
+
+/**
+ * Render a digest as Markdown.
+ * @param {Object} digest - Digest from `buildDigest`
+ * @returns {string} - Markdown document
+ */
+function renderMarkdown(digest) {
+  const { title, summary, sections } = digestSections(digest);
+  const lines = [`# ${title}`, "", summary, ""];
+
+  sections.forEach((section) => {
+    lines.push(`## ${section.title}`, "");
+    if (!section.rows.length) {
+      lines.push(`_${section.empty}_`, "");
+      return;
+    }
+    lines.push(
+      `| ${section.headers.join(" | ")} |`,
+      `| ${section.headers.map(() => "---").join(" | ")} |`,
+      ...section.rows.map((row) => `| ${row.map(markdownCell).join(" | ")} |`),
+      ""
+    );
+  });
+
+  lines.push(`_Generated ${digest.generatedAt}_`, "");
+  return lines.join("\n");
+}
+
+/**
+ * Escape text for HTML.
+ * @param {*} value - Text
+ * @returns {string} - HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Render a digest as a standalone HTML page (also used as the email body).
+ * @param {Object} digest - Digest from `buildDigest`
+ * @returns {string} - HTML document
+ */
+function renderHtml(digest) {
+  const { title, summary, sections } = digestSections(digest);
+
+  const body = sections
+    .map((section) => {
+      const content = section.rows.length
+        ? `<table>
+      <tr>${section.headers
+        .map((header) => `<th>${escapeHtml(header)}</th>`)
+        .join("")}</tr>
+      ${section.rows
+        .map(
+          (row) =>
+            `<tr>${row
+              .map((cell) => `<td>${escapeHtml(cell)}</td>`)
+              .join("")}</tr>`
+        )
+        .join("\n      ")}
+    </table>`
+        : `<p><em>${escapeHtml(section.empty)}</em></p>`;
+      return `<h2>${escapeHtml(section.title)}</h2>\n    ${content}`;
+    })
+    .join("\n    ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { font-family: "Segoe UI", sans-serif; color: #333; max-width: 800px; margin: 20px auto; }
+      h1, h2 { color: #1d3557; }
+      table { border-collapse: collapse; width: 100%; font-size: 14px; }
+      th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+      th { background: #f1f3f5; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(summary)}</p>
+    ${body}
+    <p><em>Generated ${escapeHtml(digest.generatedAt)}</em></p>
+  </body>
+</html>
+`;
+}
+
+module.exports = { digestSections, renderMarkdown, renderHtml, escapeHtml };
@@ -0,0 +1,279 @@
+const { tradeValue } = require("../trades");
+const { classifyTrade } = require("../classification");
+const { detectClusters } = require("../clusters");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Digest kinds: how many days each period covers
+const PERIODS = { daily: 1, weekly: 7 };
+
+const TOP_LIMIT = 10; // Rows in the top buys and most active tickers tables
+const PICK_LIMIT = 5; // Top buys carried over as "picks" for the next digest
+const UNCLASSIFIED = "Unclassified"; // Sector for tickers without reference data
+
+/**
+ * Work out the dates a digest covers: the `days` full days before `now`.
+ * @param {string} kind - "daily" or "weekly"
+ * @param {number} [now=Date.now()] - Generation time
+ * @returns {Object} - `{ kind, from, to }` with inclusive YYYY-MM-DD dates
+ */
+function digestPeriod(kind, now = Date.now()) {
+  const days = Object.hasOwn(PERIODS, kind) ? PERIODS[kind] : undefined;
+  if (!days) {
+    throw new Error(
+      `Unknown digest kind "${kind}". Use one of: ${Object.keys(PERIODS).join(
+        ", "
+      )}.`
+    );
+  }
+  const today = new Date(new Date(now).toISOString().slice(0, 10)).getTime();
+  return {
+    kind,
+    from: new Date(today - days * DAY_MS).toISOString().slice(0, 10),
+    to: new Date(today - DAY_MS).toISOString().slice(0, 10),
+  };
+}
+
+/**
+ * Reduce a trade to the fields shown in a digest.
+ * @param {Object} trade - Insider trade
+ * @returns {Object} - Trade summary
+ */
+function tradeSummary(trade) {
+  return {
+    id: trade.id,
+    symbol: trade.symbol,
+    name: trade.name,
+    transactionDate: trade.transactionDate,
+    filingDate: trade.filingDate,
+    shares: Math.abs(Number(trade.change) || 0),
+    price: trade.transactionPrice ?? null,
+    value: tradeValue(trade),
+  };
+}
+
+/**
+ * Rank tickers by number of trades in the period, with buy and sell totals.
+ * @param {Array} trades - Trades filed in the period
+ * @returns {Array} - `{ symbol, trades, insiders, buyValue, sellValue, netValue }`, most active first
+ */
+function activeTickers(trades) {
+  const bySymbol = new Map();
+  trades.forEach((trade) => {
+    if (!bySymbol.has(trade.symbol)) {
+      bySymbol.set(trade.symbol, {
+        symbol: trade.symbol,
+        trades: 0,
+        insiders: new Set(),
+        buyValue: 0,
+        sellValue: 0,
+      });
+    }
+    const entry = bySymbol.get(trade.symbol);
+    const { category } = classifyTrade(trade);
+    entry.trades += 1;
+    entry.insiders.add(trade.name);
+    if (category === "buy") {
+      entry.buyValue += tradeValue(trade) ?? 0;
+    } else if (category === "sell") {
+      entry.sellValue += tradeValue(trade) ?? 0;
+    }
+  });
+
+  return Array.from(bySymbol.values())
+    .map((entry) => ({
+      ...entry,
+      insiders: entry.insiders.size,
+      netValue: entry.buyValue - entry.sellValue,
+    }))
+    .sort(
+      (a, b) =>
+        b.trades - a.trades ||
+        b.buyValue + b.sellValue - (a.buyValue + a.sellValue)
+    );
+}
+
+/**
+ * Total open-market buying and selling per sector.
+ * @param {Array} tickers - Rows from `activeTickers`
+ * @param {Map} sectors - Symbol -> sector name
+ * @returns {Array} - `{ sector, symbols, buyValue, sellValue, netValue }`, biggest net buying first
+ */
+function sectorFlows(tickers, sectors) {
+  const bySector = new Map();
+  tickers.forEach((ticker) => {
+    const sector = sectors.get(ticker.symbol) || UNCLASSIFIED;
+    if (!bySector.has(sector)) {
+      bySector.set(sector, { sector, symbols: 0, buyValue: 0, sellValue: 0 });
+    }
+    const entry = bySector.get(sector);
+    entry.symbols += 1;
+    entry.buyValue += ticker.buyValue;
+    entry.sellValue += ticker.sellValue;
+  });
+
+  return Array.from(bySector.values())
+    .map((entry) => ({ ...entry, netValue: entry.buyValue - entry.sellValue }))
+    .filter((entry) => entry.buyValue || entry.sellValue)
+    .sort((a, b) => b.netValue - a.netValue);
+}
+
+/**
+ * Look up sectors for the tickers with the most open-market dollar flow.
+ * Lookups go through the rate-limited Polygon client, so only `limit`
+ * tickers are looked up; failures leave a ticker unclassified.
+ * @param {Array} tickers - Rows from `activeTickers`
+ * @param {Object} [companyService] - CompanyService, or nothing to skip lookups
+ * @param {number} limit - Most tickers to look up
+ * @returns {Promise<Map>} - Symbol -> sector name
+ */
+async function lookupSectors(tickers, companyService, limit) {
+  const sectors = new Map();
+  if (!companyService) {
+    return sectors;
+  }
+
+  const symbols = tickers
+    .filter((ticker) => ticker.buyValue || ticker.sellValue)
+    .sort(
+      (a, b) => b.buyValue + b.sellValue - (a.buyValue + a.sellValue) // Largest flows matter most
+    )
+    .slice(0, limit)
+    .map((ticker) => ticker.symbol);
+
+  for (const symbol of symbols) {
+    try {
+      const profile = await companyService.profile(symbol);
+      if (profile && profile.sector) {
+        sectors.set(symbol, profile.sector);
+      }
+    } catch (error) {
+      console.error(`Digest: no sector for ${symbol}:`, error.message);
+    }
+  }
+  return sectors;
+}
+
+/**
+ * Measure how the previous digest's top buys have moved since it was published.
+ * Each pick is priced at the first close on or after the previous period's end.
+ * @param {Object|null} previous - Previous digest of the same kind
+ * @param {Object} [priceService] - PriceService, or nothing to skip pricing
+ * @returns {Promise<Array>} - `{ symbol, entryDate, entryClose, latestDate, latestClose, return }` per pick
+ */
+async function pickPerformance(previous, priceService) {
+  if (!previous || !priceService) {
+    return [];
+  }
+
+  const picks = [];
+  for (const symbol of previous.picks || []) {
+    const pick = {
+      symbol,
+      entryDate: null,
+      entryClose: null,
+      latestDate: null,
+      latestClose: null,
+      return: null,
+    };
+    try {
+      const bars = await priceService.history(symbol, {
+        startDate: previous.to,
+      });
+      if (bars.length) {
+        const entry = bars[0];
+        const latest = bars[bars.length - 1];
+        Object.assign(pick, {
+          entryDate: entry.date,
+          entryClose: entry.close,
+          latestDate: latest.date,
+          latestClose: latest.close,
+          return: entry.close ? latest.close / entry.close - 1 : null,
+        });
+      }
+    } catch (error) {
+      console.error(`Digest: no prices for pick ${symbol}:`, error.message);
+    }
+    picks.push(pick);
+  }
+  return picks;
+}
+
+/**
+ * Build the digest of insider activity filed during a period.
+ *
+ * @param {Object} params
+ * @param {Object} params.period - `{ kind, from, to }` from `digestPeriod`
+ * @param {Array} params.trades - Every stored trade
+ * @param {Object|null} [params.previous] - Previous digest of the same kind
+ * @param {Object} [params.companyService] - CompanyService for sectors
+ * @param {Object} [params.priceService] - PriceService for pick performance
+ * @param {number} [params.maxSectorLookups=25] - Most tickers to look up sectors for
+ * @param {number} [params.now=Date.now()] - Generation time
+ * @returns {Promise<Object>} - Digest data, ready to render and save
+ */
+async function buildDigest({
+  period,
+  trades,
+  previous = null,
+  companyService,
+  priceService,
+  maxSectorLookups = 25,
+  now = Date.now(),
+}) {
+  const { kind, from, to } = period;
+  const filed = trades.filter(
+    (trade) => trade.filingDate >= from && trade.filingDate <= to
+  );
+  const filedIds = new Set(filed.map((trade) => trade.id));
+
+  const topBuys = filed
+    .filter((trade) => classifyTrade(trade).category === "buy")
+    .sort((a, b) => (tradeValue(b) ?? 0) - (tradeValue(a) ?? 0))
+    .slice(0, TOP_LIMIT)
+    .map(tradeSummary);
+
+  const tickers = activeTickers(filed);
+  const sectors = await lookupSectors(
+    tickers,
+    companyService,
+    maxSectorLookups
+  );
+  const flows = sectorFlows(tickers, sectors);
+
+  // Clusters that gained a trade filed during this period
+  const clusters = detectClusters(trades, { limit: Infinity, now })
+    .filter((cluster) => cluster.tradeIds.some((id) => filedIds.has(id)))
+    .map(({ tradeIds, components, ...cluster }) => cluster);
+
+  return {
+    id: `${kind}-${to}`,
+    kind,
+    from,
+    to,
+    generatedAt: new Date(now).toISOString(),
+    totals: {
+      trades: filed.length,
+      tickers: tickers.length,
+      buyValue: tickers.reduce((sum, ticker) => sum + ticker.buyValue, 0),
+      sellValue: tickers.reduce((sum, ticker) => sum + ticker.sellValue, 0),
+    },
+    topBuys,
+    activeTickers: tickers.slice(0, TOP_LIMIT),
+    sectors: {
+      netBuying: flows.filter((entry) => entry.netValue > 0).slice(0, 5),
+      netSelling: flows
+        .filter((entry) => entry.netValue < 0)
+        .reverse() // Most negative first
+        .slice(0, 5),
+    },
+    clusters,
+    previousPicks: await pickPerformance(previous, priceService),
+    picks: [...new Set(topBuys.map((trade) => trade.symbol))].slice(
+      0,
+      PICK_LIMIT
+    ), // Tracked by the next digest
+  };
+}
+
+module.exports = { PERIODS, digestPeriod, buildDigest };
@@ -0,0 +1,113 @@
+const axios = require("axios"); // HTTP client for webhook delivery
+const { getMailTransport } = require("../alerts/channels");
+const { digestPeriod, buildDigest } = require("./report");
+const { renderMarkdown, renderHtml, digestSections } = require("./render");
+
+/**
+ * Generates digests on a schedule: builds the report for the period,
+ * saves it to disk and sends it to the configured email and webhook targets.
+ */
+class DigestService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.tradeStore - TradeStore with the trade history
+   * @param {Object} options.digestStore - DigestStore for saved digests
+   * @param {Object} [options.companyService] - CompanyService for sectors
+   * @param {Object} [options.priceService] - PriceService for pick performance
+   * @param {string} [options.emailTo] - Comma list of recipients (SMTP_* must be configured)
+   * @param {string} [options.webhookUrl] - URL that receives each digest as JSON
+   */
+  constructor({
+    tradeStore,
+    digestStore,
+    companyService,
+    priceService,
+    emailTo,
+    webhookUrl,
+  }) {
+    this.tradeStore = tradeStore;
+    this.digestStore = digestStore;
+    this.companyService = companyService;
+    this.priceService = priceService;
+    this.emailTo = emailTo;
+    this.webhookUrl = webhookUrl;
+  }
+
+  /**
+   * Build, save and deliver the digest for the period before `now`.
+   * Delivery failures are logged and do not fail the run.
+   * @param {string} kind - "daily" or "weekly"
+   * @param {number} [now=Date.now()] - Generation time
+   * @returns {Promise<Object>} - The saved digest
+   */
+  async run(kind, now = Date.now()) {
+    const period = digestPeriod(kind, now);
+    const digest = await buildDigest({
+      period,
+      trades: this.tradeStore.all(),
+      previous: this.digestStore.previous(kind, period.to),
+      companyService: this.companyService,
+      priceService: this.priceService,
+      now,
+    });
+    const rendered = {
+      markdown: renderMarkdown(digest),
+      html: renderHtml(digest),
+    };
+    await this.digestStore.save(digest, rendered);
+    console.log(
+      `Saved ${kind} digest ${digest.id} (${digest.totals.trades} trades).`
+    );
+
+    await this.deliver(digest, rendered);
+    return digest;
+  }
+
+  /**
+   * Send a digest to the configured email recipients and webhook.
+   * @param {Object} digest - Digest from `buildDigest`
+   * @param {Object} rendered - `{ markdown, html }`
+   */
+  async deliver(digest, rendered) {
+    const { title } = digestSections(digest);
+    const deliveries = [];
+
+    if (this.emailTo) {
+      deliveries.push([
+        "email",
+        () =>
+          getMailTransport().sendMail({
+            from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+            to: this.emailTo,
+            subject: title,
+            text: rendered.markdown,
+            html: rendered.html,
+          }),
+      ]);
+    }
+    if (this.webhookUrl) {
+      deliveries.push([
+        "webhook",
+        () =>
+          axios.post(
+            this.webhookUrl,
+            { title, digest, markdown: rendered.markdown },
+            { timeout: 10000 }
+          ),
+      ]);
+    }
+
+    for (const [target, send] of deliveries) {
+      try {
+        await send();
+      } catch (error) {
+        console.error(
+          `Error sending digest ${digest.id} by ${target}:`,
+          error.message
+        );
+      }
+    }
+  }
+}
+
+module.exports = { DigestService };
@@ -0,0 +1,112 @@
+const fs = require("fs"); // File system access for saved digests
+const path = require("path"); // Path helpers for the digest directory
+const { readJson, writeText, writeJson } = require("../json-file");
+
+const ID_PATTERN = /^(daily|weekly)-\d{4}-\d{2}-\d{2}$/; // e.g. "weekly-2024-06-30"
+
+// Saved renderings of each digest, keyed by format name
+const FORMATS = {
+  json: { extension: "json", contentType: "application/json" },
+  markdown: { extension: "md", contentType: "text/markdown; charset=utf-8" },
+  html: { extension: "html", contentType: "text/html; charset=utf-8" },
+};
+
+/**
+ * Saved digests on disk: `<id>.json` with the data plus `<id>.md` and
+ * `<id>.html` renderings, one set per period.
+ */
+class DigestStore {
+  /**
+   * @param {string} directory - Folder holding the digests (created on first save)
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Build the path of one rendering of a digest.
+   * @param {string} id - Digest id
+   * @param {string} format - "json", "markdown" or "html"
+   * @returns {string|null} - File path, or null for an invalid id or format
+   */
+  filePath(id, format) {
+    if (!ID_PATTERN.test(id) || !Object.hasOwn(FORMATS, format)) {
+      return null; // Never build paths from untrusted ids
+    }
+    return path.join(this.directory, `${id}.${FORMATS[format].extension}`);
+  }
+
+  /**
+   * Save a digest and its renderings, replacing an earlier run for the same period.
+   * @param {Object} digest - Digest from `buildDigest`
+   * @param {Object} rendered - `{ markdown, html }`
+   */
+  async save(digest, rendered) {
+    await writeText(this.filePath(digest.id, "markdown"), rendered.markdown);
+    await writeText(this.filePath(digest.id, "html"), rendered.html);
+    await writeJson(this.filePath(digest.id, "json"), digest); // Last, so listed digests are complete
+  }
+
+  /**
+   * List saved digests, newest period first.
+   * @param {string} [kind] - Only "daily" or "weekly" digests
+   * @returns {Array} - `{ id, kind, from, to, generatedAt, totals }` per digest
+   */
+  list(kind) {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+    return fs
+      .readdirSync(this.directory)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => file.slice(0, -".json".length))
+      .filter((id) => ID_PATTERN.test(id))
+      .map((id) => this.get(id))
+      .filter((digest) => digest && (!kind || digest.kind === kind))
+      .map(({ id, kind, from, to, generatedAt, totals }) => ({
+        id,
+        kind,
+        from,
+        to,
+        generatedAt,
+        totals,
+      }))
+      .sort((a, b) => b.to.localeCompare(a.to) || a.kind.localeCompare(b.kind));
+  }
+
+  /**
+   * Read a saved digest's data.
+   * @param {string} id - Digest id
+   * @returns {Object|null} - Digest, or null when not found
+   */
+  get(id) {
+    const filePath = this.filePath(id, "json");
+    return filePath ? readJson(filePath, null) : null;
+  }
+
+  /**
+   * Read a saved rendering of a digest.
+   * @param {string} id - Digest id
+   * @param {string} format - "markdown" or "html"
+   * @returns {string|null} - File contents, or null when not found
+   */
+  read(id, format) {
+    const filePath = this.filePath(id, format);
+    return filePath && fs.existsSync(filePath)
+      ? fs.readFileSync(filePath, "utf8")
+      : null;
+  }
+
+  /**
+   * Find the latest digest of a kind for a period ending before `to`.
+   * @param {string} kind - "daily" or "weekly"
+   * @param {string} to - Period end date (YYYY-MM-DD)
+   * @returns {Object|null} - Previous digest, or null for the first one
+   */
+  previous(kind, to) {
+    const summary = this.list(kind).find((digest) => digest.to < to);
+    return summary ? this.get(summary.id) : null;
+  }
+}
+
+module.exports = { FORMATS, DigestStore };
@@ -0,0 +1,139 @@
+const { tradeValue } = require("./trades");
+
+// Market capitalization buckets, smallest first; `max` is exclusive
+const MARKET_CAP_SIZES = [
+  { key: "nano", label: "Nano (< $50M)", max: 50e6 },
+  { key: "micro", label: "Micro ($50M–$300M)", max: 300e6 },
+  { key: "small", label: "Small ($300M–$2B)", max: 2e9 },
+  { key: "mid", label: "Mid ($2B–$10B)", max: 10e9 },
+  { key: "large", label: "Large ($10B–$200B)", max: 200e9 },
+  { key: "mega", label: "Mega (> $200B)", max: Infinity },
+];
+
+/**
+ * Bucket a market capitalization.
+ * @param {number|null} marketCap - Market cap in USD
+ * @returns {string|null} - Key from MARKET_CAP_SIZES, or null when unknown
+ */
+function marketCapSize(marketCap) {
+  if (!Number.isFinite(marketCap) || marketCap <= 0) {
+    return null;
+  }
+  return MARKET_CAP_SIZES.find((size) => marketCap < size.max).key;
+}
+
+/**
+ * Size of a trade relative to the insider's holdings before it.
+ * `share` is what the insider held after the transaction, so the prior
+ * position is `share - change`. Opening a position (nothing held before)
+ * has no meaningful percentage.
+ * @param {Object} trade - Insider trade with `share` and `change`
+ * @returns {number|null} - Shares changed as a percentage of prior holdings
+ */
+function percentOfHoldings(trade) {
+  const after = Number(trade.share);
+  const change = Number(trade.change);
+  if (
+    trade.share === undefined ||
+    trade.share === null ||
+    !Number.isFinite(after) ||
+    !Number.isFinite(change)
+  ) {
+    return null;
+  }
+  const before = after - change;
+  return before > 0 ? (Math.abs(change) / before) * 100 : null;
+}
+
+/**
+ * Size of a trade relative to the company's market capitalization.
+ * The market cap is the latest one on record, not the one on the trade
+ * date, so older trades are approximate.
+ * @param {Object} trade - Insider trade
+ * @param {number|null} marketCap - Market cap in USD
+ * @returns {number|null} - Trade value as a percentage of market cap
+ */
+function percentOfMarketCap(trade, marketCap) {
+  const value = tradeValue(trade);
+  if (!value || !Number.isFinite(marketCap) || marketCap <= 0) {
+    return null; // No price (awards, gifts) or no market cap
+  }
+  return (value / marketCap) * 100;
+}
+
+/**
+ * Attach company metadata and relative trade sizes to a stored trade.
+ * @param {Object} trade - Stored insider trade
+ * @param {Object|null} company - Profile from CompanyCache, or null when not known (yet)
+ * @returns {Object} - Copy of the trade with `company`, `percentOfMarketCap` and `percentOfHoldings`
+ */
+function enrichTrade(trade, company) {
+  const marketCap = company ? company.marketCap ?? null : null;
+  return {
+    ...trade,
+    company: company
+      ? {
+          name: company.name || null,
+          sector: company.sector || null,
+          exchange: company.exchange || null,
+          marketCap,
+          marketCapSize: marketCapSize(marketCap),
+        }
+      : null,
+    percentOfMarketCap: percentOfMarketCap(trade, marketCap),
+    percentOfHoldings: percentOfHoldings(trade),
+  };
+}
+
+/**
+ * Count the distinct sectors, exchanges and market cap sizes among
+ * enriched trades, for the table's filter dropdowns.
+ * @param {Array} trades - Trades from `enrichTrade`
+ * @returns {Object} - `{ sectors, exchanges, marketCapSizes, unenriched }`; each list holds `{ value, label, count }`
+ */
+function describeFacets(trades) {
+  const counts = {
+    sector: new Map(),
+    exchange: new Map(),
+    marketCapSize: new Map(),
+  };
+  let unenriched = 0;
+  trades.forEach((trade) => {
+    if (!trade.company) {
+      unenriched += 1;
+      return;
+    }
+    Object.keys(counts).forEach((field) => {
+      const value = trade.company[field];
+      if (value) {
+        counts[field].set(value, (counts[field].get(value) || 0) + 1);
+      }
+    });
+  });
+
+  const byName = (map) =>
+    Array.from(map, ([value, count]) => ({ value, label: value, count })).sort(
+      (a, b) => a.value.localeCompare(b.value)
+    );
+  return {
+    sectors: byName(counts.sector),
+    exchanges: byName(counts.exchange),
+    marketCapSizes: MARKET_CAP_SIZES.filter((size) =>
+      counts.marketCapSize.has(size.key)
+    ).map((size) => ({
+      value: size.key,
+      label: size.label,
+      count: counts.marketCapSize.get(size.key),
+    })),
+    unenriched, // Trades whose company has not been looked up yet
+  };
+}
+
+module.exports = {
+  MARKET_CAP_SIZES,
+  marketCapSize,
+  percentOfHoldings,
+  percentOfMarketCap,
+  enrichTrade,
+  describeFacets,
+};
@@ -0,0 +1,361 @@
+const { Readable } = require("stream"); // Turns row generators into streams
+const { pipeline } = require("stream/promises"); // Streams with backpressure and cleanup
+const ExcelJS = require("exceljs"); // Streaming XLSX writer
+const { tradeValue } = require("./trades");
+const { classifyTrade } = require("./classification");
+const { computeRatios } = require("./financials");
+const { QueryError, parseList, parseNumber } = require("./query");
+
+// Supported export formats: response content type and file extension
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+// Optional per-company column groups, requested with `include=ratios,recommendation`
+const INCLUDES = ["ratios", "recommendation"];
+
+// Tickers whose ratios and recommendation are looked up per export. Each
+// lookup can wait on the Polygon and Tiingo rate limits while the download
+// is open, so later tickers get empty cells.
+const DEFAULT_ENRICHED_SYMBOLS = 5;
+const MAX_ENRICHED_SYMBOLS = 25;
+
+// Columns present in every export; `value` reads a cell from a trade
+const TRADE_COLUMNS = [
+  { key: "id", label: "Trade ID", value: (trade) => trade.id },
+  { key: "symbol", label: "Symbol", value: (trade) => trade.symbol },
+  {
+    key: "companyName",
+    label: "Company",
+    value: (trade) => trade.company?.name,
+  },
+  { key: "sector", label: "Sector", value: (trade) => trade.company?.sector },
+  {
+    key: "exchange",
+    label: "Exchange",
+    value: (trade) => trade.company?.exchange,
+  },
+  {
+    key: "marketCap",
+    label: "Market Cap (USD)",
+    value: (trade) => trade.company?.marketCap,
+  },
+  { key: "name", label: "Insider", value: (trade) => trade.name },
+  {
+    key: "transactionDate",
+    label: "Transaction Date",
+    value: (trade) => trade.transactionDate,
+  },
+  {
+    key: "filingDate",
+    label: "Filing Date",
+    value: (trade) => trade.filingDate,
+  },
+  {
+    key: "transactionCode",
+    label: "Transaction Code",
+    value: (trade) => trade.transactionCode,
+  },
+  { key: "change", label: "Shares Changed", value: (trade) => trade.change },
+  {
+    key: "transactionPrice",
+    label: "Price",
+    value: (trade) => trade.transactionPrice,
+  },
+  { key: "share", label: "Shares Held After", value: (trade) => trade.share },
+  { key: "value", label: "Trade Value (USD)", value: tradeValue },
+  {
+    key: "percentOfMarketCap",
+    label: "% of Market Cap",
+    value: (trade) => trade.percentOfMarketCap,
+  },
+  {
+    key: "percentOfHoldings",
+    label: "% of Prior Holdings",
+    value: (trade) => trade.percentOfHoldings,
+  },
+  {
+    key: "category",
+    label: "Category",
+    value: (trade) => classifyTrade(trade).categoryLabel,
+  },
+  {
+    key: "plannedSale",
+    label: "10b5-1 Planned Sale", // Empty for sales from sources without plan data
+    value: (trade) => classifyTrade(trade).planned,
+  },
+];
+
+// Financial ratio columns, filled from the company's latest filing
+const RATIO_COLUMNS = [
+  ["netProfitMargin", "Net Profit Margin (%)"],
+  ["returnOnAssets", "ROA (%)"],
+  ["returnOnEquity", "ROE (%)"],
+  ["currentRatio", "Current Ratio"],
+  ["debtToEquity", "Debt-to-Equity"],
+  ["assetTurnover", "Asset Turnover"],
+].map(([key, label]) => ({
+  key,
+  label,
+  value: (trade, company) => (company.ratios ? company.ratios[key] : null),
+}));
+
+// Recommendation columns, filled from the scoring service
+const RECOMMENDATION_COLUMNS = [
+  ["recommendation", "Recommendation"],
+  ["score", "Score"],
+  ["profile", "Scoring Profile"],
+].map(([key, label]) => ({
+  key,
+  label,
+  value: (trade, company) =>
+    company.recommendation ? company.recommendation[key] : null,
+}));
+
+/**
+ * Parse the export-specific query parameters.
+ * Filters are parsed separately with `parseTradeQuery`.
+ *
+ * Supported parameters:
+ *   format - "csv" (default), "ndjson" or "xlsx"
+ *   include - comma list of "ratios" and/or "recommendation"
+ *   profile - scoring profile used for the recommendation
+ *   maxSymbols - most tickers to look up ratios/recommendations for (default 5, at most 25)
+ *
+ * @param {Object} query - Express `req.query` object
+ * @returns {Object} - `{ format, include: { ratios, recommendation }, profile, maxSymbols }`
+ * @throws {QueryError} - When the format, an include or `maxSymbols` is invalid
+ */
+function parseExportQuery(query) {
+  const format = String(query.format || "csv").toLowerCase();
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw new QueryError(
+      `Query parameter "format" must be one of: ${Object.keys(
+        EXPORT_FORMATS
+      ).join(", ")}.`
+    );
+  }
+
+  const includes = parseList(query.include).map((item) => item.toLowerCase());
+  const unknown = includes.filter((item) => !INCLUDES.includes(item));
+  if (unknown.length) {
+    throw new QueryError(
+      `Query parameter "include" must be a list of: ${INCLUDES.join(", ")}.`
+    );
+  }
+
+  const maxSymbols =
+    parseNumber(query, "maxSymbols") ?? DEFAULT_ENRICHED_SYMBOLS;
+  if (
+    !Number.isInteger(maxSymbols) ||
+    maxSymbols < 1 ||
+    maxSymbols > MAX_ENRICHED_SYMBOLS
+  ) {
+    throw new QueryError(
+      `Query parameter "maxSymbols" must be between 1 and ${MAX_ENRICHED_SYMBOLS}.`,
+      "maxSymbols"
+    );
+  }
+
+  return {
+    format,
+    include: {
+      ratios: includes.includes("ratios"),
+      recommendation: includes.includes("recommendation"),
+    },
+    profile: query.profile || undefined,
+    maxSymbols,
+  };
+}
+
+/**
+ * List the columns of an export.
+ * @param {Object} include - `{ ratios, recommendation }` flags from `parseExportQuery`
+ * @returns {Array} - `{ key, label, value(trade, company) }` per column
+ */
+function exportColumns(include) {
+  return [
+    ...TRADE_COLUMNS,
+    ...(include.ratios ? RATIO_COLUMNS : []),
+    ...(include.recommendation ? RECOMMENDATION_COLUMNS : []),
+  ];
+}
+
+/**
+ * Build a per-symbol lookup of ratios and recommendations for an export.
+ * Each symbol is loaded once per export; a company whose data cannot be
+ * loaded gets empty cells instead of failing the whole download. Only the
+ * first `maxSymbols` tickers in the export are looked up, so a large export
+ * never waits on the upstream rate limits for more than a few companies.
+ *
+ * @param {Object} services
+ * @param {Object} services.financialsService - FinancialsService for ratios
+ * @param {Object} services.scoringService - ScoringService for recommendations
+ * @param {Object} include - `{ ratios, recommendation }` flags
+ * @param {string} [profile] - Scoring profile name
+ * @param {number} [maxSymbols=DEFAULT_ENRICHED_SYMBOLS] - Most tickers looked up
+ * @returns {Function} - `symbol => Promise<{ ratios, recommendation }>`
+ */
+function createCompanyLookup(
+  { financialsService, scoringService },
+  include,
+  profile,
+  maxSymbols = DEFAULT_ENRICHED_SYMBOLS
+) {
+  const companies = new Map(); // Symbol -> Promise of company data
+  const skipped = Promise.resolve({ ratios: null, recommendation: null }); // Past the cap
+
+  async function load(symbol) {
+    const company = { ratios: null, recommendation: null };
+    if (include.ratios) {
+      try {
+        company.ratios = computeRatios(await financialsService.latest(symbol));
+      } catch (error) {
+        console.error(`Export: no ratios for ${symbol}:`, error.message);
+      }
+    }
+    if (include.recommendation) {
+      try {
+        const scored = await scoringService.score(symbol, profile);
+        company.recommendation = {
+          recommendation: scored.recommendation,
+          score: scored.score,
+          profile: scored.profile,
+        };
+      } catch (error) {
+        console.error(
+          `Export: no recommendation for ${symbol}:`,
+          error.message
+        );
+      }
+    }
+    return company;
+  }
+
+  return (symbol) => {
+    if (!companies.has(symbol)) {
+      if (companies.size >= maxSymbols) {
+        return skipped;
+      }
+      companies.set(symbol, load(symbol));
+    }
+    return companies.get(symbol);
+  };
+}
+
+/**
+ * Turn trades into flat export records, one at a time.
+ * @param {Array} trades - Filtered, sorted trades
+ * @param {Array} columns - Columns from `exportColumns`
+ * @param {Function} [lookup] - Company lookup from `createCompanyLookup`
+ * @yields {Object} - Record keyed by column key
+ */
+async function* exportRecords(trades, columns, lookup) {
+  for (const trade of trades) {
+    const company = lookup ? await lookup(trade.symbol) : {};
+    const record = {};
+    columns.forEach((column) => {
+      const value = column.value(trade, company);
+      record[column.key] = value === undefined ? null : value;
+    });
+    yield record;
+  }
+}
+
+/**
+ * Format one CSV cell.
+ * Text starting with a formula character is prefixed with "'" so
+ * spreadsheets do not evaluate it.
+ * @param {*} value - Cell value
+ * @returns {string} - Quoted and escaped cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render records as CSV lines, starting with the header row.
+ * @param {AsyncIterable} records - Records from `exportRecords`
+ * @param {Array} columns - Columns from `exportColumns`
+ * @yields {string} - One CSV line per record
+ */
+async function* csvLines(records, columns) {
+  yield `${columns.map((column) => csvCell(column.label)).join(",")}\r\n`;
+  for await (const record of records) {
+    yield `${columns
+      .map((column) => csvCell(record[column.key]))
+      .join(",")}\r\n`;
+  }
+}
+
+/**
+ * Render records as newline-delimited JSON.
+ * @param {AsyncIterable} records - Records from `exportRecords`
+ * @yields {string} - One JSON document per line
+ */
+async function* ndjsonLines(records) {
+  for await (const record of records) {
+    yield `${JSON.stringify(record)}\n`;
+  }
+}
+
+/**
+ * Stream records to a writable stream in the requested format.
+ * Rows are written as they are produced, so large exports are never held in memory.
+ *
+ * @param {stream.Writable} output - Destination, usually the HTTP response
+ * @param {string} format - "csv", "ndjson" or "xlsx"
+ * @param {AsyncIterable} records - Records from `exportRecords`
+ * @param {Array} columns - Columns from `exportColumns`
+ * @returns {Promise<void>} - Resolves once everything has been written
+ */
+async function writeExport(output, format, records, columns) {
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: output,
+      useSharedStrings: false, // Shared strings are kept in memory until commit
+    });
+    const sheet = workbook.addWorksheet("Insider Trades");
+    sheet.columns = columns.map((column) => ({
+      header: column.label,
+      key: column.key,
+      width: Math.max(12, column.label.length + 2),
+    }));
+    for await (const record of records) {
+      sheet.addRow(record).commit(); // Flush each row as soon as it is written
+    }
+    await workbook.commit();
+    return;
+  }
+
+  const lines =
+    format === "ndjson" ? ndjsonLines(records) : csvLines(records, columns);
+  await pipeline(Readable.from(lines), output);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  INCLUDES,
+  DEFAULT_ENRICHED_SYMBOLS,
+  MAX_ENRICHED_SYMBOLS,
+  RATIO_COLUMNS,
+  parseExportQuery,
+  exportColumns,
+  createCompanyLookup,
+  exportRecords,
+  csvCell,
+  writeExport,
+};
@@ -0,0 +1,148 @@
+const TIMEFRAMES = ["quarterly", "annual"]; // Polygon filing timeframes supported for history
+const MAX_PERIODS = 20; // Most filings returned by `history`
+
+/**
+ * Financial statements from Polygon.io, fetched through the shared cached client.
+ */
+class FinancialsService {
+  /**
+   * @param {Object} client - UpstreamClient for Polygon
+   * @param {string} [apiKey] - Polygon API key (defaults to POLYGON_API_KEY)
+   */
+  constructor(client, apiKey = process.env.POLYGON_API_KEY) {
+    this.client = client;
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Fetch the most recent filing for a symbol.
+   * @param {string} symbol - Stock ticker symbol
+   * @returns {Promise<Object|null>} - Polygon financials result, or null when none exist
+   */
+  async latest(symbol) {
+    const data = await this.client.get(
+      "https://api.polygon.io/vX/reference/financials",
+      { params: { ticker: symbol, limit: 1, apiKey: this.apiKey } },
+      this.apiKey // Rate limit applies per API key
+    );
+    return data.results?.length ? data.results[0] : null;
+  }
+
+  /**
+   * Fetch the most recent filings for a symbol, oldest first.
+   * @param {string} symbol - Stock ticker symbol
+   * @param {Object} [options]
+   * @param {string} [options.timeframe="quarterly"] - "quarterly" or "annual"
+   * @param {number} [options.periods=8] - Number of filings to fetch
+   * @returns {Promise<Array>} - Polygon financials results ordered by period end date
+   */
+  async history(symbol, { timeframe = "quarterly", periods = 8 } = {}) {
+    const data = await this.client.get(
+      "https://api.polygon.io/vX/reference/financials",
+      {
+        params: {
+          ticker: symbol,
+          timeframe,
+          limit: periods,
+          order: "desc", // Newest filings first, so `limit` keeps the latest ones
+          sort: "period_of_report_date",
+          apiKey: this.apiKey,
+        },
+      },
+      this.apiKey // Rate limit applies per API key
+    );
+    return (data.results || [])
+      .slice()
+      .sort((a, b) => String(a.end_date).localeCompare(String(b.end_date)));
+  }
+}
+
+/**
+ * Summarize filings as chart-ready periods: headline figures and ratios per filing.
+ * @param {Array} filings - Polygon financials results, oldest first
+ * @returns {Array} - `{ label, fiscalPeriod, fiscalYear, startDate, endDate, filingDate, revenues, netIncome, ratios }` per filing
+ */
+function financialSeries(filings) {
+  return filings
+    .filter((filing) => filing && filing.financials)
+    .map((filing) => {
+      const income = filing.financials.income_statement || {};
+      return {
+        label: [filing.fiscal_period, filing.fiscal_year]
+          .filter(Boolean)
+          .join(" "), // e.g. "Q2 2024" or "FY 2023"
+        fiscalPeriod: filing.fiscal_period || null,
+        fiscalYear: filing.fiscal_year || null,
+        startDate: filing.start_date || null,
+        endDate: filing.end_date || null,
+        filingDate: filing.filing_date || null,
+        revenues: income.revenues?.value ?? null,
+        netIncome: income.net_income_loss?.value ?? null,
+        ratios: computeRatios(filing),
+      };
+    });
+}
+
+/**
+ * Divide two statement values, or return null when the ratio is meaningless:
+ * either value is missing or the denominator is not positive (no revenue,
+ * no assets, negative equity). Dividing by a stand-in such as 1 would turn
+ * a missing figure into a huge, misleading ratio.
+ * @param {number|undefined} numerator - Statement value
+ * @param {number|undefined} denominator - Statement value
+ * @param {number} [scale=1] - Multiplier, e.g. 100 for a percentage
+ * @returns {number|null} - Ratio, or null when undefined
+ */
+function safeRatio(numerator, denominator, scale = 1) {
+  if (!Number.isFinite(numerator) || !Number.isFinite(denominator)) {
+    return null;
+  }
+  return denominator > 0 ? (numerator / denominator) * scale : null;
+}
+
+/**
+ * Compute key financial ratios from a Polygon filing.
+ *
+ * Net Profit Margin, Return on Assets (ROA) and Return on Equity (ROE) are
+ * percentages; Current Ratio, Debt-to-Equity and Asset Turnover are ratios.
+ * A ratio is null when the filing lacks one of its inputs or its
+ * denominator is zero or negative, e.g. ROE and Debt-to-Equity for a
+ * company with negative equity.
+ *
+ * @param {Object} financialData - Financial data from the Polygon.io API
+ * @returns {Object|null} - Ratios, or null when the filing has no financials
+ */
+function computeRatios(financialData) {
+  const financials = financialData && financialData.financials;
+  if (!financials) {
+    return null;
+  }
+
+  const income = financials.income_statement || {};
+  const balance = financials.balance_sheet || {};
+  const revenues = income.revenues?.value; // Revenue from the income statement
+  const netIncome = income.net_income_loss?.value; // Net income or loss
+  const totalAssets = balance.assets?.value; // Total assets from the balance sheet
+  const currentAssets = balance.current_assets?.value; // Current assets
+  const currentLiabilities = balance.current_liabilities?.value; // Current liabilities
+  const totalLiabilities = balance.liabilities?.value; // Total liabilities
+  const equity = balance.equity?.value; // Shareholders' equity
+
+  return {
+    netProfitMargin: safeRatio(netIncome, revenues, 100), // Percentage of profit relative to revenue
+    returnOnAssets: safeRatio(netIncome, totalAssets, 100), // Efficiency of asset utilization for profit generation
+    returnOnEquity: safeRatio(netIncome, equity, 100), // Profitability relative to shareholder equity
+    currentRatio: safeRatio(currentAssets, currentLiabilities), // Liquidity to meet short-term obligations
+    debtToEquity: safeRatio(totalLiabilities, equity), // Leverage ratio indicating financial risk
+    assetTurnover: safeRatio(revenues, totalAssets), // Efficiency of asset usage in generating revenue
+  };
+}
+
+module.exports = {
+  TIMEFRAMES,
+  MAX_PERIODS,
+  FinancialsService,
+  safeRatio,
+  computeRatios,
+  financialSeries,
+};
@@ -0,0 +1,61 @@
+// Offline upstream modes for Finnhub, Tiingo and Polygon.
+//
+// Every upstream client (UpstreamClient, FinnhubProvider) takes an `http`
+// object with an axios-compatible `get(url, config)`. The modes below swap
+// that object, so the rest of the app cannot tell recorded or generated data
+// from the real APIs:
+//   live      - real requests through axios (default)
+//   record    - real requests, each response also saved to FIXTURES_DIR
+//   replay    - answers from FIXTURES_DIR only, no network access
+//   synthetic - deterministic generated market data, no network access
+const axios = require("axios"); // HTTP client for live requests
+const {
+  httpError,
+  fixtureLocation,
+  ReplayHttp,
+  RecordingHttp,
+} = require("./recorder");
+const { COMPANIES, SyntheticMarket, SyntheticHttp } = require("./synthetic");
+
+const MODES = ["live", "record", "replay", "synthetic"];
+
+/**
+ * Create the HTTP client shared by all upstream API clients.
+ * @param {Object} [options]
+ * @param {string} [options.mode] - One of MODES (defaults to UPSTREAM_MODE, then "live")
+ * @param {string} [options.dir] - Fixtures directory (defaults to FIXTURES_DIR, then "fixtures/upstream")
+ * @param {number|string} [options.seed] - Synthetic data seed (defaults to SYNTHETIC_SEED, then 1)
+ * @returns {Object} - HTTP client with an axios-compatible `get`
+ */
+function createUpstreamHttp({
+  mode = process.env.UPSTREAM_MODE || "live",
+  dir = process.env.FIXTURES_DIR || "fixtures/upstream",
+  seed = process.env.SYNTHETIC_SEED || 1,
+} = {}) {
+  switch (mode) {
+    case "live":
+      return axios;
+    case "record":
+      return new RecordingHttp(dir);
+    case "replay":
+      return new ReplayHttp(dir);
+    case "synthetic":
+      return new SyntheticHttp({ seed });
+    default:
+      throw new Error(
+        `Unknown upstream mode "${mode}". Use one of: ${MODES.join(", ")}.`
+      );
+  }
+}
+
+module.exports = {
+  MODES,
+  createUpstreamHttp,
+  httpError,
+  fixtureLocation,
+  ReplayHttp,
+  RecordingHttp,
+  COMPANIES,
+  SyntheticMarket,
+  SyntheticHttp,
+};
@@ -0,0 +1,194 @@
+const crypto = require("crypto"); // Short hashes of query strings for file names
+const fs = require("fs"); // Fixture files
+const path = require("path"); // Fixture paths
+const axios = require("axios"); // Real upstream requests while recording
+const { SECRET_PARAMS } = require("../upstream");
+const { readJson, writeJson } = require("../json-file");
+
+// Query parameters that move with the calendar; a replay may ignore them
+const DATE_PARAMS = ["from", "to", "startDate", "endDate"];
+
+/**
+ * Build an error shaped like an axios HTTP error, so callers that inspect
+ * `error.response.status` treat a missing fixture like an upstream 404.
+ * @param {string} message - Error message
+ * @param {number} [status=404] - HTTP status
+ * @returns {Error} - Error with `response.status` and `response.data`
+ */
+function httpError(message, status = 404) {
+  return Object.assign(new Error(message), {
+    response: { status, data: { error: message }, headers: {} },
+  });
+}
+
+/**
+ * Work out where the recording of a request lives.
+ * Files are grouped by host and named after the URL path; the query string
+ * (minus API keys) is reduced to a short hash so different ranges of the
+ * same endpoint get their own file.
+ * @param {string} dir - Fixtures directory
+ * @param {string} url - Request URL
+ * @param {Object} [params] - Query parameters
+ * @returns {Object} - `{ dir, prefix, file, params }` with the non-secret params
+ */
+function fixtureLocation(dir, url, params = {}) {
+  const { host, pathname } = new URL(url);
+  const visible = {};
+  Object.keys(params)
+    .filter(
+      (key) =>
+        !SECRET_PARAMS.includes(key) &&
+        params[key] !== undefined &&
+        params[key] !== null
+    )
+    .sort()
+    .forEach((key) => {
+      visible[key] = String(params[key]);
+    });
+
+  const prefix =
+    pathname
+      .split("/")
+      .filter(Boolean)
+      .map((part) => decodeURIComponent(part).replace(/[^A-Za-z0-9.-]/g, "_"))
+      .join("_") || "index";
+  const query = new URLSearchParams(visible).toString();
+  const suffix = query
+    ? `__${crypto.createHash("sha1").update(query).digest("hex").slice(0, 10)}`
+    : "";
+  const hostDir = path.join(dir, host);
+  return {
+    dir: hostDir,
+    prefix,
+    file: path.join(hostDir, `${prefix}${suffix}.json`),
+    params: visible,
+  };
+}
+
+/**
+ * HTTP client that answers from recorded fixtures instead of the network.
+ *
+ * An exact match (same URL and non-secret query parameters) is preferred.
+ * Failing that, the most recent recording of the same URL path whose other
+ * parameters match is used, so requests whose dates move with the calendar
+ * ("the last 30 days") still replay. Requests with no recording at all fail
+ * with a 404.
+ */
+class ReplayHttp {
+  /**
+   * @param {string} dir - Fixtures directory
+   */
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    this.rateLimited = false; // Never reaches the network, so skip upstream rate limits
+  }
+
+  /**
+   * Read a recorded response.
+   * @param {string} url - Request URL
+   * @param {Object} [config] - axios-style config (only `params` is used)
+   * @returns {Promise<Object>} - `{ status, data }` like an axios response
+   */
+  async get(url, config = {}) {
+    const location = fixtureLocation(this.dir, url, config.params);
+    const fixture = readJson(location.file, null) || this.closest(location);
+    if (!fixture) {
+      throw httpError(`No recorded fixture for GET ${url}.`);
+    }
+    if (fixture.status >= 400) {
+      throw httpError(
+        `Recorded ${fixture.status} for GET ${url}.`,
+        fixture.status
+      );
+    }
+    return { status: fixture.status, data: fixture.data };
+  }
+
+  /**
+   * Find the latest recording of a URL path with the same parameters apart
+   * from dates (e.g. the same ticker on the financials endpoint).
+   * @param {Object} location - Result of `fixtureLocation` for the request
+   * @returns {Object|null} - Fixture, or null when nothing comparable was recorded
+   */
+  closest({ dir, prefix, params }) {
+    let files;
+    try {
+      files = fs.readdirSync(dir);
+    } catch (error) {
+      return null; // Nothing recorded for this host
+    }
+    return (
+      files
+        .filter(
+          (file) =>
+            file === `${prefix}.json` ||
+            (file.startsWith(`${prefix}__`) && file.endsWith(".json"))
+        )
+        .map((file) => readJson(path.join(dir, file), null))
+        .filter((fixture) => fixture && sameParams(fixture.params, params))
+        .sort((a, b) =>
+          String(b.recordedAt).localeCompare(String(a.recordedAt))
+        )[0] || null
+    );
+  }
+}
+
+/**
+ * Check whether two recorded query strings differ only in their dates.
+ * @param {Object} [a] - Non-secret params of one request
+ * @param {Object} [b] - Non-secret params of the other
+ * @returns {boolean} - True when every non-date param matches
+ */
+function sameParams(a = {}, b = {}) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return Array.from(keys).every(
+    (key) => DATE_PARAMS.includes(key) || a[key] === b[key]
+  );
+}
+
+/**
+ * HTTP client that performs real requests and saves each response as a
+ * fixture for `ReplayHttp`. API keys are stripped from the recorded query
+ * and headers are never written. 400 and 404 answers are recorded too, so
+ * a replayed unknown ticker still fails, and then rethrown.
+ */
+class RecordingHttp {
+  /**
+   * @param {string} dir - Fixtures directory
+   * @param {Object} [http=axios] - HTTP client with an axios-compatible `get`
+   */
+  constructor(dir, http = axios) {
+    this.dir = path.resolve(dir);
+    this.http = http;
+  }
+
+  async get(url, config = {}) {
+    const location = fixtureLocation(this.dir, url, config.params);
+    const save = (status, data) =>
+      writeJson(location.file, {
+        url,
+        params: location.params,
+        status,
+        recordedAt: new Date().toISOString(),
+        data,
+      }).catch((error) =>
+        console.error(`Error recording fixture for ${url}:`, error.message)
+      );
+
+    try {
+      const response = await this.http.get(url, config);
+      await save(response.status, response.data);
+      return response;
+    } catch (error) {
+      // Record answers about the request itself (unknown ticker, bad range),
+      // not rate limits, rejected keys or outages
+      const status = error.response?.status;
+      if (status === 400 || status === 404) {
+        await save(status, error.response.data ?? null);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { httpError, fixtureLocation, ReplayHttp, RecordingHttp };
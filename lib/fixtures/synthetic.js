@@ -0,0 +1,792 @@
+const { httpError } = require("./recorder");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPOCH = "2015-01-02"; // First synthetic trading day
+const MAX_FINNHUB_ROWS = 100; // Finnhub's cap on rows per request
+
+// Fictional companies that make up the synthetic market. Several share an
+// industry so peer comparisons have something to compare.
+const COMPANIES = [
+  {
+    symbol: "ACME",
+    name: "Acme Corporation",
+    sector: "Industrial Machinery & Equipment",
+    exchange: "XNYS",
+  },
+  {
+    symbol: "VAND",
+    name: "Vandelay Industries Inc",
+    sector: "Industrial Machinery & Equipment",
+    exchange: "XNAS",
+  },
+  {
+    symbol: "GLBX",
+    name: "Globex Corporation",
+    sector: "Services-Prepackaged Software",
+    exchange: "XNAS",
+  },
+  {
+    symbol: "INIT",
+    name: "Initech Inc",
+    sector: "Services-Prepackaged Software",
+    exchange: "XNAS",
+  },
+  {
+    symbol: "HOOL",
+    name: "Hooli Inc",
+    sector: "Services-Prepackaged Software",
+    exchange: "XNAS",
+  },
+  {
+    symbol: "UMBR",
+    name: "Umbrella Corp",
+    sector: "Pharmaceutical Preparations",
+    exchange: "XNYS",
+  },
+  {
+    symbol: "OSCP",
+    name: "Oscorp Industries Inc",
+    sector: "Pharmaceutical Preparations",
+    exchange: "XNYS",
+  },
+  {
+    symbol: "STRK",
+    name: "Stark Industries Inc",
+    sector: "Aircraft Parts & Auxiliary Equipment",
+    exchange: "XNYS",
+  },
+  {
+    symbol: "WAYN",
+    name: "Wayne Enterprises Inc",
+    sector: "Aircraft Parts & Auxiliary Equipment",
+    exchange: "XNYS",
+  },
+  {
+    symbol: "TYRL",
+    name: "Tyrell Corp",
+    sector: "Semiconductors & Related Devices",
+    exchange: "XNAS",
+  },
+  {
+    symbol: "CYBD",
+    name: "Cyberdyne Systems Corp",
+    sector: "Semiconductors & Related Devices",
+    exchange: "XNAS",
+  },
+  {
+    symbol: "SOYL",
+    name: "Soylent Corp",
+    sector: "Food and Kindred Products",
+    exchange: "XNYS",
+  },
+];
+
+const FIRST_NAMES = [
+  "Alice",
+  "Brian",
+  "Carmen",
+  "David",
+  "Elena",
+  "Frank",
+  "Grace",
+  "Hiro",
+  "Irene",
+  "James",
+  "Kofi",
+  "Laura",
+  "Miguel",
+  "Nina",
+  "Omar",
+  "Priya",
+];
+const LAST_NAMES = [
+  "Anders",
+  "Baker",
+  "Chen",
+  "Dubois",
+  "Evans",
+  "Fischer",
+  "Garcia",
+  "Hughes",
+  "Ito",
+  "Jensen",
+  "Kim",
+  "Lopez",
+  "Moreau",
+  "Novak",
+  "Okafor",
+  "Patel",
+];
+
+// Form 4 codes with how often each appears outside a buying spree
+const CODE_WEIGHTS = [
+  ["S", 0.38],
+  ["P", 0.12],
+  ["M", 0.12],
+  ["F", 0.14],
+  ["A", 0.12],
+  ["G", 0.06],
+  ["D", 0.06],
+];
+
+/**
+ * Hash text to an unsigned 32-bit integer (FNV-1a).
+ * @param {string} text - Input text
+ * @returns {number} - Hash
+ */
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32). The same parts always
+ * give the same sequence, so every synthetic value is reproducible without
+ * depending on the order requests arrive in.
+ * @param {...*} parts - Seed parts, e.g. (seed, "prices", symbol)
+ * @returns {Function} - Returns the next number in [0, 1)
+ */
+function randomStream(...parts) {
+  let state = hashString(parts.join("|"));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw a normally distributed number (Box-Muller).
+ * @param {Function} random - Uniform generator from `randomStream`
+ * @returns {number} - Standard normal value
+ */
+function gaussian(random) {
+  const u = Math.max(random(), Number.EPSILON);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days.
+ */
+function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Check whether a YYYY-MM-DD date is a weekday (holidays are ignored).
+ */
+function isWeekday(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return day !== 0 && day !== 6;
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Deterministic market of fictional companies with insider trades, daily
+ * prices, quarterly/annual financial statements and reference data.
+ * Values depend only on the seed, the symbol and the date, so the same
+ * request always gets the same answer.
+ */
+class SyntheticMarket {
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.seed=1] - Changes every generated value
+   * @param {Function} [options.now=Date.now] - Clock; nothing after "today" is generated
+   */
+  constructor({ seed = 1, now = Date.now } = {}) {
+    this.seed = String(seed);
+    this.now = now;
+    this.series = new Map(); // Symbol -> { random, bars, last } price series built so far
+  }
+
+  today() {
+    return new Date(this.now()).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Reference data for a symbol; symbols outside the universe get a generic profile.
+   * @param {string} symbol - Ticker symbol
+   * @returns {Object} - `{ symbol, name, sector, exchange }`
+   */
+  company(symbol) {
+    return (
+      COMPANIES.find((company) => company.symbol === symbol) || {
+        symbol,
+        name: `${symbol} Holdings Inc`,
+        sector: "Miscellaneous Business Services",
+        exchange: "XNAS",
+      }
+    );
+  }
+
+  /**
+   * Per-company constants: share count, price level, volatility, revenue and margins.
+   */
+  traits(symbol) {
+    const random = randomStream(this.seed, "traits", symbol);
+    return {
+      shares: Math.round((100 + random() * 2900) * 1e6), // 100M-3B shares
+      startPrice: 15 + random() * 285,
+      drift: random() * 0.0004 - 0.00005, // Daily log drift
+      volatility: 0.008 + random() * 0.017, // Daily log volatility
+      volume: Math.round((0.5 + random() * 20) * 1e6),
+      revenue: (0.2 + random() * 12) * 1e9, // Quarterly revenue in 2015
+      growth: -0.005 + random() * 0.035, // Quarterly revenue growth
+      grossMargin: 0.25 + random() * 0.5,
+      operatingMargin: -0.05 + random() * 0.3,
+      assetTurnover: 0.4 + random() * 0.9, // Annual revenue / assets
+      leverage: 0.3 + random() * 0.45, // Liabilities / assets
+    };
+  }
+
+  /**
+   * Insiders of a company: four to six officers and directors.
+   * @param {string} symbol - Ticker symbol
+   * @returns {Array} - `{ name, holdings }` per insider
+   */
+  insiders(symbol) {
+    const random = randomStream(this.seed, "insiders", symbol);
+    const count = 4 + Math.floor(random() * 3);
+    const insiders = [];
+    while (insiders.length < count) {
+      const name = `${LAST_NAMES[Math.floor(random() * LAST_NAMES.length)]} ${
+        FIRST_NAMES[Math.floor(random() * FIRST_NAMES.length)]
+      }`;
+      if (!insiders.some((insider) => insider.name === name)) {
+        insiders.push({
+          name,
+          holdings: Math.round((20 + random() * 2000) * 1000),
+        });
+      }
+    }
+    return insiders;
+  }
+
+  /**
+   * Daily bars from the epoch up to a date, extending the cached series as needed.
+   * @param {string} symbol - Ticker symbol
+   * @param {string} until - Last date wanted (YYYY-MM-DD)
+   * @returns {Array} - Bars oldest first
+   */
+  bars(symbol, until) {
+    if (!this.series.has(symbol)) {
+      const traits = this.traits(symbol);
+      this.series.set(symbol, {
+        traits,
+        random: randomStream(this.seed, "prices", symbol),
+        bars: [],
+        next: EPOCH,
+        close: traits.startPrice,
+      });
+    }
+    const series = this.series.get(symbol);
+    const { traits, random } = series;
+
+    while (series.next <= until) {
+      const date = series.next;
+      series.next = shiftDate(date, 1);
+      if (!isWeekday(date)) {
+        continue;
+      }
+      const open =
+        series.close * (1 + gaussian(random) * traits.volatility * 0.2);
+      const close =
+        series.close *
+        Math.exp(traits.drift + gaussian(random) * traits.volatility);
+      const high =
+        Math.max(open, close) * (1 + random() * traits.volatility * 0.5);
+      const low =
+        Math.min(open, close) * (1 - random() * traits.volatility * 0.5);
+      const volume = Math.round(traits.volume * (0.5 + random()));
+      series.close = close;
+      series.bars.push({
+        date: `${date}T00:00:00.000Z`,
+        close: round2(close),
+        high: round2(high),
+        low: round2(low),
+        open: round2(open),
+        volume,
+        adjClose: round2(close),
+        adjHigh: round2(high),
+        adjLow: round2(low),
+        adjOpen: round2(open),
+        adjVolume: volume,
+        divCash: 0,
+        splitFactor: 1,
+      });
+    }
+    return series.bars.filter((bar) => bar.date.slice(0, 10) <= until);
+  }
+
+  /**
+   * Closing price on a trading day, or null on weekends and before the epoch.
+   */
+  closeOn(symbol, date) {
+    const bars = this.bars(symbol, date);
+    const last = bars[bars.length - 1];
+    return last && last.date.startsWith(date) ? last.close : null;
+  }
+
+  /**
+   * Tiingo daily prices. Without dates Tiingo answers with the latest bar only.
+   * @param {string} symbol - Ticker symbol
+   * @param {Object} [range] - `{ startDate, endDate }`
+   * @returns {Array} - Tiingo price objects, oldest first
+   */
+  prices(symbol, { startDate, endDate } = {}) {
+    const today = this.today();
+    const end = endDate && endDate < today ? endDate : today;
+    const bars = this.bars(symbol, end);
+    if (!startDate) {
+      return bars.slice(-1);
+    }
+    return bars.filter((bar) => bar.date.slice(0, 10) >= startDate);
+  }
+
+  /**
+   * Insider trades of one company on one day. Companies occasionally go
+   * through a "buying spree" week in which several insiders buy, so cluster
+   * buys show up in the data.
+   * @param {string} symbol - Ticker symbol
+   * @param {string} date - Transaction date (YYYY-MM-DD)
+   * @returns {Array} - Finnhub-style insider transactions
+   */
+  tradesOn(symbol, date) {
+    const close = isWeekday(date) ? this.closeOn(symbol, date) : null;
+    if (close === null) {
+      return [];
+    }
+    const week = Math.floor(Date.parse(`${date}T00:00:00Z`) / (7 * DAY_MS));
+    const spree = randomStream(this.seed, "spree", symbol, week)() < 0.03;
+    const random = randomStream(this.seed, "trades", symbol, date);
+    const count =
+      random() < (spree ? 0.55 : 0.07) ? 1 + Math.floor(random() * 2) : 0;
+
+    const insiders = this.insiders(symbol);
+    const trades = [];
+    for (let i = 0; i < count; i += 1) {
+      const insider = insiders[Math.floor(random() * insiders.length)];
+      const code = spree ? "P" : pickCode(random());
+      const shares = Math.round((200 + random() ** 2 * 60000) / 10) * 10;
+      const disposal = ["S", "F", "G", "D"].includes(code);
+      const change = disposal ? -shares : shares;
+      const price = {
+        P: round2(close * (0.98 + random() * 0.04)),
+        S: round2(close * (0.98 + random() * 0.04)),
+        M: round2(close * (0.35 + random() * 0.4)), // Option strike
+        F: close,
+        D: close,
+        A: 0,
+        G: 0,
+      }[code];
+      const filingDate = shiftDate(date, 1 + Math.floor(random() * 3));
+
+      trades.push({
+        name: insider.name,
+        share: Math.max(0, insider.holdings + change),
+        change,
+        filingDate,
+        transactionDate: date,
+        transactionCode: code,
+        transactionPrice: price,
+        currency: "USD",
+        isDerivative: false,
+        symbol,
+        id: `synthetic-${symbol}-${date}-${i}`,
+      });
+    }
+    return trades;
+  }
+
+  /**
+   * Finnhub insider transactions: filed by today, newest first, capped like Finnhub.
+   * @param {Object} [query] - `{ symbol, from, to, limit }`
+   * @returns {Object} - `{ data, symbol }`
+   */
+  insiderTransactions({ symbol, from, to, limit } = {}) {
+    const today = this.today();
+    const end = to && to < today ? to : today;
+    const start = from || shiftDate(end, -30);
+    const symbols = symbol
+      ? [String(symbol).toUpperCase()]
+      : COMPANIES.map((company) => company.symbol);
+
+    const trades = [];
+    for (let date = start; date <= end; date = shiftDate(date, 1)) {
+      symbols.forEach((ticker) => {
+        trades.push(
+          ...this.tradesOn(ticker, date).filter(
+            (trade) => trade.filingDate <= today
+          )
+        );
+      });
+    }
+    trades.sort((a, b) => b.transactionDate.localeCompare(a.transactionDate));
+    return {
+      data: trades.slice(0, Number(limit) || MAX_FINNHUB_ROWS),
+      symbol: symbol || "",
+    };
+  }
+
+  /**
+   * One quarter of financial statements (flows for the quarter, balances at its end).
+   * @param {string} symbol - Ticker symbol
+   * @param {number} index - Quarters since Q1 2015
+   * @returns {Object} - Raw figures
+   */
+  quarter(symbol, index) {
+    const traits = this.traits(symbol);
+    const random = randomStream(this.seed, "quarter", symbol, index);
+    const fiscalQuarter = (index % 4) + 1;
+    const seasonality = fiscalQuarter === 4 ? 1.08 : 1;
+
+    const revenues =
+      traits.revenue *
+      (1 + traits.growth) ** index *
+      seasonality *
+      (1 + gaussian(random) * 0.04);
+    const grossProfit =
+      revenues * (traits.grossMargin + gaussian(random) * 0.02);
+    const operatingIncome =
+      revenues * (traits.operatingMargin + gaussian(random) * 0.03);
+    const netIncome = operatingIncome * (operatingIncome > 0 ? 0.79 : 1);
+    const assets = (revenues * 4) / traits.assetTurnover;
+    const liabilities = assets * (traits.leverage + gaussian(random) * 0.02);
+    const operatingCashFlow = netIncome * 1.15 + revenues * 0.03;
+    const capitalExpenditure = revenues * (0.03 + random() * 0.04);
+    const shares = traits.shares * (1 - index * 0.001); // Slow buybacks
+
+    return {
+      revenues,
+      costOfRevenue: revenues - grossProfit,
+      grossProfit,
+      operatingExpenses: grossProfit - operatingIncome,
+      operatingIncome,
+      netIncome,
+      shares,
+      assets,
+      currentAssets: assets * 0.35,
+      liabilities,
+      currentLiabilities: liabilities * 0.4,
+      longTermDebt: liabilities * 0.35,
+      equity: assets - liabilities,
+      operatingCashFlow,
+      investingCashFlow: -capitalExpenditure,
+      financingCashFlow: -Math.max(0, netIncome) * 0.4,
+    };
+  }
+
+  /**
+   * Polygon financials results for a symbol, newest first.
+   * @param {Object} query - `{ ticker, timeframe, limit }`
+   * @returns {Object} - `{ results, status, count }`
+   */
+  financials({ ticker, timeframe, limit } = {}) {
+    const symbol = String(ticker || "").toUpperCase();
+    const company = this.company(symbol);
+    const today = this.today();
+    const annual = timeframe === "annual";
+
+    const filings = [];
+    for (let index = 0; ; index += 1) {
+      const year = 2015 + Math.floor(index / 4);
+      const fiscalQuarter = (index % 4) + 1;
+      const endDate = new Date(Date.UTC(year, fiscalQuarter * 3, 0))
+        .toISOString()
+        .slice(0, 10);
+      const startDate = `${year}-${String(fiscalQuarter * 3 - 2).padStart(
+        2,
+        "0"
+      )}-01`;
+      if (endDate > today) {
+        break;
+      }
+
+      if (!annual) {
+        filings.push(
+          polygonFiling(company, this.quarter(symbol, index), {
+            startDate,
+            endDate,
+            filingDate: shiftDate(endDate, 35),
+            fiscalPeriod: `Q${fiscalQuarter}`,
+            fiscalYear: year,
+            timeframe: "quarterly",
+          })
+        );
+      } else if (fiscalQuarter === 4) {
+        const quarters = [3, 2, 1, 0].map((back) =>
+          this.quarter(symbol, index - back)
+        );
+        const figures = { ...quarters[3] }; // Balances at year end
+        FLOW_FIELDS.forEach((field) => {
+          figures[field] = quarters.reduce((sum, q) => sum + q[field], 0);
+        });
+        filings.push(
+          polygonFiling(company, figures, {
+            startDate: `${year}-01-01`,
+            endDate,
+            filingDate: shiftDate(endDate, 60),
+            fiscalPeriod: "FY",
+            fiscalYear: year,
+            timeframe: "annual",
+          })
+        );
+      }
+    }
+
+    const results = filings
+      .filter((filing) => filing.filing_date <= today)
+      .reverse()
+      .slice(0, Math.min(Number(limit) || 10, 100));
+    return { results, status: "OK", count: results.length };
+  }
+
+  /**
+   * Polygon ticker details.
+   * @param {string} symbol - Ticker symbol
+   * @returns {Object} - `{ results, status }`
+   */
+  tickerDetails(symbol) {
+    const company = this.company(symbol);
+    const traits = this.traits(symbol);
+    const latest = this.prices(symbol)[0];
+    return {
+      status: "OK",
+      results: {
+        ticker: symbol,
+        name: company.name,
+        market: "stocks",
+        locale: "us",
+        primary_exchange: company.exchange,
+        type: "CS",
+        active: true,
+        currency_name: "usd",
+        sic_description: company.sector,
+        market_cap: latest ? Math.round(latest.close * traits.shares) : null,
+        share_class_shares_outstanding: traits.shares,
+        weighted_shares_outstanding: traits.shares,
+        description: `${company.name} is a fictional company from the synthetic data set.`,
+      },
+    };
+  }
+}
+
+// Income and cash flow figures summed over the quarters of a fiscal year
+const FLOW_FIELDS = [
+  "revenues",
+  "costOfRevenue",
+  "grossProfit",
+  "operatingExpenses",
+  "operatingIncome",
+  "netIncome",
+  "operatingCashFlow",
+  "investingCashFlow",
+  "financingCashFlow",
+];
+
+/**
+ * Pick a transaction code from CODE_WEIGHTS.
+ * @param {number} value - Uniform number in [0, 1)
+ * @returns {string} - Form 4 code
+ */
+function pickCode(value) {
+  let total = 0;
+  for (const [code, weight] of CODE_WEIGHTS) {
+    total += weight;
+    if (value < total) {
+      return code;
+    }
+  }
+  return "S";
+}
+
+/**
+ * Lay out figures the way Polygon's financials endpoint does.
+ * @param {Object} company - `{ symbol, name }`
+ * @param {Object} figures - Raw figures from `SyntheticMarket.quarter`
+ * @param {Object} period - Dates, fiscal period and timeframe
+ * @returns {Object} - Polygon financials result
+ */
+function polygonFiling(company, figures, period) {
+  const usd = (value, label, order) => ({
+    value: Math.round(value),
+    unit: "USD",
+    label,
+    order,
+  });
+  const eps = figures.netIncome / figures.shares;
+
+  return {
+    start_date: period.startDate,
+    end_date: period.endDate,
+    filing_date: period.filingDate,
+    timeframe: period.timeframe,
+    fiscal_period: period.fiscalPeriod,
+    fiscal_year: String(period.fiscalYear),
+    company_name: company.name,
+    tickers: [company.symbol],
+    source_filing_url: null,
+    financials: {
+      income_statement: {
+        revenues: usd(figures.revenues, "Revenues", 100),
+        cost_of_revenue: usd(figures.costOfRevenue, "Cost Of Revenue", 300),
+        gross_profit: usd(figures.grossProfit, "Gross Profit", 800),
+        operating_expenses: usd(
+          figures.operatingExpenses,
+          "Operating Expenses",
+          1000
+        ),
+        operating_income_loss: usd(
+          figures.operatingIncome,
+          "Operating Income/Loss",
+          1100
+        ),
+        net_income_loss: usd(figures.netIncome, "Net Income/Loss", 3200),
+        basic_earnings_per_share: {
+          value: round2(eps),
+          unit: "USD / shares",
+          label: "Basic Earnings Per Share",
+          order: 4200,
+        },
+        diluted_earnings_per_share: {
+          value: round2(eps * 0.99),
+          unit: "USD / shares",
+          label: "Diluted Earnings Per Share",
+          order: 4300,
+        },
+        basic_average_shares: {
+          value: Math.round(figures.shares),
+          unit: "shares",
+          label: "Basic Average Shares",
+          order: 4400,
+        },
+      },
+      balance_sheet: {
+        assets: usd(figures.assets, "Assets", 100),
+        current_assets: usd(figures.currentAssets, "Current Assets", 200),
+        noncurrent_assets: usd(
+          figures.assets - figures.currentAssets,
+          "Noncurrent Assets",
+          300
+        ),
+        liabilities: usd(figures.liabilities, "Liabilities", 600),
+        current_liabilities: usd(
+          figures.currentLiabilities,
+          "Current Liabilities",
+          700
+        ),
+        noncurrent_liabilities: usd(
+          figures.liabilities - figures.currentLiabilities,
+          "Noncurrent Liabilities",
+          800
+        ),
+        long_term_debt: usd(figures.longTermDebt, "Long-term Debt", 810),
+        equity: usd(figures.equity, "Equity", 1400),
+        equity_attributable_to_parent: usd(
+          figures.equity,
+          "Equity Attributable To Parent",
+          1600
+        ),
+        liabilities_and_equity: usd(
+          figures.assets,
+          "Liabilities And Equity",
+          1900
+        ),
+      },
+      cash_flow_statement: {
+        net_cash_flow_from_operating_activities: usd(
+          figures.operatingCashFlow,
+          "Net Cash Flow From Operating Activities",
+          100
+        ),
+        net_cash_flow_from_investing_activities: usd(
+          figures.investingCashFlow,
+          "Net Cash Flow From Investing Activities",
+          400
+        ),
+        net_cash_flow_from_financing_activities: usd(
+          figures.financingCashFlow,
+          "Net Cash Flow From Financing Activities",
+          700
+        ),
+        net_cash_flow: usd(
+          figures.operatingCashFlow +
+            figures.investingCashFlow +
+            figures.financingCashFlow,
+          "Net Cash Flow",
+          1100
+        ),
+      },
+    },
+  };
+}
+
+/**
+ * HTTP client that answers Finnhub, Tiingo and Polygon requests from a
+ * `SyntheticMarket` instead of the network. Other URLs fail with a 404.
+ */
+class SyntheticHttp {
+  /**
+   * @param {Object} [options] - Options for `SyntheticMarket` (`seed`, `now`)
+   */
+  constructor(options = {}) {
+    this.market = new SyntheticMarket(options);
+    this.rateLimited = false; // Never reaches the network, so skip upstream rate limits
+  }
+
+  async get(url, config = {}) {
+    const { host, pathname } = new URL(url);
+    const params = config.params || {};
+    const segments = pathname
+      .split("/")
+      .filter(Boolean)
+      .map(decodeURIComponent);
+    let data;
+
+    if (
+      host === "finnhub.io" &&
+      pathname === "/api/v1/stock/insider-transactions"
+    ) {
+      data = this.market.insiderTransactions(params);
+    } else if (
+      host === "api.tiingo.com" &&
+      segments[0] === "tiingo" &&
+      segments[1] === "daily" &&
+      segments[3] === "prices"
+    ) {
+      data = this.market.prices(segments[2].toUpperCase(), params);
+    } else if (
+      host === "api.polygon.io" &&
+      pathname === "/vX/reference/financials"
+    ) {
+      data = this.market.financials(params);
+    } else if (
+      host === "api.polygon.io" &&
+      segments[0] === "v3" &&
+      segments[1] === "reference" &&
+      segments[2] === "tickers" &&
+      segments[3]
+    ) {
+      data = this.market.tickerDetails(segments[3].toUpperCase());
+    } else {
+      throw httpError(`No synthetic data for GET ${url}.`);
+    }
+    return { status: 200, data };
+  }
+}
+
+module.exports = {
+  COMPANIES,
+  randomStream,
+  SyntheticMarket,
+  SyntheticHttp,
+};
@@ -0,0 +1,47 @@
+/**
+ * Freshness of the insider trade feed, from the run history of the job
+ * that fetches it.
+ * @param {Object} job - The "fetch-trades" Job (its `staleAfterMs` is the threshold)
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Object} - `{ lastSuccessAt, lastRunAt, lastError, ageSeconds, staleAfterSeconds, stale }`; age is null before the first success
+ */
+function feedStatus(job, now = Date.now()) {
+  const { lastSuccessAt, lastRunAt, lastError } = job.state;
+  const ageSeconds = lastSuccessAt
+    ? Math.max(0, Math.round((now - Date.parse(lastSuccessAt)) / 1000))
+    : null;
+  return {
+    lastSuccessAt,
+    lastRunAt,
+    lastError,
+    ageSeconds,
+    staleAfterSeconds: job.staleAfterMs ? job.staleAfterMs / 1000 : null,
+    stale: job.status(now).stale,
+  };
+}
+
+/**
+ * Health report for "/healthz" and "/readyz". The app is "degraded" while
+ * the feed is older than its threshold: it keeps serving the stored trades,
+ * but they may be missing recent filings. It is ready once it has trades
+ * to serve, stored from an earlier run or fetched since starting.
+ * @param {Object} deps
+ * @param {Object} deps.job - The "fetch-trades" Job
+ * @param {Object} deps.tradeStore - TradeStore with the insider trades
+ * @param {string} deps.provider - Name of the insider trade provider
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Object} - `{ status, ready, checks: { feed, trades } }`
+ */
+function healthReport({ job, tradeStore, provider }, now = Date.now()) {
+  const feed = { provider, ...feedStatus(job, now) };
+  return {
+    status: feed.stale ? "degraded" : "ok",
+    ready: tradeStore.size > 0 || feed.lastSuccessAt !== null,
+    checks: {
+      feed,
+      trades: { stored: tradeStore.size },
+    },
+  };
+}
+
+module.exports = { feedStatus, healthReport };
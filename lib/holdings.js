@@ -0,0 +1,344 @@
+const { UserError } = require("./users");
+const { insiderSignals } = require("./scoring");
+const { safeRatio } = require("./financials");
+
+const SENTIMENT_WINDOWS = [30, 90]; // Days of insider activity summarized per holding
+const MAX_IMPORT_ROWS = 1000; // Largest CSV accepted in one import
+const MAX_REPORTED_ERRORS = 5; // Bad CSV lines listed in the error message
+
+// Accepted CSV header names per field, compared lower-cased without spaces or punctuation
+const CSV_HEADERS = {
+  symbol: ["symbol", "ticker"],
+  quantity: ["quantity", "qty", "shares"],
+  costBasis: [
+    "costbasis",
+    "cost",
+    "averagecost",
+    "avgcost",
+    "costpershare",
+    "price",
+  ],
+};
+
+/**
+ * Read a number that may be written with a currency sign or thousands
+ * separators, as spreadsheets export them.
+ * @param {*} value - Raw value
+ * @returns {number} - The number, or NaN
+ */
+function toNumber(value) {
+  if (typeof value === "number") {
+    return value;
+  }
+  const text = String(value ?? "").replace(/[$,\s]/g, "");
+  return text === "" ? NaN : Number(text);
+}
+
+/**
+ * Validate a holding (one position in the user's portfolio).
+ * @param {Object} input - `{ symbol, quantity, costBasis }`; costBasis is the average cost per share
+ * @returns {Object} - Normalized holding fields
+ * @throws {UserError} - When a field is missing or invalid
+ */
+function validateHolding(input) {
+  const symbol = String((input && input.symbol) || "")
+    .trim()
+    .toUpperCase();
+  if (!/^[A-Z][A-Z.-]{0,9}$/.test(symbol)) {
+    throw new UserError('Holding "symbol" must be a ticker symbol.');
+  }
+  const quantity = toNumber(input.quantity);
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    throw new UserError('Holding "quantity" must be a positive number.');
+  }
+  let costBasis = null; // Unknown cost: the position is shown without P&L
+  if (
+    input.costBasis !== undefined &&
+    input.costBasis !== null &&
+    input.costBasis !== ""
+  ) {
+    costBasis = toNumber(input.costBasis);
+    if (!Number.isFinite(costBasis) || costBasis < 0) {
+      throw new UserError(
+        'Holding "costBasis" must be a cost per share of 0 or more.'
+      );
+    }
+  }
+  return { symbol, quantity, costBasis };
+}
+
+/**
+ * Split one CSV line into fields, honoring double-quoted fields.
+ * @param {string} line - CSV line
+ * @returns {string[]} - Field values
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((value) => value.trim());
+}
+
+/**
+ * Parse a holdings CSV with a header row naming the symbol, quantity and
+ * cost basis columns (see CSV_HEADERS; other columns are ignored).
+ * Several lots of the same symbol are combined at their weighted average cost.
+ * @param {string} text - CSV text
+ * @returns {Array} - Holdings from `validateHolding`, one per symbol
+ * @throws {UserError} - Listing the first bad lines; nothing is imported then
+ */
+function parseHoldingsCsv(text) {
+  const lines = String(text || "")
+    .replace(/^\uFEFF/, "") // Byte order mark from spreadsheet exports
+    .split(/\r?\n/)
+    .map((line, index) => ({ number: index + 1, fields: splitCsvLine(line) }))
+    .filter((line) => line.fields.some(Boolean));
+  if (!lines.length) {
+    throw new UserError("The holdings CSV is empty.");
+  }
+  if (lines.length - 1 > MAX_IMPORT_ROWS) {
+    throw new UserError(
+      `The holdings CSV has more than ${MAX_IMPORT_ROWS} positions.`
+    );
+  }
+
+  const header = lines[0].fields.map((name) =>
+    name.toLowerCase().replace(/[^a-z]/g, "")
+  );
+  const columns = {};
+  Object.entries(CSV_HEADERS).forEach(([field, names]) => {
+    columns[field] = header.findIndex((name) => names.includes(name));
+  });
+  if (columns.symbol === -1 || columns.quantity === -1) {
+    throw new UserError(
+      'The holdings CSV needs a header row with "symbol" and "quantity" columns (and optionally "costBasis").'
+    );
+  }
+
+  const errors = [];
+  const bySymbol = new Map();
+  lines.slice(1).forEach(({ number, fields }) => {
+    let holding;
+    try {
+      holding = validateHolding({
+        symbol: fields[columns.symbol],
+        quantity: fields[columns.quantity],
+        costBasis: columns.costBasis === -1 ? null : fields[columns.costBasis],
+      });
+    } catch (error) {
+      errors.push(`line ${number}: ${error.message}`);
+      return;
+    }
+
+    const lot = bySymbol.get(holding.symbol);
+    if (!lot) {
+      bySymbol.set(holding.symbol, holding);
+      return;
+    }
+    const quantity = lot.quantity + holding.quantity;
+    lot.costBasis =
+      lot.costBasis === null || holding.costBasis === null
+        ? null // One lot without a cost leaves the combined cost unknown
+        : (lot.costBasis * lot.quantity +
+            holding.costBasis * holding.quantity) /
+          quantity;
+    lot.quantity = quantity;
+  });
+
+  if (errors.length) {
+    const more =
+      errors.length > MAX_REPORTED_ERRORS
+        ? ` (and ${errors.length - MAX_REPORTED_ERRORS} more)`
+        : "";
+    throw new UserError(
+      `Invalid holdings CSV: ${errors
+        .slice(0, MAX_REPORTED_ERRORS)
+        .join("; ")}${more}.`
+    );
+  }
+  return Array.from(bySymbol.values());
+}
+
+/**
+ * Merge imported positions into the user's holdings. A symbol already held
+ * takes the imported quantity and cost; with `replace`, symbols missing from
+ * the import are dropped.
+ * @param {Array} existing - The user's current holdings
+ * @param {Array} imported - Holdings from `parseHoldingsCsv`
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Replace the whole portfolio
+ * @param {string} [options.now] - Update timestamp (ISO)
+ * @returns {Object} - `{ holdings, added, updated, removed }`; new holdings have no id yet
+ */
+function mergeHoldings(
+  existing,
+  imported,
+  { replace = false, now = new Date().toISOString() } = {}
+) {
+  const incoming = new Map(
+    imported.map((holding) => [holding.symbol, holding])
+  );
+  const kept = existing
+    .filter((holding) => !replace || incoming.has(holding.symbol))
+    .map((holding) =>
+      incoming.has(holding.symbol)
+        ? { ...holding, ...incoming.get(holding.symbol), updatedAt: now }
+        : holding
+    );
+  const held = new Set(existing.map((holding) => holding.symbol));
+  const added = imported.filter((holding) => !held.has(holding.symbol));
+
+  return {
+    holdings: [...kept, ...added],
+    added: added.length,
+    updated: imported.length - added.length,
+    removed: existing.length - kept.length,
+  };
+}
+
+/**
+ * Net insider buying or selling in a held symbol over each sentiment window.
+ * Only open-market purchases and sales count, as in the recommendation score.
+ * @param {Array} trades - Stored insider trades
+ * @param {string} symbol - Stock ticker symbol
+ * @param {number} [now=Date.now()] - Reference timestamp
+ * @returns {Array} - `{ days, netValue, buyers, sellers, clusterSize, signal }` per window
+ */
+function insiderSentiment(trades, symbol, now = Date.now()) {
+  return SENTIMENT_WINDOWS.map((days) => {
+    const signals = insiderSignals(trades, symbol, { days, now });
+    let signal = "neutral";
+    if (signals.netInsiderValue > 0) {
+      signal = "buying";
+    } else if (signals.netInsiderValue < 0) {
+      signal = "selling";
+    }
+    return {
+      days,
+      netValue: signals.netInsiderValue,
+      buyers: signals.insiderBuyers,
+      sellers: signals.insiderSellers,
+      clusterSize: signals.clusterSize,
+      signal,
+    };
+  });
+}
+
+/**
+ * Values a user's holdings at the latest Tiingo close and sets them against
+ * recent insider activity in each name.
+ */
+class PortfolioService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.priceService - PriceService for the latest closes
+   * @param {Object} deps.tradeStore - TradeStore with the insider trades
+   */
+  constructor({ priceService, tradeStore }) {
+    this.priceService = priceService;
+    this.tradeStore = tradeStore;
+  }
+
+  /**
+   * Summarize a portfolio. A symbol whose price cannot be loaded is listed
+   * without market value or P&L instead of failing the whole summary.
+   * @param {Array} holdings - The user's holdings
+   * @param {number} [now=Date.now()] - Reference timestamp for the sentiment windows
+   * @returns {Promise<Object>} - `{ positions, totals }`
+   */
+  async summary(holdings, now = Date.now()) {
+    const bars = await Promise.all(
+      holdings.map((holding) =>
+        this.priceService.latest(holding.symbol).catch((error) => {
+          console.error(
+            `Error loading the price of ${holding.symbol}:`,
+            error.message
+          );
+          return null;
+        })
+      )
+    );
+    const trades = this.tradeStore.all();
+
+    const positions = holdings.map((holding, index) => {
+      const bar = bars[index];
+      const price = bar ? bar.close : null;
+      const marketValue = price !== null ? price * holding.quantity : null;
+      const costValue =
+        holding.costBasis !== null
+          ? holding.costBasis * holding.quantity
+          : null;
+      const unrealizedPnl =
+        marketValue !== null && costValue !== null
+          ? marketValue - costValue
+          : null;
+      return {
+        ...holding,
+        price,
+        priceDate: bar ? bar.date : null,
+        marketValue,
+        costValue,
+        unrealizedPnl,
+        unrealizedPnlPercent: safeRatio(unrealizedPnl, costValue, 100),
+        sentiment: insiderSentiment(trades, holding.symbol, now),
+      };
+    });
+
+    // Totals cover the positions with both a price and a cost
+    const valued = positions.filter(
+      (position) => position.unrealizedPnl !== null
+    );
+    const sum = (list, field) =>
+      list.reduce((total, position) => total + position[field], 0);
+    const unrealizedPnl = sum(valued, "unrealizedPnl");
+    return {
+      positions,
+      totals: {
+        marketValue: sum(
+          positions.filter((position) => position.marketValue !== null),
+          "marketValue"
+        ),
+        costValue: sum(valued, "costValue"),
+        unrealizedPnl,
+        unrealizedPnlPercent: safeRatio(
+          unrealizedPnl,
+          sum(valued, "costValue"),
+          100
+        ),
+        unpriced: positions
+          .filter((position) => position.price === null)
+          .map((position) => position.symbol),
+      },
+    };
+  }
+}
+
+module.exports = {
+  SENTIMENT_WINDOWS,
+  validateHolding,
+  parseHoldingsCsv,
+  mergeHoldings,
+  insiderSentiment,
+  PortfolioService,
+};
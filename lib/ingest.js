@@ -0,0 +1,118 @@
+const { retry } = require("./jobs");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Helper function to determine if a symbol is US-based.
+ * US-based stock tickers typically consist of uppercase letters without exchange suffixes.
+ * @param {string} symbol - Stock ticker symbol
+ * @returns {boolean} - True if the symbol matches the US equity format
+ */
+function isUsEquity(symbol) {
+  return /^[A-Z]+$/.test(symbol); // Matches only uppercase letters
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days.
+ * @param {string} date - Date string
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - Shifted date string
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Split an inclusive date range into consecutive chunks.
+ * Providers cap the rows per request, so long ranges are fetched piecewise.
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {number} days - Days per chunk
+ * @returns {Array} - `{ from, to }` per chunk, oldest first
+ */
+function dateChunks(from, to, days) {
+  const chunks = [];
+  for (let start = from; start <= to; start = addDays(start, days)) {
+    const end = addDays(start, days - 1);
+    chunks.push({ from: start, to: end < to ? end : to });
+  }
+  return chunks;
+}
+
+/**
+ * Fetch insider trades for a date range and store the US equities among them.
+ * @param {Object} provider - Insider trade provider (see lib/providers)
+ * @param {Object} tradeStore - TradeStore to upsert into
+ * @param {Object} [range] - `{ from, to }` transaction dates (YYYY-MM-DD)
+ * @returns {Promise<Object>} - `{ fetched, inserted, updated }` with the new and changed records
+ */
+async function ingestTrades(provider, tradeStore, range = {}) {
+  // Ask the provider for insider transactions in the internal trade schema
+  const response = await provider.fetchTrades(range);
+
+  // Filter the response to include only US-based stock symbols
+  const trades = response.filter((trade) => isUsEquity(trade.symbol));
+
+  // Upsert into the store; trades already seen are deduplicated by key
+  const { inserted, updated } = await tradeStore.upsert(trades);
+  return { fetched: response.length, inserted, updated };
+}
+
+/**
+ * Load a historical date range chunk by chunk, retrying each chunk with
+ * exponential backoff so one failed request does not restart the whole range.
+ * @param {Object} provider - Insider trade provider
+ * @param {Object} tradeStore - TradeStore to upsert into
+ * @param {Object} options
+ * @param {string} options.from - First transaction date (YYYY-MM-DD)
+ * @param {string} options.to - Last transaction date (YYYY-MM-DD)
+ * @param {number} [options.chunkDays=7] - Days fetched per request
+ * @param {Object} [options.retryOptions] - Options for `retry` (retries, baseDelayMs, ...)
+ * @param {Function} [options.onProgress] - Called with the running totals after each chunk
+ * @returns {Promise<Object>} - `{ from, to, chunks, fetched, inserted, updated }` totals
+ */
+async function backfillTrades(
+  provider,
+  tradeStore,
+  { from, to, chunkDays = 7, retryOptions = {}, onProgress = () => {} }
+) {
+  const chunks = dateChunks(from, to, chunkDays);
+  const totals = {
+    from,
+    to,
+    chunks: chunks.length,
+    completedChunks: 0,
+    fetched: 0,
+    inserted: 0,
+    updated: 0,
+  };
+
+  for (const chunk of chunks) {
+    const result = await retry(
+      () => ingestTrades(provider, tradeStore, chunk),
+      {
+        ...retryOptions,
+        onRetry: (error, attempt, delayMs) =>
+          console.error(
+            `Backfill ${chunk.from}..${chunk.to} failed (${error.message}); retry ${attempt} in ${delayMs}ms.`
+          ),
+      }
+    );
+    totals.completedChunks += 1;
+    totals.fetched += result.fetched;
+    totals.inserted += result.inserted.length;
+    totals.updated += result.updated.length;
+    onProgress({ ...totals, lastChunk: chunk });
+  }
+  return totals;
+}
+
+module.exports = {
+  isUsEquity,
+  addDays,
+  dateChunks,
+  ingestTrades,
+  backfillTrades,
+};
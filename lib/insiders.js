@@ -0,0 +1,132 @@
+const { tradeValue } = require("./trades");
+
+/**
+ * Order trades by transaction date, then filing date, oldest first.
+ */
+function byDate(a, b) {
+  return (
+    String(a.transactionDate || "").localeCompare(
+      String(b.transactionDate || "")
+    ) || String(a.filingDate || "").localeCompare(String(b.filingDate || ""))
+  );
+}
+
+/**
+ * Summarize one insider's trading in a single company.
+ * @param {string} symbol - Stock ticker symbol
+ * @param {Array} trades - The insider's trades in that company, oldest first
+ * @returns {Object} - Net shares, purchase/sale totals, holdings and trend series
+ */
+function summarizeCompany(symbol, trades) {
+  const purchases = trades.filter((trade) => trade.transactionCode === "P");
+  const sales = trades.filter((trade) => trade.transactionCode === "S");
+  const sharesBought = purchases.reduce(
+    (sum, trade) => sum + Math.abs(Number(trade.change) || 0),
+    0
+  );
+  const valueBought = purchases.reduce(
+    (sum, trade) => sum + (tradeValue(trade) ?? 0),
+    0
+  );
+
+  // Running net shares changed and reported holdings after each trade
+  let netShares = 0;
+  const timeline = trades.map((trade) => {
+    netShares += Number(trade.change) || 0;
+    return {
+      date: trade.transactionDate,
+      change: Number(trade.change) || 0,
+      netShares,
+      share: trade.share ?? null, // Holdings after the trade, as reported in the filing
+    };
+  });
+
+  // Trend of reported holdings: compare the first and last reported values
+  const reported = timeline.filter((point) => point.share !== null);
+  const first = reported[0]?.share;
+  const last = reported[reported.length - 1]?.share;
+  let holdingsTrend = "unknown";
+  if (reported.length >= 2) {
+    holdingsTrend =
+      last > first ? "increasing" : last < first ? "decreasing" : "flat";
+  } else if (reported.length === 1) {
+    holdingsTrend = "flat";
+  }
+
+  return {
+    symbol,
+    trades: trades.length,
+    firstTradeDate: trades[0].transactionDate,
+    lastTradeDate: trades[trades.length - 1].transactionDate,
+    netShares,
+    sharesBought,
+    sharesSold: sales.reduce(
+      (sum, trade) => sum + Math.abs(Number(trade.change) || 0),
+      0
+    ),
+    valueBought,
+    valueSold: sales.reduce((sum, trade) => sum + (tradeValue(trade) ?? 0), 0),
+    averagePurchasePrice: sharesBought ? valueBought / sharesBought : null, // Share-weighted
+    currentHoldings: last ?? null,
+    holdingsTrend,
+    timeline,
+  };
+}
+
+/**
+ * Build an insider's profile from the stored trades.
+ * Names are matched case-insensitively and ignoring extra whitespace,
+ * since providers format them as "LAST FIRST" with varying spacing.
+ *
+ * @param {Array} trades - Stored insider trades
+ * @param {string} name - Insider name
+ * @returns {Object|null} - Profile with per-company summaries, or null when the insider has no trades
+ */
+function buildInsiderProfile(trades, name) {
+  const normalize = (value) =>
+    String(value || "")
+      .trim()
+      .replace(/\s+/g, " ")
+      .toLowerCase();
+  const target = normalize(name);
+  const own = trades
+    .filter((trade) => normalize(trade.name) === target)
+    .sort(byDate);
+  if (!own.length) {
+    return null;
+  }
+
+  const bySymbol = new Map();
+  own.forEach((trade) => {
+    if (!bySymbol.has(trade.symbol)) {
+      bySymbol.set(trade.symbol, []);
+    }
+    bySymbol.get(trade.symbol).push(trade);
+  });
+
+  const companies = Array.from(bySymbol.entries())
+    .map(([symbol, symbolTrades]) => summarizeCompany(symbol, symbolTrades))
+    .sort((a, b) =>
+      String(b.lastTradeDate).localeCompare(String(a.lastTradeDate))
+    );
+
+  return {
+    name: own[own.length - 1].name, // Spelling from the most recent filing
+    totals: {
+      trades: own.length,
+      companies: companies.length,
+      netShares: companies.reduce((sum, company) => sum + company.netShares, 0),
+      valueBought: companies.reduce(
+        (sum, company) => sum + company.valueBought,
+        0
+      ),
+      valueSold: companies.reduce((sum, company) => sum + company.valueSold, 0),
+    },
+    firstTradeDate: own[0].transactionDate,
+    lastTradeDate: own[own.length - 1].transactionDate,
+    companies,
+    trades: own.slice().reverse(), // Newest first for display
+  };
+}
+
+module.exports = { buildInsiderProfile };
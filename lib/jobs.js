@@ -0,0 +1,330 @@
+const cron = require("node-cron"); // Scheduler for running tasks periodically
+const { parseExpression } = require("cron-parser"); // Predicts the next run of a cron pattern
+const path = require("path"); // Path helpers for the job state file
+const crypto = require("crypto"); // Run ids
+const { readJson, writeJson } = require("./json-file");
+const { withContext } = require("./logger");
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Error thrown when a job is triggered while it is still running.
+ * Carries an HTTP status for API responses.
+ */
+class JobBusyError extends Error {
+  constructor(name) {
+    super(`Job "${name}" is already running.`);
+    this.name = "JobBusyError";
+    this.status = 409;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Call a function until it succeeds, waiting twice as long after each failure.
+ * @param {Function} fn - Async function receiving the attempt number (0-based)
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=5000] - Wait before the first retry
+ * @param {number} [options.maxDelayMs=300000] - Longest wait between attempts
+ * @param {Function} [options.onRetry] - Called with `(error, attempt, delayMs)` before each wait
+ * @param {Function} [options.wait=sleep] - Delay function, replaceable in tests
+ * @returns {Promise<*>} - The function's result
+ * @throws {Error} - The last error once every attempt has failed
+ */
+async function retry(
+  fn,
+  {
+    retries = 3,
+    baseDelayMs = 5000,
+    maxDelayMs = 5 * MINUTE_MS,
+    onRetry = () => {},
+    wait = sleep,
+  } = {}
+) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+      const delayMs = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+      onRetry(error, attempt + 1, delayMs);
+      await wait(delayMs);
+    }
+  }
+}
+
+/**
+ * Predict the next time a cron pattern fires, in local time like node-cron.
+ * @param {string} schedule - node-cron pattern
+ * @param {number} [after=Date.now()] - Find the first run after this time
+ * @returns {string|null} - ISO timestamp, or null when the pattern never fires
+ */
+function nextRun(schedule, after = Date.now()) {
+  try {
+    return parseExpression(schedule, { currentDate: new Date(after) })
+      .next()
+      .toISOString();
+  } catch (error) {
+    return null; // e.g. "0 0 30 2 *" has no next run
+  }
+}
+
+/**
+ * A named task that runs on a cron schedule and/or on demand.
+ * Runs never overlap: a trigger while the job is running is skipped
+ * (scheduled) or rejected (on demand). Failures are retried with
+ * exponential backoff and recorded in the job's status. Log lines written
+ * during a run carry the job name and run id.
+ */
+class Job {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Job name, used in "/api/jobs/:name"
+   * @param {Function} options.run - Async `(params, job) => result`; the result is kept as `lastResult`
+   * @param {string} [options.schedule] - node-cron pattern; omit for on-demand jobs
+   * @param {number} [options.retries=3] - Retries after a failed attempt
+   * @param {number} [options.baseDelayMs=5000] - First retry delay, doubled each time
+   * @param {number} [options.staleAfterMs] - Flag the job stale when it has not succeeded for this long
+   */
+  constructor({
+    name,
+    run,
+    schedule,
+    retries = 3,
+    baseDelayMs = 5000,
+    staleAfterMs,
+  }) {
+    if (schedule && !cron.validate(schedule)) {
+      throw new Error(`Invalid schedule "${schedule}" for job "${name}".`);
+    }
+    this.name = name;
+    this.runTask = run;
+    this.schedule = schedule;
+    this.retries = retries;
+    this.baseDelayMs = baseDelayMs;
+    this.staleAfterMs = staleAfterMs;
+    this.running = false;
+    this.progress = null; // Optional progress reported by a long run (e.g. a backfill)
+    this.onChange = () => {}; // Set by JobRunner to persist the state
+    this.nextRunCache = null; // `{ after, at }` from the last `nextRunAt` lookup
+
+    // Persisted run history
+    this.state = {
+      lastRunId: null, // Id of the latest run, as logged with its lines
+      lastRunAt: null, // When the latest run started
+      lastFinishedAt: null,
+      lastSuccessAt: null,
+      lastDurationMs: null,
+      lastResult: null, // Result of the latest successful run (row counts, date range)
+      lastError: null, // Message of the latest failed run
+      lastParams: null, // Parameters of the latest run (e.g. a backfill range)
+      runs: 0,
+      failures: 0,
+      skipped: 0, // Scheduled runs skipped because the job was still running
+      attempts: 0, // Attempts used by the latest run
+    };
+  }
+
+  /**
+   * Run the job now.
+   * @param {Object} [params] - Passed to the run function
+   * @returns {Promise<*>} - The run's result
+   * @throws {JobBusyError} - When the job is already running
+   */
+  async trigger(params = {}) {
+    if (this.running) {
+      throw new JobBusyError(this.name);
+    }
+    this.running = true;
+    this.progress = null;
+    const startedAt = Date.now();
+    const runId = crypto.randomUUID();
+    Object.assign(this.state, {
+      lastRunId: runId,
+      lastRunAt: new Date(startedAt).toISOString(),
+      lastParams: Object.keys(params).length ? params : null,
+      attempts: 0,
+    });
+    this.state.runs += 1;
+
+    try {
+      const result = await withContext({ job: this.name, runId }, () =>
+        retry(
+          (attempt) => {
+            this.state.attempts = attempt + 1;
+            return this.runTask(params, this);
+          },
+          {
+            retries: this.retries,
+            baseDelayMs: this.baseDelayMs,
+            onRetry: (error, attempt, delayMs) =>
+              console.error(
+                `Job "${this.name}" failed (${error.message}); retry ${attempt}/${this.retries} in ${delayMs}ms.`
+              ),
+          }
+        )
+      );
+      Object.assign(this.state, {
+        lastSuccessAt: new Date().toISOString(),
+        lastResult: result ?? null,
+        lastError: null,
+      });
+      return result;
+    } catch (error) {
+      this.state.failures += 1;
+      this.state.lastError = error.message;
+      throw error;
+    } finally {
+      this.running = false;
+      this.state.lastFinishedAt = new Date().toISOString();
+      this.state.lastDurationMs = Date.now() - startedAt;
+      this.onChange();
+    }
+  }
+
+  /**
+   * Scheduled entry point: skips instead of overlapping, and logs failures.
+   */
+  async tick() {
+    if (this.running) {
+      this.state.skipped += 1;
+      console.log(`Job "${this.name}" is still running; skipping this run.`);
+      return;
+    }
+    try {
+      await this.trigger();
+    } catch (error) {
+      withContext({ job: this.name, runId: this.state.lastRunId }, () =>
+        console.error(`Job "${this.name}" failed:`, error.message)
+      );
+    }
+  }
+
+  /**
+   * Next scheduled run, computed once and reused until it has passed.
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {string|null} - ISO timestamp, or null for on-demand jobs
+   */
+  nextRunAt(now = Date.now()) {
+    if (!this.schedule) {
+      return null;
+    }
+    const cache = this.nextRunCache;
+    if (
+      !cache ||
+      cache.after > now ||
+      !cache.at ||
+      Date.parse(cache.at) <= now
+    ) {
+      this.nextRunCache = { after: now, at: nextRun(this.schedule, now) };
+    }
+    return this.nextRunCache.at;
+  }
+
+  /**
+   * Describe the job for "/api/jobs".
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Object} - Schedule, running flag, run history, next run and staleness
+   */
+  status(now = Date.now()) {
+    const lastSuccess = this.state.lastSuccessAt
+      ? Date.parse(this.state.lastSuccessAt)
+      : null;
+    return {
+      name: this.name,
+      schedule: this.schedule || null,
+      running: this.running,
+      progress: this.progress,
+      ...this.state,
+      nextRunAt: this.nextRunAt(now),
+      stale: this.staleAfterMs
+        ? lastSuccess === null || now - lastSuccess > this.staleAfterMs
+        : false,
+    };
+  }
+}
+
+/**
+ * Holds the application's jobs, schedules them and persists their run history
+ * so incremental jobs can resume after a restart.
+ */
+class JobRunner {
+  /**
+   * @param {string} statePath - Location of the job state JSON file
+   */
+  constructor(statePath) {
+    this.statePath = path.resolve(statePath);
+    this.jobs = new Map(); // Job name -> Job
+    this.saved = readJson(this.statePath, {}); // Job name -> persisted state
+  }
+
+  /**
+   * Register a job, restoring its persisted run history.
+   * @param {Object} options - Options for `new Job`
+   * @returns {Job} - The registered job
+   */
+  add(options) {
+    const job = new Job(options);
+    Object.assign(job.state, this.saved[job.name]);
+    job.onChange = () =>
+      this.save().catch((error) =>
+        console.error("Error saving job state:", error.message)
+      );
+    this.jobs.set(job.name, job);
+    return job;
+  }
+
+  /**
+   * Look up a job by name.
+   * @param {string} name - Job name
+   * @returns {Job|undefined} - The job, if registered
+   */
+  get(name) {
+    return this.jobs.get(name);
+  }
+
+  /**
+   * Every registered job.
+   * @returns {Job[]} - Jobs in the order they were added
+   */
+  all() {
+    return Array.from(this.jobs.values());
+  }
+
+  /**
+   * Describe every job.
+   * @returns {Array} - Job statuses
+   */
+  list() {
+    const now = Date.now();
+    return this.all().map((job) => job.status(now));
+  }
+
+  /**
+   * Write every job's run history to disk.
+   */
+  save() {
+    const state = {};
+    this.jobs.forEach((job, name) => {
+      state[name] = job.state;
+    });
+    return writeJson(this.statePath, state);
+  }
+
+  /**
+   * Schedule every job that has a cron pattern.
+   */
+  start() {
+    this.jobs.forEach((job) => {
+      if (job.schedule) {
+        cron.schedule(job.schedule, () => job.tick());
+      }
+    });
+  }
+}
+
+module.exports = { JobBusyError, retry, nextRun, Job, JobRunner };
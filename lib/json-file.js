@@ -0,0 +1,72 @@
+const fs = require("fs"); // File system access for JSON documents
+const path = require("path"); // Path helpers for resolving file locations
+
+const writeQueues = new Map(); // Absolute file path -> promise of its latest write
+let tempCounter = 0; // Makes every temporary file name unique within the process
+
+/**
+ * Read a JSON document, returning a fallback when the file does not exist.
+ * @param {string} filePath - Location of the JSON file
+ * @param {*} fallback - Value returned when the file is missing
+ * @returns {*} - Parsed JSON
+ */
+function readJson(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Replace a file via its own temporary file and a rename.
+ * @param {string} filePath - Absolute location of the file
+ * @param {string} text - File contents
+ */
+async function replaceFile(filePath, text) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  tempCounter += 1;
+  const tempPath = `${filePath}.${process.pid}-${tempCounter}.tmp`;
+  try {
+    await fs.promises.writeFile(tempPath, text);
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Write a text file via a temporary file and rename, so a crash
+ * mid-write never leaves a truncated file behind. Writes to the same file
+ * run one after another, in the order they were requested, so the last
+ * save always wins.
+ * @param {string} filePath - Location of the file
+ * @param {string} text - File contents
+ * @returns {Promise<void>} - Resolves once this write is on disk
+ */
+function writeText(filePath, text) {
+  const key = path.resolve(filePath);
+  const previous = writeQueues.get(key) || Promise.resolve();
+  const write = previous
+    .catch(() => {}) // A failed earlier write must not block this one
+    .then(() => replaceFile(key, text));
+  writeQueues.set(key, write);
+  const forget = () => {
+    if (writeQueues.get(key) === write) {
+      writeQueues.delete(key);
+    }
+  };
+  write.then(forget, forget);
+  return write;
+}
+
+/**
+ * Write a JSON document atomically (see `writeText`).
+ * @param {string} filePath - Location of the JSON file
+ * @param {*} value - Value to serialize
+ */
+function writeJson(filePath, value) {
+  return writeText(filePath, JSON.stringify(value, null, 2));
+}
+
+module.exports = { readJson, writeText, writeJson };
@@ -0,0 +1,157 @@
+const crypto = require("crypto"); // Request ids
+const util = require("util"); // printf-style formatting of console arguments
+const { AsyncLocalStorage } = require("async_hooks"); // Carries the request id through async calls
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const REQUEST_ID_HEADER = "X-Request-Id";
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/; // Ids accepted from a proxy or client
+
+// Fields of the request or job run being handled, added to every log line
+const context = new AsyncLocalStorage();
+
+/**
+ * Make a log field JSON-friendly; errors keep their message and status.
+ * @param {*} value - Field value
+ * @returns {*} - Serializable value
+ */
+function serialize(value) {
+  if (!(value instanceof Error)) {
+    return value;
+  }
+  const status = value.response ? value.response.status : value.status; // Upstream HTTP errors carry the response
+  return status
+    ? { message: value.message, status }
+    : { message: value.message };
+}
+
+/**
+ * Writes one JSON object per line: `{ time, level, msg, ...fields }`, plus
+ * the `requestId` or `job`/`runId` of the work in progress (see `withContext`).
+ */
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level="info"] - Lowest level written ("debug", "info", "warn", "error" or "silent")
+   * @param {Object} [options.stream=process.stdout] - Writable receiving the lines
+   * @param {Object} [options.fields] - Fields added to every line
+   */
+  constructor({ level = "info", stream = process.stdout, fields = {} } = {}) {
+    if (!(level in LEVELS)) {
+      throw new Error(
+        `Unknown log level "${level}". Use one of: ${Object.keys(LEVELS).join(
+          ", "
+        )}.`
+      );
+    }
+    this.level = level;
+    this.stream = stream;
+    this.fields = fields;
+  }
+
+  /**
+   * Write a line when `level` is enabled.
+   * @param {string} level - "debug", "info", "warn" or "error"
+   * @param {string} message - What happened
+   * @param {Object} [fields] - Structured details
+   */
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.fields,
+      ...context.getStore(),
+    };
+    Object.entries(fields).forEach(([key, value]) => {
+      entry[key] = serialize(value);
+    });
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(message, fields) {
+    this.log("debug", message, fields);
+  }
+
+  info(message, fields) {
+    this.log("info", message, fields);
+  }
+
+  warn(message, fields) {
+    this.log("warn", message, fields);
+  }
+
+  error(message, fields) {
+    this.log("error", message, fields);
+  }
+}
+
+/**
+ * Run a function with fields added to every log line written during it,
+ * including from callbacks and promises it starts.
+ * @param {Object} fields - e.g. `{ requestId }` or `{ job, runId }`
+ * @param {Function} fn - Function to run
+ * @returns {*} - The function's result
+ */
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Send `console.log/info/warn/error/debug` through a logger, so the
+ * existing log calls across the app become JSON lines with the request or
+ * job context. Arguments are formatted like `console.log` does.
+ * @param {Logger} logger - Logger receiving the messages
+ */
+function captureConsole(logger) {
+  const methods = {
+    debug: "debug",
+    log: "info",
+    info: "info",
+    warn: "warn",
+    error: "error",
+  };
+  Object.entries(methods).forEach(([method, level]) => {
+    console[method] = (...args) => logger.log(level, util.format(...args));
+  });
+}
+
+/**
+ * Middleware that gives every request an id and logs it once answered.
+ * The id comes from the `X-Request-Id` header when a proxy sets one, is
+ * echoed in the response and added to every log line of the request.
+ * @param {Logger} logger - Logger for the request lines
+ * @returns {Function} - Express middleware
+ */
+function requestLogger(logger) {
+  return (req, res, next) => {
+    const given = req.get(REQUEST_ID_HEADER);
+    req.id =
+      given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on("finish", () => {
+      logger.log(res.statusCode >= 500 ? "error" : "info", "request", {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        status: res.statusCode,
+        durationMs:
+          Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      });
+    });
+    withContext({ requestId: req.id }, next);
+  };
+}
+
+module.exports = {
+  LEVELS,
+  REQUEST_ID_HEADER,
+  Logger,
+  withContext,
+  captureConsole,
+  requestLogger,
+};
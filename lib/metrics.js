@@ -0,0 +1,315 @@
+// Prometheus text exposition format (version 0.0.4)
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Upper bounds in seconds for upstream API and HTTP request durations
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a label value for the exposition format.
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+/**
+ * Format a label set, e.g. `{provider="tiingo"}`.
+ * @param {Object} labels - Label names and values
+ * @returns {string} - Label text, empty without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length
+    ? `{${entries
+        .map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+        .join(",")}}`
+    : "";
+}
+
+/**
+ * Format a sample value; Prometheus spells infinity "+Inf".
+ * @param {number} value - Sample value
+ * @returns {string} - Value text
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  if (value === -Infinity) {
+    return "-Inf";
+  }
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+/**
+ * A counter or gauge. Values are either recorded as events happen
+ * (`inc`/`set`) or read from the app when scraped (`collect`).
+ */
+class Metric {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description shown by Prometheus
+   * @param {string} options.type - "counter" or "gauge"
+   * @param {Function} [options.collect] - Returns `[{ labels, value }]` (or a number) at scrape time
+   */
+  constructor({ name, help, type, collect }) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.collect = collect;
+    this.values = new Map(); // Label text -> { labels, value }
+  }
+
+  /**
+   * Add to a counter.
+   * @param {Object} [labels={}] - Label set
+   * @param {number} [amount=1] - Amount added
+   */
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    const entry = this.values.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    this.values.set(key, entry);
+  }
+
+  /**
+   * Set a gauge.
+   * @param {Object} labels - Label set
+   * @param {number} value - Current value
+   */
+  set(labels, value) {
+    this.values.set(formatLabels(labels), { labels, value });
+  }
+
+  /**
+   * Current samples.
+   * @returns {Array} - `{ labels, value }` per label set
+   */
+  samples() {
+    if (!this.collect) {
+      return Array.from(this.values.values());
+    }
+    const collected = this.collect();
+    return typeof collected === "number"
+      ? [{ labels: {}, value: collected }]
+      : collected;
+  }
+
+  /**
+   * Sample lines in the exposition format.
+   * @returns {string[]} - One line per sample
+   */
+  lines() {
+    return this.samples().map(
+      ({ labels, value }) =>
+        `${this.name}${formatLabels(labels)} ${formatValue(value)}`
+    );
+  }
+}
+
+/**
+ * Counts observations (e.g. request durations) into cumulative buckets.
+ */
+class Histogram {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description shown by Prometheus
+   * @param {number[]} [options.buckets=DURATION_BUCKETS] - Bucket upper bounds, ascending
+   */
+  constructor({ name, help, buckets = DURATION_BUCKETS }) {
+    this.name = name;
+    this.help = help;
+    this.type = "histogram";
+    this.buckets = buckets;
+    this.series = new Map(); // Label text -> { labels, counts, sum, count }
+  }
+
+  /**
+   * Record one observation.
+   * @param {Object} labels - Label set
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        labels,
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      });
+    }
+    const series = this.series.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Bucket, sum and count lines in the exposition format.
+   * @returns {string[]} - Lines for every label set
+   */
+  lines() {
+    return Array.from(this.series.values()).flatMap(
+      ({ labels, counts, sum, count }) => [
+        ...this.buckets.map(
+          (bound, index) =>
+            `${this.name}_bucket${formatLabels({
+              ...labels,
+              le: formatValue(bound),
+            })} ${counts[index]}`
+        ),
+        `${this.name}_bucket${formatLabels({
+          ...labels,
+          le: "+Inf",
+        })} ${count}`,
+        `${this.name}_sum${formatLabels(labels)} ${sum}`,
+        `${this.name}_count${formatLabels(labels)} ${count}`,
+      ]
+    );
+  }
+}
+
+/**
+ * The app's metrics, rendered for "/metrics".
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * Register a metric.
+   * @param {Metric|Histogram} metric - Metric to expose
+   * @returns {Metric|Histogram} - The same metric
+   */
+  register(metric) {
+    if (this.metrics.some((existing) => existing.name === metric.name)) {
+      throw new Error(`Metric "${metric.name}" is already registered.`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Register a counter.
+   * @param {Object} options - Options for `new Metric`, without the type
+   * @returns {Metric} - The counter
+   */
+  counter(options) {
+    return this.register(new Metric({ ...options, type: "counter" }));
+  }
+
+  /**
+   * Register a gauge.
+   * @param {Object} options - Options for `new Metric`, without the type
+   * @returns {Metric} - The gauge
+   */
+  gauge(options) {
+    return this.register(new Metric({ ...options, type: "gauge" }));
+  }
+
+  /**
+   * Register a histogram.
+   * @param {Object} options - Options for `new Histogram`
+   * @returns {Histogram} - The histogram
+   */
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * Every metric in the Prometheus text format.
+   * @returns {string} - Exposition text
+   */
+  render() {
+    return this.metrics
+      .map((metric) =>
+        [
+          `# HELP ${metric.name} ${metric.help}`,
+          `# TYPE ${metric.name} ${metric.type}`,
+          ...metric.lines(),
+        ].join("\n")
+      )
+      .join("\n")
+      .concat("\n");
+  }
+}
+
+/**
+ * Seconds elapsed since a `process.hrtime.bigint()` reading.
+ * @param {bigint} startedAt - Start reading
+ * @returns {number} - Elapsed seconds
+ */
+function secondsSince(startedAt) {
+  return Number(process.hrtime.bigint() - startedAt) / 1e9;
+}
+
+/**
+ * Wrap an axios-compatible HTTP client so every upstream request is timed
+ * and failures are counted per provider. Other properties of the client
+ * (such as `rateLimited`) stay visible through the wrapper.
+ * @param {Object} http - Client with a `get(url, config)` method
+ * @param {string} provider - Provider label, e.g. "tiingo"
+ * @param {Object} metrics
+ * @param {Histogram} metrics.duration - Request durations, labelled by provider
+ * @param {Metric} metrics.errors - Failed requests, labelled by provider and status
+ * @returns {Object} - Instrumented client
+ */
+function instrumentHttp(http, provider, { duration, errors }) {
+  const instrumented = Object.create(http);
+  instrumented.get = async (url, config) => {
+    const startedAt = process.hrtime.bigint();
+    try {
+      return await http.get(url, config);
+    } catch (error) {
+      errors.inc({
+        provider,
+        status: String((error.response && error.response.status) || "network"),
+      });
+      throw error;
+    } finally {
+      duration.observe({ provider }, secondsSince(startedAt));
+    }
+  };
+  return instrumented;
+}
+
+/**
+ * Middleware that counts answered requests and times them.
+ * Only the method and status are used as labels, to keep the series few.
+ * @param {Object} metrics
+ * @param {Metric} metrics.requests - Requests, labelled by method and status
+ * @param {Histogram} metrics.duration - Durations, labelled by method
+ * @returns {Function} - Express middleware
+ */
+function httpMetrics({ requests, duration }) {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    res.on("finish", () => {
+      requests.inc({ method: req.method, status: String(res.statusCode) });
+      duration.observe({ method: req.method }, secondsSince(startedAt));
+    });
+    next();
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DURATION_BUCKETS,
+  Metric,
+  Histogram,
+  MetricsRegistry,
+  instrumentHttp,
+  httpMetrics,
+};
@@ -0,0 +1,275 @@
+const { computeRatios } = require("./financials");
+const { insiderSignals } = require("./scoring");
+const {
+  QueryError,
+  parseNumber,
+  parseTicker,
+  parseValues,
+} = require("./query");
+
+const MAX_PEERS = 8; // Most peers compared with a company (each costs a Polygon lookup)
+const DEFAULT_PEER_DAYS = 90; // Insider activity window when none is given
+
+// Ratios from `computeRatios` that are ranked, and which direction is better
+const PEER_RATIOS = [
+  { key: "netProfitMargin", higherIsBetter: true },
+  { key: "returnOnAssets", higherIsBetter: true },
+  { key: "returnOnEquity", higherIsBetter: true },
+  { key: "currentRatio", higherIsBetter: true },
+  { key: "debtToEquity", higherIsBetter: false },
+  { key: "assetTurnover", higherIsBetter: true },
+];
+
+/**
+ * Parse the query parameters of "/api/peers/:symbol".
+ * @param {Object} query - Express query object
+ * @param {string} symbol - The company being compared, left out of its own peers
+ * @returns {Object} - `{ peers, days }`; `peers` is null for the sector group
+ * @throws {QueryError} - When a ticker or the window is invalid
+ */
+function parsePeerQuery(query, symbol) {
+  const days = parseNumber(query, "days") ?? DEFAULT_PEER_DAYS;
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    throw new QueryError(
+      'Query parameter "days" must be an integer from 1 to 365.',
+      "days"
+    );
+  }
+
+  const listed = parseValues(query.peers)
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+  if (!listed.length) {
+    return { peers: null, days };
+  }
+  const peers = Array.from(
+    new Set(listed.map((value) => parseTicker(value, "peers")))
+  ).filter((peer) => peer !== symbol);
+  if (peers.length > MAX_PEERS) {
+    throw new QueryError(
+      `Query parameter "peers" may list at most ${MAX_PEERS} tickers.`,
+      "peers"
+    );
+  }
+  return { peers, days };
+}
+
+/**
+ * Pick a company's peers from known company profiles: the same SIC
+ * industry (the profile's `sector`), closest in market cap first.
+ * @param {Array} companies - Company profiles
+ * @param {Object} company - Profile of the company being compared
+ * @param {number} [limit=MAX_PEERS] - Most peers returned
+ * @returns {string[]} - Peer tickers
+ */
+function sectorPeers(companies, company, limit = MAX_PEERS) {
+  if (!company || !company.sector) {
+    return [];
+  }
+  // Distance in orders of magnitude; companies without a market cap go last
+  const distance = (profile) =>
+    profile.marketCap > 0 && company.marketCap > 0
+      ? Math.abs(Math.log10(profile.marketCap / company.marketCap))
+      : Infinity;
+
+  return companies
+    .filter(
+      (profile) =>
+        profile.sector === company.sector && profile.symbol !== company.symbol
+    )
+    .sort(
+      (a, b) => distance(a) - distance(b) || a.symbol.localeCompare(b.symbol)
+    )
+    .slice(0, limit)
+    .map((profile) => profile.symbol);
+}
+
+/**
+ * Percentile rank of a value within a group: the share of the other
+ * members it beats (ties count half), from 0 to 100.
+ * @param {number|null} value - The member's value
+ * @param {Array} values - Every member's value, including this one
+ * @param {boolean} higherIsBetter - Direction of the ratio
+ * @returns {number|null} - Rank, or null without a value or anyone to compare with
+ */
+function percentileRank(value, values, higherIsBetter) {
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+  const others = values.filter(Number.isFinite);
+  others.splice(others.indexOf(value), 1);
+  if (!others.length) {
+    return null;
+  }
+  const beaten = others.reduce((count, other) => {
+    if (other === value) {
+      return count + 0.5;
+    }
+    return count + ((higherIsBetter ? value > other : value < other) ? 1 : 0);
+  }, 0);
+  return (beaten / others.length) * 100;
+}
+
+/**
+ * Median of the values that are present.
+ * @param {Array} values - Numbers or nulls
+ * @returns {number|null} - Median, or null when there are none
+ */
+function median(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) {
+    return null;
+  }
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Rank every member of a peer group on each ratio and compute the group medians.
+ * @param {Array} members - `{ symbol, ratios }`; ratios may be null
+ * @returns {Object} - `{ members, medians }`, each member with `percentiles`
+ */
+function rankPeers(members) {
+  const valuesOf = (key) =>
+    members.map((member) => (member.ratios ? member.ratios[key] : null));
+  const medians = {};
+  PEER_RATIOS.forEach(({ key }) => {
+    medians[key] = median(valuesOf(key));
+  });
+
+  return {
+    members: members.map((member) => {
+      const percentiles = {};
+      PEER_RATIOS.forEach(({ key, higherIsBetter }) => {
+        percentiles[key] = percentileRank(
+          member.ratios ? member.ratios[key] : null,
+          valuesOf(key),
+          higherIsBetter
+        );
+      });
+      return { ...member, percentiles };
+    }),
+    medians,
+  };
+}
+
+/**
+ * Compares a company's financial ratios and insider activity with its peers.
+ */
+class PeerService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.companyCache - CompanyCache with sectors and market caps
+   * @param {Object} deps.financialsService - FinancialsService for the latest filings
+   * @param {Object} deps.tradeStore - TradeStore with the insider trades
+   */
+  constructor({ companyCache, financialsService, tradeStore }) {
+    this.companyCache = companyCache;
+    this.financialsService = financialsService;
+    this.tradeStore = tradeStore;
+  }
+
+  /**
+   * Look up a company profile, falling back to the cached one (or none)
+   * when Polygon cannot be reached.
+   * @param {string} symbol - Stock ticker symbol
+   * @returns {Promise<Object|null>} - Profile
+   */
+  async profile(symbol) {
+    try {
+      return await this.companyCache.profile(symbol);
+    } catch (error) {
+      console.error(`Company lookup failed for ${symbol}:`, error.message);
+      return this.companyCache.get(symbol);
+    }
+  }
+
+  /**
+   * Compare a company with a peer group. Without `peers` the group is the
+   * cached companies in the same SIC industry, so it covers the tickers
+   * seen in the trade history. A peer whose filing cannot be loaded is
+   * listed with `ratios: null` and left out of the ranks.
+   * @param {string} symbol - Stock ticker symbol
+   * @param {Object} [options]
+   * @param {string[]|null} [options.peers] - User-defined peer tickers
+   * @param {number} [options.days=DEFAULT_PEER_DAYS] - Insider activity window
+   * @param {number} [options.now=Date.now()] - Reference timestamp
+   * @returns {Promise<Object|null>} - `{ symbol, source, sector, days, companies, medians }`, or null without peers
+   */
+  async compare(
+    symbol,
+    { peers = null, days = DEFAULT_PEER_DAYS, now = Date.now() } = {}
+  ) {
+    const company = await this.profile(symbol);
+    const peerSymbols = peers || sectorPeers(this.companyCache.all(), company);
+    if (!peerSymbols.length) {
+      return null;
+    }
+
+    const symbols = [symbol, ...peerSymbols];
+    const filings = await Promise.allSettled(
+      symbols.map((ticker) => this.financialsService.latest(ticker))
+    );
+    const profiles = [];
+    for (const ticker of symbols) {
+      profiles.push(await this.profile(ticker)); // One at a time: each lookup rewrites the cache file
+    }
+    const trades = this.tradeStore.all();
+
+    const { members, medians } = rankPeers(
+      symbols.map((ticker, index) => {
+        const profile = profiles[index] || {};
+        const filing = filings[index];
+        if (filing.status === "rejected") {
+          console.error(
+            `Error fetching financial data for ${ticker}:`,
+            filing.reason.message
+          );
+        }
+        const signals = insiderSignals(trades, ticker, { days, now });
+        return {
+          symbol: ticker,
+          name: profile.name || null,
+          sector: profile.sector || null,
+          marketCap: profile.marketCap ?? null,
+          period:
+            filing.status === "fulfilled" && filing.value
+              ? [filing.value.fiscal_period, filing.value.fiscal_year]
+                  .filter(Boolean)
+                  .join(" ")
+              : null,
+          ratios:
+            filing.status === "fulfilled" ? computeRatios(filing.value) : null,
+          insiders: {
+            netValue: signals.netInsiderValue,
+            buyers: signals.insiderBuyers,
+            sellers: signals.insiderSellers,
+            clusterSize: signals.clusterSize,
+          },
+        };
+      })
+    );
+
+    return {
+      symbol,
+      source: peers ? "custom" : "sector",
+      sector: company ? company.sector : null,
+      days,
+      companies: members,
+      medians,
+    };
+  }
+}
+
+module.exports = {
+  MAX_PEERS,
+  PEER_RATIOS,
+  parsePeerQuery,
+  sectorPeers,
+  percentileRank,
+  rankPeers,
+  PeerService,
+};
@@ -0,0 +1,91 @@
+/**
+ * Daily price history from Tiingo, fetched through the shared cached client.
+ */
+class PriceService {
+  /**
+   * @param {Object} client - UpstreamClient for Tiingo
+   * @param {string} [apiKey] - Tiingo API key (defaults to TIINGO_API_KEY)
+   */
+  constructor(client, apiKey = process.env.TIINGO_API_KEY) {
+    this.client = client;
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Fetch daily bars for a symbol, oldest first.
+   * Without dates Tiingo returns only the latest bar.
+   * @param {string} symbol - Stock ticker symbol
+   * @param {Object} [range]
+   * @param {string} [range.startDate] - First date (YYYY-MM-DD)
+   * @param {string} [range.endDate] - Last date (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Bars with `date` trimmed to YYYY-MM-DD
+   */
+  async history(symbol, { startDate, endDate } = {}) {
+    const bars = await this.client.get(
+      `https://api.tiingo.com/tiingo/daily/${encodeURIComponent(
+        symbol
+      )}/prices`,
+      {
+        params: { startDate, endDate },
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Token ${this.apiKey}`, // Tiingo API key
+        },
+      },
+      this.apiKey // Rate limit applies per API key
+    );
+
+    return (bars || [])
+      .map((bar) => ({ ...bar, date: String(bar.date).slice(0, 10) }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Fetch the most recent daily bar for a symbol.
+   * @param {string} symbol - Stock ticker symbol
+   * @returns {Promise<Object|null>} - Latest bar, or null when Tiingo has none
+   */
+  async latest(symbol) {
+    const bars = await this.history(symbol);
+    return bars.length ? bars[bars.length - 1] : null;
+  }
+}
+
+/**
+ * Place open-market insider purchases and sales on a price history.
+ * Each trade is pinned to the first bar on or after its transaction date,
+ * so trades reported on weekends and holidays land on the next session.
+ * @param {Array} bars - Daily bars, oldest first
+ * @param {Array} trades - Insider trades for the same symbol
+ * @returns {Array} - `{ tradeId, date, transactionDate, side, name, shares, price, close }` per trade, oldest first
+ */
+function insiderMarkers(bars, trades) {
+  if (!bars.length) {
+    return [];
+  }
+  const lastDate = bars[bars.length - 1].date;
+
+  return trades
+    .filter(
+      (trade) =>
+        (trade.transactionCode === "P" || trade.transactionCode === "S") &&
+        trade.transactionDate >= bars[0].date &&
+        trade.transactionDate <= lastDate
+    )
+    .map((trade) => {
+      const bar = bars.find((entry) => entry.date >= trade.transactionDate);
+      return {
+        tradeId: trade.id,
+        date: bar.date,
+        transactionDate: trade.transactionDate,
+        side: trade.transactionCode === "P" ? "buy" : "sell",
+        name: trade.name,
+        shares: Math.abs(trade.change || 0),
+        price: trade.transactionPrice,
+        close: bar.close,
+      };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = { PriceService, insiderMarkers };
@@ -0,0 +1,399 @@
+const fs = require("fs"); // File system access for local Form 4 directories
+const path = require("path"); // Path helpers for listing Form 4 files
+const axios = require("axios"); // HTTP client for EDGAR feeds
+const { XMLParser } = require("fast-xml-parser"); // Parser for Form 4 XML documents
+const { tradeKey } = require("../trades");
+
+// Elements that can repeat in a Form 4 and must always parse as arrays
+const REPEATED_ELEMENTS = [
+  "reportingOwner",
+  "nonDerivativeTransaction",
+  "nonDerivativeHolding",
+  "derivativeTransaction",
+  "derivativeHolding",
+  "footnote",
+  "footnoteId",
+  "entry",
+  "item",
+];
+
+const parser = new XMLParser({
+  ignoreAttributes: false, // Footnote references are carried in `id` attributes
+  attributeNamePrefix: "@_",
+  parseTagValue: false, // Keep values as strings; numbers are converted explicitly
+  trimValues: true,
+  isArray: (name) => REPEATED_ELEMENTS.includes(name),
+});
+
+/**
+ * Read the `<value>` child that Form 4 wraps most fields in.
+ * @param {Object|string|undefined} node - Parsed XML node
+ * @returns {string|undefined} - Trimmed text value
+ */
+function valueOf(node) {
+  if (node === undefined || node === null) {
+    return undefined;
+  }
+  const value = typeof node === "object" ? node.value : node;
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  return String(
+    typeof value === "object" ? value["#text"] ?? "" : value
+  ).trim();
+}
+
+/**
+ * Parse a numeric Form 4 field.
+ * @param {Object|undefined} node - Parsed XML node
+ * @returns {number|null} - Number, or null when absent
+ */
+function numberOf(node) {
+  const value = valueOf(node);
+  if (value === undefined) {
+    return null;
+  }
+  const number = Number(value.replace(/,/g, ""));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Collect every footnote id referenced anywhere inside a node.
+ * @param {*} node - Parsed XML node
+ * @param {Set} [ids] - Accumulator
+ * @returns {Set<string>} - Footnote ids such as "F1"
+ */
+function collectFootnoteIds(node, ids = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectFootnoteIds(child, ids));
+  } else if (node && typeof node === "object") {
+    Object.entries(node).forEach(([key, child]) => {
+      if (key === "footnoteId") {
+        []
+          .concat(child)
+          .forEach((ref) => ref?.["@_id"] && ids.add(ref["@_id"]));
+      } else {
+        collectFootnoteIds(child, ids);
+      }
+    });
+  }
+  return ids;
+}
+
+/**
+ * Normalize a date such as "2024-01-02-05:00" to YYYY-MM-DD.
+ * @param {string|undefined} value - Form 4 date value
+ * @returns {string|undefined} - Date string
+ */
+function normalizeDate(value) {
+  return value ? value.slice(0, 10) : undefined;
+}
+
+/**
+ * Convert an RSS date such as "Tue, 09 Apr 2024 16:30:00 -0400" to YYYY-MM-DD.
+ * @param {string|undefined} value - RSS pubDate
+ * @returns {string|undefined} - Date string, or undefined when missing or unparseable
+ */
+function feedDate(value) {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime())
+    ? date.toISOString().slice(0, 10)
+    : undefined;
+}
+
+/**
+ * Parse a Form 4 XML document into normalized insider trades.
+ *
+ * Both the non-derivative table (common stock) and the derivative table
+ * (options, RSUs, warrants) are read. Each transaction keeps its ownership
+ * nature (direct "D" or indirect "I" and the stated nature, e.g. "By Trust")
+ * and the text of every footnote it references. A joint filing by several
+ * reporting owners yields one trade per owner, since each of them reports
+ * the transaction; `reportingOwners` lists all of them. Amendments (Form
+ * 4/A) are flagged with `isAmendment` and the original filing date.
+ *
+ * @param {string} xml - Form 4 XML document
+ * @param {Object} [meta] - Extra fields such as `filingDate` and `accessionNumber`
+ * @returns {Array} - Normalized insider trades (holdings without a transaction are skipped)
+ */
+function parseForm4(xml, meta = {}) {
+  const document = parser.parse(xml).ownershipDocument;
+  if (!document) {
+    throw new Error("Not a Form 4 ownership document.");
+  }
+
+  const issuer = document.issuer || {};
+  const owners = (document.reportingOwner || []).map((owner) => ({
+    cik: owner.reportingOwnerId?.rptOwnerCik,
+    name: owner.reportingOwnerId?.rptOwnerName,
+    isDirector: ["1", "true"].includes(
+      owner.reportingOwnerRelationship?.isDirector
+    ),
+    isOfficer: ["1", "true"].includes(
+      owner.reportingOwnerRelationship?.isOfficer
+    ),
+    isTenPercentOwner: ["1", "true"].includes(
+      owner.reportingOwnerRelationship?.isTenPercentOwner
+    ),
+    officerTitle: owner.reportingOwnerRelationship?.officerTitle,
+  }));
+
+  // Footnote id -> text, resolved per transaction below
+  const footnotes = {};
+  (document.footnotes?.footnote || []).forEach((footnote) => {
+    footnotes[footnote["@_id"]] = String(footnote["#text"] ?? footnote).trim();
+  });
+
+  const signatureDate = normalizeDate(document.ownerSignature?.signatureDate);
+  const formType = String(document.documentType || "4").trim();
+  const base = {
+    symbol: String(issuer.issuerTradingSymbol || "")
+      .trim()
+      .toUpperCase(),
+    issuerName: issuer.issuerName,
+    issuerCik: issuer.issuerCik,
+    reportingOwners: owners,
+    filingDate: meta.filingDate || signatureDate,
+    accessionNumber: meta.accessionNumber,
+    formType,
+    isAmendment: formType.endsWith("/A"),
+    originalFilingDate: normalizeDate(document.dateOfOriginalSubmission),
+    aff10b5One: ["1", "true"].includes(String(document.aff10b5One)), // Rule 10b5-1 plan checkbox (filings since 2023)
+    source: "edgar",
+  };
+
+  const toTrade = (transaction, isDerivative) => {
+    const amounts = transaction.transactionAmounts || {};
+    const shares = numberOf(amounts.transactionShares) ?? 0;
+    const disposed = valueOf(amounts.transactionAcquiredDisposedCode) === "D";
+    const ids = Array.from(collectFootnoteIds(transaction));
+
+    const trade = {
+      ...base,
+      share: numberOf(
+        transaction.postTransactionAmounts?.sharesOwnedFollowingTransaction
+      ),
+      change: disposed ? -shares : shares, // Acquired (A) is positive, disposed (D) negative
+      transactionDate: normalizeDate(valueOf(transaction.transactionDate)),
+      transactionCode: transaction.transactionCoding?.transactionCode,
+      transactionPrice: numberOf(amounts.transactionPricePerShare),
+      isDerivative,
+      securityTitle: valueOf(transaction.securityTitle),
+      ownershipNature: valueOf(
+        transaction.ownershipNature?.directOrIndirectOwnership
+      ),
+      natureOfOwnership: valueOf(
+        transaction.ownershipNature?.natureOfOwnership
+      ),
+      equitySwapInvolved: ["1", "true"].includes(
+        transaction.transactionCoding?.equitySwapInvolved
+      ),
+      footnotes: ids.map((id) => ({ id, text: footnotes[id] })),
+    };
+
+    if (isDerivative) {
+      trade.conversionOrExercisePrice = numberOf(
+        transaction.conversionOrExercisePrice
+      );
+      trade.exerciseDate = normalizeDate(valueOf(transaction.exerciseDate));
+      trade.expirationDate = normalizeDate(valueOf(transaction.expirationDate));
+      trade.underlyingSecurityTitle = valueOf(
+        transaction.underlyingSecurity?.underlyingSecurityTitle
+      );
+      trade.underlyingSecurityShares = numberOf(
+        transaction.underlyingSecurity?.underlyingSecurityShares
+      );
+    }
+    return trade;
+  };
+
+  const transactions = [
+    ...(document.nonDerivativeTable?.nonDerivativeTransaction || []).map((t) =>
+      toTrade(t, false)
+    ),
+    ...(document.derivativeTable?.derivativeTransaction || []).map((t) =>
+      toTrade(t, true)
+    ),
+  ];
+  return (owners.length ? owners : [{}]).flatMap((owner) =>
+    transactions.map((trade) => ({ ...trade, name: owner.name }))
+  );
+}
+
+/**
+ * Pull the accession number (e.g. 0001234567-24-000001) out of a path or URL.
+ * @param {string} location - File path or URL
+ * @returns {string|undefined} - Accession number, if present
+ */
+function accessionFrom(location) {
+  const match = location.match(/(\d{10}-\d{2}-\d{6})/);
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Insider trade provider that reads SEC EDGAR Form 4 filings.
+ *
+ * Filings come from either a local directory of Form 4 XML files or an
+ * Atom/RSS feed whose entries link to Form 4 XML documents or to filing
+ * index pages that contain one. Each file is only parsed once per process;
+ * its trades are kept and filtered again on every fetch, so a later or
+ * wider window (such as a backfill) still sees them, until the file leaves
+ * the directory or the feed. A Form 4/A replaces the trades it amends.
+ */
+class EdgarForm4Provider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Directory of Form 4 XML files (defaults to EDGAR_FORM4_DIR)
+   * @param {string} [options.feedUrl] - Atom/RSS feed of Form 4 filings (defaults to EDGAR_FEED_URL)
+   * @param {string} [options.userAgent] - User-Agent for SEC requests (defaults to EDGAR_USER_AGENT)
+   * @param {Object} [options.http=axios] - HTTP client with an axios-compatible `get`
+   */
+  constructor({
+    directory = process.env.EDGAR_FORM4_DIR,
+    feedUrl = process.env.EDGAR_FEED_URL,
+    userAgent = process.env.EDGAR_USER_AGENT,
+    http = axios,
+  } = {}) {
+    if (!directory && !feedUrl) {
+      throw new Error(
+        "EDGAR provider needs EDGAR_FORM4_DIR or EDGAR_FEED_URL to be set."
+      );
+    }
+    this.name = "edgar";
+    this.directory = directory;
+    this.feedUrl = feedUrl;
+    this.userAgent = userAgent || "insider-trade-tracker (admin@example.com)"; // SEC asks for contact details
+    this.http = http;
+    this.parsed = new Map(); // File or feed URL -> trades parsed from it
+  }
+
+  /**
+   * Parse every Form 4 not seen before from the directory and/or feed, and
+   * return the matching trades from every filing parsed so far.
+   * @param {Object} [options]
+   * @param {string} [options.symbol] - Restrict to one ticker
+   * @param {string} [options.from] - Earliest transaction date (YYYY-MM-DD)
+   * @param {string} [options.to] - Latest transaction date (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Normalized insider trades
+   */
+  async fetchTrades({ symbol, from, to } = {}) {
+    if (this.directory) {
+      await this.readDirectory();
+    }
+    if (this.feedUrl) {
+      await this.readFeed();
+    }
+
+    // An amendment shares its key with the trade it amends; keep the latest filing
+    const latest = new Map();
+    Array.from(this.parsed.values())
+      .flat()
+      .forEach((trade) => {
+        const key = tradeKey(trade);
+        const kept = latest.get(key);
+        if (!kept || (trade.filingDate || "") > (kept.filingDate || "")) {
+          latest.set(key, trade);
+        }
+      });
+
+    return Array.from(latest.values()).filter(
+      (trade) =>
+        (!symbol || trade.symbol === symbol) &&
+        (!from || (trade.transactionDate || "") >= from) &&
+        (!to || (trade.transactionDate || "") <= to)
+    );
+  }
+
+  /**
+   * Forget parsed files that are no longer listed, so the cache only holds
+   * what the directory or feed still offers.
+   * @param {string[]} locations - Files or URLs currently listed
+   * @param {Function} belongs - Whether a cached location comes from this source
+   */
+  prune(locations, belongs) {
+    const listed = new Set(locations);
+    Array.from(this.parsed.keys())
+      .filter((location) => belongs(location) && !listed.has(location))
+      .forEach((location) => this.parsed.delete(location));
+  }
+
+  /**
+   * Parse the directory's Form 4 files that have not been parsed yet.
+   */
+  async readDirectory() {
+    const files = (await fs.promises.readdir(this.directory))
+      .filter((file) => file.toLowerCase().endsWith(".xml"))
+      .map((file) => path.join(this.directory, file));
+    this.prune(files, (location) => !/^https?:/i.test(location));
+
+    for (const file of files.filter((entry) => !this.parsed.has(entry))) {
+      try {
+        const xml = await fs.promises.readFile(file, "utf8");
+        this.parsed.set(
+          file,
+          parseForm4(xml, { accessionNumber: accessionFrom(file) })
+        );
+      } catch (error) {
+        console.error(`Error parsing Form 4 file ${file}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Parse the feed entries that have not been parsed yet.
+   */
+  async readFeed() {
+    const headers = { "User-Agent": this.userAgent };
+    const feed = parser.parse(
+      (await this.http.get(this.feedUrl, { headers })).data
+    );
+
+    // Atom entries carry <link href>, RSS items carry <link>text</link>
+    const entries = [
+      ...(feed.feed?.entry || []).map((entry) => ({
+        url: [].concat(entry.link)[0]?.["@_href"],
+        filingDate: normalizeDate(entry.updated),
+      })),
+      ...(feed.rss?.channel?.item || []).map((item) => ({
+        url: typeof item.link === "string" ? item.link : item.link?.["#text"],
+        filingDate: feedDate(item.pubDate),
+      })),
+    ].filter((entry) => entry.url);
+    this.prune(
+      entries.map((entry) => entry.url),
+      (location) => /^https?:/i.test(location)
+    );
+
+    for (const entry of entries.filter(({ url }) => !this.parsed.has(url))) {
+      try {
+        let xmlUrl = entry.url;
+        if (!/\.xml$/i.test(xmlUrl)) {
+          // Filing index page: follow the link to the raw XML document,
+          // skipping the XSL-rendered copy EDGAR lists alongside it
+          const index = (await this.http.get(xmlUrl, { headers })).data;
+          const link = Array.from(
+            String(index).matchAll(/href="([^"]+\.xml)"/gi),
+            (match) => match[1]
+          ).find((href) => !/\/xsl/i.test(href));
+          if (!link) {
+            this.parsed.set(entry.url, []);
+            continue;
+          }
+          xmlUrl = new URL(link, xmlUrl).toString();
+        }
+        const xml = (await this.http.get(xmlUrl, { headers })).data;
+        this.parsed.set(
+          entry.url,
+          parseForm4(xml, {
+            filingDate: entry.filingDate,
+            accessionNumber: accessionFrom(xmlUrl),
+          })
+        );
+      } catch (error) {
+        console.error(`Error fetching Form 4 ${entry.url}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = { EdgarForm4Provider, parseForm4 };
@@ -0,0 +1,111 @@
+const axios = require("axios"); // HTTP client for making API requests
+const { addDays } = require("../ingest");
+
+const FINNHUB_URL = "https://finnhub.io/api/v1/stock/insider-transactions";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Insider trade provider backed by Finnhub's insider-transactions endpoint.
+ * Finnhub's fields already match the internal trade schema, so normalizing
+ * only fills in the fields other providers add.
+ */
+class FinnhubProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - Finnhub API key (defaults to FINNHUB_API_KEY)
+   * @param {number} [options.limit=100] - Maximum rows per request
+   * @param {Object} [options.http=axios] - HTTP client with an axios-compatible `get`
+   */
+  constructor({
+    apiKey = process.env.FINNHUB_API_KEY,
+    limit = 100,
+    http = axios,
+  } = {}) {
+    this.name = "finnhub";
+    this.apiKey = apiKey;
+    this.limit = limit;
+    this.http = http;
+  }
+
+  /**
+   * Fetch insider transactions from Finnhub.
+   *
+   * Finnhub has no paging, so a response that fills `limit` may be cut
+   * short. The range is then split in half and each half fetched again,
+   * down to single days; a single day that still fills the limit is logged.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.symbol] - Restrict to one ticker
+   * @param {string} [options.from] - Earliest transaction date (YYYY-MM-DD)
+   * @param {string} [options.to] - Latest transaction date (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Normalized insider trades
+   */
+  async fetchTrades({ symbol, from, to } = {}) {
+    const trades = await this.fetchPage({ symbol, from, to });
+    if (trades.length < this.limit) {
+      return trades;
+    }
+    if (!from || !to || from >= to) {
+      console.warn(
+        `Finnhub returned ${trades.length} trades (the limit) for ${
+          symbol || "all symbols"
+        } ${from || "..."}..${to || "..."}; some may be missing.`
+      );
+      return trades;
+    }
+
+    const days = Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+    const middle = addDays(from, Math.floor(days / 2));
+    const first = await this.fetchTrades({ symbol, from, to: middle });
+    const second = await this.fetchTrades({
+      symbol,
+      from: addDays(middle, 1),
+      to,
+    });
+    return [...first, ...second];
+  }
+
+  /**
+   * Request one range from Finnhub.
+   * @param {Object} range - `{ symbol, from, to }`
+   * @returns {Promise<Array>} - Normalized insider trades, at most `limit`
+   */
+  async fetchPage({ symbol, from, to }) {
+    const response = await this.http.get(FINNHUB_URL, {
+      params: {
+        symbol,
+        from,
+        to,
+        limit: this.limit, // Limit the number of results
+        token: this.apiKey, // API key from environment variables
+      },
+    });
+
+    return (response.data.data || []).map((trade) =>
+      normalizeFinnhubTrade(trade)
+    );
+  }
+}
+
+/**
+ * Map a Finnhub insider transaction onto the internal trade schema.
+ * @param {Object} trade - Raw Finnhub transaction
+ * @returns {Object} - Normalized insider trade
+ */
+function normalizeFinnhubTrade(trade) {
+  return {
+    symbol: trade.symbol,
+    name: trade.name,
+    share: trade.share,
+    change: trade.change,
+    filingDate: trade.filingDate,
+    transactionDate: trade.transactionDate,
+    transactionCode: trade.transactionCode,
+    transactionPrice: trade.transactionPrice,
+    currency: trade.currency,
+    isDerivative: Boolean(trade.isDerivative),
+    source: "finnhub",
+  };
+}
+
+module.exports = { FinnhubProvider, normalizeFinnhubTrade };
@@ -0,0 +1,45 @@
+// Insider trade providers.
+//
+// Every provider exposes `name` and `fetchTrades({ symbol, from, to })`,
+// which resolves to trades in the internal schema:
+//   symbol, name, share, change, filingDate, transactionDate,
+//   transactionCode, transactionPrice, isDerivative, source
+// plus optional provider-specific detail (EDGAR adds ownership nature,
+// security titles, derivative terms and footnotes).
+const { FinnhubProvider } = require("./finnhub");
+const { EdgarForm4Provider } = require("./edgar");
+
+// Provider name -> factory taking provider options
+const providers = new Map([
+  ["finnhub", (options) => new FinnhubProvider(options)],
+  ["edgar", (options) => new EdgarForm4Provider(options)],
+]);
+
+/**
+ * Register an additional insider trade provider.
+ * @param {string} name - Name used in INSIDER_PROVIDER
+ * @param {Function} factory - Receives options and returns a provider
+ */
+function registerProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+/**
+ * Create the insider trade provider with the given name.
+ * @param {string} name - Provider name (e.g. "finnhub" or "edgar")
+ * @param {Object} [options] - Provider-specific options
+ * @returns {Object} - Provider instance
+ */
+function createProvider(name, options = {}) {
+  const factory = providers.get(name);
+  if (!factory) {
+    throw new Error(
+      `Unknown insider provider "${name}". Use one of: ${Array.from(
+        providers.keys()
+      ).join(", ")}.`
+    );
+  }
+  return factory(options);
+}
+
+module.exports = { registerProvider, createProvider };
@@ -0,0 +1,428 @@
+const { tradeValue } = require("./trades");
+const { CATEGORIES, classifyTrade } = require("./classification");
+const { MARKET_CAP_SIZES } = require("./enrichment");
+
+// Fields the insider trade list can be sorted by, mapped to value getters
+const SORT_FIELDS = {
+  symbol: (trade) => trade.symbol || "",
+  name: (trade) => trade.name || "",
+  transactionCode: (trade) => trade.transactionCode || "",
+  change: (trade) => Number(trade.change) || 0,
+  transactionPrice: (trade) => Number(trade.transactionPrice) || 0,
+  value: (trade) => tradeValue(trade) ?? 0,
+  transactionDate: (trade) => trade.transactionDate || "",
+  filingDate: (trade) => trade.filingDate || "",
+  // Company fields, present once a trade is enriched (see lib/enrichment.js)
+  companyName: (trade) => trade.company?.name || "",
+  sector: (trade) => trade.company?.sector || "",
+  marketCap: (trade) => trade.company?.marketCap || 0,
+  percentOfMarketCap: (trade) => trade.percentOfMarketCap || 0,
+  percentOfHoldings: (trade) => trade.percentOfHoldings || 0,
+};
+
+const DEFAULT_PAGE_SIZE = 50; // Rows per page when the client does not ask
+const MAX_PAGE_SIZE = 500; // Upper bound to keep responses reasonably small
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // Finnhub dates are YYYY-MM-DD
+
+/**
+ * Error raised when a query parameter cannot be parsed.
+ * Carries an HTTP status so routes can respond with 400 directly.
+ */
+class QueryError extends Error {
+  /**
+   * @param {string} message - Explanation for the client
+   * @param {string} [field] - Name of the offending parameter
+   */
+  constructor(message, field) {
+    super(message);
+    this.name = "QueryError";
+    this.status = 400;
+    if (field) {
+      this.field = field;
+    }
+  }
+}
+
+/**
+ * Split a comma-separated query value into a trimmed, non-empty list.
+ * @param {string|string[]|undefined} value - Raw query value
+ * @returns {string[]} - List of values
+ */
+function parseList(value) {
+  if (value === undefined || value === "") {
+    return [];
+  }
+  return []
+    .concat(value)
+    .join(",")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Collect a query parameter that may be repeated, without splitting on
+ * commas (sector names contain them).
+ * @param {string|string[]|undefined} value - Raw query value
+ * @returns {string[]} - Trimmed, non-empty values
+ */
+function parseValues(value) {
+  return []
+    .concat(value ?? [])
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read an optional query parameter that may appear only once.
+ * @param {Object} query - Express query object
+ * @param {string} key - Parameter name
+ * @returns {string|undefined} - Raw value, or undefined when absent
+ * @throws {QueryError} - When the parameter is repeated or not a plain value
+ */
+function parseString(query, key) {
+  const raw = query[key];
+  if (raw === undefined || raw === "") {
+    return undefined;
+  }
+  if (typeof raw !== "string") {
+    throw new QueryError(
+      `Query parameter "${key}" must be a single value.`,
+      key
+    );
+  }
+  return raw;
+}
+
+/**
+ * Parse an optional numeric query parameter.
+ * @param {Object} query - Express query object
+ * @param {string} key - Parameter name
+ * @returns {number|undefined} - Parsed number, or undefined when absent
+ */
+function parseNumber(query, key) {
+  const raw = parseString(query, key);
+  if (raw === undefined) {
+    return undefined;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value)) {
+    throw new QueryError(`Query parameter "${key}" must be a number.`, key);
+  }
+  return value;
+}
+
+/**
+ * Parse an optional YYYY-MM-DD date query parameter.
+ * @param {Object} query - Express query object
+ * @param {string} key - Parameter name
+ * @returns {string|undefined} - Date string, or undefined when absent
+ */
+function parseDate(query, key) {
+  const raw = parseString(query, key);
+  if (raw === undefined) {
+    return undefined;
+  }
+  if (!DATE_PATTERN.test(raw)) {
+    throw new QueryError(
+      `Query parameter "${key}" must be a YYYY-MM-DD date.`,
+      key
+    );
+  }
+  return raw;
+}
+
+/**
+ * Validate a ticker symbol from a route or query parameter.
+ * @param {string} value - Raw symbol
+ * @param {string} [label="symbol"] - Parameter name used in the error message
+ * @returns {string} - Upper-cased symbol
+ * @throws {QueryError} - When the value is not a ticker symbol
+ */
+function parseTicker(value, label = "symbol") {
+  const symbol = String(value || "")
+    .trim()
+    .toUpperCase();
+  if (!/^[A-Z][A-Z.-]{0,9}$/.test(symbol)) {
+    throw new QueryError(
+      `Parameter "${label}" must be a ticker symbol.`,
+      label
+    );
+  }
+  return symbol;
+}
+
+/**
+ * Translate Express query parameters into insider trade query options.
+ *
+ * Supported parameters:
+ *   symbol, name, transactionCode - filters (symbol and code accept comma lists)
+ *   category - comma list of trade categories (see CATEGORIES in lib/classification.js)
+ *   from, to - transaction date range (inclusive, YYYY-MM-DD)
+ *   minPrice, maxPrice, minValue - price and trade value bounds
+ *   sector - company sector; repeat the parameter for several
+ *   exchange, marketCapSize - comma lists (sizes from MARKET_CAP_SIZES in lib/enrichment.js)
+ *   minPercentOfMarketCap, minPercentOfHoldings - relative trade size bounds
+ *   sort, order - sort field (see SORT_FIELDS) and direction (asc/desc)
+ *   page, pageSize - page-based pagination (1-indexed)
+ *   watchlist - a watchlist id, or "all"; resolved by the route into `watch`
+ *
+ * @param {Object} query - Express `req.query` object
+ * @returns {Object} - Normalized query options
+ * @throws {QueryError} - When a parameter is malformed
+ */
+function parseTradeQuery(query = {}) {
+  const sort = parseString(query, "sort") || "transactionDate";
+  if (!Object.hasOwn(SORT_FIELDS, sort)) {
+    throw new QueryError(
+      `Cannot sort by "${sort}". Use one of: ${Object.keys(SORT_FIELDS).join(
+        ", "
+      )}.`
+    );
+  }
+
+  const order = (parseString(query, "order") || "desc").toLowerCase();
+  if (order !== "asc" && order !== "desc") {
+    throw new QueryError('Query parameter "order" must be "asc" or "desc".');
+  }
+
+  const page = parseNumber(query, "page") ?? 1;
+  const pageSize = parseNumber(query, "pageSize") ?? DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(page) || page < 1) {
+    throw new QueryError('Query parameter "page" must be a positive integer.');
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new QueryError(
+      `Query parameter "pageSize" must be an integer between 1 and ${MAX_PAGE_SIZE}.`
+    );
+  }
+
+  const categories = parseList(query.category).map((category) =>
+    category.toLowerCase()
+  );
+  if (categories.some((category) => !CATEGORIES[category])) {
+    throw new QueryError(
+      `Query parameter "category" must be a list of: ${Object.keys(
+        CATEGORIES
+      ).join(", ")}.`
+    );
+  }
+
+  const marketCapSizes = parseList(query.marketCapSize).map((size) =>
+    size.toLowerCase()
+  );
+  if (
+    marketCapSizes.some(
+      (size) => !MARKET_CAP_SIZES.some((known) => known.key === size)
+    )
+  ) {
+    throw new QueryError(
+      `Query parameter "marketCapSize" must be a list of: ${MARKET_CAP_SIZES.map(
+        (size) => size.key
+      ).join(", ")}.`,
+      "marketCapSize"
+    );
+  }
+
+  return {
+    symbols: parseList(query.symbol).map((symbol) => symbol.toUpperCase()),
+    name: (parseString(query, "name") || "").trim().toLowerCase(),
+    transactionCodes: parseList(query.transactionCode).map((code) =>
+      code.toUpperCase()
+    ),
+    categories,
+    from: parseDate(query, "from"),
+    to: parseDate(query, "to"),
+    minPrice: parseNumber(query, "minPrice"),
+    maxPrice: parseNumber(query, "maxPrice"),
+    minValue: parseNumber(query, "minValue"),
+    sectors: parseValues(query.sector).map((sector) => sector.toLowerCase()),
+    exchanges: parseList(query.exchange).map((exchange) =>
+      exchange.toUpperCase()
+    ),
+    marketCapSizes,
+    minPercentOfMarketCap: parseNumber(query, "minPercentOfMarketCap"),
+    minPercentOfHoldings: parseNumber(query, "minPercentOfHoldings"),
+    watchlist: query.watchlist ? String(query.watchlist) : undefined,
+    watch: undefined, // { symbols, insiders } filled in from the user's watchlist
+    sort,
+    order,
+    page,
+    pageSize,
+  };
+}
+
+/**
+ * Check whether a trade satisfies the filter part of the query options.
+ * @param {Object} trade - Stored insider trade
+ * @param {Object} options - Options from `parseTradeQuery`
+ * @returns {boolean} - True when the trade passes every filter
+ */
+function matchesFilters(trade, options) {
+  const price = Number(trade.transactionPrice) || 0;
+
+  if (options.symbols.length && !options.symbols.includes(trade.symbol)) {
+    return false;
+  }
+  if (
+    options.watch &&
+    !options.watch.symbols.includes(trade.symbol) &&
+    !options.watch.insiders.includes(String(trade.name || "").toLowerCase())
+  ) {
+    return false; // Neither a followed ticker nor a followed insider
+  }
+  if (
+    options.name &&
+    !String(trade.name || "")
+      .toLowerCase()
+      .includes(options.name)
+  ) {
+    return false;
+  }
+  if (
+    options.transactionCodes.length &&
+    !options.transactionCodes.includes(trade.transactionCode)
+  ) {
+    return false;
+  }
+  if (
+    options.categories.length &&
+    !options.categories.includes(classifyTrade(trade).category)
+  ) {
+    return false;
+  }
+  if (options.from && (trade.transactionDate || "") < options.from) {
+    return false;
+  }
+  if (options.to && (trade.transactionDate || "") > options.to) {
+    return false;
+  }
+  if (options.minPrice !== undefined && price < options.minPrice) {
+    return false;
+  }
+  if (options.maxPrice !== undefined && price > options.maxPrice) {
+    return false;
+  }
+  if (
+    options.minValue !== undefined &&
+    (tradeValue(trade) ?? 0) < options.minValue
+  ) {
+    return false;
+  }
+  return matchesCompanyFilters(trade, options);
+}
+
+/**
+ * Check the company facets and relative size bounds. Trades that are not
+ * enriched yet fail every such filter that is set.
+ * @param {Object} trade - Trade from `enrichTrade`
+ * @param {Object} options - Options from `parseTradeQuery`
+ * @returns {boolean} - True when the trade passes
+ */
+function matchesCompanyFilters(trade, options) {
+  const company = trade.company || {};
+  if (
+    options.sectors.length &&
+    !options.sectors.includes(String(company.sector || "").toLowerCase())
+  ) {
+    return false;
+  }
+  if (
+    options.exchanges.length &&
+    !options.exchanges.includes(company.exchange)
+  ) {
+    return false;
+  }
+  if (
+    options.marketCapSizes.length &&
+    !options.marketCapSizes.includes(company.marketCapSize)
+  ) {
+    return false;
+  }
+  if (
+    options.minPercentOfMarketCap !== undefined &&
+    !(trade.percentOfMarketCap >= options.minPercentOfMarketCap)
+  ) {
+    return false;
+  }
+  if (
+    options.minPercentOfHoldings !== undefined &&
+    !(trade.percentOfHoldings >= options.minPercentOfHoldings)
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Filter and sort insider trades without paginating them.
+ * @param {Array} trades - Stored insider trades
+ * @param {Object} options - Options from `parseTradeQuery`
+ * @returns {Array} - Every matching trade in the requested order
+ */
+function filterTrades(trades, options) {
+  const filtered = trades.filter((trade) => matchesFilters(trade, options));
+
+  // Sort on the requested field; ties fall back to newest transaction first
+  const getValue = SORT_FIELDS[options.sort];
+  const direction = options.order === "asc" ? 1 : -1;
+  filtered.sort((a, b) => {
+    const left = getValue(a);
+    const right = getValue(b);
+    const compared =
+      typeof left === "number"
+        ? left - right
+        : String(left).localeCompare(String(right));
+    return (
+      compared * direction ||
+      String(b.transactionDate || "").localeCompare(
+        String(a.transactionDate || "")
+      )
+    );
+  });
+  return filtered;
+}
+
+/**
+ * Filter, sort and paginate insider trades.
+ * @param {Array} trades - Stored insider trades
+ * @param {Object} options - Options from `parseTradeQuery`
+ * @returns {Object} - Page of trades plus totals for the whole filtered set
+ */
+function queryTrades(trades, options) {
+  const filtered = filterTrades(trades, options);
+
+  const total = filtered.length;
+  const totalPages = Math.max(1, Math.ceil(total / options.pageSize));
+  const start = (options.page - 1) * options.pageSize;
+
+  return {
+    data: filtered.slice(start, start + options.pageSize),
+    page: options.page,
+    pageSize: options.pageSize,
+    total, // Number of trades matching the filters
+    totalPages,
+    totals: {
+      // Aggregates over every matching trade, not just the current page
+      shares: filtered.reduce(
+        (sum, trade) => sum + (Number(trade.change) || 0),
+        0
+      ),
+      value: filtered.reduce((sum, trade) => sum + (tradeValue(trade) ?? 0), 0),
+    },
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  QueryError,
+  parseList,
+  parseValues,
+  parseNumber,
+  parseDate,
+  parseTicker,
+  parseTradeQuery,
+  matchesFilters,
+  filterTrades,
+  queryTrades,
+};
@@ -0,0 +1,353 @@
+const fs = require("fs"); // File system access for profile files
+const path = require("path"); // Path helpers for the profiles directory
+const { tradeValue } = require("./trades");
+const { detectClusters } = require("./clusters");
+const { computeRatios } = require("./financials");
+
+const DAY_MS = 24 * 60 * 60 * 1000; // Milliseconds in one day
+
+// Comparison operators a profile rule can use
+const OPERATORS = {
+  ">": (value, rule) => value > rule.value,
+  ">=": (value, rule) => value >= rule.value,
+  "<": (value, rule) => value < rule.value,
+  "<=": (value, rule) => value <= rule.value,
+  between: (value, rule) => value >= rule.min && value <= rule.max,
+};
+
+/**
+ * Error raised for an unknown profile or an invalid profile file.
+ */
+class ProfileError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ProfileError";
+    this.status = status;
+  }
+}
+
+/**
+ * Check a scoring profile's structure.
+ *
+ * A profile is JSON of the form:
+ *   {
+ *     "name": "conservative",
+ *     "description": "...",
+ *     "thresholds": { "buy": 65, "sell": 35 },
+ *     "insiderLookbackDays": 90,
+ *     "factors": [
+ *       {
+ *         "metric": "returnOnEquity", "label": "Return on equity", "weight": 2,
+ *         "rules": [{ "op": ">", "value": 10, "points": 1 }, { "op": "<", "value": 0, "points": -1 }]
+ *       }
+ *     ]
+ *   }
+ *
+ * Each factor scores the points of its first matching rule (between -1 and 1),
+ * or 0 when none match or the metric is unavailable.
+ *
+ * @param {Object} profile - Parsed profile
+ * @returns {Object} - The same profile
+ * @throws {ProfileError} - When the profile is invalid
+ */
+function validateProfile(profile) {
+  if (!profile || typeof profile.name !== "string") {
+    throw new ProfileError('Profile needs a "name".');
+  }
+  const { buy, sell } = profile.thresholds || {};
+  if (!(typeof buy === "number" && typeof sell === "number" && sell < buy)) {
+    throw new ProfileError(
+      `Profile "${profile.name}" needs numeric thresholds with sell < buy.`
+    );
+  }
+  if (!Array.isArray(profile.factors) || !profile.factors.length) {
+    throw new ProfileError(`Profile "${profile.name}" needs factors.`);
+  }
+  profile.factors.forEach((factor) => {
+    if (
+      !factor.metric ||
+      !(factor.weight > 0) ||
+      !Array.isArray(factor.rules)
+    ) {
+      throw new ProfileError(
+        `Profile "${profile.name}" has a factor without metric, positive weight or rules.`
+      );
+    }
+    factor.rules.forEach((rule) => {
+      if (!OPERATORS[rule.op] || Math.abs(rule.points) > 1) {
+        throw new ProfileError(
+          `Profile "${profile.name}" factor "${factor.metric}" has an invalid rule.`
+        );
+      }
+    });
+  });
+  return profile;
+}
+
+/**
+ * Load every *.json profile in a directory.
+ * @param {string} directory - Directory holding the profiles
+ * @returns {Map<string, Object>} - Profile name -> profile
+ */
+function loadProfiles(directory) {
+  const profiles = new Map();
+  fs.readdirSync(directory)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .forEach((file) => {
+      const profile = validateProfile(
+        JSON.parse(fs.readFileSync(path.join(directory, file), "utf8"))
+      );
+      profiles.set(profile.name, profile);
+    });
+  return profiles;
+}
+
+/**
+ * Describe a rule as text, e.g. "> 10" or "between 1 and 3".
+ */
+function describeRule(rule) {
+  return rule.op === "between"
+    ? `between ${rule.min} and ${rule.max}`
+    : `${rule.op} ${rule.value}`;
+}
+
+/**
+ * Score a set of metrics against a profile.
+ *
+ * The weighted average of factor points (-1..1) is mapped onto 0..100, where
+ * 50 is neutral. Scores at or above `thresholds.buy` are BUY, at or below
+ * `thresholds.sell` are SELL, and anything between is HOLD.
+ *
+ * @param {Object} metrics - Metric name -> number (or null when unavailable)
+ * @param {Object} profile - Validated profile
+ * @returns {Object} - `{ score, recommendation, factors }` with a per-factor explanation
+ */
+function scoreMetrics(metrics, profile) {
+  const totalWeight = profile.factors.reduce(
+    (sum, factor) => sum + factor.weight,
+    0
+  );
+
+  const factors = profile.factors.map((factor) => {
+    const value = metrics[factor.metric];
+    const base = {
+      metric: factor.metric,
+      label: factor.label || factor.metric,
+      weight: factor.weight,
+      value: value ?? null,
+    };
+
+    if (value === null || value === undefined || !Number.isFinite(value)) {
+      return {
+        ...base,
+        points: 0,
+        contribution: 0,
+        reason: "Data unavailable",
+      };
+    }
+
+    const rule = factor.rules.find((candidate) =>
+      OPERATORS[candidate.op](value, candidate)
+    );
+    const points = rule ? rule.points : 0;
+    return {
+      ...base,
+      points,
+      contribution: (points * factor.weight) / totalWeight, // Share of the -1..1 total
+      reason: rule
+        ? rule.reason || `${base.label} ${describeRule(rule)}`
+        : "No rule matched",
+    };
+  });
+
+  const total = factors.reduce((sum, factor) => sum + factor.contribution, 0);
+  const score = Math.round((50 + 50 * total) * 10) / 10;
+
+  let recommendation = "HOLD";
+  if (score >= profile.thresholds.buy) {
+    recommendation = "BUY";
+  } else if (score <= profile.thresholds.sell) {
+    recommendation = "SELL";
+  }
+
+  return { score, recommendation, factors };
+}
+
+/**
+ * Insider signals for a symbol over a lookback window.
+ * @param {Array} trades - Stored insider trades
+ * @param {string} symbol - Stock ticker symbol
+ * @param {Object} [options]
+ * @param {number} [options.days=90] - Lookback in days
+ * @param {number} [options.now] - Reference timestamp
+ * @returns {Object} - netInsiderValue, insiderBuyers, insiderSellers and clusterSize
+ */
+function insiderSignals(trades, symbol, { days = 90, now = Date.now() } = {}) {
+  const since = new Date(now - days * DAY_MS).toISOString().slice(0, 10);
+  const recent = trades.filter(
+    (trade) => trade.symbol === symbol && (trade.transactionDate || "") >= since
+  );
+  const buys = recent.filter((trade) => trade.transactionCode === "P");
+  const sells = recent.filter((trade) => trade.transactionCode === "S");
+  const clusters = detectClusters(recent, { since, now, limit: Infinity });
+
+  return {
+    netInsiderValue:
+      buys.reduce((sum, trade) => sum + (tradeValue(trade) ?? 0), 0) -
+      sells.reduce((sum, trade) => sum + (tradeValue(trade) ?? 0), 0),
+    insiderBuyers: new Set(buys.map((trade) => trade.name)).size,
+    insiderSellers: new Set(sells.map((trade) => trade.name)).size,
+    clusterSize: clusters.reduce(
+      (max, cluster) => Math.max(max, cluster.insiderCount),
+      0
+    ),
+  };
+}
+
+/**
+ * Price signals from a year of daily bars.
+ * @param {Array} bars - Daily bars, oldest first
+ * @returns {Object} - price, discountFromHigh (%), averageVolume and momentum20/momentum60 (%)
+ */
+function priceSignals(bars) {
+  if (!bars.length) {
+    return {};
+  }
+  const closes = bars.map((bar) => bar.adjClose ?? bar.close);
+  const price = bars[bars.length - 1].close;
+  const high = Math.max(...bars.map((bar) => bar.high ?? bar.close));
+  const recentVolume = bars.slice(-20).map((bar) => bar.volume || 0);
+  const change = (lookback) => {
+    const past = closes[closes.length - 1 - lookback];
+    return past ? (closes[closes.length - 1] / past - 1) * 100 : null;
+  };
+
+  return {
+    price,
+    high52Week: high,
+    discountFromHigh: high ? (1 - price / high) * 100 : null,
+    averageVolume:
+      recentVolume.reduce((sum, volume) => sum + volume, 0) /
+      recentVolume.length,
+    momentum20: change(20),
+    momentum60: change(60),
+  };
+}
+
+/**
+ * Gathers fundamentals, insider and price signals for a symbol and scores
+ * them with a named profile.
+ */
+class ScoringService {
+  /**
+   * @param {Object} options
+   * @param {Map} options.profiles - Profiles from `loadProfiles`
+   * @param {string} options.defaultProfile - Profile used when none is requested
+   * @param {Object} options.financialsService - FinancialsService for Polygon filings
+   * @param {Object} options.priceService - PriceService for Tiingo bars
+   * @param {Object} options.tradeStore - TradeStore with insider trades
+   */
+  constructor({
+    profiles,
+    defaultProfile,
+    financialsService,
+    priceService,
+    tradeStore,
+  }) {
+    this.profiles = profiles;
+    this.defaultProfile = defaultProfile;
+    this.financialsService = financialsService;
+    this.priceService = priceService;
+    this.tradeStore = tradeStore;
+  }
+
+  /**
+   * Names and descriptions of the available profiles.
+   */
+  listProfiles() {
+    return Array.from(this.profiles.values()).map((profile) => ({
+      name: profile.name,
+      description: profile.description || "",
+      default: profile.name === this.defaultProfile,
+    }));
+  }
+
+  getProfile(name = this.defaultProfile) {
+    const profile = this.profiles.get(name);
+    if (!profile) {
+      throw new ProfileError(
+        `Unknown profile "${name}". Use one of: ${Array.from(
+          this.profiles.keys()
+        ).join(", ")}.`
+      );
+    }
+    return profile;
+  }
+
+  /**
+   * Collect every metric the profiles can refer to.
+   * Upstream failures leave the affected metrics null instead of failing the score.
+   * @param {string} symbol - Stock ticker symbol
+   * @param {number} lookbackDays - Insider lookback window
+   * @returns {Promise<Object>} - Metric name -> value, plus `unavailable` sources
+   */
+  async metrics(symbol, lookbackDays) {
+    const yearAgo = new Date(Date.now() - 365 * DAY_MS)
+      .toISOString()
+      .slice(0, 10);
+    const [financials, bars] = await Promise.allSettled([
+      this.financialsService.latest(symbol),
+      this.priceService.history(symbol, { startDate: yearAgo }),
+    ]);
+
+    const unavailable = [];
+    if (financials.status === "rejected" || !financials.value) {
+      unavailable.push("financials");
+    }
+    if (bars.status === "rejected" || !bars.value.length) {
+      unavailable.push("prices");
+    }
+
+    return {
+      ...(financials.status === "fulfilled"
+        ? computeRatios(financials.value)
+        : {}),
+      ...(bars.status === "fulfilled" ? priceSignals(bars.value) : {}),
+      ...insiderSignals(this.tradeStore.all(), symbol, { days: lookbackDays }),
+      unavailable,
+    };
+  }
+
+  /**
+   * Score a symbol with a profile.
+   * @param {string} symbol - Stock ticker symbol
+   * @param {string} [profileName] - Profile name (defaults to the default profile)
+   * @returns {Promise<Object>} - Score, recommendation, per-factor breakdown and raw metrics
+   */
+  async score(symbol, profileName) {
+    const profile = this.getProfile(profileName);
+    const { unavailable, ...metrics } = await this.metrics(
+      symbol,
+      profile.insiderLookbackDays || 90
+    );
+    return {
+      symbol,
+      profile: profile.name,
+      thresholds: profile.thresholds,
+      ...scoreMetrics(metrics, profile),
+      metrics,
+      unavailable,
+    };
+  }
+}
+
+module.exports = {
+  ProfileError,
+  validateProfile,
+  loadProfiles,
+  scoreMetrics,
+  insiderSignals,
+  priceSignals,
+  ScoringService,
+};
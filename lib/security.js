@@ -0,0 +1,189 @@
+const crypto = require("crypto"); // Constant-time credential comparison
+const { TokenBucket } = require("./upstream");
+const { sendError } = require("./validation");
+
+// Only same-origin scripts, styles and connections; Chart.js is served from
+// node_modules under /vendor instead of a CDN so no third party is trusted
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self'",
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "font-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join("; ");
+
+const API_KEY_HEADER = "X-API-Key"; // Header carrying an app API key
+const BASIC_REALM = "Insider Trade Tracker";
+
+/**
+ * Middleware that sets security headers on every response.
+ * @returns {Function} - Express middleware
+ */
+function securityHeaders() {
+  return (req, res, next) => {
+    res.set({
+      "Content-Security-Policy": CONTENT_SECURITY_POLICY,
+      "X-Content-Type-Options": "nosniff",
+      "X-Frame-Options": "DENY",
+      "Referrer-Policy": "no-referrer",
+      "Cross-Origin-Opener-Policy": "same-origin",
+      "Cross-Origin-Resource-Policy": "same-origin",
+      "Permissions-Policy": "camera=(), microphone=(), geolocation=()",
+    });
+    if (req.secure) {
+      res.set("Strict-Transport-Security", "max-age=15552000");
+    }
+    next();
+  };
+}
+
+/**
+ * Compare two secrets without leaking where they differ through timing.
+ * @param {string} given - Value sent by the client
+ * @param {string} expected - Configured value
+ * @returns {boolean} - True when equal
+ */
+function safeEqual(given, expected) {
+  const digest = (value) =>
+    crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Read `user:password` from an `Authorization: Basic` header.
+ * @param {Object} req - Express request
+ * @returns {Object|null} - `{ user, password }`, or null when absent
+ */
+function basicCredentials(req) {
+  const header = req.get("Authorization") || "";
+  if (!header.startsWith("Basic ")) {
+    return null;
+  }
+  const decoded = Buffer.from(header.slice("Basic ".length), "base64").toString(
+    "utf8"
+  );
+  const separator = decoded.indexOf(":");
+  return separator === -1
+    ? null
+    : {
+        user: decoded.slice(0, separator),
+        password: decoded.slice(separator + 1),
+      };
+}
+
+/**
+ * Build middleware that protects the whole app with API keys and/or HTTP
+ * basic auth. With neither configured every request is let through, so
+ * local development needs no setup.
+ *
+ * API keys are sent in the `X-API-Key` header (scripts); basic auth suits
+ * browsers, which then send the credentials with every page, fetch and
+ * EventSource request.
+ *
+ * @param {Object} options
+ * @param {string[]} [options.apiKeys=[]] - Accepted API keys
+ * @param {string} [options.basicAuth] - Accepted `user:password`
+ * @returns {Function} - Express middleware; sets `req.clientId` to the caller's identity
+ */
+function createAccessControl({ apiKeys = [], basicAuth } = {}) {
+  const [basicUser, ...rest] = basicAuth ? basicAuth.split(":") : [];
+  const basicPassword = rest.join(":");
+
+  return (req, res, next) => {
+    if (!apiKeys.length && !basicAuth) {
+      return next();
+    }
+
+    const apiKey = req.get(API_KEY_HEADER);
+    if (apiKey) {
+      const index = apiKeys.findIndex((key) => safeEqual(apiKey, key));
+      if (index !== -1) {
+        req.clientId = `key:${index}`; // Identify the key without exposing it
+        return next();
+      }
+    }
+
+    const credentials = basicAuth && basicCredentials(req);
+    if (
+      credentials &&
+      safeEqual(credentials.user, basicUser) &&
+      safeEqual(credentials.password, basicPassword)
+    ) {
+      req.clientId = `user:${credentials.user}`;
+      return next();
+    }
+
+    if (basicAuth) {
+      res.set(
+        "WWW-Authenticate",
+        `Basic realm="${BASIC_REALM}", charset="UTF-8"`
+      );
+    }
+    sendError(
+      res,
+      Object.assign(new Error("Authentication required."), { status: 401 })
+    );
+  };
+}
+
+/**
+ * Build middleware that rate limits each client with its own token bucket.
+ * Clients are told apart by their authenticated identity (see
+ * `createAccessControl`) or, without one, by IP address.
+ *
+ * @param {Object} options
+ * @param {number} options.capacity - Requests allowed per interval
+ * @param {number} [options.intervalMs=60000] - Interval over which the allowance refills
+ * @returns {Function} - Express middleware answering 429 with Retry-After when exhausted
+ */
+function createRateLimiter({ capacity, intervalMs = 60 * 1000 }) {
+  const buckets = new Map(); // Client -> TokenBucket
+  let lastSweep = Date.now();
+
+  return (req, res, next) => {
+    const now = Date.now();
+
+    // Forget clients whose buckets have refilled completely
+    if (now - lastSweep > intervalMs) {
+      buckets.forEach((bucket, client) => {
+        bucket.refill(now);
+        if (bucket.tokens >= bucket.capacity) {
+          buckets.delete(client);
+        }
+      });
+      lastSweep = now;
+    }
+
+    const client = req.clientId || `ip:${req.ip}`;
+    if (!buckets.has(client)) {
+      buckets.set(client, new TokenBucket(capacity, intervalMs));
+    }
+    const bucket = buckets.get(client);
+
+    const wait = bucket.waitTime(now);
+    if (wait > 0) {
+      res.set("Retry-After", String(Math.ceil(wait / 1000)));
+      return sendError(
+        res,
+        Object.assign(
+          new Error(`Too many requests; retry in ${Math.ceil(wait / 1000)}s.`),
+          { status: 429 }
+        )
+      );
+    }
+    bucket.tokens -= 1;
+    next();
+  };
+}
+
+module.exports = {
+  CONTENT_SECURITY_POLICY,
+  securityHeaders,
+  createAccessControl,
+  createRateLimiter,
+};
@@ -0,0 +1,191 @@
+const fs = require("fs"); // File system access for the on-disk trade log
+const path = require("path"); // Path helpers for resolving the store location
+const { tradeId } = require("./trades");
+
+/**
+ * Persistent insider trade store backed by an append-only JSONL file.
+ *
+ * Every inserted or changed trade is appended to the file as one JSON line.
+ * On startup the file is replayed and the last line for each trade id wins,
+ * so the store survives restarts and keeps every filing ever seen rather than
+ * only the latest poll.
+ */
+class TradeStore {
+  /**
+   * @param {string} filePath - Location of the JSONL file (created if missing)
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.trades = new Map(); // Trade id -> stored trade record
+    this.lastSeq = 0; // Highest sequence number handed out so far
+    this.writeQueue = Promise.resolve(); // Serializes appends to the file
+  }
+
+  /**
+   * Replay the JSONL file into memory.
+   * Malformed lines (e.g. a partial write from a crash) are skipped.
+   */
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, "utf8").split("\n");
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        const record = JSON.parse(line);
+        this.trades.set(record.id, record);
+        this.lastSeq = Math.max(this.lastSeq, record.seq || 0);
+      } catch (error) {
+        console.warn(
+          `Skipping malformed line ${index + 1} in ${this.filePath}:`,
+          error.message
+        );
+      }
+    });
+  }
+
+  /**
+   * Insert new trades and update changed ones using the trade dedupe key.
+   * @param {Array} trades - Insider trade objects from Finnhub
+   * @returns {Promise<{inserted: Array, updated: Array}>} - Records that were written
+   */
+  async upsert(trades) {
+    const inserted = [];
+    const updated = [];
+    const previous = new Map(); // Trade id -> record before this call, for rolling back
+    const now = new Date().toISOString();
+
+    trades.forEach((trade) => {
+      const id = tradeId(trade);
+      const existing = this.trades.get(id);
+
+      if (!existing) {
+        // First time this transaction has been seen
+        const record = {
+          ...trade,
+          id,
+          seq: ++this.lastSeq,
+          firstSeenAt: now,
+          updatedAt: now,
+        };
+        this.trades.set(id, record);
+        previous.set(id, undefined);
+        inserted.push(record);
+        return;
+      }
+
+      // Only rewrite the record when Finnhub reports different field values
+      const changed = Object.keys(trade).some(
+        (field) =>
+          JSON.stringify(trade[field]) !== JSON.stringify(existing[field])
+      );
+      if (changed) {
+        const record = {
+          ...existing,
+          ...trade,
+          id, // Bookkeeping fields always come from the stored record
+          seq: existing.seq,
+          firstSeenAt: existing.firstSeenAt,
+          updatedAt: now,
+        };
+        this.trades.set(id, record);
+        previous.set(id, existing);
+        updated.push(record);
+      }
+    });
+
+    const written = [...inserted, ...updated];
+    if (written.length) {
+      try {
+        await this.append(written);
+      } catch (error) {
+        this.rollBack(written, previous);
+        throw error;
+      }
+    }
+    return { inserted, updated };
+  }
+
+  /**
+   * Restore the records an `upsert` replaced after its write failed, so
+   * memory matches the file again. Records a later call has replaced in
+   * the meantime are left alone.
+   * @param {Array} records - Records the failed call stored
+   * @param {Map} previous - Trade id -> earlier record, or undefined for new trades
+   */
+  rollBack(records, previous) {
+    records.forEach((record) => {
+      if (this.trades.get(record.id) !== record) {
+        return;
+      }
+      const earlier = previous.get(record.id);
+      if (earlier) {
+        this.trades.set(record.id, earlier);
+      } else {
+        this.trades.delete(record.id);
+      }
+    });
+  }
+
+  /**
+   * Append records to the JSONL file, one per line.
+   * @param {Array} records - Stored trade records
+   * @returns {Promise} - Resolves once these records are on disk
+   */
+  append(records) {
+    const payload = records.map((record) => JSON.stringify(record)).join("\n");
+    const write = this.writeQueue
+      .catch(() => {}) // A failed earlier append must not block this one
+      .then(() => fs.promises.appendFile(this.filePath, `${payload}\n`));
+    this.writeQueue = write;
+    return write;
+  }
+
+  /**
+   * Return every stored trade, newest transaction first.
+   * @returns {Array} - Stored trade records
+   */
+  all() {
+    return Array.from(this.trades.values()).sort(
+      (a, b) =>
+        String(b.transactionDate || "").localeCompare(
+          String(a.transactionDate || "")
+        ) || b.seq - a.seq
+    );
+  }
+
+  /**
+   * Return trades first stored after a given sequence number, oldest first.
+   * Used to replay trades a streaming client missed while disconnected.
+   * @param {number} seq - Last sequence number the caller has seen
+   * @returns {Array} - Stored trade records with a higher sequence number
+   */
+  since(seq) {
+    return Array.from(this.trades.values())
+      .filter((record) => record.seq > seq)
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Look up a single trade by id.
+   * @param {string} id - Trade id
+   * @returns {Object|undefined} - Stored trade record
+   */
+  get(id) {
+    return this.trades.get(id);
+  }
+
+  /**
+   * Number of distinct trades held in the store.
+   */
+  get size() {
+    return this.trades.size;
+  }
+}
+
+module.exports = { TradeStore };
@@ -0,0 +1,121 @@
+const HEARTBEAT_MS = 25000; // Keep-alive comment interval so proxies do not drop idle streams
+const REPLAY_LIMIT = 1000; // Most missed trades replayed on reconnect
+const BATCH_SIZE = 100; // Most trades sent in one event
+
+/**
+ * Server-Sent Events broadcaster for newly stored insider trades.
+ *
+ * Each event carries a batch of trades and uses the highest trade sequence
+ * number in the batch as its event id. Browsers send that id back in the
+ * `Last-Event-ID` header when they reconnect, and the stream replays every
+ * trade stored after it, so a dropped connection does not miss trades.
+ * When more than `replayLimit` trades were missed (a long outage, a
+ * backfill, or a client resuming from 0), the stream sends a "reset" event
+ * instead and the client reloads the table.
+ */
+class TradeStream {
+  /**
+   * @param {Object} tradeStore - TradeStore used to replay missed trades
+   * @param {Object} [options]
+   * @param {Function} [options.format] - Maps each trade before it is sent (e.g. to add fields)
+   * @param {number} [options.replayLimit=REPLAY_LIMIT] - Most missed trades replayed on reconnect
+   * @param {number} [options.batchSize=BATCH_SIZE] - Most trades per event
+   */
+  constructor(
+    tradeStore,
+    {
+      format = (trade) => trade,
+      replayLimit = REPLAY_LIMIT,
+      batchSize = BATCH_SIZE,
+    } = {}
+  ) {
+    this.tradeStore = tradeStore;
+    this.format = format;
+    this.replayLimit = replayLimit;
+    this.batchSize = batchSize;
+    this.clients = new Set(); // Open SSE responses
+  }
+
+  /**
+   * Attach an HTTP request as a streaming client.
+   * Resumes from the `Last-Event-ID` header, or the `lastEventId` query
+   * parameter for clients that reconnect manually.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  subscribe(req, res) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Disable buffering in nginx-style proxies
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n"); // Ask the browser to wait 5s before reconnecting
+
+    // Replay anything stored since the client's last seen event
+    const lastEventId = Number(
+      req.get("Last-Event-ID") || req.query.lastEventId
+    );
+    if (Number.isInteger(lastEventId) && lastEventId >= 0) {
+      const missed = this.tradeStore.since(lastEventId);
+      if (missed.length > this.replayLimit) {
+        // Too many to replay: skip to the latest trade and let the client reload
+        res.write(
+          `id: ${this.tradeStore.lastSeq}\nevent: reset\ndata: ${JSON.stringify(
+            {
+              missed: missed.length,
+            }
+          )}\n\n`
+        );
+      } else if (missed.length) {
+        this.send(res, missed);
+      }
+    } else {
+      // First connection: tell the client where the stream starts
+      res.write(`id: ${this.tradeStore.lastSeq}\nevent: ready\ndata: {}\n\n`);
+    }
+
+    const heartbeat = setInterval(
+      () => res.write(": heartbeat\n\n"),
+      HEARTBEAT_MS
+    );
+    this.clients.add(res);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      this.clients.delete(res);
+    });
+  }
+
+  /**
+   * Push newly stored trades to every connected client.
+   * @param {Array} trades - Newly inserted trade records
+   */
+  publish(trades) {
+    if (!trades.length) {
+      return;
+    }
+    this.clients.forEach((res) => this.send(res, trades));
+  }
+
+  /**
+   * Write trades to a client as "trades" events of at most `batchSize`
+   * trades each.
+   * @param {Object} res - Express response of a streaming client
+   * @param {Array} trades - Trade records, which must all have `seq`
+   */
+  send(res, trades) {
+    for (let start = 0; start < trades.length; start += this.batchSize) {
+      const batch = trades.slice(start, start + this.batchSize);
+      let id = 0; // Highest sequence number in the batch
+      batch.forEach((trade) => {
+        id = Math.max(id, trade.seq);
+      });
+      const data = JSON.stringify(batch.map(this.format));
+      res.write(`id: ${id}\nevent: trades\ndata: ${data}\n\n`);
+    }
+  }
+}
+
+module.exports = { TradeStream };
@@ -0,0 +1,46 @@
+const crypto = require("crypto"); // Used to derive stable trade identifiers
+const { tradeValue } = require("../public/format"); // Same trade value as the table in the browser
+
+// Fields that together identify a single Finnhub insider transaction.
+// Finnhub does not return its own id, so these are combined into a dedupe key.
+const KEY_FIELDS = [
+  "symbol",
+  "name",
+  "transactionDate",
+  "change",
+  "transactionPrice",
+  "filingDate",
+];
+
+/**
+ * Build the dedupe key for an insider trade.
+ * Two trades with the same key are considered the same transaction.
+ * @param {Object} trade - Insider trade object as returned by Finnhub
+ * @returns {string} - Pipe-delimited key made of the identifying fields
+ */
+function tradeKey(trade) {
+  return KEY_FIELDS.map((field) => {
+    // A Form 4/A restates the original filing's transaction, so it keys
+    // (and updates) the trade as first filed
+    const value =
+      field === "filingDate"
+        ? trade.originalFilingDate ?? trade.filingDate
+        : trade[field];
+    return value === undefined || value === null ? "" : String(value);
+  }).join("|");
+}
+
+/**
+ * Derive a short, stable identifier for a trade from its dedupe key.
+ * @param {Object} trade - Insider trade object
+ * @returns {string} - 16 character hex id
+ */
+function tradeId(trade) {
+  return crypto
+    .createHash("sha1")
+    .update(tradeKey(trade))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+module.exports = { KEY_FIELDS, tradeKey, tradeId, tradeValue };
@@ -0,0 +1,308 @@
+const axios = require("axios"); // HTTP client for upstream API requests
+
+// Query parameters that carry credentials and must not be part of cache keys
+const SECRET_PARAMS = ["apiKey", "token"];
+
+/**
+ * Error raised when an upstream call cannot be made within the rate limit.
+ * Carries an HTTP status so routes can pass it straight to the client.
+ */
+class UpstreamError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+  }
+}
+
+/**
+ * Wait for a number of milliseconds.
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a Retry-After header (either delay seconds or an HTTP date).
+ * @param {string|undefined} value - Header value
+ * @param {number} [now] - Reference timestamp
+ * @returns {number|null} - Delay in milliseconds, or null when absent/invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Token bucket rate limiter.
+ * Holds up to `capacity` tokens and refills them evenly over `intervalMs`.
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity - Requests allowed per interval
+   * @param {number} intervalMs - Interval over which the bucket refills completely
+   */
+  constructor(capacity, intervalMs) {
+    this.capacity = capacity;
+    this.refillPerMs = capacity / intervalMs;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0; // Set after a 429 to honor Retry-After
+  }
+
+  refill(now) {
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + (now - this.updatedAt) * this.refillPerMs
+    );
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until a token is available (0 when one is available now).
+   * @param {number} [now] - Reference timestamp
+   * @returns {number} - Wait time in milliseconds
+   */
+  waitTime(now = Date.now()) {
+    this.refill(now);
+    const pause = Math.max(0, this.pausedUntil - now);
+    const refill =
+      this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+    return Math.max(pause, refill);
+  }
+
+  /**
+   * Take a token, waiting for one if needed.
+   * @param {number} maxWaitMs - Give up instead of waiting longer than this
+   * @throws {UpstreamError} - With status 429 when the wait would be too long
+   */
+  async take(maxWaitMs) {
+    let wait = this.waitTime();
+    while (wait > 0) {
+      if (wait > maxWaitMs) {
+        throw new UpstreamError(
+          `Rate limit reached; retry in ${Math.ceil(wait / 1000)}s.`,
+          429
+        );
+      }
+      await sleep(wait);
+      wait = this.waitTime();
+    }
+    this.tokens -= 1;
+  }
+
+  /**
+   * Stop handing out tokens until the given time (used after a 429).
+   * @param {number} until - Timestamp in milliseconds
+   */
+  pause(until) {
+    this.pausedUntil = Math.max(this.pausedUntil, until);
+  }
+}
+
+/**
+ * Caching, rate-limited client for one upstream provider.
+ *
+ * - Successful responses are cached for `ttlMs` (keyed by URL and non-secret params)
+ * - Concurrent identical lookups share a single upstream request
+ * - Each API key gets its own token bucket
+ * - 429 responses pause the bucket for Retry-After and are retried
+ */
+class UpstreamClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in logs and stats
+   * @param {number} options.ttlMs - How long responses stay cached
+   * @param {Object} options.rateLimit - `{ capacity, intervalMs }` for each API key's bucket
+   * @param {number} [options.maxEntries=500] - Cache size before the oldest entries are evicted
+   * @param {number} [options.maxRetries=2] - Retries after a 429 response
+   * @param {number} [options.maxWaitMs=15000] - Longest time a caller waits for a token
+   * @param {Object} [options.http=axios] - HTTP client with an axios-compatible `get`
+   */
+  constructor({
+    name,
+    ttlMs,
+    rateLimit,
+    maxEntries = 500,
+    maxRetries = 2,
+    maxWaitMs = 15000,
+    http = axios,
+  }) {
+    this.name = name;
+    this.ttlMs = ttlMs;
+    this.rateLimit = rateLimit;
+    this.maxEntries = maxEntries;
+    this.maxRetries = maxRetries;
+    this.maxWaitMs = maxWaitMs;
+    this.http = http;
+
+    this.cache = new Map(); // Cache key -> { data, expiresAt }
+    this.inflight = new Map(); // Cache key -> pending promise
+    this.buckets = new Map(); // API key -> TokenBucket
+    this.counters = {
+      hits: 0,
+      misses: 0,
+      coalesced: 0,
+      upstreamRequests: 0,
+      rateLimited: 0, // 429 responses received from the provider
+      throttled: 0, // Calls rejected locally because the bucket was empty too long
+      errors: 0,
+    };
+  }
+
+  /**
+   * Build the cache key from the URL and non-secret query parameters.
+   * @param {string} url - Request URL
+   * @param {Object} [params] - Query parameters
+   * @returns {string} - Cache key
+   */
+  cacheKey(url, params = {}) {
+    const visible = Object.keys(params)
+      .filter((key) => !SECRET_PARAMS.includes(key))
+      .sort()
+      .map((key) => `${key}=${params[key]}`)
+      .join("&");
+    return visible ? `${url}?${visible}` : url;
+  }
+
+  /**
+   * GET a URL through the cache, coalescing and rate limiter.
+   * @param {string} url - Request URL
+   * @param {Object} [config] - axios request config (params, headers)
+   * @param {string} [apiKey] - API key whose rate limit applies
+   * @returns {Promise<*>} - Response body
+   */
+  async get(url, config = {}, apiKey = "default") {
+    const key = this.cacheKey(url, config.params);
+
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.counters.hits += 1;
+      return cached.data;
+    }
+    if (cached) {
+      this.cache.delete(key); // Expired entry
+    }
+
+    // Share an identical request that is already on its way
+    if (this.inflight.has(key)) {
+      this.counters.coalesced += 1;
+      return this.inflight.get(key);
+    }
+
+    this.counters.misses += 1;
+    const request = this.fetch(url, config, apiKey)
+      .then((data) => {
+        this.store(key, data);
+        return data;
+      })
+      .finally(() => this.inflight.delete(key));
+    this.inflight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Perform the upstream request, honoring the rate limit and 429 responses.
+   */
+  async fetch(url, config, apiKey) {
+    const bucket = this.bucketFor(apiKey);
+
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        // Offline HTTP clients (fixtures, synthetic data) set `rateLimited = false`
+        if (this.http.rateLimited !== false) {
+          await bucket.take(this.maxWaitMs);
+        }
+      } catch (error) {
+        this.counters.throttled += 1;
+        throw error;
+      }
+
+      try {
+        this.counters.upstreamRequests += 1;
+        const response = await this.http.get(url, config);
+        return response.data;
+      } catch (error) {
+        if (error.response?.status !== 429) {
+          this.counters.errors += 1;
+          throw error;
+        }
+
+        // Provider says slow down: pause this key's bucket and retry if allowed
+        this.counters.rateLimited += 1;
+        const retryAfter =
+          parseRetryAfter(error.response.headers?.["retry-after"]) ??
+          this.rateLimit.intervalMs / this.rateLimit.capacity;
+        bucket.pause(Date.now() + retryAfter);
+        console.warn(
+          `${this.name} returned 429; pausing for ${Math.ceil(
+            retryAfter / 1000
+          )}s.`
+        );
+
+        if (attempt >= this.maxRetries || retryAfter > this.maxWaitMs) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  bucketFor(apiKey) {
+    if (!this.buckets.has(apiKey)) {
+      this.buckets.set(
+        apiKey,
+        new TokenBucket(this.rateLimit.capacity, this.rateLimit.intervalMs)
+      );
+    }
+    return this.buckets.get(apiKey);
+  }
+
+  store(key, data) {
+    this.cache.set(key, { data, expiresAt: Date.now() + this.ttlMs });
+
+    // Evict the oldest entries (Map keeps insertion order)
+    while (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop every cached response.
+   */
+  clear() {
+    this.cache.clear();
+  }
+
+  /**
+   * Cache and rate-limit statistics for the admin endpoint.
+   * @returns {Object} - Counters plus cache size and hit ratio
+   */
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      provider: this.name,
+      ...this.counters,
+      hitRatio: lookups ? Number((this.counters.hits / lookups).toFixed(3)) : 0,
+      cacheEntries: this.cache.size,
+      inflight: this.inflight.size,
+      ttlSeconds: this.ttlMs / 1000,
+    };
+  }
+}
+
+module.exports = {
+  SECRET_PARAMS,
+  UpstreamError,
+  parseRetryAfter,
+  TokenBucket,
+  UpstreamClient,
+};
@@ -0,0 +1,330 @@
+const path = require("path"); // Path helpers for resolving the users file
+const crypto = require("crypto"); // Password hashing, session tokens and ids
+const { promisify } = require("util");
+const { readJson, writeJson } = require("./json-file");
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64; // Bytes of derived key stored per password
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Sessions last 30 days
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Error raised for invalid account, watchlist or view input.
+ * Carries an HTTP status so routes can respond directly.
+ */
+class UserError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "UserError";
+    this.status = status;
+  }
+}
+
+/**
+ * Hash a password with scrypt and a random salt.
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - "salt:hash" in hex
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `${salt}:${key.toString("hex")}`;
+}
+
+/**
+ * Check a password against a stored scrypt hash in constant time.
+ * @param {string} password - Plain-text password
+ * @param {string} stored - "salt:hash" from `hashPassword`
+ * @returns {Promise<boolean>} - True when the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored).split(":");
+  if (!salt || !hash) {
+    return false;
+  }
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  const expected = Buffer.from(hash, "hex");
+  return (
+    expected.length === key.length && crypto.timingSafeEqual(expected, key)
+  );
+}
+
+/**
+ * Hash a session token for storage, so a leaked users file cannot be used to log in.
+ * @param {string} token - Session token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Normalize a list of strings, dropping blanks and duplicates.
+ * @param {*} value - Raw list from the request body
+ * @param {string} label - Field name used in error messages
+ * @param {Function} transform - Applied to each item (e.g. upper-casing symbols)
+ * @returns {string[]} - Clean list
+ */
+function cleanList(value, label, transform) {
+  if (value === undefined) {
+    return [];
+  }
+  if (
+    !Array.isArray(value) ||
+    !value.every((item) => typeof item === "string")
+  ) {
+    throw new UserError(`"${label}" must be a list of strings.`);
+  }
+  return [
+    ...new Set(value.map((item) => transform(item.trim())).filter(Boolean)),
+  ];
+}
+
+/**
+ * Validate a watchlist definition.
+ * @param {Object} input - `{ name, symbols, insiders }`
+ * @returns {Object} - Normalized watchlist fields
+ */
+function validateWatchlist(input) {
+  if (!input || typeof input.name !== "string" || !input.name.trim()) {
+    throw new UserError('Watchlist "name" is required.');
+  }
+  const symbols = cleanList(input.symbols, "symbols", (symbol) =>
+    symbol.toUpperCase()
+  );
+  if (symbols.some((symbol) => !/^[A-Z][A-Z.-]{0,9}$/.test(symbol))) {
+    throw new UserError('"symbols" must contain ticker symbols.');
+  }
+  return {
+    name: input.name.trim(),
+    symbols,
+    insiders: cleanList(input.insiders, "insiders", (name) => name),
+  };
+}
+
+/**
+ * Validate a saved view (a named set of trade table filters).
+ * @param {Object} input - `{ name, filters }`
+ * @returns {Object} - Normalized view fields
+ */
+function validateView(input) {
+  if (!input || typeof input.name !== "string" || !input.name.trim()) {
+    throw new UserError('View "name" is required.');
+  }
+  const filters = input.filters || {};
+  if (
+    typeof filters !== "object" ||
+    Array.isArray(filters) ||
+    !Object.values(filters).every((value) => typeof value === "string")
+  ) {
+    throw new UserError(
+      'View "filters" must be an object of query parameter strings.'
+    );
+  }
+  return { name: input.name.trim(), filters };
+}
+
+/**
+ * Local user accounts with sessions, watchlists and saved views,
+ * persisted as one JSON document on disk.
+ */
+class UserStore {
+  /**
+   * @param {string} filePath - Location of the users JSON file (created on first save)
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.users = new Map(); // User id -> user
+    this.sessions = new Map(); // Token hash -> { userId, expiresAt }
+    this.pendingUsernames = new Set(); // Lower-cased names being registered right now
+  }
+
+  load() {
+    const data = readJson(this.filePath, { users: [], sessions: [] });
+    data.users.forEach((user) =>
+      this.users.set(user.id, { holdings: [], ...user })
+    ); // Accounts created before holdings existed get an empty portfolio
+    data.sessions
+      .filter((session) => session.expiresAt > Date.now())
+      .forEach((session) => this.sessions.set(session.tokenHash, session));
+  }
+
+  save() {
+    return writeJson(this.filePath, {
+      users: Array.from(this.users.values()),
+      sessions: Array.from(this.sessions.values()),
+    });
+  }
+
+  findByUsername(username) {
+    const target = String(username || "").toLowerCase();
+    return Array.from(this.users.values()).find(
+      (user) => user.username.toLowerCase() === target
+    );
+  }
+
+  /**
+   * Strip secrets from a user before sending it to the client.
+   */
+  publicUser(user) {
+    return { id: user.id, username: user.username, createdAt: user.createdAt };
+  }
+
+  /**
+   * Create an account.
+   * @param {string} username - 3-32 letters, digits, "_", "." or "-"
+   * @param {string} password - At least 8 characters
+   * @returns {Promise<Object>} - Public user fields
+   */
+  async register(username, password) {
+    if (!USERNAME_PATTERN.test(username || "")) {
+      throw new UserError(
+        "Username must be 3-32 letters, digits, underscores, dots or dashes."
+      );
+    }
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      throw new UserError(
+        `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`
+      );
+    }
+    const reserved = String(username).toLowerCase();
+    if (this.findByUsername(username) || this.pendingUsernames.has(reserved)) {
+      throw new UserError("Username is already taken.", 409);
+    }
+
+    // Hold the name while the password hashes so a concurrent request cannot take it
+    this.pendingUsernames.add(reserved);
+    let user;
+    try {
+      user = {
+        id: crypto.randomUUID(),
+        username,
+        passwordHash: await hashPassword(password),
+        createdAt: new Date().toISOString(),
+        watchlists: [],
+        views: [],
+        holdings: [],
+      };
+      this.users.set(user.id, user);
+    } finally {
+      this.pendingUsernames.delete(reserved);
+    }
+    await this.save();
+    return this.publicUser(user);
+  }
+
+  /**
+   * Check credentials and open a session.
+   * @param {string} username - Account name
+   * @param {string} password - Plain-text password
+   * @returns {Promise<Object>} - `{ token, expiresAt, user }`
+   * @throws {UserError} - 401 when the credentials are wrong
+   */
+  async login(username, password) {
+    const user = this.findByUsername(username);
+    const valid =
+      user && (await verifyPassword(String(password || ""), user.passwordHash));
+    if (!valid) {
+      throw new UserError("Invalid username or password.", 401);
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const session = {
+      tokenHash: hashToken(token),
+      userId: user.id,
+      expiresAt: Date.now() + SESSION_TTL_MS,
+    };
+    this.sessions.set(session.tokenHash, session);
+    await this.save();
+    return { token, expiresAt: session.expiresAt, user: this.publicUser(user) };
+  }
+
+  /**
+   * Close the session for a token.
+   */
+  async logout(token) {
+    if (this.sessions.delete(hashToken(token))) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Resolve a session token to its user.
+   * @param {string} token - Session token
+   * @returns {Object|null} - User, or null when the token is unknown or expired
+   */
+  userForToken(token) {
+    if (!token) {
+      return null;
+    }
+    const session = this.sessions.get(hashToken(token));
+    if (!session || session.expiresAt <= Date.now()) {
+      return null;
+    }
+    return this.users.get(session.userId) || null;
+  }
+
+  // Generic create/update/remove for a user's watchlists, views and holdings
+
+  async addItem(user, collection, fields) {
+    const now = new Date().toISOString();
+    const item = {
+      id: crypto.randomUUID(),
+      ...fields,
+      createdAt: now,
+      updatedAt: now,
+    };
+    user[collection].push(item);
+    await this.save();
+    return item;
+  }
+
+  async updateItem(user, collection, id, fields) {
+    const index = user[collection].findIndex((item) => item.id === id);
+    if (index === -1) {
+      return null;
+    }
+    user[collection][index] = {
+      ...user[collection][index],
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    };
+    await this.save();
+    return user[collection][index];
+  }
+
+  /**
+   * Replace a whole collection at once (e.g. after a holdings import).
+   * Items without an id are new and get one.
+   */
+  async setItems(user, collection, items) {
+    const now = new Date().toISOString();
+    user[collection] = items.map((item) =>
+      item.id
+        ? item
+        : { id: crypto.randomUUID(), ...item, createdAt: now, updatedAt: now }
+    );
+    await this.save();
+    return user[collection];
+  }
+
+  async removeItem(user, collection, id) {
+    const before = user[collection].length;
+    user[collection] = user[collection].filter((item) => item.id !== id);
+    if (user[collection].length === before) {
+      return false;
+    }
+    await this.save();
+    return true;
+  }
+}
+
+module.exports = {
+  UserError,
+  hashPassword,
+  verifyPassword,
+  validateWatchlist,
+  validateView,
+  UserStore,
+};
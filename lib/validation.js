@@ -0,0 +1,142 @@
+const { QueryError, parseTicker } = require("./query");
+
+/**
+ * Build the JSON body for an error response.
+ * Client errors (4xx) carry their own message; server errors get a generic
+ * one so internal details such as upstream replies never reach the browser.
+ * @param {Error} error - Error with an optional `status`, `field` and `fields`
+ * @param {string} [fallback="Internal server error."] - Message for 5xx errors
+ * @returns {Object} - `{ error: { status, message, field?, fields? } }`
+ */
+function errorBody(error, fallback = "Internal server error.") {
+  const status = error.status || 500;
+  const body = { status, message: status < 500 ? error.message : fallback };
+  if (error.field) {
+    body.field = error.field;
+  }
+  if (error.fields) {
+    body.fields = error.fields;
+  }
+  return { error: body };
+}
+
+/**
+ * Respond with a structured JSON error.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with an optional `status` (defaults to 500)
+ * @param {string} [fallback] - Message for 5xx errors
+ */
+function sendError(res, error, fallback) {
+  res.status(error.status || 500).json(errorBody(error, fallback));
+}
+
+/**
+ * Respond with a structured JSON error whose message is chosen by the route,
+ * such as a not-found answer or a summary of an upstream failure.
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Message shown to the client, whatever the status
+ */
+function sendErrorMessage(res, status, message) {
+  sendError(res, Object.assign(new Error(message), { status }), message);
+}
+
+/**
+ * Rule for a ticker symbol parameter (upper-cased on success).
+ * @param {Object} [options]
+ * @param {boolean} [options.required=true] - Reject a missing value
+ * @returns {Function} - `(value, field) => symbol`
+ */
+function ticker({ required = true } = {}) {
+  return (value, field) => {
+    if (value === undefined || value === "") {
+      if (required) {
+        throw new QueryError(`Parameter "${field}" is required.`, field);
+      }
+      return undefined;
+    }
+    if (typeof value !== "string") {
+      throw new QueryError(
+        `Parameter "${field}" must be a single value.`,
+        field
+      );
+    }
+    return parseTicker(value, field);
+  };
+}
+
+/**
+ * Build middleware that checks route and query parameters against a schema
+ * before the handler runs. Every failing parameter is reported at once;
+ * the parsed values are stored on `req.valid`.
+ *
+ * @example
+ *   app.get("/api/tiingo", validate({ query: { symbol: ticker() } }), handler)
+ *
+ * @param {Object} schema - `{ params, query }`, each mapping a parameter name to a rule
+ * @returns {Function} - Express middleware
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const valid = {};
+    const fields = [];
+    ["params", "query"].forEach((source) => {
+      Object.entries(schema[source] || {}).forEach(([field, rule]) => {
+        try {
+          valid[field] = rule(req[source][field], field);
+        } catch (error) {
+          fields.push({ field, message: error.message });
+        }
+      });
+    });
+
+    if (fields.length) {
+      const error = new QueryError(
+        fields.length === 1 ? fields[0].message : "Invalid request parameters."
+      );
+      error.fields = fields;
+      return sendError(res, error);
+    }
+    req.valid = valid;
+    next();
+  };
+}
+
+/**
+ * Final Express error handler: malformed or oversized JSON bodies become
+ * structured 400/413 errors, anything else a generic 500.
+ * @param {Error} error - Error passed to `next` or thrown by a handler
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware (required for Express to treat this as an error handler)
+ */
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === "entity.parse.failed") {
+    return sendError(res, new QueryError("Request body must be valid JSON."));
+  }
+  if (error.type === "entity.too.large") {
+    return sendError(
+      res,
+      Object.assign(new Error("Request body is too large."), { status: 413 })
+    );
+  }
+  if (!(error.status >= 400 && error.status < 500)) {
+    console.error(
+      `Unhandled error on ${req.method} ${req.path}:`,
+      error.message
+    );
+  }
+  sendError(res, error);
+}
+
+module.exports = {
+  errorBody,
+  sendError,
+  sendErrorMessage,
+  ticker,
+  validate,
+  errorHandler,
+};
@@ -0,0 +1,344 @@
+// Accounts, watchlists and saved views.
+// Loaded after app.js and portfolio.js; uses app.js's `tableState`, `fetchData`
+// and `responseError`, `escapeHtml` from format.js, and `loadPortfolio` /
+// `clearPortfolio` from portfolio.js.
+
+let currentUser = null; // Logged-in user, or null
+let watchlists = []; // The user's watchlists from "/api/watchlists"
+let savedViews = []; // The user's saved filter views from "/api/views"
+
+/**
+ * Send a JSON request to the server and parse the reply.
+ * The session travels in an HttpOnly cookie, so nothing is kept in localStorage.
+ *
+ * @param {string} url - Endpoint URL.
+ * @param {string} [method="GET"] - HTTP method.
+ * @param {Object} [body] - JSON body.
+ * @returns {Object|null} - Parsed JSON, or null for empty replies.
+ */
+async function apiRequest(url, method = "GET", body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Show either the login form or the signed-in user, and the features that need an account.
+ */
+function renderAccount() {
+  document.getElementById("login-form").style.display = currentUser
+    ? "none"
+    : "flex";
+  document.getElementById("account-info").style.display = currentUser
+    ? "flex"
+    : "none";
+  document.getElementById("account-name").textContent = currentUser
+    ? currentUser.username
+    : "";
+  document.getElementById("saved-views").style.display = currentUser
+    ? "flex"
+    : "none";
+  document.getElementById("watchlist-tab").disabled = !currentUser;
+  document.getElementById("portfolio-panel").style.display = currentUser
+    ? "block"
+    : "none";
+
+  if (!currentUser && tableState.watchlist) {
+    selectTab("all"); // Logged out while on the watchlist tab
+  }
+}
+
+/**
+ * Load the user's watchlists, saved views and portfolio after logging in.
+ */
+async function loadUserData() {
+  [watchlists, savedViews] = await Promise.all([
+    apiRequest("/api/watchlists"),
+    apiRequest("/api/views"),
+  ]);
+  renderWatchlists();
+  renderSavedViews();
+  loadPortfolio();
+}
+
+/**
+ * Check for an existing session when the page loads.
+ */
+async function loadAccount() {
+  try {
+    currentUser = await apiRequest("/api/auth/me");
+    await loadUserData();
+  } catch (error) {
+    currentUser = null; // Not logged in
+  }
+  renderAccount();
+}
+
+/**
+ * Log in (or register and then log in) with the credentials in the login form.
+ *
+ * @param {boolean} register - Create the account first.
+ */
+async function submitLogin(register) {
+  const form = document.getElementById("login-form");
+  const credentials = {
+    username: form.elements.username.value.trim(),
+    password: form.elements.password.value,
+  };
+  const message = document.getElementById("login-message");
+  message.textContent = "";
+
+  try {
+    if (register) {
+      await apiRequest("/api/auth/register", "POST", credentials);
+    }
+    const session = await apiRequest("/api/auth/login", "POST", credentials);
+    currentUser = session.user;
+    form.reset();
+    await loadUserData();
+    renderAccount();
+  } catch (error) {
+    message.textContent = error.message;
+  }
+}
+
+document.getElementById("login-form").addEventListener("submit", (event) => {
+  event.preventDefault();
+  submitLogin(false);
+});
+
+document.getElementById("register-button").addEventListener("click", () => {
+  submitLogin(true);
+});
+
+document.getElementById("logout-button").addEventListener("click", async () => {
+  await apiRequest("/api/auth/logout", "POST");
+  currentUser = null;
+  watchlists = [];
+  savedViews = [];
+  clearPortfolio();
+  renderAccount();
+});
+
+/**
+ * Switch between the "All Trades" and "My Watchlist" tabs.
+ *
+ * @param {string} tab - "all" or "watchlist".
+ */
+function selectTab(tab) {
+  tableState.watchlist = tab === "watchlist" ? "all" : null;
+  tableState.page = 1;
+  document
+    .getElementById("all-tab")
+    .classList.toggle("active", tab !== "watchlist");
+  document
+    .getElementById("watchlist-tab")
+    .classList.toggle("active", tab === "watchlist");
+  document.getElementById("watchlist-manager").style.display =
+    tab === "watchlist" ? "block" : "none";
+  fetchData();
+}
+
+document
+  .getElementById("all-tab")
+  .addEventListener("click", () => selectTab("all"));
+document
+  .getElementById("watchlist-tab")
+  .addEventListener("click", () => selectTab("watchlist"));
+
+/**
+ * Render the user's watchlists with removable symbol and insider chips.
+ */
+function renderWatchlists() {
+  const container = document.getElementById("watchlists");
+  container.innerHTML = "";
+
+  if (!watchlists.length) {
+    container.innerHTML =
+      "<p>No watchlists yet. Create one to follow tickers and insiders.</p>";
+  }
+
+  watchlists.forEach((list) => {
+    const card = document.createElement("div");
+    card.className = "watchlist";
+
+    // One chip per followed symbol or insider; clicking "×" unfollows it
+    const items = [
+      ...list.symbols.map((symbol) => ({ field: "symbols", value: symbol })),
+      ...list.insiders.map((name) => ({ field: "insiders", value: name })),
+    ];
+    const chips = items
+      .map(
+        (chip, index) =>
+          `<span class="chip">${escapeHtml(
+            chip.value
+          )}<button type="button" data-index="${index}">&times;</button></span>`
+      )
+      .join("");
+
+    card.innerHTML = `
+      <strong>${escapeHtml(list.name)}</strong>
+      <button type="button" class="delete-watchlist">Delete</button>
+      <div class="chips">${chips || "<em>Empty</em>"}</div>
+      <form class="watchlist-add">
+        <input type="text" name="symbol" placeholder="Add symbol" />
+        <input type="text" name="insider" placeholder="Add insider" />
+        <button type="submit">Add</button>
+      </form>
+    `;
+
+    card.querySelectorAll(".chip button").forEach((button) => {
+      button.addEventListener("click", () => {
+        const item = items[Number(button.dataset.index)];
+        saveWatchlist({
+          ...list,
+          [item.field]: list[item.field].filter(
+            (value) => value !== item.value
+          ),
+        });
+      });
+    });
+
+    card.querySelector(".watchlist-add").addEventListener("submit", (event) => {
+      event.preventDefault();
+      const symbol = event.target.elements.symbol.value.trim().toUpperCase();
+      const insider = event.target.elements.insider.value.trim();
+      saveWatchlist({
+        ...list,
+        symbols: symbol ? [...list.symbols, symbol] : list.symbols,
+        insiders: insider ? [...list.insiders, insider] : list.insiders,
+      });
+    });
+
+    card
+      .querySelector(".delete-watchlist")
+      .addEventListener("click", async () => {
+        await apiRequest(
+          `/api/watchlists/${encodeURIComponent(list.id)}`,
+          "DELETE"
+        );
+        watchlists = watchlists.filter((entry) => entry.id !== list.id);
+        renderWatchlists();
+        fetchData();
+      });
+
+    container.appendChild(card);
+  });
+}
+
+/**
+ * Save changes to a watchlist on the server and refresh the watchlist tab.
+ *
+ * @param {Object} list - Watchlist with its updated `symbols` and `insiders`.
+ */
+async function saveWatchlist(list) {
+  try {
+    const saved = await apiRequest(
+      `/api/watchlists/${encodeURIComponent(list.id)}`,
+      "PUT",
+      {
+        name: list.name,
+        symbols: list.symbols,
+        insiders: list.insiders,
+      }
+    );
+    watchlists = watchlists.map((entry) =>
+      entry.id === saved.id ? saved : entry
+    );
+    renderWatchlists();
+    fetchData();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+document
+  .getElementById("new-watchlist")
+  .addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const name = event.target.elements.name.value.trim();
+    if (!name) {
+      return;
+    }
+    try {
+      watchlists.push(await apiRequest("/api/watchlists", "POST", { name }));
+      event.target.reset();
+      renderWatchlists();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+/**
+ * Fill the saved views picker.
+ */
+function renderSavedViews() {
+  const select = document.getElementById("view-select");
+  select.innerHTML =
+    '<option value="">Saved views…</option>' +
+    savedViews
+      .map(
+        (view) =>
+          `<option value="${escapeHtml(view.id)}">${escapeHtml(
+            view.name
+          )}</option>`
+      )
+      .join("");
+}
+
+// Apply a saved view: fill the filter form with its filters and reload the table
+document.getElementById("view-select").addEventListener("change", (event) => {
+  const view = savedViews.find((entry) => entry.id === event.target.value);
+  if (!view) {
+    return;
+  }
+  const form = document.getElementById("filters");
+  form.reset();
+  Object.entries(view.filters).forEach(([key, value]) => {
+    if (form.elements[key]) {
+      form.elements[key].value = value;
+    }
+  });
+  tableState.page = 1;
+  fetchData();
+});
+
+// Save the current filters as a named view
+document.getElementById("save-view").addEventListener("click", async () => {
+  const name = prompt("Name this view:");
+  if (!name) {
+    return;
+  }
+  const filters = {};
+  new FormData(document.getElementById("filters")).forEach((value, key) => {
+    if (String(value).trim() !== "") {
+      filters[key] = String(value).trim();
+    }
+  });
+
+  try {
+    savedViews.push(await apiRequest("/api/views", "POST", { name, filters }));
+    renderSavedViews();
+  } catch (error) {
+    alert(error.message);
+  }
+});
+
+// Delete the selected saved view
+document.getElementById("delete-view").addEventListener("click", async () => {
+  const id = document.getElementById("view-select").value;
+  if (!id) {
+    return;
+  }
+  await apiRequest(`/api/views/${encodeURIComponent(id)}`, "DELETE");
+  savedViews = savedViews.filter((view) => view.id !== id);
+  renderSavedViews();
+});
+
+loadAccount();
@@ -1,15 +1,98 @@
+// Sorting and pagination state for the insider trade table
+const tableState = {
+  sort: "transactionDate", // Field the server sorts by
+  order: "desc", // Sort direction ("asc" or "desc")
+  page: 1, // Current page (1-indexed)
+  pageSize: 50, // Rows per page
+  watchlist: null, // "all" on the My Watchlist tab (see account.js), otherwise null
+  categories: null, // Trade categories toggled on in the legend, or null for all
+};
+
+let heldSymbols = new Set(); // Symbols in the logged-in user's portfolio (see portfolio.js)
+
+/**
+ * Turn a failed response into an Error carrying the server's message.
+ * The API answers errors as `{ error: { message } }` JSON; other bodies
+ * (such as a proxy's error page) are used as plain text.
+ *
+ * @param {Response} response - Response with a non-2xx status.
+ * @returns {Promise<Error>} - Error with the message and `status`.
+ */
+async function responseError(response) {
+  const text = await response.text();
+  let message = text;
+  try {
+    const body = JSON.parse(text);
+    if (body && body.error && body.error.message) {
+      message = body.error.message;
+    }
+  } catch (error) {
+    // Plain-text error body
+  }
+  return Object.assign(new Error(message || response.statusText), {
+    status: response.status,
+  });
+}
+
+/**
+ * Build the query string for "/api/insider-trades" from the filter form
+ * and the current sorting/pagination state.
+ *
+ * @returns {string} - URL-encoded query string (without the leading "?")
+ */
+function buildTradeQuery() {
+  const params = new URLSearchParams();
+
+  // Copy every non-empty filter input into the query
+  const form = document.getElementById("filters");
+  new FormData(form).forEach((value, key) => {
+    if (String(value).trim() !== "") {
+      params.set(key, String(value).trim());
+    }
+  });
+
+  params.set("sort", tableState.sort);
+  params.set("order", tableState.order);
+  params.set("page", tableState.page);
+  params.set("pageSize", tableState.pageSize);
+  if (tableState.watchlist) {
+    params.set("watchlist", tableState.watchlist);
+  }
+  if (tableState.categories) {
+    params.set("category", tableState.categories.join(","));
+  }
+  return params.toString();
+}
+
+/**
+ * Mark trades in the given symbols as held and redraw the table.
+ *
+ * @param {string[]} symbols - Symbols in the logged-in user's portfolio.
+ */
+function setHeldSymbols(symbols) {
+  heldSymbols = new Set(symbols);
+  fetchData();
+}
+
 // Fetch insider trading data from the server API
 async function fetchData() {
   try {
     // Make a GET request to the server-side API endpoint "/api/insider-trades"
-    // This endpoint is expected to return insider trading data in JSON format
-    const response = await fetch("/api/insider-trades");
+    // The current filters, sort order and page are passed as query parameters
+    const response = await fetch(`/api/insider-trades?${buildTradeQuery()}`);
+
+    // Surface validation errors (e.g. a malformed number) from the server
+    if (!response.ok) {
+      throw await responseError(response);
+    }
 
     // Parse the JSON response from the server
-    const data = await response.json();
+    const result = await response.json();
 
-    // Call the displayData function to populate the table with the fetched data
-    displayData(data);
+    // Call the displayData function to populate the table with the fetched page
+    displayData(result.data);
+    updatePagination(result);
+    updateSortIndicators();
   } catch (error) {
     // Log the error message to the browser's console for debugging
     console.error("Error fetching insider trading data:", error);
@@ -21,32 +104,143 @@ async function fetchData() {
 }
 
 /**
- * Determines whether a stock is a recommended buy based on its price,
- * relative discount compared to its high price, and trading volume.
+ * Fetch cluster buys from the server and render them in the panel above the table.
+ */
+async function fetchClusters() {
+  try {
+    const response = await fetch("/api/clusters");
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    displayClusters(await response.json());
+  } catch (error) {
+    console.error("Error fetching cluster buys:", error);
+    document.getElementById("clusters").innerHTML =
+      '<span class="clusters-empty">Failed to load cluster buys.</span>';
+  }
+}
+
+/**
+ * Render cluster buys as cards. Clicking a card filters the table to that ticker.
  *
- * @param {Object} stockInfo - Stock information object retrieved from the Tiingo API.
- *   @property {number} price - The latest stock price.
- *   @property {number} high - The highest price of the stock over a defined period.
- *   @property {number} volume - The trading volume of the stock.
+ * @param {Array} clusters - Clusters returned by "/api/clusters".
+ *   Each object contains `symbol`, `insiderCount`, `totalValue`, `startDate`, `endDate` and `score`.
+ */
+function displayClusters(clusters) {
+  const container = document.getElementById("clusters");
+  container.innerHTML = "";
+
+  if (!clusters.length) {
+    container.innerHTML =
+      '<span class="clusters-empty">No cluster buys detected.</span>';
+    return;
+  }
+
+  clusters.forEach((cluster) => {
+    const card = document.createElement("div");
+    card.className = "cluster-card";
+    card.title = cluster.insiders.join(", "); // Show the insiders on hover
+    card.innerHTML = `
+      <span class="cluster-score">${cluster.score.toFixed(1)}</span>
+      <strong>${escapeHtml(cluster.symbol)}</strong>
+      <div>${cluster.insiderCount} insiders · ${cluster.tradeCount} buys</div>
+      <div>${formatUsd(cluster.totalValue)}</div>
+      <div>${escapeHtml(cluster.startDate)} – ${escapeHtml(
+      cluster.endDate
+    )}</div>
+    `;
+
+    // Narrow the main table to this ticker's purchases
+    card.addEventListener("click", () => {
+      const form = document.getElementById("filters");
+      form.elements.symbol.value = cluster.symbol;
+      form.elements.transactionCode.value = "P";
+      tableState.page = 1;
+      fetchData();
+    });
+
+    container.appendChild(card);
+  });
+}
+
+/**
+ * Update the pagination controls and totals below the table.
  *
- * @returns {boolean} - Returns `true` if the stock meets the criteria for a recommended buy, otherwise `false`.
+ * @param {Object} result - Response from "/api/insider-trades".
+ *   @property {number} page - Current page.
+ *   @property {number} totalPages - Number of pages for the filtered set.
+ *   @property {number} total - Number of trades matching the filters.
+ *   @property {Object} totals - Aggregates (`value`) over the filtered set.
  */
-function isRecommendedBuy(stockInfo) {
-  const { price, high, volume } = stockInfo;
+function updatePagination(result) {
+  document.getElementById("page-info").textContent = `Page ${result.page} of ${
+    result.totalPages
+  } · ${result.total.toLocaleString("en-US")} trades · ${formatUsd(
+    result.totals.value
+  )} total value`;
+
+  // Disable the buttons when there is no page to move to
+  document.getElementById("prev-page").disabled = result.page <= 1;
+  document.getElementById("next-page").disabled =
+    result.page >= result.totalPages;
+}
 
-  // Check for two conditions:
-  // 1. The stock price is $2 or below (indicating a very low price).
-  // 2. The stock price is less than 70% of its high price (indicating a significant discount)
-  //    AND the stock has a high trading volume (greater than 100,000).
-  return price <= 2 || (price < 0.7 * high && volume > 100000);
+/**
+ * Mark the currently sorted column header with an arrow.
+ */
+function updateSortIndicators() {
+  document.querySelectorAll("#data th[data-sort]").forEach((header) => {
+    header.classList.remove("sorted-asc", "sorted-desc");
+    if (header.dataset.sort === tableState.sort) {
+      header.classList.add(`sorted-${tableState.order}`);
+    }
+  });
 }
 
+// Sort by a column when its header is clicked; clicking again flips the direction
+document.querySelectorAll("#data th[data-sort]").forEach((header) => {
+  header.addEventListener("click", () => {
+    const field = header.dataset.sort;
+    if (tableState.sort === field) {
+      tableState.order = tableState.order === "asc" ? "desc" : "asc";
+    } else {
+      tableState.sort = field;
+      tableState.order = "desc";
+    }
+    tableState.page = 1; // Restart from the first page with the new order
+    fetchData();
+  });
+});
+
+// Apply the filters from the form, starting again from the first page
+document.getElementById("filters").addEventListener("submit", (event) => {
+  event.preventDefault(); // Keep the browser from reloading the page
+  tableState.page = 1;
+  fetchData();
+});
+
+// Clear the filters; the reset event fires before the inputs are emptied
+document.getElementById("filters").addEventListener("reset", () => {
+  tableState.page = 1;
+  setTimeout(fetchData, 0);
+});
+
+// Move between pages of results
+document.getElementById("prev-page").addEventListener("click", () => {
+  tableState.page = Math.max(1, tableState.page - 1);
+  fetchData();
+});
+
+document.getElementById("next-page").addEventListener("click", () => {
+  tableState.page += 1;
+  fetchData();
+});
+
 /**
  * Display insider trading data in the table with appropriate highlights.
  *
  * This function dynamically populates a table with insider trading data,
- * applies conditional formatting to highlight rows based on trade type and thresholds,
- * and adds click event listeners to display additional details in a modal.
+ * replacing any rows that were shown before.
  *
  * @param {Array} data - Array of insider trading data objects retrieved from the Finnhub API.
  *   Each object contains properties like `symbol`, `name`, `transactionCode`, `change`, `transactionPrice`, and `transactionDate`.
@@ -60,62 +254,98 @@ function displayData(data) {
   // Clear previous table data to prepare for new rows
   tableBody.innerHTML = "";
 
-  // Loop through each trade object in the data array
+  // Append a row for each trade object in the data array
   data.forEach((trade) => {
-    // Create a new table row element
-    const row = document.createElement("tr");
-
-    // Extract relevant properties from the trade object
-    const company = trade.symbol || "N/A"; // Stock ticker symbol or "N/A" if unavailable
-    const insider = trade.name || "N/A"; // Name of the insider
-    const transactionType = trade.transactionCode || "N/A"; // Type of transaction (e.g., "P" for purchase)
-    const shares = trade.change || 0; // Number of shares changed in the transaction
-    const price = trade.transactionPrice
-      ? parseFloat(trade.transactionPrice) // Parse the price as a float
-      : null; // Set to null if not available
-    const transactionDate = trade.transactionDate || "N/A"; // Date of the transaction
-    const tradeValue = price && shares ? price * shares : 0; // Calculate trade value if price and shares are available
-
-    // Highlight rows based on transaction type and specific conditions
-    if (transactionType === "P") {
-      // "P" stands for purchase
-      if (price <= 2) {
-        // Bold highlight for purchases where the price is $2 or below
-        row.classList.add("highlight-green-bold");
-      } else {
-        // Standard green highlight for purchases
-        row.classList.add("highlight-green");
-      }
-    }
+    tableBody.appendChild(createTradeRow(trade));
+  });
+}
 
-    // Populate the row with trade data using a template literal
-    row.innerHTML = `
-      <td>${company}</td>
-      <td>${insider}</td>
-      <td>${transactionType}</td>
-      <td>${shares}</td>
-      <td>${price ? `$${price.toFixed(2)}` : "N/A"}</td>
-      <td>${tradeValue ? `$${tradeValue.toLocaleString()}` : "N/A"}</td>
-      <td>${transactionDate}</td>
-    `;
+/**
+ * Create a table row for a single insider trade.
+ *
+ * Applies conditional formatting to highlight rows based on trade type and thresholds,
+ * and adds a click event listener to display additional details in a modal.
+ *
+ * @param {Object} trade - Insider trading data object.
+ * @returns {HTMLTableRowElement} - The populated table row.
+ */
+function createTradeRow(trade) {
+  // Create a new table row element
+  const row = document.createElement("tr");
 
-    // Add an event listener to the row for displaying detailed information in a modal
-    row.addEventListener("click", async () => {
-      const stockInfo = await fetchTiingoData(company); // Fetch stock price data from the Tiingo API
-      const financialData = await fetchFinancialData(company); // Fetch financial data from the Polygon.io API
-      if (stockInfo) {
-        const recommendationData = financialData
-          ? analyzeFinancialData(financialData) // Analyze financial data to compute metrics and recommendations
-          : { recommendation: "HOLD", details: {} }; // Default to "HOLD" if financial data is unavailable
-
-        // Display the detailed data in a modal
-        showModal(company, stockInfo, recommendationData, financialData);
-      }
-    });
+  // Extract relevant properties from the trade object
+  const company = trade.symbol || "N/A"; // Stock ticker symbol or "N/A" if unavailable
+  const insider = trade.name || "N/A"; // Name of the insider
+  const transactionType = trade.transactionCode || "N/A"; // Type of transaction (e.g., "P" for purchase)
+  const shares = trade.change || 0; // Number of shares changed in the transaction
+  const transactionDate = trade.transactionDate || "N/A"; // Date of the transaction
+  const classification = trade.classification || { category: "other" }; // Category from the server (see lib/classification.js)
+  const profile = trade.company || {}; // Company metadata, once the server has looked it up (see lib/enrichment.js)
+
+  // Highlight rows by category so discretionary buys and sells stand out (see format.js)
+  row.classList.add(tradeRowClass(trade));
+  const held = heldSymbols.has(trade.symbol); // Trades in names the user holds are marked too
+  if (held) {
+    row.classList.add("held");
+  }
+
+  // Populate the row with trade data using a template literal
+  row.innerHTML = `
+    <td>${escapeHtml(company)}${
+    held ? ' <span class="held-badge">Held</span>' : ""
+  }${
+    profile.name
+      ? `<span class="company-name">${escapeHtml(profile.name)}</span>`
+      : ""
+  }</td>
+    <td>${escapeHtml(profile.sector || "N/A")}</td>
+    <td>${formatMarketCap(profile.marketCap)}</td>
+    <td class="insider-link" title="View insider profile">${escapeHtml(
+      insider
+    )}</td>
+    <td title="${escapeHtml(
+      classification.planned === null
+        ? `${classification.codeLabel} (10b5-1 plans are only reported in SEC EDGAR filings)`
+        : classification.codeLabel
+    )}">${escapeHtml(transactionType)}${
+    classification.categoryLabel
+      ? ` <span class="category-label">${escapeHtml(
+          classification.categoryLabel
+        )}</span>`
+      : ""
+  }${
+    classification.planned ? ' <span class="plan-badge">10b5-1</span>' : ""
+  }</td>
+    <td>${escapeHtml(shares)}</td>
+    <td>${formatPrice(trade.transactionPrice)}</td>
+    <td>${formatUsd(tradeValue(trade))}</td>
+    <td>${formatPercent(trade.percentOfMarketCap)}</td>
+    <td>${formatPercent(trade.percentOfHoldings)}</td>
+    <td>${escapeHtml(transactionDate)}</td>
+  `;
+
+  // Clicking the insider's name opens their profile instead of the company modal
+  row.querySelector(".insider-link").addEventListener("click", (event) => {
+    event.stopPropagation(); // Keep the row's company modal from opening too
+    if (trade.name) {
+      showInsiderProfile(trade.name);
+    }
+  });
 
-    // Append the newly created row to the table body
-    tableBody.appendChild(row);
+  // Add an event listener to the row for displaying detailed information in a modal
+  row.addEventListener("click", async () => {
+    const stockInfo = await fetchTiingoData(company); // Fetch stock price data from the Tiingo API
+    const financialData = await fetchFinancialData(company); // Fetch recent quarterly filings from the Polygon.io API
+    if (stockInfo) {
+      // Score the company on the server with the selected profile
+      const scoreData = await fetchScore(company, selectedProfile);
+
+      // Display the detailed data in a modal
+      showModal(company, stockInfo, scoreData, financialData, trade);
+    }
   });
+
+  return row;
 }
 
 /**
@@ -132,7 +362,9 @@ function displayData(data) {
 async function fetchTiingoData(symbol) {
   try {
     // Make an API call to the server-side endpoint for Tiingo data
-    const response = await fetch(`/api/tiingo?symbol=${symbol}`);
+    const response = await fetch(
+      `/api/tiingo?symbol=${encodeURIComponent(symbol)}`
+    );
 
     // Check if the API response is successful (status 200-299)
     if (!response.ok) {
@@ -171,15 +403,17 @@ async function fetchTiingoData(symbol) {
 /**
  * Displays a modal with detailed stock and financial analysis.
  *
- * This function populates a modal with financial metrics, recommendation data, and a chart (if financial data is available).
+ * This function populates a modal with the server-side recommendation, the
+ * per-factor explanation behind it, financial ratios and a chart (if financial data is available).
  * It sets the modal's visibility and ensures the information presented is formatted clearly.
  *
  * @param {string} company - The company name or stock ticker symbol.
  * @param {Object} stockInfo - Object containing stock price data (e.g., price, volume, etc.).
- * @param {Object} recommendationData - Object containing a recommendation (BUY/HOLD/SELL) and detailed financial metrics.
- * @param {Object|null} financialData - Financial data for the company retrieved from the Polygon.io API. Null if unavailable.
+ * @param {Object|null} scoreData - Score, recommendation (BUY/HOLD/SELL), factor breakdown and metrics from "/api/score/:symbol". Null if scoring failed.
+ * @param {Object|null} financialData - Financial history for the company from "/api/polygon-financials" (`{ timeframe, periods }`). Null if unavailable.
+ * @param {Object} [trade] - The insider trade whose row was clicked, used for post-trade performance.
  */
-function showModal(company, stockInfo, recommendationData, financialData) {
+function showModal(company, stockInfo, scoreData, financialData, trade) {
   // Select the modal elements from the DOM
   const modal = document.getElementById("modal"); // Modal container
   const modalTitle = document.getElementById("modal-title"); // Modal title element
@@ -188,44 +422,429 @@ function showModal(company, stockInfo, recommendationData, financialData) {
   // Update the modal title with the company name or ticker symbol
   modalTitle.textContent = `Detailed Analysis for ${company}`;
 
-  // Populate the modal with financial metrics and the recommendation
+  const metrics = (scoreData && scoreData.metrics) || {};
+
+  // Explain each factor of the score: its value, points and why
+  const factorRows = scoreData
+    ? scoreData.factors
+        .map(
+          (factor) => `
+          <tr>
+            <td>${escapeHtml(factor.label)}</td>
+            <td>${formatMetric(factor.value)}</td>
+            <td>${factor.points > 0 ? "+" : ""}${escapeHtml(
+            factor.points
+          )} × ${escapeHtml(factor.weight)}</td>
+            <td>${escapeHtml(factor.reason)}</td>
+          </tr>`
+        )
+        .join("")
+    : "";
+
+  // Populate the modal with the recommendation, its explanation and the financial metrics
   modalContent.innerHTML = `
-    <p><strong>Recommendation:</strong> ${recommendationData.recommendation}</p>
+    <p><strong>Latest Close:</strong> $${formatMetric(stockInfo.price)}</p>
+    <canvas id="priceChart"></canvas>
+    ${
+      scoreData
+        ? `<p><strong>Recommendation:</strong> ${escapeHtml(
+            scoreData.recommendation
+          )}
+            (score ${escapeHtml(scoreData.score)} / 100, ${escapeHtml(
+            scoreData.profile
+          )} profile)</p>
+          <table class="detail-table">
+            <tr><th>Factor</th><th>Value</th><th>Points × Weight</th><th>Why</th></tr>
+            ${factorRows}
+          </table>`
+        : "<p><strong>Recommendation:</strong> unavailable</p>"
+    }
     <table class="detail-table">
       <tr><th>Metric</th><th>Value</th></tr>
-      <tr><td>Net Profit Margin</td><td>${recommendationData.details.netProfitMargin.toFixed(
-        2
-      )}%</td></tr>
-      <tr><td>Return on Assets (ROA)</td><td>${recommendationData.details.returnOnAssets.toFixed(
-        2
-      )}%</td></tr>
-      <tr><td>Return on Equity (ROE)</td><td>${recommendationData.details.returnOnEquity.toFixed(
-        2
-      )}%</td></tr>
-      <tr><td>Current Ratio</td><td>${recommendationData.details.currentRatio.toFixed(
-        2
+      <tr><td>Net Profit Margin</td><td>${formatMetric(
+        metrics.netProfitMargin,
+        "%"
       )}</td></tr>
-      <tr><td>Debt-to-Equity Ratio</td><td>${recommendationData.details.debtToEquity.toFixed(
-        2
+      <tr><td>Return on Assets (ROA)</td><td>${formatMetric(
+        metrics.returnOnAssets,
+        "%"
       )}</td></tr>
-      <tr><td>Asset Turnover Ratio</td><td>${recommendationData.details.assetTurnover.toFixed(
-        2
+      <tr><td>Return on Equity (ROE)</td><td>${formatMetric(
+        metrics.returnOnEquity,
+        "%"
+      )}</td></tr>
+      <tr><td>Current Ratio</td><td>${formatMetric(
+        metrics.currentRatio
+      )}</td></tr>
+      <tr><td>Debt-to-Equity Ratio</td><td>${formatMetric(
+        metrics.debtToEquity
+      )}</td></tr>
+      <tr><td>Asset Turnover Ratio</td><td>${formatMetric(
+        metrics.assetTurnover
       )}</td></tr>
     </table>
+    <div id="trade-performance"></div>
+    <label class="timeframe-picker">
+      Filings
+      <select id="financial-timeframe">
+        <option value="quarterly">Quarterly</option>
+        <option value="annual">Annual</option>
+      </select>
+    </label>
+    <canvas id="ratioChart"></canvas>
+    <h3>Peer Comparison</h3>
+    <form id="peer-form" class="peer-form">
+      <input type="text" name="peers" placeholder="Peers, e.g. AAPL, MSFT (default: same industry)" />
+      <button type="submit">Compare</button>
+    </form>
+    <div id="peer-comparison"></div>
+    <canvas id="peerChart"></canvas>
   `;
 
+  // Switch the financial charts between quarterly and annual filings
+  document
+    .getElementById("financial-timeframe")
+    .addEventListener("change", async (event) => {
+      const history = await fetchFinancialData(company, event.target.value);
+      if (history) {
+        createChart(history);
+      }
+    });
+
+  // Compare with a user-defined peer list instead of the industry group
+  document.getElementById("peer-form").addEventListener("submit", (event) => {
+    event.preventDefault();
+    loadPeers(company, event.target.elements.peers.value);
+  });
+  loadPeers(company);
+
+  // Load how the stock moved after this trade (filled in when it arrives)
+  if (trade && trade.id) {
+    loadTradePerformance(trade);
+  }
+
   // Make the modal visible by setting its display style
   modal.style.display = "flex";
-  console.log("Modal displayed. Creating chart...");
+  console.log("Modal displayed. Creating charts...");
 
-  // If financial data is available, create a chart inside the modal
+  // Load the price chart with insider trade markers (drawn when it arrives)
+  loadPriceChart(company);
+
+  // If financial data is available, chart it inside the modal
   if (financialData) {
-    createChart(financialData); // Generate a financial chart
+    createChart(financialData); // Generate the financial charts
   } else {
     console.warn("Financial data not available. Skipping chart creation."); // Log a warning if no data is present
   }
 }
 
+/**
+ * Fetch an insider's profile and display it in the modal.
+ *
+ * Shows totals, a per-company breakdown (net shares, average purchase price,
+ * current holdings and trend), a holdings chart and every trade on record.
+ *
+ * @param {string} name - Insider name as shown in the trade table.
+ */
+async function showInsiderProfile(name) {
+  const modal = document.getElementById("modal");
+  const modalTitle = document.getElementById("modal-title");
+  const modalContent = document.getElementById("modal-content");
+
+  try {
+    const response = await fetch(`/api/insiders/${encodeURIComponent(name)}`);
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    const profile = await response.json();
+
+    modalTitle.textContent = `Insider Profile: ${profile.name}`;
+
+    // One row per company the insider has traded
+    const companyRows = profile.companies
+      .map(
+        (company) => `
+          <tr>
+            <td>${escapeHtml(company.symbol)}</td>
+            <td>${company.trades}</td>
+            <td>${company.netShares.toLocaleString()}</td>
+            <td>${formatPrice(company.averagePurchasePrice)}</td>
+            <td>${
+              company.currentHoldings !== null
+                ? company.currentHoldings.toLocaleString()
+                : "N/A"
+            }</td>
+            <td>${escapeHtml(company.holdingsTrend)}</td>
+          </tr>`
+      )
+      .join("");
+
+    // Every trade on record, newest first
+    const tradeRows = profile.trades
+      .map(
+        (trade) => `
+          <tr>
+            <td>${escapeHtml(trade.transactionDate || "N/A")}</td>
+            <td>${escapeHtml(trade.symbol)}</td>
+            <td>${escapeHtml(trade.transactionCode || "N/A")}</td>
+            <td>${escapeHtml(trade.change)}</td>
+            <td>${formatPrice(trade.transactionPrice)}</td>
+          </tr>`
+      )
+      .join("");
+
+    modalContent.innerHTML = `
+      <p>
+        ${profile.totals.trades} trades in ${profile.totals.companies} companies
+        (${escapeHtml(profile.firstTradeDate)} – ${escapeHtml(
+      profile.lastTradeDate
+    )}) ·
+        bought ${formatUsd(profile.totals.valueBought)} ·
+        sold ${formatUsd(profile.totals.valueSold)}
+      </p>
+      <table class="detail-table">
+        <tr>
+          <th>Company</th><th>Trades</th><th>Net Shares</th>
+          <th>Avg Purchase Price</th><th>Holdings</th><th>Trend</th>
+        </tr>
+        ${companyRows}
+      </table>
+      <h3>Trade History</h3>
+      <div class="insider-trades">
+        <table class="detail-table">
+          <tr><th>Date</th><th>Company</th><th>Type</th><th>Shares</th><th>Price</th></tr>
+          ${tradeRows}
+        </table>
+      </div>
+    `;
+
+    modal.style.display = "flex";
+    createHoldingsChart(profile);
+  } catch (error) {
+    console.error(`Error fetching insider profile for ${name}:`, error);
+  }
+}
+
+/**
+ * Draw a line chart of the insider's reported holdings over time,
+ * one line per company, on the modal's chart canvas.
+ *
+ * @param {Object} profile - Insider profile from "/api/insiders/:name".
+ */
+function createHoldingsChart(profile) {
+  const canvas = document.getElementById("financialChart");
+  const ctx = canvas && canvas.getContext("2d");
+  if (!ctx) {
+    console.warn("Canvas element not found for chart.");
+    return;
+  }
+
+  // Replace any chart drawn on this canvas; the close handlers clean it up
+  destroyChart(canvas);
+
+  // Fall back to the running net share change when no holdings were reported
+  const datasets = profile.companies.map((company) => ({
+    label: company.symbol,
+    data: company.timeline.map((point) => ({
+      x: point.date,
+      y: point.share !== null ? point.share : point.netShares,
+    })),
+    fill: false,
+    tension: 0.1,
+  }));
+  const labels = Array.from(
+    new Set(
+      profile.companies.flatMap((company) =>
+        company.timeline.map((point) => point.date)
+      )
+    )
+  ).sort();
+
+  try {
+    modalCharts.push(
+      new Chart(ctx, {
+        type: "line",
+        data: { labels, datasets },
+        options: {
+          responsive: true,
+          scales: {
+            y: {
+              title: {
+                display: true,
+                text: "Shares Held",
+              },
+            },
+          },
+        },
+      })
+    );
+  } catch (err) {
+    console.error("Error creating holdings chart:", err);
+  }
+}
+
+/**
+ * Fetch forward returns after a trade and show them in the modal.
+ *
+ * @param {Object} trade - Stored insider trade with an `id`.
+ */
+async function loadTradePerformance(trade) {
+  const container = document.getElementById("trade-performance");
+  container.innerHTML = "<p>Loading post-trade performance...</p>";
+
+  try {
+    const response = await fetch(
+      `/api/backtest/trades/${encodeURIComponent(trade.id)}?benchmark=SPY`
+    );
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    const result = await response.json();
+
+    if (!result.entryDate) {
+      container.innerHTML = "<p>No price data after this trade yet.</p>";
+      return;
+    }
+
+    // One row per horizon: stock return, SPY return and the difference
+    const rows = Object.keys(result.returns)
+      .map(
+        (horizon) => `
+          <tr>
+            <td>+${horizon} days</td>
+            <td>${formatReturn(result.returns[horizon])}</td>
+            <td>${formatReturn(result.benchmarkReturns[horizon])}</td>
+            <td>${formatReturn(result.excessReturns[horizon])}</td>
+          </tr>`
+      )
+      .join("");
+
+    container.innerHTML = `
+      <h3>Performance Since Trade</h3>
+      <p>Entry ${escapeHtml(result.entryDate)} at $${result.entryPrice.toFixed(
+      2
+    )}</p>
+      <table class="detail-table">
+        <tr><th>Horizon</th><th>${escapeHtml(
+          trade.symbol
+        )}</th><th>SPY</th><th>Excess</th></tr>
+        ${rows}
+      </table>
+    `;
+  } catch (error) {
+    console.error(`Error fetching performance for trade ${trade.id}:`, error);
+    container.innerHTML = "<p>Post-trade performance unavailable.</p>";
+  }
+}
+
+/**
+ * Download the trades matching the current filters and sort order.
+ * Ratios and the recommendation (with the selected profile) are added
+ * when the "Include ratios and recommendation" box is checked.
+ *
+ * @param {string} format - "csv", "ndjson" or "xlsx".
+ */
+function exportTrades(format) {
+  const params = new URLSearchParams(buildTradeQuery());
+  ["page", "pageSize"].forEach((key) => params.delete(key)); // Export every match
+  params.set("format", format);
+  if (document.getElementById("export-analysis").checked) {
+    params.set("include", "ratios,recommendation");
+    if (selectedProfile) {
+      params.set("profile", selectedProfile);
+    }
+  }
+
+  // Navigating to an attachment downloads it without leaving the page
+  window.location.href = `/api/insider-trades/export?${params}`;
+}
+
+document.querySelectorAll("[data-export]").forEach((button) => {
+  button.addEventListener("click", () => exportTrades(button.dataset.export));
+});
+
+/**
+ * Run the backtest over the trades matching the current filters and show
+ * average forward returns per transaction code and per insider.
+ */
+async function runBacktest() {
+  const container = document.getElementById("backtest-results");
+  container.innerHTML =
+    "<p>Running backtest... this can take a while for many tickers.</p>";
+
+  // Same filters as the table; sorting and paging do not apply
+  const params = new URLSearchParams(buildTradeQuery());
+  ["sort", "order", "page", "pageSize"].forEach((key) => params.delete(key));
+  params.set("benchmark", "SPY");
+
+  try {
+    const response = await fetch(`/api/backtest/summary?${params}`);
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    const summary = await response.json();
+
+    // Render one aggregate table (by transaction code or by insider)
+    const renderGroups = (title, groups, field) => `
+      <h3>${title}</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>${field === "name" ? "Insider" : "Transaction Type"}</th>
+            <th>Trades</th>
+            ${summary.horizons
+              .map((horizon) => `<th>+${horizon}d avg (vs SPY)</th>`)
+              .join("")}
+          </tr>
+        </thead>
+        <tbody>
+          ${groups
+            .map(
+              (group) => `
+            <tr>
+              <td>${escapeHtml(group[field])}</td>
+              <td>${group.trades}</td>
+              ${summary.horizons
+                .map((horizon) => {
+                  const stats = group.horizons[horizon];
+                  return `<td>${formatReturn(stats.average)} (${formatReturn(
+                    stats.excess
+                  )})</td>`;
+                })
+                .join("")}
+            </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+
+    container.innerHTML = `
+      ${renderGroups(
+        "By Transaction Type",
+        summary.byTransactionCode,
+        "transactionCode"
+      )}
+      ${renderGroups(
+        "By Insider (top 20)",
+        summary.byInsider.slice(0, 20),
+        "name"
+      )}
+      ${
+        summary.skippedSymbols.length
+          ? `<p>Skipped ${summary.skippedSymbols.length} less active tickers to stay within API limits.</p>`
+          : ""
+      }
+    `;
+  } catch (error) {
+    console.error("Error running backtest:", error);
+    container.innerHTML = "<p>Backtest failed.</p>";
+  }
+}
+
+// Run the backtest on demand; it can take many upstream requests
+document.getElementById("run-backtest").addEventListener("click", runBacktest);
+
 /**
  * Closes the modal and performs necessary cleanup operations when the close button is clicked.
  *
@@ -241,14 +860,8 @@ document.querySelector(".close-modal").addEventListener("click", () => {
   // Set the modal's display style to 'none' to hide it from view
   modal.style.display = "none";
 
-  // Check if a financial chart instance exists
-  if (financialChartInstance) {
-    // Destroy the existing chart instance to free up memory and prevent rendering issues
-    financialChartInstance.destroy();
-
-    // Reset the global chart instance variable to null
-    financialChartInstance = null;
-  }
+  // Destroy the modal's charts to free up memory and prevent rendering issues
+  destroyModalCharts();
 });
 
 /**
@@ -269,137 +882,408 @@ window.addEventListener("click", (event) => {
     // Hide the modal by setting its display style to 'none'
     modal.style.display = "none";
 
-    // If a financial chart instance exists, destroy it to release resources
-    if (financialChartInstance) {
-      financialChartInstance.destroy(); // Cleanup the chart
-      financialChartInstance = null; // Reset the chart instance variable
-    }
+    // Destroy the modal's charts to release resources
+    destroyModalCharts();
   }
 });
 
-let financialChartInstance; // Global variable to track the current chart instance
+let modalCharts = []; // Chart instances currently drawn in the modal
 
 /**
- * Creates and displays a bar chart using Chart.js to visualize financial metrics.
- *
- * This function dynamically generates a bar chart to represent key financial data
- * such as Revenue, Net Income, Assets, Liabilities, and Equity.
- *
- * @param {Object} financialData - Financial data object from Polygon.io API.
+ * Destroy every chart drawn in the modal.
  */
-function createChart(financialData) {
-  // Retrieve the canvas element where the chart will be rendered
-  const canvas = document.getElementById("financialChart");
-
-  // Check if the canvas element exists
-  if (!canvas) {
-    console.warn("Canvas element not found for chart.");
-    return;
-  }
+function destroyModalCharts() {
+  modalCharts.forEach((chart) => chart.destroy());
+  modalCharts = [];
+}
 
-  // Set explicit dimensions for the canvas to avoid rendering issues
-  canvas.width = canvas.offsetWidth || 400; // Default width to 400px if not set
-  canvas.height = canvas.offsetHeight || 200; // Default height to 200px if not set
+/**
+ * Destroy the chart drawn on one canvas, if any, before drawing a new one.
+ *
+ * @param {HTMLCanvasElement} canvas - Chart canvas.
+ */
+function destroyChart(canvas) {
+  modalCharts = modalCharts.filter((chart) => {
+    if (chart.canvas === canvas) {
+      chart.destroy();
+      return false;
+    }
+    return true;
+  });
+}
 
-  // Get the 2D rendering context from the canvas
-  const ctx = canvas.getContext("2d");
+/**
+ * Draw a chart on a canvas in the modal, replacing any chart already on it.
+ *
+ * @param {string} canvasId - Id of the canvas element.
+ * @param {Object} config - Chart.js configuration.
+ */
+function drawModalChart(canvasId, config) {
+  const canvas = document.getElementById(canvasId);
+  const ctx = canvas && canvas.getContext("2d");
   if (!ctx) {
-    console.warn("Canvas context could not be initialized.");
+    console.warn(`Canvas element "${canvasId}" not found for chart.`);
     return;
   }
 
-  // Destroy the existing chart instance if it exists to avoid duplicates
-  if (financialChartInstance) {
-    financialChartInstance.destroy(); // Cleanup existing chart
-    financialChartInstance = null; // Reset the global variable
+  destroyChart(canvas);
+  try {
+    modalCharts.push(new Chart(ctx, config));
+  } catch (err) {
+    console.error(`Error creating chart "${canvasId}":`, err);
   }
+}
 
-  // Extract financial metrics and labels for the chart
-  const labels = ["Revenue", "Net Income", "Assets", "Liabilities", "Equity"];
-  const data = [
-    financialData.financials.income_statement?.revenues?.value || 0, // Revenue
-    financialData.financials.income_statement?.net_income_loss?.value || 0, // Net Income
-    financialData.financials.balance_sheet?.assets?.value || 0, // Total Assets
-    financialData.financials.balance_sheet?.liabilities?.value || 0, // Total Liabilities
-    financialData.financials.balance_sheet?.equity?.value || 0, // Equity
+/**
+ * Chart a company's financial history using Chart.js.
+ *
+ * Draws revenue and net income per filing as a line chart, and the computed
+ * ratios per filing as a second line chart: percentages (margin, ROA, ROE)
+ * on the left axis and plain ratios on the right.
+ *
+ * @param {Object} financialData - Financial history from "/api/polygon-financials" (`{ timeframe, periods }`).
+ */
+function createChart(financialData) {
+  const periods = financialData.periods;
+  const labels = periods.map((period) => period.label || period.endDate);
+
+  drawModalChart("financialChart", {
+    type: "line",
+    data: {
+      labels,
+      datasets: [
+        {
+          label: "Revenue",
+          data: periods.map((period) => period.revenues),
+          borderColor: "rgba(75, 192, 192, 1)",
+          backgroundColor: "rgba(75, 192, 192, 0.2)",
+          tension: 0.1,
+        },
+        {
+          label: "Net Income",
+          data: periods.map((period) => period.netIncome),
+          borderColor: "rgba(75, 75, 192, 1)",
+          backgroundColor: "rgba(75, 75, 192, 0.2)",
+          tension: 0.1,
+        },
+      ],
+    },
+    options: {
+      responsive: true, // Make the chart responsive to screen size
+      plugins: {
+        title: { display: true, text: "Revenue and Net Income" },
+        tooltip: {
+          callbacks: {
+            // Format numbers as currency with commas
+            label: (context) =>
+              `${context.dataset.label}: $${context.raw.toLocaleString()}`,
+          },
+        },
+      },
+      scales: {
+        y: {
+          title: { display: true, text: "Value (USD)" },
+        },
+      },
+    },
+  });
+
+  // Percentages share the left axis; plain ratios use the right one
+  const ratioLines = [
+    ["netProfitMargin", "Net Profit Margin (%)", "y", "rgba(75, 192, 75, 1)"],
+    ["returnOnAssets", "ROA (%)", "y", "rgba(192, 192, 75, 1)"],
+    ["returnOnEquity", "ROE (%)", "y", "rgba(192, 75, 75, 1)"],
+    ["currentRatio", "Current Ratio", "y1", "rgba(75, 75, 192, 1)"],
+    ["debtToEquity", "Debt-to-Equity", "y1", "rgba(192, 75, 192, 1)"],
+    ["assetTurnover", "Asset Turnover", "y1", "rgba(75, 192, 192, 1)"],
   ];
 
-  console.log("Chart data:", data); // Debugging: log the extracted data
+  drawModalChart("ratioChart", {
+    type: "line",
+    data: {
+      labels,
+      datasets: ratioLines.map(([key, label, axis, color]) => ({
+        label,
+        data: periods.map((period) =>
+          period.ratios ? period.ratios[key] : null
+        ),
+        yAxisID: axis,
+        borderColor: color,
+        backgroundColor: color,
+        tension: 0.1,
+      })),
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        title: { display: true, text: "Financial Ratios" },
+      },
+      scales: {
+        y: {
+          position: "left",
+          title: { display: true, text: "Percent" },
+        },
+        y1: {
+          position: "right",
+          grid: { drawOnChartArea: false }, // Keep one set of grid lines
+          title: { display: true, text: "Ratio" },
+        },
+      },
+    },
+  });
+}
+
+// Peer comparison columns: ratio key, label and unit suffix
+const PEER_COLUMNS = [
+  ["netProfitMargin", "Net Margin", "%"],
+  ["returnOnAssets", "ROA", "%"],
+  ["returnOnEquity", "ROE", "%"],
+  ["currentRatio", "Current Ratio", ""],
+  ["debtToEquity", "Debt/Equity", ""],
+  ["assetTurnover", "Asset Turnover", ""],
+];
 
-  // Attempt to create a new bar chart
+/**
+ * Fetch a company's peer comparison and show it in the modal.
+ *
+ * @param {string} symbol - The stock ticker symbol.
+ * @param {string} [peers] - Comma-separated peer tickers; the server picks the industry group when empty.
+ */
+async function loadPeers(symbol, peers = "") {
+  const container = document.getElementById("peer-comparison");
+  const params = new URLSearchParams();
+  if (peers.trim()) {
+    params.set("peers", peers);
+  }
   try {
-    financialChartInstance = new Chart(ctx, {
-      type: "bar", // Bar chart type
-      data: {
-        labels, // Labels for the x-axis
-        datasets: [
-          {
-            label: "Financial Metrics (USD)", // Dataset label
-            data, // Data values for the chart
-            backgroundColor: [
-              "rgba(75, 192, 192, 0.2)", // Revenue bar color
-              "rgba(75, 75, 192, 0.2)", // Net Income bar color
-              "rgba(192, 192, 75, 0.2)", // Assets bar color
-              "rgba(192, 75, 75, 0.2)", // Liabilities bar color
-              "rgba(75, 192, 75, 0.2)", // Equity bar color
-            ],
-            borderColor: [
-              "rgba(75, 192, 192, 1)", // Revenue border color
-              "rgba(75, 75, 192, 1)", // Net Income border color
-              "rgba(192, 192, 75, 1)", // Assets border color
-              "rgba(192, 75, 75, 1)", // Liabilities border color
-              "rgba(75, 192, 75, 1)", // Equity border color
-            ],
-            borderWidth: 1, // Border width of the bars
-          },
-        ],
+    const response = await fetch(
+      `/api/peers/${encodeURIComponent(symbol)}?${params.toString()}`
+    );
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    displayPeers(await response.json());
+  } catch (error) {
+    console.error(`Error fetching peers for ${symbol}:`, error);
+    if (container) {
+      container.innerHTML = `<p>${escapeHtml(error.message)}</p>`;
+      destroyChart(document.getElementById("peerChart"));
+    }
+  }
+}
+
+/**
+ * Show a peer comparison as a table of ratios with percentile ranks and
+ * insider activity, and the company's ranks as a radar chart.
+ *
+ * @param {Object} comparison - Peer comparison from "/api/peers/:symbol".
+ */
+function displayPeers(comparison) {
+  const container = document.getElementById("peer-comparison");
+  if (!container) {
+    return; // The modal was closed or reopened for another company
+  }
+
+  const rows = comparison.companies
+    .map((company) => {
+      const insiders = company.insiders;
+      const ratioCells = PEER_COLUMNS.map(
+        ([key, , suffix]) =>
+          `<td>${formatMetric(
+            company.ratios ? company.ratios[key] : null,
+            suffix
+          )} <span class="percentile">${formatPercentile(
+            company.percentiles[key]
+          )}</span></td>`
+      ).join("");
+      return `
+        <tr class="${company.symbol === comparison.symbol ? "peer-self" : ""}">
+          <td title="${escapeHtml(company.name || "")}">${escapeHtml(
+        company.symbol
+      )}</td>
+          <td>${formatMarketCap(company.marketCap)}</td>
+          ${ratioCells}
+          <td class="${
+            insiders.netValue > 0
+              ? "sentiment-buying"
+              : insiders.netValue < 0
+              ? "sentiment-selling"
+              : ""
+          }" title="${escapeHtml(
+        `${insiders.buyers} buyer(s), ${insiders.sellers} seller(s)`
+      )}">${formatUsd(insiders.netValue)}</td>
+        </tr>`;
+    })
+    .join("");
+  const medianCells = PEER_COLUMNS.map(
+    ([key, , suffix]) =>
+      `<td>${formatMetric(comparison.medians[key], suffix)}</td>`
+  ).join("");
+
+  container.innerHTML = `
+    <p>${
+      comparison.source === "custom"
+        ? "Your peer list"
+        : `Same industry: ${escapeHtml(comparison.sector)}`
+    }. Percentiles rank each company within the group (lower debt/equity ranks higher).</p>
+    <table class="detail-table peer-table">
+      <tr>
+        <th>Symbol</th><th>Market Cap</th>
+        ${PEER_COLUMNS.map(([, label]) => `<th>${label}</th>`).join("")}
+        <th>Net Insider (${escapeHtml(comparison.days)}d)</th>
+      </tr>
+      ${rows}
+      <tr class="peer-median"><td>Median</td><td></td>${medianCells}<td></td></tr>
+    </table>
+  `;
+
+  const self = comparison.companies.find(
+    (company) => company.symbol === comparison.symbol
+  );
+  drawModalChart("peerChart", {
+    type: "radar",
+    data: {
+      labels: PEER_COLUMNS.map(([, label]) => label),
+      datasets: [
+        {
+          label: `${comparison.symbol} percentile`,
+          data: PEER_COLUMNS.map(([key]) => self.percentiles[key]),
+          borderColor: "rgba(29, 53, 87, 1)",
+          backgroundColor: "rgba(29, 53, 87, 0.2)",
+        },
+        {
+          label: "Peer median",
+          data: PEER_COLUMNS.map(() => 50),
+          borderColor: "rgba(150, 150, 150, 1)",
+          borderDash: [4, 4],
+          pointRadius: 0,
+          fill: false,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        title: { display: true, text: "Percentile Rank Among Peers" },
       },
-      options: {
-        responsive: true, // Make the chart responsive to screen size
-        plugins: {
-          tooltip: {
-            // Customize tooltip content
-            callbacks: {
-              label: function (context) {
-                // Format numbers as currency with commas
-                return `$${context.raw.toLocaleString()}`;
-              },
-            },
-          },
+      scales: { r: { min: 0, max: 100, ticks: { stepSize: 25 } } },
+    },
+  });
+}
+
+/**
+ * Fetch a year of daily prices with insider trade markers and chart them.
+ *
+ * @param {string} symbol - The stock ticker symbol.
+ */
+async function loadPriceChart(symbol) {
+  try {
+    const response = await fetch(`/api/prices/${encodeURIComponent(symbol)}`);
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    createPriceChart(await response.json());
+  } catch (error) {
+    console.error(`Error fetching price history for ${symbol}:`, error);
+  }
+}
+
+/**
+ * Draw the closing price as a line with insider purchases (green, pointing up)
+ * and sales (red, pointing down) marked on their transaction dates.
+ *
+ * @param {Object} history - Price history from "/api/prices/:symbol" (`{ bars, markers }`).
+ */
+function createPriceChart(history) {
+  // One marker dataset per side; the point keeps the marker for its tooltip
+  const markerData = (side) =>
+    history.markers
+      .filter((marker) => marker.side === side)
+      .map((marker) => ({ x: marker.date, y: marker.close, marker }));
+
+  drawModalChart("priceChart", {
+    type: "line",
+    data: {
+      labels: history.bars.map((bar) => bar.date),
+      datasets: [
+        {
+          label: "Close",
+          data: history.bars.map((bar) => bar.close),
+          borderColor: "rgba(29, 53, 87, 1)",
+          borderWidth: 1.5,
+          pointRadius: 0, // Only the insider markers get points
+          tension: 0.1,
         },
-        scales: {
-          y: {
-            beginAtZero: true, // Start the y-axis at zero
-            title: {
-              display: true, // Display the y-axis title
-              text: "Value (USD)", // Title text
+        {
+          label: "Insider Buy",
+          data: markerData("buy"),
+          showLine: false,
+          pointStyle: "triangle",
+          pointRadius: 7,
+          backgroundColor: "rgba(42, 157, 143, 1)",
+          borderColor: "rgba(42, 157, 143, 1)",
+        },
+        {
+          label: "Insider Sell",
+          data: markerData("sell"),
+          showLine: false,
+          pointStyle: "triangle",
+          rotation: 180, // Point down for sales
+          pointRadius: 7,
+          backgroundColor: "rgba(230, 57, 70, 1)",
+          borderColor: "rgba(230, 57, 70, 1)",
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      interaction: { mode: "nearest", intersect: false },
+      plugins: {
+        title: { display: true, text: "Price and Insider Trades" },
+        tooltip: {
+          callbacks: {
+            label: (context) => {
+              const marker = context.raw && context.raw.marker;
+              return marker
+                ? `${marker.name}: ${
+                    marker.side
+                  } ${marker.shares.toLocaleString()} @ $${formatMetric(
+                    marker.price
+                  )} (${marker.transactionDate})`
+                : `Close: $${formatMetric(context.parsed.y)}`;
             },
           },
         },
       },
-    });
-
-    console.log("Chart created successfully"); // Debugging: confirm successful creation
-  } catch (err) {
-    // Catch and log any errors during chart creation
-    console.error("Error creating chart:", err);
-  }
+      scales: {
+        y: {
+          title: { display: true, text: "Price (USD)" },
+        },
+      },
+    },
+  });
 }
 
 /**
- * Fetch financial data using the Polygon.io API.
+ * Fetch financial history using the Polygon.io API.
  *
- * This function retrieves detailed financial data for a given stock ticker symbol
- * from the Polygon.io API. It ensures proper error handling and returns either
- * the fetched data or `null` if an error occurs.
+ * This function retrieves the most recent filings for a given stock ticker symbol
+ * from the Polygon.io API, summarized per period (revenue, net income and ratios).
+ * It ensures proper error handling and returns either the fetched data or `null`
+ * if an error occurs.
  *
  * @param {string} symbol - The stock ticker symbol for which financial data is requested.
- * @returns {Object|null} - A JSON object containing financial data or `null` if unavailable.
+ * @param {string} [timeframe="quarterly"] - "quarterly" or "annual" filings.
+ * @returns {Object|null} - `{ timeframe, periods }` (oldest period first) or `null` if unavailable.
  */
-async function fetchFinancialData(symbol) {
+async function fetchFinancialData(symbol, timeframe = "quarterly") {
   try {
     // Construct the API endpoint URL using the provided stock symbol
-    const response = await fetch(`/api/polygon-financials?symbol=${symbol}`);
+    const response = await fetch(
+      `/api/polygon-financials?symbol=${encodeURIComponent(
+        symbol
+      )}&periods=8&timeframe=${encodeURIComponent(timeframe)}`
+    );
 
     // Check if the response status is not OK (status code 200)
     if (!response.ok) {
@@ -418,86 +1302,312 @@ async function fetchFinancialData(symbol) {
   }
 }
 
+let selectedProfile = null; // Scoring profile chosen in the UI (null = server default)
+
+/**
+ * Score a company on the server with a recommendation profile.
+ *
+ * @param {string} symbol - The stock ticker symbol.
+ * @param {string|null} profile - Profile name, or null for the server default.
+ * @returns {Object|null} - Score, recommendation, factor breakdown and metrics, or `null` if unavailable.
+ */
+async function fetchScore(symbol, profile) {
+  try {
+    const query = profile ? `?profile=${encodeURIComponent(profile)}` : "";
+    const response = await fetch(
+      `/api/score/${encodeURIComponent(symbol)}${query}`
+    );
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error(`Error scoring ${symbol}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Load the available scoring profiles into the profile picker.
+ */
+async function loadProfiles() {
+  const select = document.getElementById("profile-select");
+  try {
+    const response = await fetch("/api/scoring/profiles");
+    const profiles = await response.json();
+
+    select.innerHTML = profiles
+      .map(
+        (profile) =>
+          `<option value="${escapeHtml(profile.name)}" title="${escapeHtml(
+            profile.description
+          )}" ${profile.default ? "selected" : ""}>${escapeHtml(
+            profile.name
+          )}</option>`
+      )
+      .join("");
+    selectedProfile = select.value || null;
+  } catch (error) {
+    console.error("Error loading scoring profiles:", error);
+  }
+}
+
+// Remember the chosen profile for the next company opened
+document
+  .getElementById("profile-select")
+  .addEventListener("change", (event) => {
+    selectedProfile = event.target.value;
+  });
+
+let tradeStream = null; // EventSource for "/api/insider-trades/stream"
+let lastTradeEventId = null; // Id of the last stream event received, used to resume
+let pendingTradeCount = 0; // New trades not shown because the table is filtered or paged
+
+/**
+ * Check whether the table shows the default view: first page, newest first, no filters.
+ * Only in that view can streamed trades be prepended without breaking the order.
+ *
+ * @returns {boolean} - True when new trades belong at the top of the table.
+ */
+function isDefaultTableView() {
+  const hasFilters = Array.from(
+    new FormData(document.getElementById("filters")).values()
+  ).some((value) => String(value).trim() !== "");
+  return (
+    !hasFilters &&
+    !tableState.watchlist &&
+    !tableState.categories &&
+    tableState.page === 1 &&
+    tableState.sort === "transactionDate" &&
+    tableState.order === "desc"
+  );
+}
+
 /**
- * Analyze financial data to compute key metrics and recommendations.
+ * Show the "click to refresh" notice for trades that are not in the table.
  *
- * This function processes detailed financial data for a company to calculate
- * key financial ratios, such as Net Profit Margin, Return on Assets (ROA),
- * Return on Equity (ROE), Current Ratio, Debt-to-Equity Ratio, and Asset Turnover Ratio.
- * Based on these metrics, it provides a recommendation (BUY, SELL, or HOLD).
+ * @param {number} count - Number of trades to add to the notice.
+ */
+function showPendingTrades(count) {
+  pendingTradeCount += count;
+  const notice = document.getElementById("new-trades-notice");
+  notice.textContent = `${pendingTradeCount} new trade(s) — click to refresh`;
+  notice.style.display = "block";
+}
+
+/**
+ * Prepend streamed trades to the table with a brief "new" highlight.
+ * When the table is filtered or paged, show a notice instead so the
+ * current view is not disturbed.
  *
- * @param {Object} financialData - Financial data from the Polygon.io API.
- * @returns {Object} - An object containing a recommendation and analysis details.
+ * @param {Array} trades - Newly stored insider trades pushed by the server.
  */
-function analyzeFinancialData(financialData) {
-  const { financials } = financialData;
+function prependTrades(trades) {
+  if (!isDefaultTableView()) {
+    showPendingTrades(trades.length);
+    return;
+  }
+
+  const tableBody = document
+    .getElementById("data")
+    .getElementsByTagName("tbody")[0];
 
-  // Check if financial data is available; if not, return a default "HOLD" recommendation.
-  if (!financials) {
-    console.warn("Incomplete financial data. Analysis may be limited.");
-    return { recommendation: "HOLD", details: {} };
+  // Newest transaction ends up on top
+  trades
+    .slice()
+    .sort((a, b) => String(a.transactionDate).localeCompare(b.transactionDate))
+    .forEach((trade) => {
+      const row = createTradeRow(trade);
+      row.classList.add("new-trade");
+      tableBody.insertBefore(row, tableBody.firstChild);
+
+      // Remove the highlight once the fade animation has finished
+      setTimeout(() => row.classList.remove("new-trade"), 5000);
+    });
+
+  // Keep the page at its configured size
+  while (tableBody.rows.length > tableState.pageSize) {
+    tableBody.deleteRow(tableBody.rows.length - 1);
   }
+}
+
+/**
+ * Open the Server-Sent Events stream of new trades.
+ *
+ * The browser's EventSource reconnects on its own and sends the last event id
+ * in the `Last-Event-ID` header. If the connection is closed for good (e.g. the
+ * server restarted and answered with an error), reconnect manually and pass
+ * the last id as a query parameter so no trades are missed.
+ */
+function connectTradeStream() {
+  const url =
+    lastTradeEventId === null
+      ? "/api/insider-trades/stream"
+      : `/api/insider-trades/stream?lastEventId=${lastTradeEventId}`;
+  tradeStream = new EventSource(url);
 
-  // Extract key financial values with fallback defaults to prevent errors.
-  const revenues = financials.income_statement?.revenues?.value || 0; // Revenue from the income statement
-  const netIncome = financials.income_statement?.net_income_loss?.value || 0; // Net income or loss
-  const totalAssets = financials.balance_sheet?.assets?.value || 0; // Total assets from the balance sheet
-  const currentAssets = financials.balance_sheet?.current_assets?.value || 0; // Current assets
-  const currentLiabilities =
-    financials.balance_sheet?.current_liabilities?.value || 1; // Current liabilities (avoid division by zero)
-  const totalLiabilities = financials.balance_sheet?.liabilities?.value || 0; // Total liabilities
-  const equity = financials.balance_sheet?.equity?.value || 1; // Equity (avoid division by zero)
+  // The first event tells us where the stream starts
+  tradeStream.addEventListener("ready", (event) => {
+    lastTradeEventId = event.lastEventId;
+  });
 
-  // Compute financial ratios to assess company performance.
-  const netProfitMargin = (netIncome / revenues) * 100 || 0; // Percentage of profit relative to revenue
-  const returnOnAssets = (netIncome / totalAssets) * 100 || 0; // Efficiency of asset utilization for profit generation
-  const returnOnEquity = (netIncome / equity) * 100 || 0; // Profitability relative to shareholder equity
-  const currentRatio = currentAssets / currentLiabilities || 0; // Liquidity to meet short-term obligations
-  const debtToEquity = totalLiabilities / equity || 0; // Leverage ratio indicating financial risk
-  const assetTurnover = revenues / totalAssets || 0; // Efficiency of asset usage in generating revenue
+  tradeStream.addEventListener("trades", (event) => {
+    lastTradeEventId = event.lastEventId;
+    prependTrades(JSON.parse(event.data));
+    fetchClusters(); // New purchases may form new clusters
+  });
 
-  // Log calculated ratios for debugging and transparency.
-  console.log("Financial Ratios:", {
-    netProfitMargin,
-    returnOnAssets,
-    returnOnEquity,
-    currentRatio,
-    debtToEquity,
-    assetTurnover,
+  // Too many trades were missed to replay; offer a reload instead
+  tradeStream.addEventListener("reset", (event) => {
+    lastTradeEventId = event.lastEventId;
+    showPendingTrades(JSON.parse(event.data).missed);
+    fetchClusters();
   });
 
-  // Determine recommendation based on financial ratios.
-  let recommendation = "HOLD"; // Default recommendation
-  if (
-    netProfitMargin > 10 && // Healthy profit margin
-    returnOnAssets > 5 && // Good asset efficiency
-    returnOnEquity > 10 && // Strong equity returns
-    currentRatio > 1.5 && // Sufficient liquidity
-    debtToEquity < 2 // Low financial leverage
-  ) {
-    recommendation = "BUY"; // Strong financial performance
-  } else if (
-    netProfitMargin < 0 || // Negative profit margin
-    returnOnAssets < 1 || // Poor asset efficiency
-    currentRatio < 1 // Insufficient liquidity
-  ) {
-    recommendation = "SELL"; // Weak financial indicators
-  }
-
-  // Return the recommendation and calculated financial ratios.
-  return {
-    recommendation, // Recommendation based on financial performance
-    details: {
-      netProfitMargin, // Percentage
-      returnOnAssets, // Percentage
-      returnOnEquity, // Percentage
-      currentRatio, // Ratio
-      debtToEquity, // Ratio
-      assetTurnover, // Ratio
-    },
-  };
+  tradeStream.addEventListener("error", () => {
+    if (tradeStream.readyState === EventSource.CLOSED) {
+      console.warn("Trade stream closed. Reconnecting in 5 seconds...");
+      setTimeout(connectTradeStream, 5000);
+    }
+  });
+}
+
+/**
+ * Show the staleness banner while the insider feed is older than the
+ * server's threshold, so an outdated table is not mistaken for a quiet market.
+ *
+ * @param {Object} health - Report from "/healthz": `{ status, checks: { feed } }`.
+ */
+function showFeedHealth(health) {
+  const banner = document.getElementById("stale-banner");
+  const { feed } = health.checks;
+  banner.hidden = health.status !== "degraded";
+  if (banner.hidden) {
+    return;
+  }
+  const age =
+    feed.ageSeconds === null
+      ? "have not been fetched yet"
+      : `were last updated ${formatAge(feed.ageSeconds)} ago`;
+  banner.textContent = `Insider trades may be out of date: they ${age}.${
+    feed.lastError ? ` The latest fetch failed: ${feed.lastError}` : ""
+  }`;
+}
+
+/**
+ * Check the freshness of the insider feed.
+ */
+async function checkFeedHealth() {
+  try {
+    const response = await fetch("/healthz");
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    showFeedHealth(await response.json());
+  } catch (error) {
+    console.error("Error checking the insider feed:", error);
+  }
+}
+
+// Reload the table when the user clicks the "new trades" notice
+document.getElementById("new-trades-notice").addEventListener("click", () => {
+  pendingTradeCount = 0;
+  document.getElementById("new-trades-notice").style.display = "none";
+  fetchData();
+});
+
+// Load the table and cluster panel, then listen for new trades as they arrive
+/**
+ * Build the category legend with a filter toggle per category.
+ * Unchecking a category hides its trades; at least one stays checked.
+ */
+async function loadCategories() {
+  const legend = document.getElementById("category-legend");
+  try {
+    const response = await fetch("/api/transaction-codes");
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    const categories = await response.json();
+
+    legend.innerHTML = categories
+      .map(
+        (category) => `
+        <label title="${escapeHtml(
+          category.codes.map((code) => `${code.code}: ${code.label}`).join("\n")
+        )}">
+          <input type="checkbox" value="${escapeHtml(category.key)}" checked />
+          <span class="swatch category-swatch-${escapeHtml(
+            category.key
+          )}"></span>
+          ${escapeHtml(category.label)}
+        </label>`
+      )
+      .join("");
+    legend.insertAdjacentHTML(
+      "beforeend",
+      `<span class="legend-note">
+        <span class="swatch category-swatch-planned"></span>
+        Likely 10b5-1 planned sale (SEC EDGAR filings only)
+      </span>`
+    );
+
+    legend.querySelectorAll("input").forEach((input) => {
+      input.addEventListener("change", () => {
+        const checked = Array.from(
+          legend.querySelectorAll("input:checked")
+        ).map((box) => box.value);
+        if (!checked.length) {
+          input.checked = true; // Keep at least one category visible
+          return;
+        }
+        tableState.categories =
+          checked.length === categories.length ? null : checked;
+        tableState.page = 1;
+        fetchData();
+      });
+    });
+  } catch (error) {
+    console.error("Error loading transaction categories:", error);
+  }
+}
+
+/**
+ * Fill the sector, exchange and market cap filters with the values found
+ * among the stored trades. Keeps the current selection when it is still offered.
+ */
+async function loadFacets() {
+  try {
+    const response = await fetch("/api/insider-trades/facets");
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    const facets = await response.json();
+
+    document.querySelectorAll("#filters [data-facet]").forEach((select) => {
+      const selected = select.value;
+      select.innerHTML = `<option value="">Any</option>${(
+        facets[select.dataset.facet] || []
+      )
+        .map(
+          (facet) =>
+            `<option value="${escapeHtml(facet.value)}">${escapeHtml(
+              facet.label
+            )} (${facet.count})</option>`
+        )
+        .join("")}`;
+      select.value = selected;
+    });
+  } catch (error) {
+    console.error("Error loading filter options:", error);
+  }
 }
 
-// Update table every minute with real-time data
-setInterval(fetchData, 60000);
+loadProfiles();
+loadCategories();
+loadFacets();
 fetchData();
+fetchClusters();
+connectTradeStream();
+checkFeedHealth();
+setInterval(checkFeedHealth, 60 * 1000); // Recheck the feed every minute
@@ -0,0 +1,208 @@
+// Formatting helpers shared by the page scripts.
+// Loaded before app.js, which uses these as globals; the unit tests require
+// this file directly, so it must not touch the DOM.
+
+/**
+ * Escape text for HTML built with template literals.
+ * Every value that comes from the server or the user goes through this
+ * before it is placed in `innerHTML`.
+ *
+ * @param {*} value - Text to escape.
+ * @returns {string} - HTML-safe text.
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Check whether a value is a usable number (not null, NaN or Infinity).
+ *
+ * @param {*} value - Value to check.
+ * @returns {boolean} - True for finite numbers and numeric strings.
+ */
+function isNumber(value) {
+  return value !== null && value !== "" && Number.isFinite(Number(value));
+}
+
+/**
+ * Format a metric value for display, showing "N/A" when it is unavailable.
+ *
+ * @param {number|null} value - Metric value.
+ * @param {string} [suffix] - Unit appended to the value (e.g. "%").
+ * @returns {string} - Value with two decimals, or "N/A".
+ */
+function formatMetric(value, suffix = "") {
+  return isNumber(value) ? `${Number(value).toFixed(2)}${suffix}` : "N/A";
+}
+
+/**
+ * Format a fractional return such as 0.0312 as "+3.12%".
+ *
+ * @param {number|null} value - Return as a fraction, or null when not available.
+ * @returns {string} - Formatted percentage, or an em dash when not available.
+ */
+function formatReturn(value) {
+  if (!isNumber(value)) {
+    return "—";
+  }
+  return `${value >= 0 ? "+" : ""}${(value * 100).toFixed(2)}%`;
+}
+
+/**
+ * Format a share price with cents, e.g. "$12.50".
+ *
+ * @param {number|null} value - Price in dollars.
+ * @returns {string} - Formatted price, or "N/A" when missing or zero.
+ */
+function formatPrice(value) {
+  return isNumber(value) && Number(value) !== 0
+    ? `$${Number(value).toFixed(2)}`
+    : "N/A";
+}
+
+/**
+ * Format a dollar amount rounded to whole dollars, e.g. "$1,234,568".
+ * Negative amounts keep their sign in front: "-$1,200".
+ *
+ * @param {number|null} value - Amount in dollars.
+ * @returns {string} - Formatted amount, or "N/A" when missing.
+ */
+function formatUsd(value) {
+  if (!isNumber(value)) {
+    return "N/A";
+  }
+  const amount = Math.round(Number(value));
+  return `${amount < 0 ? "-" : ""}$${Math.abs(amount).toLocaleString("en-US")}`;
+}
+
+/**
+ * Format a market capitalization in short form, e.g. "$1.2B".
+ *
+ * @param {number|null} value - Market cap in dollars.
+ * @returns {string} - Formatted amount, or "N/A" when missing or zero.
+ */
+function formatMarketCap(value) {
+  if (!isNumber(value) || Number(value) <= 0) {
+    return "N/A";
+  }
+  const amount = Number(value);
+  const [divisor, unit] = [
+    [1e12, "T"],
+    [1e9, "B"],
+    [1e6, "M"],
+    [1e3, "K"],
+  ].find(([limit]) => amount >= limit) || [1, ""];
+  return `$${(amount / divisor).toFixed(unit ? 1 : 0)}${unit}`;
+}
+
+/**
+ * Format a percentage that may be very small, e.g. "0.35%" or "<0.01%".
+ *
+ * @param {number|null} value - Percentage (already multiplied by 100).
+ * @returns {string} - Formatted percentage, or "N/A" when missing.
+ */
+function formatPercent(value) {
+  if (!isNumber(value)) {
+    return "N/A";
+  }
+  const percent = Number(value);
+  return percent > 0 && percent < 0.01 ? "<0.01%" : `${percent.toFixed(2)}%`;
+}
+
+/**
+ * Format a percentile rank as an ordinal, e.g. "80th" or "1st".
+ *
+ * @param {number|null} value - Rank from 0 to 100.
+ * @returns {string} - Rounded ordinal, or "N/A" when missing.
+ */
+function formatPercentile(value) {
+  if (!isNumber(value)) {
+    return "N/A";
+  }
+  const rank = Math.round(Number(value));
+  const suffixes = { 1: "st", 2: "nd", 3: "rd" };
+  const teen = rank % 100 >= 11 && rank % 100 <= 13;
+  return `${rank}${(!teen && suffixes[rank % 10]) || "th"}`;
+}
+
+/**
+ * Describe a duration roughly, e.g. "5 minutes", "3 hours" or "2 days".
+ *
+ * @param {number|null} seconds - Duration in seconds.
+ * @returns {string} - Largest whole unit, or "N/A" when missing.
+ */
+function formatAge(seconds) {
+  if (!isNumber(seconds)) {
+    return "N/A";
+  }
+  const units = [
+    ["day", 86400],
+    ["hour", 3600],
+    ["minute", 60],
+  ];
+  const [unit, size] = units.find(([, length]) => seconds >= length) || [];
+  if (!unit) {
+    return "less than a minute";
+  }
+  const count = Math.floor(seconds / size);
+  return `${count} ${unit}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Dollar value of a trade: shares changed times the transaction price.
+ * The server sorts, filters and sums on this same function (lib/trades.js),
+ * so the table shows the value the results were ordered by.
+ *
+ * @param {Object} trade - Insider trade with `change` and `transactionPrice`.
+ * @returns {number|null} - Value as a positive amount for buys and sells alike, or null without a price.
+ */
+function tradeValue(trade) {
+  const price = Number(trade.transactionPrice);
+  const shares = Number(trade.change);
+  if (!price || !Number.isFinite(price) || !Number.isFinite(shares)) {
+    return null;
+  }
+  return Math.abs(price * shares);
+}
+
+/**
+ * CSS class for a trade's table row, by its category.
+ * Open-market buys at $2 or below get a bold highlight; planned 10b5-1
+ * sales are muted since they are routine.
+ *
+ * @param {Object} trade - Insider trade with an optional `classification`.
+ * @returns {string} - Row class name.
+ */
+function tradeRowClass(trade) {
+  const classification = trade.classification || { category: "other" };
+  if (classification.category === "buy") {
+    const price = Number(trade.transactionPrice);
+    return price > 0 && price <= 2 ? "highlight-green-bold" : "highlight-green";
+  }
+  if (classification.category === "sell") {
+    return classification.planned ? "planned-sale" : "highlight-red";
+  }
+  return `category-${classification.category}`;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    escapeHtml,
+    isNumber,
+    formatMetric,
+    formatReturn,
+    formatPrice,
+    formatUsd,
+    formatMarketCap,
+    formatPercent,
+    formatPercentile,
+    formatAge,
+    tradeValue,
+    tradeRowClass,
+  };
+}
@@ -0,0 +1,212 @@
+// Portfolio: the logged-in user's holdings, valued at the latest close with
+// unrealized P&L and recent insider sentiment, and highlighted in the trade table.
+// Loaded after app.js and before account.js; uses `setHeldSymbols`,
+// `tableState`, `fetchData` and `responseError` from app.js, `apiRequest` from account.js and the
+// formatters from format.js.
+
+let holdings = []; // Positions from "/api/holdings/summary"
+
+/**
+ * Load and value the user's holdings, then redraw the trade table so
+ * trades in held names are highlighted.
+ */
+async function loadPortfolio() {
+  try {
+    const summary = await apiRequest("/api/holdings/summary");
+    holdings = summary.positions;
+    renderPortfolio(summary);
+  } catch (error) {
+    console.error("Error loading portfolio:", error);
+  }
+  setHeldSymbols(holdings.map((holding) => holding.symbol));
+}
+
+/**
+ * Forget the portfolio after logging out.
+ */
+function clearPortfolio() {
+  holdings = [];
+  renderPortfolio(null);
+  setHeldSymbols([]);
+}
+
+/**
+ * Describe net insider activity over one window, e.g. "+$1,250,000".
+ *
+ * @param {Object} window - `{ days, netValue, buyers, sellers, clusterSize, signal }`.
+ * @returns {string} - Table cell HTML.
+ */
+function sentimentCell(window) {
+  const detail = `${window.buyers} buyer(s), ${window.sellers} seller(s) in ${
+    window.days
+  } days${
+    window.clusterSize > 1 ? `; cluster of ${window.clusterSize} buyers` : ""
+  }`;
+  const value =
+    window.signal === "neutral"
+      ? "—"
+      : `${window.netValue > 0 ? "+" : ""}${formatUsd(window.netValue)}`;
+  return `<td class="sentiment-${escapeHtml(
+    window.signal
+  )}" title="${escapeHtml(detail)}">${value}</td>`;
+}
+
+/**
+ * Format an unrealized gain or loss with its percentage.
+ *
+ * @param {number|null} amount - P&L in dollars.
+ * @param {number|null} percent - P&L as a percentage of the cost.
+ * @returns {string} - e.g. "$1,200 (+12.00%)", or "N/A" without a price or cost.
+ */
+function formatPnl(amount, percent) {
+  if (!isNumber(amount)) {
+    return "N/A";
+  }
+  return `${formatUsd(amount)} (${percent >= 0 ? "+" : ""}${formatMetric(
+    percent,
+    "%"
+  )})`;
+}
+
+/**
+ * Render the holdings table and portfolio totals.
+ *
+ * @param {Object|null} summary - `{ positions, totals }` from the server, or null when logged out.
+ */
+function renderPortfolio(summary) {
+  const body = document.querySelector("#holdings tbody");
+  const totals = document.getElementById("portfolio-totals");
+  if (!summary || !summary.positions.length) {
+    body.innerHTML = "";
+    totals.textContent = summary
+      ? "No holdings yet. Add a position or import a CSV."
+      : "";
+    return;
+  }
+
+  body.innerHTML = summary.positions
+    .map(
+      (position, index) => `
+      <tr>
+        <td><a href="#" class="holding-symbol" data-index="${index}">${escapeHtml(
+        position.symbol
+      )}</a></td>
+        <td>${escapeHtml(position.quantity)}</td>
+        <td>${formatPrice(position.costBasis)}</td>
+        <td title="${escapeHtml(position.priceDate || "")}">${formatPrice(
+        position.price
+      )}</td>
+        <td>${formatUsd(position.marketValue)}</td>
+        <td class="${
+          position.unrealizedPnl < 0 ? "pnl-negative" : "pnl-positive"
+        }">${formatPnl(
+        position.unrealizedPnl,
+        position.unrealizedPnlPercent
+      )}</td>
+        ${position.sentiment.map(sentimentCell).join("")}
+        <td><button type="button" class="remove-holding" data-index="${index}">Remove</button></td>
+      </tr>`
+    )
+    .join("");
+
+  const { marketValue, unrealizedPnl, unrealizedPnlPercent, unpriced } =
+    summary.totals;
+  totals.textContent = `Market value ${formatUsd(
+    marketValue
+  )} · Unrealized P&L ${formatPnl(unrealizedPnl, unrealizedPnlPercent)}${
+    unpriced.length ? ` · No price for ${unpriced.join(", ")}` : ""
+  }`;
+
+  // Clicking a symbol narrows the trade table to that company
+  body.querySelectorAll(".holding-symbol").forEach((link) => {
+    link.addEventListener("click", (event) => {
+      event.preventDefault();
+      const form = document.getElementById("filters");
+      form.reset();
+      form.elements.symbol.value = holdings[Number(link.dataset.index)].symbol;
+      tableState.page = 1;
+      fetchData();
+    });
+  });
+
+  body.querySelectorAll(".remove-holding").forEach((button) => {
+    button.addEventListener("click", async () => {
+      const holding = holdings[Number(button.dataset.index)];
+      try {
+        await apiRequest(
+          `/api/holdings/${encodeURIComponent(holding.id)}`,
+          "DELETE"
+        );
+        loadPortfolio();
+      } catch (error) {
+        alert(error.message);
+      }
+    });
+  });
+}
+
+// Add a position, or update it when the symbol is already held
+document
+  .getElementById("holding-form")
+  .addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const form = event.target;
+    const fields = {
+      symbol: form.elements.symbol.value.trim().toUpperCase(),
+      quantity: Number(form.elements.quantity.value),
+      costBasis:
+        form.elements.costBasis.value === ""
+          ? null
+          : Number(form.elements.costBasis.value),
+    };
+    const existing = holdings.find(
+      (holding) => holding.symbol === fields.symbol
+    );
+
+    try {
+      await apiRequest(
+        existing
+          ? `/api/holdings/${encodeURIComponent(existing.id)}`
+          : "/api/holdings",
+        existing ? "PUT" : "POST",
+        fields
+      );
+      form.reset();
+      loadPortfolio();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+// Import positions from a CSV file with symbol, quantity and costBasis columns
+document
+  .getElementById("holdings-import")
+  .addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const form = event.target;
+    const message = document.getElementById("holdings-message");
+    const [file] = form.elements.file.files;
+    if (!file) {
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `/api/holdings/import?replace=${form.elements.replace.checked}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "text/csv" },
+          body: await file.text(),
+        }
+      );
+      if (!response.ok) {
+        throw await responseError(response);
+      }
+      const result = await response.json();
+      message.textContent = `Imported: ${result.added} added, ${result.updated} updated, ${result.removed} removed.`;
+      form.reset();
+      loadPortfolio();
+    } catch (error) {
+      message.textContent = error.message;
+    }
+  });
@@ -0,0 +1,79 @@
+const express = require("express"); // Web framework for handling HTTP requests
+const { SESSION_COOKIE, sessionToken } = require("../lib/auth");
+const { sendError } = require("../lib/validation");
+
+/**
+ * Build the router for account endpoints, mounted at "/api/auth".
+ * Logging in sets an HttpOnly session cookie for the browser and also
+ * returns the token for scripts, which send it as `Authorization: Bearer`.
+ * @param {Object} userStore - UserStore with accounts and sessions
+ * @param {Object} auth - Middleware from `createAuth`
+ * @returns {express.Router} - Router with the account endpoints
+ */
+function createAuthRouter(userStore, auth) {
+  const router = express.Router();
+
+  /**
+   * API Endpoint: Create an account.
+   * @body {string} username - 3-32 letters, digits, "_", "." or "-"
+   * @body {string} password - At least 8 characters
+   */
+  router.post("/register", async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      res.status(201).json(await userStore.register(username, password));
+    } catch (error) {
+      console.error("Error registering user:", error.message);
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * API Endpoint: Log in and open a session.
+   * @body {string} username - Account name
+   * @body {string} password - Password
+   */
+  router.post("/login", async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      const session = await userStore.login(username, password);
+      res.cookie(SESSION_COOKIE, session.token, {
+        httpOnly: true, // Not readable from page scripts
+        sameSite: "lax",
+        secure: req.secure,
+        expires: new Date(session.expiresAt),
+      });
+      res.json(session);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * API Endpoint: Log out and close the current session.
+   */
+  router.post("/logout", async (req, res) => {
+    try {
+      const token = sessionToken(req);
+      if (token) {
+        await userStore.logout(token);
+      }
+      res.clearCookie(SESSION_COOKIE);
+      res.status(204).end();
+    } catch (error) {
+      console.error("Error logging out:", error.message);
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * API Endpoint: The logged-in user.
+   */
+  router.get("/me", auth.requireUser, (req, res) => {
+    res.json(userStore.publicUser(req.user));
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
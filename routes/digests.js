@@ -0,0 +1,106 @@
+const express = require("express"); // Web framework for handling HTTP requests
+const { PERIODS, FORMATS } = require("../lib/digests");
+const { QueryError } = require("../lib/query");
+const { sendError, sendErrorMessage } = require("../lib/validation");
+
+/**
+ * Check a value against the keys of a lookup table, ignoring inherited
+ * names such as "constructor".
+ * @param {Object} table - PERIODS or FORMATS
+ * @param {*} value - Raw request value
+ * @returns {boolean} - True for one of the table's own keys
+ */
+function isKeyOf(table, value) {
+  return typeof value === "string" && Object.hasOwn(table, value);
+}
+
+/**
+ * Build the router for browsing and generating digests, mounted at "/api/digests".
+ * Browsing is public; generating a digest sends it to the configured
+ * recipients and uses the upstream rate limits, so it needs a login.
+ * @param {Object} digestStore - DigestStore holding saved digests
+ * @param {Object} digestService - DigestService that generates new digests
+ * @param {Object} auth - Middleware from `createAuth`
+ * @returns {express.Router} - Router with the digest endpoints
+ */
+function createDigestsRouter(digestStore, digestService, auth) {
+  const router = express.Router();
+
+  /**
+   * API Endpoint: List saved digests, newest first.
+   * @query {string} [kind] - "daily" or "weekly"
+   */
+  router.get("/", (req, res) => {
+    if (req.query.kind && !isKeyOf(PERIODS, req.query.kind)) {
+      return sendError(
+        res,
+        new QueryError(
+          `Query parameter "kind" must be one of: ${Object.keys(PERIODS).join(
+            ", "
+          )}.`,
+          "kind"
+        )
+      );
+    }
+    res.json(digestStore.list(req.query.kind));
+  });
+
+  /**
+   * API Endpoint: Retrieve a saved digest.
+   * @param {string} id - Digest id such as "weekly-2024-06-30"
+   * @query {string} [format=json] - "json", "markdown" or "html"
+   */
+  router.get("/:id", (req, res) => {
+    const format = req.query.format || "json";
+    if (!isKeyOf(FORMATS, format)) {
+      return sendError(
+        res,
+        new QueryError(
+          `Query parameter "format" must be one of: ${Object.keys(FORMATS).join(
+            ", "
+          )}.`,
+          "format"
+        )
+      );
+    }
+
+    const content =
+      format === "json"
+        ? digestStore.get(req.params.id)
+        : digestStore.read(req.params.id, format);
+    if (!content) {
+      return sendErrorMessage(res, 404, "Digest not found.");
+    }
+    if (format === "json") {
+      return res.json(content);
+    }
+    res.type(FORMATS[format].contentType).send(content);
+  });
+
+  /**
+   * API Endpoint: Generate (or regenerate) the digest for the latest period now.
+   * @body {string} kind - "daily" or "weekly"
+   */
+  router.post("/", auth.requireUser, async (req, res) => {
+    const kind = req.body && req.body.kind;
+    if (!isKeyOf(PERIODS, kind)) {
+      return sendError(
+        res,
+        new QueryError(
+          `"kind" must be one of: ${Object.keys(PERIODS).join(", ")}.`,
+          "kind"
+        )
+      );
+    }
+    try {
+      res.status(201).json(await digestService.run(kind));
+    } catch (error) {
+      console.error(`Error generating ${kind} digest:`, error.message);
+      sendErrorMessage(res, 500, "Error generating digest.");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDigestsRouter };
@@ -0,0 +1,53 @@
+const express = require("express"); // Web framework for handling HTTP requests
+const { CONTENT_TYPE } = require("../lib/metrics");
+
+/**
+ * Build the router for health checks and metrics, mounted at the root
+ * ahead of the app-wide access control so orchestrator probes need no
+ * credentials. Metrics stay behind `protect`.
+ * @param {Object} deps
+ * @param {Function} deps.report - Returns the current report from `healthReport`
+ * @param {Object} deps.metrics - MetricsRegistry rendered at "/metrics"
+ * @param {Function} [deps.protect] - Middleware guarding "/metrics" (the app's access control)
+ * @returns {express.Router} - Router with "/healthz", "/readyz" and "/metrics"
+ */
+function createHealthRouter({
+  report,
+  metrics,
+  protect = (req, res, next) => next(),
+}) {
+  const router = express.Router();
+
+  /**
+   * Liveness: always 200 while the server answers. `status` is "degraded"
+   * when the insider feed is older than FETCH_STALE_MINUTES.
+   */
+  router.get("/healthz", (req, res) => {
+    res.set("Cache-Control", "no-store").json(report());
+  });
+
+  /**
+   * Readiness: 503 until there are trades to serve. A stale feed is
+   * reported as "degraded" but stays ready, since the stored trades are
+   * still worth serving.
+   */
+  router.get("/readyz", (req, res) => {
+    const health = report();
+    res
+      .set("Cache-Control", "no-store")
+      .status(health.ready ? 200 : 503)
+      .json(health);
+  });
+
+  /**
+   * Prometheus metrics: upstream latency, errors and cache hits per
+   * provider, trades ingested, feed age and job runs.
+   */
+  router.get("/metrics", protect, (req, res) => {
+    res.set("Content-Type", CONTENT_TYPE).send(metrics.render());
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,90 @@
+const express = require("express"); // Web framework for handling HTTP requests
+const {
+  validateHolding,
+  parseHoldingsCsv,
+  mergeHoldings,
+} = require("../lib/holdings");
+const { sendError, sendErrorMessage } = require("../lib/validation");
+const { createCollectionRouter } = require("./watchlists");
+
+/**
+ * Build the router for the logged-in user's portfolio, mounted at "/api/holdings".
+ * A holding is `{ symbol: "AAPL", quantity: 100, costBasis: 172.5 }`, with
+ * the cost basis per share. Besides list/get/create/update/delete this
+ * offers a CSV import and a valued summary.
+ * @param {Object} userStore - UserStore holding the holdings
+ * @param {Object} auth - Middleware from `createAuth`
+ * @param {Object} portfolioService - PortfolioService for prices and insider sentiment
+ * @returns {express.Router} - Router with the holdings endpoints
+ */
+function createHoldingsRouter(userStore, auth, portfolioService) {
+  const router = express.Router();
+  router.use(auth.requireUser);
+
+  /**
+   * API Endpoint: Value the portfolio at the latest Tiingo closes, with
+   * unrealized P&L and net insider buying or selling over 30 and 90 days
+   * per holding.
+   */
+  router.get("/summary", async (req, res) => {
+    try {
+      res.json(await portfolioService.summary(req.user.holdings));
+    } catch (error) {
+      console.error("Error summarizing portfolio:", error.message);
+      sendErrorMessage(res, 500, "Error summarizing portfolio.");
+    }
+  });
+
+  /**
+   * API Endpoint: Import positions from a CSV with "symbol", "quantity" and
+   * "costBasis" columns. Send the file as a `text/csv` body.
+   * @query {string} [replace] - "true" to drop holdings missing from the file
+   * Nothing is imported when any line is invalid.
+   */
+  router.post(
+    "/import",
+    express.text({ type: ["text/csv", "text/plain"], limit: "100kb" }),
+    async (req, res) => {
+      let result;
+      try {
+        if (typeof req.body !== "string") {
+          return sendErrorMessage(
+            res,
+            415,
+            "Send the holdings as a text/csv request body."
+          );
+        }
+        result = mergeHoldings(req.user.holdings, parseHoldingsCsv(req.body), {
+          replace: req.query.replace === "true",
+        });
+      } catch (error) {
+        return sendError(res, error);
+      }
+
+      try {
+        const holdings = await userStore.setItems(
+          req.user,
+          "holdings",
+          result.holdings
+        );
+        res.json({ ...result, holdings });
+      } catch (error) {
+        console.error("Error importing holdings:", error.message);
+        sendErrorMessage(res, 500, "Error importing holdings.");
+      }
+    }
+  );
+
+  router.use(
+    createCollectionRouter(
+      userStore,
+      auth,
+      "holdings",
+      validateHolding,
+      "Holding"
+    )
+  );
+  return router;
+}
+
+module.exports = { createHoldingsRouter };
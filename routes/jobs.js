@@ -0,0 +1,94 @@
+const express = require("express"); // Web framework for handling HTTP requests
+const { QueryError, parseDate } = require("../lib/query");
+const { sendError, sendErrorMessage } = require("../lib/validation");
+
+/**
+ * Build the router for job status and manual runs, mounted at "/api/jobs".
+ * Status is public; starting a run needs a login.
+ * @param {Object} jobRunner - JobRunner holding the application's jobs
+ * @param {Object} auth - Middleware from `createAuth`
+ * @returns {express.Router} - Router with the job endpoints
+ */
+function createJobsRouter(jobRunner, auth) {
+  const router = express.Router();
+
+  /**
+   * API Endpoint: Status of every job, including last run, row counts,
+   * last error, next scheduled run and whether the feed is stale.
+   */
+  router.get("/", (req, res) => {
+    res.json(jobRunner.list());
+  });
+
+  /**
+   * API Endpoint: Status of one job.
+   * @param {string} name - Job name such as "fetch-trades"
+   */
+  router.get("/:name", (req, res) => {
+    const job = jobRunner.get(req.params.name);
+    if (!job) {
+      return sendErrorMessage(res, 404, "Job not found.");
+    }
+    res.json(job.status());
+  });
+
+  /**
+   * API Endpoint: Start a historical backfill. Responds immediately with
+   * 202; follow the progress with GET /api/jobs/backfill.
+   * @body {string} from - First transaction date (YYYY-MM-DD)
+   * @body {string} to - Last transaction date (YYYY-MM-DD)
+   */
+  router.post("/backfill", auth.requireUser, (req, res) => {
+    let from;
+    let to;
+    try {
+      from = parseDate(req.body || {}, "from");
+      to = parseDate(req.body || {}, "to");
+      if (!from || !to) {
+        throw new QueryError('"from" and "to" are required.');
+      }
+      if (from > to) {
+        throw new QueryError('"from" must not be after "to".');
+      }
+      if (to > new Date().toISOString().slice(0, 10)) {
+        throw new QueryError('"to" must not be in the future.');
+      }
+    } catch (error) {
+      return sendError(res, error);
+    }
+    runJob(jobRunner.get("backfill"), { from, to }, res);
+  });
+
+  /**
+   * API Endpoint: Run a scheduled job now instead of waiting for its schedule.
+   * @param {string} name - Job name such as "digest-daily"
+   */
+  router.post("/:name/run", auth.requireUser, (req, res) => {
+    const job = jobRunner.get(req.params.name);
+    if (!job || !job.schedule) {
+      return sendErrorMessage(res, 404, "Scheduled job not found.");
+    }
+    runJob(job, {}, res);
+  });
+
+  return router;
+}
+
+/**
+ * Start a job in the background and answer with its status, or 409 when it
+ * is already running. Failures are logged and recorded in the job's status.
+ * @param {Object} job - Job to run
+ * @param {Object} params - Run parameters
+ * @param {Object} res - Express response
+ */
+function runJob(job, params, res) {
+  if (job.running) {
+    return sendErrorMessage(res, 409, `Job "${job.name}" is already running.`);
+  }
+  job.trigger(params).catch((error) => {
+    console.error(`Job "${job.name}" failed:`, error.message);
+  });
+  res.status(202).json(job.status());
+}
+
+module.exports = { createJobsRouter };
@@ -0,0 +1,94 @@
+const express = require("express"); // Web framework for handling HTTP requests
+const { sendError } = require("../lib/validation");
+
+/**
+ * Error for an unknown rule id.
+ * @returns {Error} - Error with status 404
+ */
+function ruleNotFound() {
+  return Object.assign(new Error("Rule not found."), { status: 404 });
+}
+
+/**
+ * Build the router for alert rule CRUD endpoints, mounted at "/api/rules".
+ * Rules send data to outside addresses, so every endpoint needs a login,
+ * and each user sees and changes only their own rules; someone else's rule
+ * answers 404 like a missing one.
+ * @param {Object} ruleStore - RuleStore holding the alert rules
+ * @param {Object} auth - Middleware from `createAuth`
+ * @returns {express.Router} - Router with the rule endpoints
+ */
+function createRulesRouter(ruleStore, auth) {
+  const router = express.Router();
+  router.use(auth.requireUser);
+
+  /**
+   * API Endpoint: List the logged-in user's alert rules.
+   */
+  router.get("/", (req, res) => {
+    res.json(ruleStore.list(req.user.id));
+  });
+
+  /**
+   * API Endpoint: Retrieve a single alert rule.
+   * @param {string} id - Rule id
+   */
+  router.get("/:id", (req, res) => {
+    const rule = ruleStore.get(req.params.id, req.user.id);
+    if (!rule) {
+      return sendError(res, ruleNotFound());
+    }
+    res.json(rule);
+  });
+
+  /**
+   * API Endpoint: Create an alert rule.
+   * @body {Object} rule - Rule definition (see `validateRule` in lib/alerts/rules.js)
+   */
+  router.post("/", async (req, res) => {
+    try {
+      res.status(201).json(await ruleStore.create(req.body, req.user.id));
+    } catch (error) {
+      console.error("Error creating alert rule:", error.message);
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * API Endpoint: Replace an alert rule.
+   * @param {string} id - Rule id
+   * @body {Object} rule - New rule definition
+   */
+  router.put("/:id", async (req, res) => {
+    try {
+      const rule = await ruleStore.update(req.params.id, req.body, req.user.id);
+      if (!rule) {
+        return sendError(res, ruleNotFound());
+      }
+      res.json(rule);
+    } catch (error) {
+      console.error("Error updating alert rule:", error.message);
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * API Endpoint: Delete an alert rule.
+   * @param {string} id - Rule id
+   */
+  router.delete("/:id", async (req, res) => {
+    try {
+      if (!(await ruleStore.remove(req.params.id, req.user.id))) {
+        return sendError(res, ruleNotFound());
+      }
+      res.status(204).end();
+    } catch (error) {
+      console.error("Error deleting alert rule:", error.message);
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRulesRouter };
@@ -0,0 +1,105 @@
+const express = require("express"); // Web framework for handling HTTP requests
+const { validateWatchlist, validateView } = require("../lib/users");
+const { sendError, sendErrorMessage } = require("../lib/validation");
+
+/**
+ * Build CRUD endpoints for one of the logged-in user's collections.
+ * @param {Object} userStore - UserStore holding the collections
+ * @param {Object} auth - Middleware from `createAuth`
+ * @param {string} collection - User field holding the items ("watchlists" or "views")
+ * @param {Function} validate - Validates and normalizes an item definition
+ * @param {string} label - Item name used in messages (e.g. "Watchlist")
+ * @returns {express.Router} - Router with list/get/create/update/delete endpoints
+ */
+function createCollectionRouter(userStore, auth, collection, validate, label) {
+  const router = express.Router();
+  router.use(auth.requireUser); // Every endpoint works on the logged-in user's data
+
+  router.get("/", (req, res) => {
+    res.json(req.user[collection]);
+  });
+
+  router.get("/:id", (req, res) => {
+    const item = req.user[collection].find(
+      (entry) => entry.id === req.params.id
+    );
+    if (!item) {
+      return sendErrorMessage(res, 404, `${label} not found.`);
+    }
+    res.json(item);
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const fields = validate(req.body);
+      res
+        .status(201)
+        .json(await userStore.addItem(req.user, collection, fields));
+    } catch (error) {
+      console.error(`Error creating ${label.toLowerCase()}:`, error.message);
+      sendError(res, error);
+    }
+  });
+
+  router.put("/:id", async (req, res) => {
+    try {
+      const fields = validate(req.body);
+      const item = await userStore.updateItem(
+        req.user,
+        collection,
+        req.params.id,
+        fields
+      );
+      if (!item) {
+        return sendErrorMessage(res, 404, `${label} not found.`);
+      }
+      res.json(item);
+    } catch (error) {
+      console.error(`Error updating ${label.toLowerCase()}:`, error.message);
+      sendError(res, error);
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      if (!(await userStore.removeItem(req.user, collection, req.params.id))) {
+        return sendErrorMessage(res, 404, `${label} not found.`);
+      }
+      res.status(204).end();
+    } catch (error) {
+      console.error(`Error deleting ${label.toLowerCase()}:`, error.message);
+      sendErrorMessage(res, 500, `Error deleting ${label.toLowerCase()}.`);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Build the router for watchlist CRUD endpoints, mounted at "/api/watchlists".
+ * A watchlist is `{ name, symbols: ["AAPL"], insiders: ["Cook Timothy D"] }`.
+ */
+function createWatchlistsRouter(userStore, auth) {
+  return createCollectionRouter(
+    userStore,
+    auth,
+    "watchlists",
+    validateWatchlist,
+    "Watchlist"
+  );
+}
+
+/**
+ * Build the router for saved view CRUD endpoints, mounted at "/api/views".
+ * A view is `{ name, filters: { transactionCode: "P", minValue: "500000" } }`
+ * holding "/api/insider-trades" query parameters.
+ */
+function createViewsRouter(userStore, auth) {
+  return createCollectionRouter(userStore, auth, "views", validateView, "View");
+}
+
+module.exports = {
+  createCollectionRouter,
+  createWatchlistsRouter,
+  createViewsRouter,
+};
@@ -0,0 +1,345 @@
+// Alert rules and delivery, checked against local stub HTTP and SMTP servers.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const http = require("http");
+const path = require("path");
+const { tempDir, sampleTrades } = require("./helpers");
+
+const dataDir = tempDir("alerts-data");
+process.env.ALERT_LOG_PATH = path.join(dataDir, "alerts.log");
+
+const {
+  RuleStore,
+  AlertEngine,
+  validateRule,
+  isPrivateAddress,
+} = require("../lib/alerts");
+
+// Stored trades carry an id, which the fired-alerts log is keyed on
+const trades = sampleTrades.map((trade, index) => ({
+  ...trade,
+  id: `trade-${index}`,
+}));
+
+/**
+ * Start a server on a free local port.
+ * @param {Object} server - http.Server or net.Server
+ * @returns {Promise<number>} - Port number
+ */
+function listen(server) {
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve(server.address().port))
+  );
+}
+
+/**
+ * Webhook receiver answering with the queued statuses, then 200, after
+ * `delayMs`.
+ * @returns {Object} - `{ server, requests, statuses, delayMs }`
+ */
+function webhookStub() {
+  const stub = { requests: [], statuses: [], delayMs: 0 };
+  stub.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const status = stub.statuses.shift() || 200;
+      stub.requests.push({ headers: req.headers, body: JSON.parse(body) });
+      setTimeout(() => res.writeHead(status).end(), stub.delayMs);
+    });
+  });
+  return stub;
+}
+
+/**
+ * Minimal SMTP server that accepts every message, or answers MAIL with a
+ * temporary failure while `failures` is above zero.
+ * @returns {Object} - `{ server, messages, failures }`
+ */
+function smtpStub() {
+  const stub = { messages: [], failures: 0 };
+  stub.server = net.createServer((socket) => {
+    let buffer = "";
+    let envelope = null;
+    let data = null; // Message lines while receiving DATA
+    socket.setEncoding("utf8");
+    socket.write("220 stub ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data) {
+          if (line === ".") {
+            stub.messages.push({ ...envelope, data: data.join("\n") });
+            data = null;
+            socket.write("250 Queued\r\n");
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "EHLO" || command === "HELO") {
+          socket.write("250 stub\r\n");
+        } else if (command === "MAIL" && stub.failures > 0) {
+          stub.failures -= 1;
+          socket.write("451 Try again later\r\n");
+        } else if (command === "MAIL") {
+          envelope = { from: line, to: [] };
+          socket.write("250 OK\r\n");
+        } else if (command === "RCPT") {
+          envelope.to.push(line);
+          socket.write("250 OK\r\n");
+        } else if (command === "DATA") {
+          data = [];
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (command === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else {
+          socket.write("250 OK\r\n");
+        }
+      }
+    });
+  });
+  return stub;
+}
+
+const webhook = webhookStub();
+const smtp = smtpStub();
+let webhookUrl;
+
+test.before(async () => {
+  webhookUrl = `http://127.0.0.1:${await listen(webhook.server)}/hooks`;
+  Object.assign(process.env, {
+    SMTP_HOST: "127.0.0.1",
+    SMTP_PORT: String(await listen(smtp.server)),
+    ALERT_EMAIL_FROM: "alerts@example.com",
+    ALERT_WEBHOOK_ALLOWED_HOSTS: "127.0.0.1", // The stub receiver is local
+  });
+});
+
+test.after(() => {
+  webhook.server.close();
+  smtp.server.close();
+});
+
+/**
+ * Build an engine over a fresh rule store holding one rule.
+ * @param {Object} rule - Rule definition
+ * @returns {Promise<Object>} - `{ engine, ruleStore, firedPath }`
+ */
+async function engineWith(rule) {
+  const dir = tempDir("alerts-engine");
+  const ruleStore = new RuleStore(path.join(dir, "rules.json"));
+  await ruleStore.create(rule);
+  const firedPath = path.join(dir, "fired.jsonl");
+  const engine = new AlertEngine({ ruleStore, firedPath, retryDelayMs: 1 });
+  return { engine, ruleStore, firedPath };
+}
+
+/**
+ * Run a function with console warnings and errors collected instead of printed.
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<string[]>} - Collected messages
+ */
+async function quietly(fn) {
+  const messages = [];
+  const { warn, error } = console;
+  console.warn = console.error = (...args) => messages.push(args.join(" "));
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, { warn, error });
+  }
+  return messages;
+}
+
+test("validateRule keeps only the settings each channel declares", () => {
+  const rule = validateRule({
+    name: "Purchases",
+    conditions: { transactionCodes: ["p"] },
+    channels: [
+      { type: "webhook", url: " https://hooks.example.com/insider " },
+      { type: "email", to: "team@example.com, cfo@example.com" },
+      { type: "log" },
+    ],
+  });
+  assert.deepEqual(rule.channels, [
+    { type: "webhook", url: "https://hooks.example.com/insider" },
+    { type: "email", to: "team@example.com, cfo@example.com" },
+    { type: "log" },
+  ]);
+
+  const invalid = (channel) => () =>
+    validateRule({
+      name: "Purchases",
+      conditions: { transactionCodes: ["P"] },
+      channels: [channel],
+    });
+  assert.throws(
+    invalid({ type: "log", path: "/etc/cron.d/job" }),
+    /Unknown log channel setting\(s\): path/
+  );
+  assert.throws(
+    invalid({ type: "webhook", url: "https://a.example", headers: {} }),
+    /setting\(s\): headers/
+  );
+  assert.throws(invalid({ type: "email", to: ["a@example.com"] }), /string/);
+  assert.throws(invalid({ type: "email", to: "not an address" }), /"to"/);
+  assert.throws(invalid({ type: "webhook", url: "file:///etc/passwd" }), {
+    status: 400,
+  });
+});
+
+test("webhooks may not target private addresses unless allowlisted", () => {
+  const rule = (url) => ({
+    name: "Hook",
+    conditions: { symbols: ["ACME"] },
+    channels: [{ type: "webhook", url }],
+  });
+  [
+    "http://10.0.0.5/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://[::1]:8080/",
+    "http://[::ffff:192.168.1.1]/",
+    "http://localhost:3000/",
+    "http://127.0.0.2/",
+  ].forEach((url) =>
+    assert.throws(() => validateRule(rule(url)), /private address/, url)
+  );
+  assert.doesNotThrow(() => validateRule(rule(webhookUrl))); // Allowlisted stub
+
+  assert.equal(isPrivateAddress("172.20.1.1"), true);
+  assert.equal(isPrivateAddress("fd12::1"), true);
+  assert.equal(isPrivateAddress("::ffff:127.0.0.1"), true);
+  assert.equal(isPrivateAddress("93.184.216.34"), false);
+  assert.equal(isPrivateAddress("2606:2800:220:1::"), false);
+});
+
+test("alerts are delivered by webhook, email and log, retrying failures", async () => {
+  webhook.requests.length = 0;
+  smtp.messages.length = 0;
+  webhook.statuses.push(503); // First webhook attempt fails
+  smtp.failures = 1; // First email attempt fails
+
+  const { engine } = await engineWith({
+    name: "Large purchases",
+    conditions: { transactionCodes: ["P"], minValue: 100000 },
+    channels: [
+      { type: "webhook", url: webhookUrl },
+      { type: "email", to: "team@example.com" },
+      { type: "log" },
+    ],
+  });
+
+  let alerts;
+  const messages = await quietly(async () => {
+    alerts = await engine.process(trades);
+    await engine.drain();
+  });
+
+  // Only the $125,000 ACME purchase is large enough
+  assert.deepEqual(
+    alerts.map((alert) => alert.trade.id),
+    ["trade-0"]
+  );
+  assert.equal(messages.filter((line) => /retry 1\/2/.test(line)).length, 2);
+
+  assert.equal(webhook.requests.length, 2);
+  const [, delivered] = webhook.requests;
+  assert.equal(delivered.headers["content-type"], "application/json");
+  assert.equal(delivered.body.rule.name, "Large purchases");
+  assert.equal(delivered.body.value, 125000);
+
+  assert.equal(smtp.messages.length, 1);
+  assert.match(smtp.messages[0].to[0], /team@example\.com/);
+  assert.match(
+    smtp.messages[0].data,
+    /Subject: Insider alert: ACME P by Doe Jane/
+  );
+
+  const logged = fs
+    .readFileSync(process.env.ALERT_LOG_PATH, "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.equal(logged.at(-1).trade.id, "trade-0");
+});
+
+test("a channel that keeps failing is logged without stopping the others", async () => {
+  webhook.requests.length = 0;
+  smtp.messages.length = 0;
+  webhook.statuses.push(500, 500, 500);
+
+  const { engine } = await engineWith({
+    name: "GLBX",
+    conditions: { symbols: ["GLBX"], transactionCodes: ["P"] },
+    channels: [
+      { type: "webhook", url: webhookUrl },
+      { type: "email", to: "team@example.com" },
+    ],
+  });
+
+  let alerts;
+  const messages = await quietly(async () => {
+    alerts = await engine.process(trades);
+    await engine.drain();
+  });
+
+  assert.equal(alerts.length, 1);
+  assert.equal(webhook.requests.length, 3); // First attempt and two retries
+  assert.equal(smtp.messages.length, 1);
+  assert.ok(
+    messages.some((line) =>
+      /Error delivering "GLBX" alert via webhook:.*500/.test(line)
+    )
+  );
+});
+
+test("each trade fires a rule once, across restarts", async () => {
+  webhook.requests.length = 0;
+
+  const { engine, ruleStore, firedPath } = await engineWith({
+    name: "ACME",
+    conditions: { symbols: ["ACME"] },
+    channels: [{ type: "webhook", url: webhookUrl }],
+  });
+
+  assert.equal((await engine.process(trades)).length, 2);
+  assert.equal((await engine.process(trades)).length, 0);
+
+  // A new engine replays the fired-alerts file and skips the same pairs
+  const restarted = new AlertEngine({ ruleStore, firedPath });
+  restarted.load();
+  assert.equal((await restarted.process(trades)).length, 0);
+  const later = { ...trades[0], id: "trade-later" };
+  assert.equal((await restarted.process([later])).length, 1);
+  await Promise.all([engine.drain(), restarted.drain()]);
+
+  assert.equal(webhook.requests.length, 3);
+  assert.equal(fs.readFileSync(firedPath, "utf8").trim().split("\n").length, 3);
+});
+
+test("a slow webhook does not hold up processing", async () => {
+  webhook.requests.length = 0;
+  webhook.delayMs = 300;
+
+  const { engine } = await engineWith({
+    name: "Slow",
+    conditions: { symbols: ["ACME"], transactionCodes: ["P"] },
+    channels: [{ type: "webhook", url: webhookUrl }],
+  });
+
+  const started = Date.now();
+  assert.equal((await engine.process(trades)).length, 1);
+  assert.ok(Date.now() - started < 300); // Resolved before the webhook answered
+
+  await engine.drain();
+  webhook.delayMs = 0;
+  assert.ok(Date.now() - started >= 300);
+  assert.equal(webhook.requests.length, 1);
+});
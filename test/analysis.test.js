@@ -0,0 +1,179 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeFilings, AnalysisService } = require("../lib/analysis");
+const { filing } = require("./helpers");
+
+/**
+ * Build eight quarters of steadily growing filings, Q1 2023 to Q4 2024.
+ * @param {Function} [override] - `(index) => values` merged into each quarter
+ * @returns {Array} - Filings, oldest first
+ */
+function quarters(override = () => ({})) {
+  return Array.from({ length: 8 }, (_, index) => {
+    const revenues = 1000 + 100 * index;
+    return filing(
+      {
+        revenues,
+        grossProfit: revenues * 0.4,
+        operatingIncome: 200,
+        netIncome: 100 + 10 * index,
+        dilutedEps: 1 + index,
+        shares: 100,
+        assets: 4000,
+        currentAssets: 1500,
+        currentLiabilities: 1000,
+        liabilities: 2000,
+        longTermDebt: 1000 - 50 * index,
+        equity: 2000,
+        operatingCashFlow: 150,
+        investingCashFlow: -50,
+        ...override(index),
+      },
+      {
+        fiscal_period: `Q${(index % 4) + 1}`,
+        fiscal_year: String(2023 + Math.floor(index / 4)),
+      }
+    );
+  });
+}
+
+const bar = { close: 130, date: "2025-01-15" };
+
+test("analyzeFilings computes trailing, growth and valuation metrics", () => {
+  const { price, periods, metrics } = analyzeFilings(quarters(), bar);
+
+  assert.deepEqual(price, { close: 130, date: "2025-01-15" });
+  assert.equal(periods.length, 8);
+  assert.equal(periods[7].label, "Q4 2024");
+  assert.deepEqual(metrics.ttmRevenue, { value: 6200, flags: [] });
+  assert.equal(metrics.ttmEps.value, 26); // 5 + 6 + 7 + 8
+  assert.equal(metrics.revenueGrowthQoQ.value, 6.25); // 1700 over 1600
+  assert.equal(metrics.revenueGrowthYoY.value.toFixed(2), "30.77"); // 1700 over 1300
+  assert.equal(metrics.epsGrowthYoY.value, 100); // 8 over 4
+  assert.equal(metrics.marketCap.value, 13000);
+  assert.equal(metrics.peRatio.value, 5);
+  assert.equal(metrics.pbRatio.value, 6.5);
+  assert.equal(metrics.evToEbitda.value, (13000 + 650) / 800);
+});
+
+test("analyzeFilings scores Altman Z and Piotroski F", () => {
+  const { altmanZ, piotroskiF } = analyzeFilings(quarters(), bar).metrics;
+
+  // 1.2 * 0.125 + 1.4 * 0 + 3.3 * 0.2 + 0.6 * 6.5 + 1.0 * 1.55
+  assert.equal(altmanZ.value.toFixed(2), "6.26");
+  assert.equal(altmanZ.zone, "safe");
+  assert.deepEqual(
+    altmanZ.flags.map((flag) => [flag.code, flag.input]),
+    [["assumed_zero", "retainedEarnings"]]
+  );
+
+  assert.equal(piotroskiF.value, 6);
+  assert.equal(piotroskiF.tested, 9);
+  assert.deepEqual(
+    piotroskiF.tests
+      .filter((entry) => !entry.passed)
+      .map((entry) => entry.name),
+    ["cashFlowAboveNetIncome", "higherCurrentRatio", "higherGrossMargin"]
+  );
+});
+
+test("analyzeFilings flags stand-in inputs instead of hiding them", () => {
+  const { freeCashFlow, evToEbitda } = analyzeFilings(quarters(), bar).metrics;
+
+  assert.equal(freeCashFlow.value, 100); // Operating less investing cash flow
+  assert.deepEqual(freeCashFlow.flags, [
+    {
+      code: "proxy",
+      input: "capitalExpenditure",
+      used: "investingCashFlow",
+      message:
+        "capitalExpenditure is missing; investingCashFlow is used instead",
+      periods: ["Q4 2024"],
+    },
+  ]);
+  assert.deepEqual(
+    evToEbitda.flags.map((flag) => [flag.input, flag.periods.length]),
+    [
+      ["cash", 1],
+      ["depreciation", 4],
+    ]
+  );
+});
+
+test("analyzeFilings leaves metrics null and flagged when inputs are missing", () => {
+  const filings = quarters((index) =>
+    index === 6 ? { revenues: undefined } : {}
+  ).slice(4);
+  filings[3].financials.income_statement.diluted_earnings_per_share = undefined;
+  filings[3].financials.income_statement.basic_earnings_per_share = {
+    value: 8,
+  };
+  const { metrics } = analyzeFilings(filings, null);
+
+  assert.equal(metrics.ttmRevenue.value, null);
+  assert.deepEqual(metrics.ttmRevenue.flags[0].periods, ["Q3 2024"]);
+  assert.equal(metrics.revenueGrowthQoQ.value, null);
+  assert.match(
+    metrics.revenueGrowthYoY.flags[0].message,
+    /needs 5 quarterly filings, 4 available/
+  );
+  assert.equal(metrics.epsGrowthQoQ.value.toFixed(2), "14.29");
+  assert.equal(metrics.epsGrowthQoQ.flags[0].used, "basicEps");
+  assert.equal(metrics.marketCap.value, null);
+  assert.deepEqual(
+    metrics.pbRatio.flags.map((flag) => flag.code),
+    ["no_price"]
+  );
+  assert.equal(metrics.piotroskiF.value, null);
+});
+
+test("analyzeFilings leaves every price-based metric null without a price", () => {
+  const { price, metrics } = analyzeFilings(quarters(), null);
+
+  assert.equal(price, null);
+  ["marketCap", "peRatio", "pbRatio", "evToEbitda"].forEach((key) => {
+    assert.equal(metrics[key].value, null, key);
+    assert.ok(
+      metrics[key].flags.some((flag) => flag.code === "no_price"),
+      key
+    );
+  });
+  assert.equal(metrics.altmanZ.value, null);
+  assert.equal(metrics.ttmRevenue.value, 6200); // Filing-only metrics are kept
+});
+
+test("analyzeFilings treats P/E on losses as not meaningful", () => {
+  const { peRatio } = analyzeFilings(
+    quarters(() => ({ dilutedEps: -0.5 })),
+    bar
+  ).metrics;
+
+  assert.equal(peRatio.value, null);
+  assert.equal(peRatio.flags[0].code, "not_meaningful");
+  assert.equal(peRatio.flags[0].input, "ttmEps");
+});
+
+test("AnalysisService survives a failed price lookup", async () => {
+  const service = new AnalysisService({
+    financialsService: {
+      history: async (symbol) => (symbol === "ACME" ? quarters() : []),
+    },
+    priceService: {
+      latest: async () => {
+        throw new Error("Tiingo is down");
+      },
+    },
+  });
+  const originalError = console.error;
+  console.error = () => {}; // The price failure is expected
+  try {
+    const analysis = await service.analyze("ACME");
+    assert.equal(analysis.symbol, "ACME");
+    assert.equal(analysis.price, null);
+    assert.equal(analysis.metrics.ttmRevenue.value, 6200);
+    assert.equal(analysis.metrics.peRatio.value, null);
+    assert.equal(await service.analyze("EMPTY"), null);
+  } finally {
+    console.error = originalError;
+  }
+});
@@ -0,0 +1,591 @@
+// Integration tests for the HTTP API. Upstream APIs are replaced by
+// recorded fixtures (UPSTREAM_MODE=replay) and every data file lives in a
+// temporary directory, so nothing touches the network or data/.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const request = require("supertest");
+const { TradeStore } = require("../lib/store");
+const { writeJson } = require("../lib/json-file");
+const { tradeValue } = require("../public/format");
+const { tempDir, recordFixture, filing, sampleTrades } = require("./helpers");
+
+const dataDir = tempDir("api-data");
+const fixturesDir = tempDir("api-fixtures");
+Object.assign(process.env, {
+  UPSTREAM_MODE: "replay",
+  FIXTURES_DIR: fixturesDir,
+  TIINGO_API_KEY: "test-tiingo",
+  POLYGON_API_KEY: "test-polygon",
+  TRADES_DB_PATH: path.join(dataDir, "trades.jsonl"),
+  USERS_DB_PATH: path.join(dataDir, "users.json"),
+  ALERT_RULES_PATH: path.join(dataDir, "rules.json"),
+  ALERT_FIRED_PATH: path.join(dataDir, "alerts-fired.jsonl"),
+  JOBS_STATE_PATH: path.join(dataDir, "jobs.json"),
+  DIGEST_DIR: path.join(dataDir, "digests"),
+  COMPANIES_DB_PATH: path.join(dataDir, "companies.json"),
+  LOG_LEVEL: "silent", // Keep request log lines out of the test output
+});
+
+const TIINGO = (symbol) =>
+  `https://api.tiingo.com/tiingo/daily/${symbol}/prices`;
+const POLYGON_FINANCIALS = "https://api.polygon.io/vX/reference/financials";
+
+const bar = (date, close) => ({
+  date: `${date}T00:00:00.000Z`,
+  open: close - 0.2,
+  high: close + 0.3,
+  low: close - 0.4,
+  close,
+  volume: 1200000,
+});
+
+let app;
+
+test.before(async () => {
+  const store = new TradeStore(process.env.TRADES_DB_PATH);
+  store.load();
+  await store.upsert(sampleTrades);
+  // ACME has been looked up already; GLBX has not
+  await writeJson(process.env.COMPANIES_DB_PATH, [
+    {
+      symbol: "ACME",
+      found: true,
+      name: "Acme Corp",
+      sector: "Services-Prepackaged Software",
+      exchange: "XNAS",
+      marketCap: 500e6,
+      fetchedAt: new Date().toISOString(),
+    },
+  ]);
+
+  recordFixture(fixturesDir, TIINGO("ACME"), {}, [bar("2024-06-14", 12.9)]);
+  recordFixture(fixturesDir, TIINGO("EMPTY"), {}, []);
+  recordFixture(
+    fixturesDir,
+    TIINGO("NOPE"),
+    {},
+    { detail: "Error: Ticker 'NOPE' not found" },
+    404
+  );
+
+  recordFixture(
+    fixturesDir,
+    POLYGON_FINANCIALS,
+    { ticker: "ACME", limit: 1 },
+    {
+      status: "OK",
+      results: [
+        filing({ revenues: 1000, netIncome: 100, assets: 2000, equity: 800 }),
+      ],
+    }
+  );
+  recordFixture(
+    fixturesDir,
+    POLYGON_FINANCIALS,
+    {
+      ticker: "GLBX",
+      timeframe: "quarterly",
+      limit: 2,
+      order: "desc",
+      sort: "period_of_report_date",
+    },
+    {
+      status: "OK",
+      results: [
+        filing(
+          { revenues: 1200, netIncome: -60, assets: 2000, equity: -100 },
+          { fiscal_period: "Q2", end_date: "2024-06-30" }
+        ),
+        filing(
+          { revenues: 1000, netIncome: 50, assets: 2000, equity: 400 },
+          { fiscal_period: "Q1", end_date: "2024-03-31" }
+        ),
+      ],
+    }
+  );
+  recordFixture(
+    fixturesDir,
+    POLYGON_FINANCIALS,
+    { ticker: "EMPTY", limit: 1 },
+    { status: "OK", results: [] }
+  );
+  const analysisParams = (ticker) => ({
+    ticker,
+    timeframe: "quarterly",
+    limit: 8,
+    order: "desc",
+    sort: "period_of_report_date",
+  });
+  recordFixture(fixturesDir, POLYGON_FINANCIALS, analysisParams("ACME"), {
+    status: "OK",
+    results: [
+      filing(
+        {
+          revenues: 1100,
+          netIncome: 110,
+          dilutedEps: 1.1,
+          shares: 100,
+          equity: 800,
+        },
+        { fiscal_period: "Q2", end_date: "2024-06-30" }
+      ),
+      filing(
+        {
+          revenues: 1000,
+          netIncome: 100,
+          dilutedEps: 1,
+          shares: 100,
+          equity: 750,
+        },
+        { fiscal_period: "Q1", end_date: "2024-03-31" }
+      ),
+    ],
+  });
+  recordFixture(fixturesDir, POLYGON_FINANCIALS, analysisParams("EMPTY"), {
+    status: "OK",
+    results: [],
+  });
+
+  ({ app } = require("../index"));
+});
+
+test("GET /api/insider-trades returns stored trades newest first with categories", async () => {
+  const response = await request(app).get("/api/insider-trades").expect(200);
+
+  assert.equal(response.body.total, sampleTrades.length);
+  assert.deepEqual(
+    response.body.data.map((trade) => trade.transactionDate),
+    ["2024-06-10", "2024-06-04", "2024-06-03", "2024-05-20"]
+  );
+  const buy = response.body.data.find((trade) => trade.name === "Doe Jane");
+  assert.equal(buy.classification.category, "buy");
+  assert.ok(buy.id);
+});
+
+test("GET /api/insider-trades filters, sorts and pages", async () => {
+  const response = await request(app)
+    .get("/api/insider-trades")
+    .query({ symbol: "acme", sort: "transactionPrice", order: "asc" })
+    .expect(200);
+
+  assert.equal(response.body.total, 2);
+  assert.deepEqual(
+    response.body.data.map((trade) => trade.transactionPrice),
+    [12.5, 13.1]
+  );
+
+  const paged = await request(app)
+    .get("/api/insider-trades")
+    .query({ pageSize: 1, page: 2 })
+    .expect(200);
+  assert.equal(paged.body.data.length, 1);
+  assert.equal(paged.body.data[0].transactionDate, "2024-06-04");
+  assert.equal(paged.body.totalPages, sampleTrades.length);
+});
+
+test("GET /api/insider-trades sorts and filters on the value the table shows", async () => {
+  const response = await request(app)
+    .get("/api/insider-trades")
+    .query({ sort: "value", order: "desc" })
+    .expect(200);
+
+  // The sale ranks by its size, and the grant without a price comes last
+  assert.deepEqual(response.body.data.map(tradeValue), [
+    125000,
+    32750,
+    8750,
+    null,
+  ]);
+  assert.equal(response.body.totals.value, 125000 + 32750 + 8750);
+
+  const large = await request(app)
+    .get("/api/insider-trades")
+    .query({ minValue: 30000 })
+    .expect(200);
+  assert.deepEqual(large.body.data.map(tradeValue), [32750, 125000]);
+});
+
+test("GET /api/insider-trades rejects invalid parameters with a structured 400", async () => {
+  const response = await request(app)
+    .get("/api/insider-trades")
+    .query({ minPrice: "cheap" })
+    .expect(400);
+
+  assert.equal(response.body.error.status, 400);
+  assert.equal(response.body.error.field, "minPrice");
+
+  // Repeated parameters and names inherited from Object.prototype
+  const repeated = await request(app)
+    .get("/api/insider-trades?order=asc&order=desc")
+    .expect(400);
+  assert.equal(repeated.body.error.field, "order");
+  await request(app)
+    .get("/api/insider-trades?sort=value&sort=name")
+    .expect(400);
+  await request(app)
+    .get("/api/insider-trades")
+    .query({ sort: "constructor" })
+    .expect(400);
+});
+
+test("GET /api/insider-trades attaches cached company data", async () => {
+  const response = await request(app)
+    .get("/api/insider-trades")
+    .query({ sort: "percentOfMarketCap" })
+    .expect(200);
+
+  const [top] = response.body.data;
+  assert.equal(top.name, "Doe Jane");
+  assert.equal(top.company.name, "Acme Corp");
+  assert.equal(top.company.marketCapSize, "small");
+  assert.equal(top.percentOfMarketCap, 0.025);
+  const glbx = response.body.data.find((trade) => trade.symbol === "GLBX");
+  assert.equal(glbx.company, null);
+  assert.equal(glbx.percentOfMarketCap, null);
+});
+
+test("GET /api/insider-trades/facets lists the filter values in use", async () => {
+  const response = await request(app)
+    .get("/api/insider-trades/facets")
+    .expect(200);
+
+  assert.deepEqual(response.body.exchanges, [
+    { value: "XNAS", label: "XNAS", count: 2 },
+  ]);
+  assert.equal(response.body.marketCapSizes[0].value, "small");
+  assert.equal(response.body.unenriched, 2);
+
+  const filtered = await request(app)
+    .get("/api/insider-trades")
+    .query({ sector: response.body.sectors[0].value })
+    .expect(200);
+  assert.equal(filtered.body.total, 2);
+});
+
+test("GET /api/tiingo returns the latest prices from the upstream", async () => {
+  const response = await request(app)
+    .get("/api/tiingo")
+    .query({ symbol: "acme" })
+    .expect(200);
+
+  assert.equal(response.body.length, 1);
+  assert.equal(response.body[0].close, 12.9);
+});
+
+test("GET /api/tiingo validates the symbol before calling the upstream", async () => {
+  const missing = await request(app).get("/api/tiingo").expect(400);
+  assert.equal(missing.body.error.fields[0].field, "symbol");
+
+  const invalid = await request(app)
+    .get("/api/tiingo")
+    .query({ symbol: "<script>" })
+    .expect(400);
+  assert.equal(invalid.body.error.fields[0].field, "symbol");
+});
+
+test("GET /api/tiingo answers 404 for unknown tickers and empty price data", async () => {
+  await request(app).get("/api/tiingo").query({ symbol: "NOPE" }).expect(404);
+  const empty = await request(app)
+    .get("/api/tiingo")
+    .query({ symbol: "EMPTY" })
+    .expect(404);
+  assert.deepEqual(empty.body.error, {
+    status: 404,
+    message: "No stock price data available for symbol: EMPTY",
+  });
+});
+
+test("GET /api/polygon-financials returns the latest filing", async () => {
+  const response = await request(app)
+    .get("/api/polygon-financials")
+    .query({ symbol: "ACME" })
+    .expect(200);
+
+  assert.equal(response.body.financials.income_statement.revenues.value, 1000);
+});
+
+test("GET /api/polygon-financials returns a chart-ready history with ratios", async () => {
+  const response = await request(app)
+    .get("/api/polygon-financials")
+    .query({ symbol: "GLBX", periods: 2 })
+    .expect(200);
+
+  assert.equal(response.body.timeframe, "quarterly");
+  assert.deepEqual(
+    response.body.periods.map((period) => period.label),
+    ["Q1 2024", "Q2 2024"] // Oldest first
+  );
+  const [q1, q2] = response.body.periods;
+  assert.equal(q1.ratios.returnOnEquity, 12.5);
+  assert.equal(q2.ratios.netProfitMargin, -5);
+  assert.equal(q2.ratios.returnOnEquity, null); // Negative equity
+});
+
+test("GET /api/polygon-financials rejects bad history parameters", async () => {
+  const response = await request(app)
+    .get("/api/polygon-financials")
+    .query({ symbol: "ACME", periods: 50 })
+    .expect(400);
+  assert.match(response.body.error.message, /periods/);
+
+  await request(app)
+    .get("/api/polygon-financials")
+    .query({ symbol: "ACME", timeframe: "monthly" })
+    .expect(400);
+});
+
+test("GET /api/polygon-financials answers 404 when there are no filings", async () => {
+  await request(app)
+    .get("/api/polygon-financials")
+    .query({ symbol: "EMPTY" })
+    .expect(404);
+});
+
+test("GET /api/polygon-financials hides upstream failures behind a 500", async () => {
+  const response = await request(app)
+    .get("/api/polygon-financials")
+    .query({ symbol: "UNREC" }) // Never recorded, so the replay fails
+    .expect(500);
+  assert.equal(response.body.error.message, "Error fetching financial data.");
+  assert.doesNotMatch(response.text, /fixture/);
+});
+
+test("GET /api/analysis/:symbol flags metrics that lack history", async () => {
+  const { body } = await request(app).get("/api/analysis/acme").expect(200);
+
+  assert.equal(body.symbol, "ACME");
+  assert.equal(body.price.close, 12.9);
+  assert.deepEqual(
+    body.periods.map((period) => period.label),
+    ["Q1 2024", "Q2 2024"]
+  );
+  assert.equal(body.metrics.revenueGrowthQoQ.value, 10);
+  assert.equal(body.metrics.pbRatio.value, (12.9 * 100) / 800);
+  assert.equal(body.metrics.ttmRevenue.value, null);
+  assert.equal(body.metrics.ttmRevenue.flags[0].code, "insufficient_history");
+
+  await request(app).get("/api/analysis/EMPTY").expect(404);
+  await request(app).get("/api/analysis/not a ticker").expect(400);
+});
+
+test("GET /api/peers/:symbol compares a company with a peer list", async () => {
+  const originalError = console.error;
+  console.error = () => {}; // GLBX has no recorded profile or filing
+  let body;
+  try {
+    ({ body } = await request(app)
+      .get("/api/peers/ACME")
+      .query({ peers: "glbx", days: 365 })
+      .expect(200));
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.equal(body.source, "custom");
+  assert.deepEqual(
+    body.companies.map((company) => [company.symbol, company.name]),
+    [
+      ["ACME", "Acme Corp"],
+      ["GLBX", null],
+    ]
+  );
+  assert.equal(body.companies[0].ratios.netProfitMargin, 10);
+  assert.equal(body.companies[1].ratios, null);
+
+  // ACME is the only cached company in its industry
+  await request(app).get("/api/peers/ACME").expect(404);
+  await request(app).get("/api/peers/ACME?days=0").expect(400);
+});
+
+test("alert rules need a login and accept only known channel settings", async () => {
+  const rule = {
+    name: "Purchases",
+    conditions: { transactionCodes: ["P"] },
+    channels: [{ type: "log" }],
+  };
+  await request(app).get("/api/rules").expect(401);
+  await request(app).post("/api/rules").send(rule).expect(401);
+
+  const agent = request.agent(app); // Keeps the session cookie
+  const credentials = { username: "alerter", password: "long-enough" };
+  await agent.post("/api/auth/register").send(credentials).expect(201);
+  await agent.post("/api/auth/login").send(credentials).expect(200);
+
+  const rejected = await agent
+    .post("/api/rules")
+    .send({ ...rule, channels: [{ type: "log", path: "/tmp/anywhere" }] })
+    .expect(400);
+  assert.match(rejected.body.error.message, /path/);
+
+  const { body: created } = await agent
+    .post("/api/rules")
+    .send(rule)
+    .expect(201);
+  assert.deepEqual(created.channels, [{ type: "log" }]);
+  const missing = await agent.delete("/api/rules/unknown").expect(404);
+  assert.equal(missing.body.error.message, "Rule not found.");
+
+  // Another account neither sees nor changes the rule
+  const other = request.agent(app);
+  const otherCredentials = { username: "other", password: "long-enough" };
+  await other.post("/api/auth/register").send(otherCredentials).expect(201);
+  await other.post("/api/auth/login").send(otherCredentials).expect(200);
+  assert.deepEqual((await other.get("/api/rules").expect(200)).body, []);
+  await other.get(`/api/rules/${created.id}`).expect(404);
+  await other.put(`/api/rules/${created.id}`).send(rule).expect(404);
+  await other.delete(`/api/rules/${created.id}`).expect(404);
+
+  const { body: own } = await agent.get("/api/rules").expect(200);
+  assert.deepEqual(
+    own.map((entry) => entry.id),
+    [created.id]
+  );
+  await agent.delete(`/api/rules/${created.id}`).expect(204);
+});
+
+test("GET /api/backtest/summary keeps maxSymbols within the Tiingo rate limit", async () => {
+  const response = await request(app)
+    .get("/api/backtest/summary")
+    .query({ maxSymbols: 100 })
+    .expect(400);
+  assert.equal(response.body.error.field, "maxSymbols");
+  assert.match(response.body.error.message, /between 1 and 50/);
+
+  // The benchmark takes one of the hour's requests
+  await request(app)
+    .get("/api/backtest/summary")
+    .query({ maxSymbols: 50, benchmark: "SPY" })
+    .expect(400);
+});
+
+test("starting jobs needs a login", async () => {
+  await request(app).get("/api/jobs").expect(200);
+  await request(app)
+    .post("/api/jobs/backfill")
+    .send({ from: "2024-01-01", to: "2024-01-31" })
+    .expect(401);
+  const denied = await request(app)
+    .post("/api/jobs/fetch-trades/run")
+    .expect(401);
+  assert.equal(denied.body.error.message, "Login required.");
+
+  const missing = await request(app).get("/api/jobs/unknown").expect(404);
+  assert.equal(missing.body.error.message, "Job not found.");
+});
+
+test("generating digests needs a login and a known kind", async () => {
+  await request(app).post("/api/digests").send({ kind: "daily" }).expect(401);
+  await request(app)
+    .get("/api/digests")
+    .query({ kind: "constructor" })
+    .expect(400);
+  await request(app)
+    .get("/api/digests/daily-2024-06-05")
+    .query({ format: "toString" })
+    .expect(400);
+
+  const agent = request.agent(app);
+  const credentials = { username: "digester", password: "long-enough" };
+  await agent.post("/api/auth/register").send(credentials).expect(201);
+  await agent.post("/api/auth/login").send(credentials).expect(200);
+  const rejected = await agent
+    .post("/api/digests")
+    .send({ kind: "constructor" })
+    .expect(400);
+  assert.equal(rejected.body.error.field, "kind");
+});
+
+test("holdings import from CSV and summarize with prices and insider sentiment", async () => {
+  await request(app).get("/api/holdings/summary").expect(401);
+
+  const agent = request.agent(app); // Keeps the session cookie
+  const credentials = { username: "investor", password: "long-enough" };
+  await agent.post("/api/auth/register").send(credentials).expect(201);
+  await agent.post("/api/auth/login").send(credentials).expect(200);
+
+  const imported = await agent
+    .post("/api/holdings/import")
+    .set("Content-Type", "text/csv")
+    .send("symbol,quantity,costBasis\nACME,100,10\nGLBX,50,2\n")
+    .expect(200);
+  assert.equal(imported.body.added, 2);
+
+  const invalid = await agent
+    .post("/api/holdings/import")
+    .set("Content-Type", "text/csv")
+    .send("symbol,quantity\nACME,lots\n")
+    .expect(400);
+  assert.match(invalid.body.error.message, /line 2/);
+
+  const originalError = console.error;
+  console.error = () => {}; // GLBX has no recorded price
+  let summary;
+  try {
+    ({ body: summary } = await agent.get("/api/holdings/summary").expect(200));
+  } finally {
+    console.error = originalError;
+  }
+  const [acme, glbx] = summary.positions;
+  assert.equal(acme.price, 12.9);
+  assert.equal(acme.unrealizedPnl, 290);
+  assert.deepEqual(
+    acme.sentiment.map((window) => window.days),
+    [30, 90]
+  );
+  assert.equal(glbx.price, null);
+  assert.deepEqual(summary.totals.unpriced, ["GLBX"]);
+});
+
+test("health checks report the stale feed and requests carry an id", async () => {
+  // The fetch job has never run here, but the stored trades can be served
+  const health = await request(app)
+    .get("/healthz")
+    .set("X-Request-Id", "probe-1")
+    .expect(200);
+  assert.equal(health.headers["x-request-id"], "probe-1");
+  assert.equal(health.body.status, "degraded");
+  assert.equal(health.body.checks.feed.lastSuccessAt, null);
+  assert.equal(health.body.checks.feed.staleAfterSeconds, 15 * 60);
+  assert.equal(health.body.checks.trades.stored, sampleTrades.length);
+
+  const ready = await request(app).get("/readyz").expect(200);
+  assert.equal(ready.body.ready, true);
+
+  const generated = await request(app).get("/api/transaction-codes");
+  assert.match(generated.headers["x-request-id"], /^[0-9a-f-]{36}$/);
+});
+
+test("GET /metrics exposes Prometheus metrics", async () => {
+  await request(app).get("/api/tiingo?symbol=ACME").expect(200);
+  const response = await request(app).get("/metrics").expect(200);
+
+  assert.match(
+    response.headers["content-type"],
+    /^text\/plain;.*version=0\.0\.4/
+  );
+  const text = response.text;
+  assert.match(
+    text,
+    /# TYPE insider_upstream_request_duration_seconds histogram/
+  );
+  assert.match(
+    text,
+    /insider_upstream_request_duration_seconds_count\{provider="tiingo"\} \d+/
+  );
+  assert.match(
+    text,
+    /insider_upstream_cache_hits_total\{provider="polygon"\} \d+/
+  );
+  assert.match(
+    text,
+    new RegExp(`insider_trades_stored ${sampleTrades.length}`)
+  );
+  assert.match(text, /insider_feed_stale 1/);
+  assert.doesNotMatch(text, /insider_feed_age_seconds \d/); // Never fetched
+  assert.match(text, /insider_job_runs_total\{job="fetch-trades"\} 0/);
+  assert.match(
+    text,
+    /insider_http_requests_total\{method="GET",status="200"\} \d+/
+  );
+});
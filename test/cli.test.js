@@ -0,0 +1,191 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Writable } = require("stream");
+const { parseArgs, formatTable, run } = require("../lib/cli");
+const { enrichTrade } = require("../lib/enrichment");
+const { sampleTrades } = require("./helpers");
+
+/**
+ * A writable stream that keeps what is written to it.
+ * @returns {stream.Writable} - Stream with a `text()` accessor
+ */
+function collector() {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(String(chunk));
+      callback();
+    },
+  });
+  stream.text = () => chunks.join("");
+  return stream;
+}
+
+// Stored trades, the first two enriched, in the shape index.js exports them
+const stored = sampleTrades.map((trade, index) => ({
+  ...trade,
+  id: `t${index + 1}`,
+  seq: index + 1,
+}));
+const services = {
+  enrichStoredTrade: (trade) =>
+    enrichTrade(
+      trade,
+      trade.symbol === "ACME"
+        ? { name: "Acme Corp", sector: "Software", marketCap: 500e6 }
+        : null
+    ),
+  enrichedTrades: () => stored.map(services.enrichStoredTrade),
+  scoringService: {
+    score: async (symbol, profile) => ({
+      symbol,
+      profile: profile || "conservative",
+      score: 72.5,
+      recommendation: "BUY",
+      factors: [
+        {
+          label: "Current ratio",
+          value: 2,
+          points: 1,
+          reason: "Sufficient liquidity above 1.5",
+        },
+      ],
+      metrics: { currentRatio: 2, returnOnEquity: 12.5 },
+      unavailable: ["prices"],
+    }),
+  },
+};
+
+/**
+ * Run a command line against the fake services.
+ * @param {Array} argv - Arguments after the program name
+ * @returns {Promise<Object>} - `{ code, stdout, stderr }`
+ */
+async function cli(argv) {
+  const stdout = collector();
+  const stderr = collector();
+  const code = await run(argv, {
+    loadServices: () => services,
+    stdout,
+    stderr,
+  });
+  return { code, stdout: stdout.text(), stderr: stderr.text() };
+}
+
+test("parseArgs reads commands, positional arguments and options", () => {
+  assert.deepEqual(
+    parseArgs([
+      "trades",
+      "--min-price",
+      "5",
+      "--sector=Retail, Apparel",
+      "--sector",
+      "Software",
+      "--help",
+    ]),
+    {
+      command: "trades",
+      args: [],
+      options: {
+        minPrice: "5",
+        sector: ["Retail, Apparel", "Software"],
+        help: true,
+      },
+    }
+  );
+  assert.deepEqual(parseArgs(["analyze", "ACME", "--format", "json"]), {
+    command: "analyze",
+    args: ["ACME"],
+    options: { format: "json" },
+  });
+});
+
+test("formatTable aligns columns", () => {
+  const text = formatTable(
+    [
+      { label: "Symbol", value: (row) => row.symbol },
+      { label: "Shares", value: (row) => row.change, align: "right" },
+    ],
+    [
+      { symbol: "ACME", change: 10000 },
+      { symbol: "GLBX", change: -5 },
+    ]
+  );
+  assert.equal(
+    text,
+    ["Symbol  Shares", "ACME     10000", "GLBX        -5", ""].join("\n")
+  );
+});
+
+test("trades prints a filtered table", async () => {
+  const { code, stdout } = await cli(["trades", "--symbol", "acme"]);
+
+  assert.equal(code, 0);
+  const lines = stdout.trim().split("\n");
+  assert.equal(lines.length, 3); // Header and two ACME trades
+  assert.match(lines[0], /^Date\s+Symbol\s+Insider/);
+  assert.match(lines[2], /2024-06-03\s+ACME\s+Doe Jane\s+P Open-Market Buy/);
+  assert.match(lines[2], /\$125,000\s+0\.03%\s+7\.14%\s+Software$/);
+});
+
+test("trades prints JSON and CSV for scripts", async () => {
+  const json = await cli([
+    "trades",
+    "--format",
+    "json",
+    "--sort",
+    "value",
+    "--limit",
+    "1",
+  ]);
+  const [top] = JSON.parse(json.stdout);
+  assert.equal(top.name, "Doe Jane");
+  assert.equal(top.classification.category, "buy");
+  assert.equal(top.company.name, "Acme Corp");
+
+  const csv = await cli(["trades", "--format", "csv", "--category", "buy"]);
+  const rows = csv.stdout.trim().split("\r\n");
+  assert.equal(rows.length, 3);
+  assert.match(rows[0], /^Trade ID,Symbol,Company,/);
+});
+
+test("trades rejects bad options with exit code 2", async () => {
+  const invalid = await cli(["trades", "--min-price", "cheap"]);
+  assert.equal(invalid.code, 2);
+  assert.match(invalid.stderr, /minPrice/);
+
+  const unknown = await cli(["trades", "--min-prise", "5"]);
+  assert.equal(unknown.code, 2);
+  assert.match(unknown.stderr, /Unknown option "--min-prise"/);
+
+  const missing = await cli(["trades", "--symbol"]);
+  assert.match(missing.stderr, /"--symbol" needs a value/);
+});
+
+test("analyze prints the ratios and the recommendation", async () => {
+  const { code, stdout } = await cli(["analyze", "acme", "--profile", "value"]);
+
+  assert.equal(code, 0);
+  assert.match(stdout, /^ACME: BUY \(score 72\.5, value profile\)/);
+  assert.match(stdout, /ROE \(%\)\s+12\.50/);
+  assert.match(stdout, /Net Profit Margin \(%\)\s+N\/A/);
+  assert.match(stdout, /Current ratio\s+2\.00\s+1\s+Sufficient liquidity/);
+  assert.match(stdout, /Unavailable: prices/);
+
+  const missing = await cli(["analyze"]);
+  assert.equal(missing.code, 2);
+});
+
+test("unknown commands and no command print the usage", async () => {
+  const none = await cli([]);
+  assert.equal(none.code, 2);
+  assert.match(none.stderr, /^Usage: insider-tracker/);
+
+  const unknown = await cli(["sell-everything"]);
+  assert.equal(unknown.code, 2);
+  assert.match(unknown.stderr, /Unknown command "sell-everything"/);
+
+  const help = await cli(["help"]);
+  assert.equal(help.code, 0);
+  assert.match(help.stdout, /Commands:/);
+});
@@ -0,0 +1,308 @@
+// DOM tests for the trade table. The page's scripts run in jsdom against
+// the real index.html, with fetch and EventSource answered locally.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+const { sampleTrades } = require("./helpers");
+
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+
+// Stored trades as "/api/insider-trades" returns them
+const pageTrades = sampleTrades.map((trade, index) => ({
+  ...trade,
+  id: `t${index + 1}`,
+  company:
+    trade.symbol === "ACME"
+      ? {
+          name: "Acme Corp",
+          sector: "Services-Prepackaged Software",
+          exchange: "XNAS",
+          marketCap: 500e6,
+          marketCapSize: "small",
+        }
+      : null,
+  percentOfMarketCap: trade.symbol === "ACME" ? 0.025 : null,
+  percentOfHoldings: 100 / 14, // Doe Jane: 10,000 shares on top of 140,000
+  classification: {
+    P: { category: "buy", categoryLabel: "Open-Market Buy" },
+    S: { category: "sell", categoryLabel: "Open-Market Sale" },
+    A: { category: "compensation", categoryLabel: "Compensation" },
+  }[trade.transactionCode],
+}));
+
+/**
+ * Load index.html with format.js and app.js, as the browser would.
+ * @returns {Promise<Object>} - jsdom window once the initial fetches have settled
+ */
+async function loadPage() {
+  const html = fs.readFileSync(path.join(PUBLIC_DIR, "index.html"), "utf8");
+  const { window } = new JSDOM(html, {
+    runScripts: "outside-only",
+    url: "http://localhost:3000/",
+  });
+
+  const replies = {
+    "/api/insider-trades": {
+      data: pageTrades,
+      page: 1,
+      pageSize: 50,
+      total: pageTrades.length,
+      totalPages: 1,
+      totals: { value: 96250 },
+    },
+    "/api/clusters": [],
+    "/api/transaction-codes": [],
+    "/api/insider-trades/facets": {
+      sectors: [
+        {
+          value: "Services-Prepackaged Software",
+          label: "Services-Prepackaged Software",
+          count: 2,
+        },
+      ],
+      exchanges: [{ value: "XNAS", label: "XNAS", count: 2 }],
+      marketCapSizes: [{ value: "small", label: "Small", count: 2 }],
+      unenriched: 2,
+    },
+    "/api/scoring/profiles": [],
+    "/healthz": {
+      status: "ok",
+      ready: true,
+      checks: { feed: { ageSeconds: 60, lastError: null } },
+    },
+  };
+  window.fetch = async (url) => {
+    const body = replies[new URL(url, window.location.href).pathname];
+    return {
+      ok: body !== undefined,
+      status: body !== undefined ? 200 : 404,
+      json: async () => body,
+      text: async () => JSON.stringify(body ?? {}),
+    };
+  };
+  window.EventSource = class {
+    addEventListener() {}
+    close() {}
+  };
+  window.console.error = () => {}; // Keep expected load failures out of the test output
+  window.setInterval = () => 0; // No feed polling: a pending interval would keep the test process alive
+
+  ["format.js", "app.js"].forEach((file) => {
+    window.eval(fs.readFileSync(path.join(PUBLIC_DIR, file), "utf8"));
+  });
+  await new Promise((resolve) => setTimeout(resolve, 50)); // Let the initial fetches finish
+  return window;
+}
+
+const rowsOf = (window) =>
+  Array.from(window.document.querySelectorAll("#data tbody tr"));
+const cellsOf = (row) =>
+  Array.from(row.querySelectorAll("td")).map((cell) => cell.textContent.trim());
+
+test("the page loads the first page of trades into the table", async () => {
+  const window = await loadPage();
+  const rows = rowsOf(window);
+
+  assert.equal(rows.length, pageTrades.length);
+  assert.match(
+    window.document.getElementById("page-info").textContent,
+    /4 trades · \$96,250 total value/
+  );
+});
+
+test("displayData renders one formatted row per trade", async () => {
+  const window = await loadPage();
+  window.displayData(pageTrades.slice(0, 2));
+
+  const rows = rowsOf(window);
+  assert.equal(rows.length, 2);
+  assert.deepEqual(cellsOf(rows[0]), [
+    "ACMEAcme Corp",
+    "Services-Prepackaged Software",
+    "$500.0M",
+    "Doe Jane",
+    "P Open-Market Buy",
+    "10000",
+    "$12.50",
+    "$125,000",
+    "0.03%",
+    "7.14%",
+    "2024-06-03",
+  ]);
+  assert.deepEqual(cellsOf(rows[1]).slice(5, 8), [
+    "-2500",
+    "$13.10",
+    "$32,750", // Value is a size; the sign stays in the shares column
+  ]);
+});
+
+test("displayData styles rows by category", async () => {
+  const window = await loadPage();
+  window.displayData([
+    ...pageTrades,
+    {
+      ...pageTrades[1],
+      id: "planned",
+      classification: { category: "sell", planned: true },
+    },
+  ]);
+
+  assert.deepEqual(
+    rowsOf(window).map((row) => row.className),
+    [
+      "highlight-green",
+      "highlight-red",
+      "highlight-green-bold", // Purchase at $2 or below
+      "category-compensation",
+      "planned-sale",
+    ]
+  );
+  assert.ok(rowsOf(window)[4].querySelector(".plan-badge"));
+});
+
+test("displayData marks trades in the user's holdings", async () => {
+  const window = await loadPage();
+  window.setHeldSymbols(["GLBX"]); // As portfolio.js does after loading the holdings
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  window.displayData(pageTrades);
+
+  const held = rowsOf(window).map((row) => row.classList.contains("held"));
+  assert.deepEqual(held, [false, false, true, true]);
+  assert.equal(cellsOf(rowsOf(window)[2])[0], "GLBX Held");
+});
+
+test("displayPeers shows ratios with percentile ranks and insider activity", async () => {
+  const window = await loadPage();
+  window.document.getElementById("modal-content").innerHTML =
+    '<div id="peer-comparison"></div>';
+  window.console.warn = () => {}; // No chart canvas in this test
+  window.displayPeers({
+    symbol: "ACME",
+    source: "sector",
+    sector: "Services-Prepackaged Software",
+    days: 90,
+    companies: [
+      {
+        symbol: "ACME",
+        marketCap: 500e6,
+        ratios: { netProfitMargin: 15, debtToEquity: 0.5 },
+        percentiles: { netProfitMargin: 100, debtToEquity: 0 },
+        insiders: { netValue: 92250, buyers: 1, sellers: 1 },
+      },
+      {
+        symbol: "HOOL",
+        marketCap: null,
+        ratios: null,
+        percentiles: {},
+        insiders: { netValue: 0, buyers: 0, sellers: 0 },
+      },
+    ],
+    medians: { netProfitMargin: 15 },
+  });
+
+  const rows = Array.from(
+    window.document.querySelectorAll(".peer-table tr")
+  ).slice(1);
+  assert.equal(rows[0].className, "peer-self");
+  assert.deepEqual(cellsOf(rows[0]).slice(0, 3), [
+    "ACME",
+    "$500.0M",
+    "15.00% 100th",
+  ]);
+  assert.equal(cellsOf(rows[0])[8], "$92,250");
+  assert.equal(cellsOf(rows[1])[2], "N/A N/A");
+  assert.equal(cellsOf(rows[2])[0], "Median");
+});
+
+test("displayData shows N/A for missing fields", async () => {
+  const window = await loadPage();
+  window.displayData([{ id: "bare", change: 100 }]);
+
+  assert.deepEqual(cellsOf(rowsOf(window)[0]), [
+    "N/A",
+    "N/A",
+    "N/A",
+    "N/A",
+    "N/A",
+    "100",
+    "N/A",
+    "N/A",
+    "N/A",
+    "N/A",
+    "N/A",
+  ]);
+});
+
+test("displayData escapes markup from the server", async () => {
+  const window = await loadPage();
+  window.displayData([
+    {
+      ...pageTrades[0],
+      symbol: "<img src=x onerror=alert(1)>",
+      name: "<b>Mallory</b>",
+    },
+  ]);
+
+  const [row] = rowsOf(window);
+  assert.equal(row.querySelector("img"), null);
+  assert.equal(row.querySelector("b"), null);
+  assert.equal(cellsOf(row)[3], "<b>Mallory</b>");
+});
+
+test("the company filters offer the values from the server", async () => {
+  const window = await loadPage();
+  const options = (name) =>
+    Array.from(
+      window.document.querySelectorAll(`#filters [name="${name}"] option`)
+    ).map((option) => option.textContent);
+
+  assert.deepEqual(options("sector"), [
+    "Any",
+    "Services-Prepackaged Software (2)",
+  ]);
+  assert.deepEqual(options("exchange"), ["Any", "XNAS (2)"]);
+  assert.deepEqual(options("marketCapSize"), ["Any", "Small (2)"]);
+});
+
+test("displayData replaces the rows shown before", async () => {
+  const window = await loadPage();
+  window.displayData(pageTrades);
+  window.displayData([]);
+
+  assert.equal(rowsOf(window).length, 0);
+});
+
+test("the staleness banner shows while the insider feed is degraded", async () => {
+  const window = await loadPage();
+  const banner = window.document.getElementById("stale-banner");
+  assert.equal(banner.hidden, true); // Fresh feed on load
+
+  window.showFeedHealth({
+    status: "degraded",
+    checks: {
+      feed: {
+        ageSeconds: 3 * 3600 + 120,
+        lastError: "Request failed with status code 502",
+      },
+    },
+  });
+  assert.equal(banner.hidden, false);
+  assert.equal(
+    banner.textContent,
+    "Insider trades may be out of date: they were last updated 3 hours ago. The latest fetch failed: Request failed with status code 502"
+  );
+
+  window.showFeedHealth({
+    status: "degraded",
+    checks: { feed: { ageSeconds: null, lastError: null } },
+  });
+  assert.match(banner.textContent, /have not been fetched yet\.$/);
+
+  window.showFeedHealth({
+    status: "ok",
+    checks: { feed: { ageSeconds: 30, lastError: null } },
+  });
+  assert.equal(banner.hidden, true);
+});
@@ -0,0 +1,230 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { parseForm4, EdgarForm4Provider } = require("../lib/providers/edgar");
+const { normalizeFinnhubTrade } = require("../lib/providers/finnhub");
+const { classifyTrade } = require("../lib/classification");
+const { tradeId } = require("../lib/trades");
+const { tempDir } = require("./helpers");
+
+const FIXTURES = path.join(__dirname, "..", "fixtures", "edgar");
+const ORIGINAL = "0001234567-24-000101.xml"; // CEO purchases, tax withholding, option exercise
+const AMENDMENT = "0001234567-24-000102.xml"; // Joint 4/A by a fund and its general partner
+
+const readFixture = (file) =>
+  fs.readFileSync(path.join(FIXTURES, file), "utf8");
+
+test("parseForm4 reads non-derivative and derivative rows with footnotes", () => {
+  const trades = parseForm4(readFixture(ORIGINAL), {
+    accessionNumber: "0001234567-24-000101",
+  });
+
+  assert.deepEqual(
+    trades.map((trade) => [
+      trade.transactionCode,
+      trade.change,
+      trade.transactionPrice,
+      trade.isDerivative,
+    ]),
+    [
+      ["P", 25000, 4.12, false],
+      ["P", 10000, 4.15, false],
+      ["F", -1840, 4.05, false],
+      ["M", -5000, 0, true],
+    ]
+  );
+
+  const [direct, trust, withheld, option] = trades;
+  assert.equal(direct.symbol, "EXTX");
+  assert.equal(direct.name, "Doe Jane A");
+  assert.equal(direct.filingDate, "2024-03-13"); // Signature date without feed metadata
+  assert.equal(direct.accessionNumber, "0001234567-24-000101");
+  assert.equal(direct.formType, "4");
+  assert.equal(direct.isAmendment, false);
+  assert.equal(
+    direct.reportingOwners[0].officerTitle,
+    "Chief Executive Officer"
+  );
+  assert.deepEqual(
+    direct.footnotes.map((footnote) => footnote.id),
+    ["F1"]
+  );
+  assert.match(direct.footnotes[0].text, /weighted average price/);
+
+  assert.equal(trust.ownershipNature, "I");
+  assert.equal(trust.natureOfOwnership, "By Family Trust");
+  assert.match(trust.footnotes[0].text, /Doe Family Trust/);
+  assert.match(withheld.footnotes[0].text, /tax withholding/);
+
+  assert.equal(option.securityTitle, "Stock Option (Right to Buy)");
+  assert.equal(option.conversionOrExercisePrice, 2.5);
+  assert.equal(option.exerciseDate, undefined); // Only a footnote, no date
+  assert.equal(option.expirationDate, "2031-06-30");
+  assert.equal(option.underlyingSecurityShares, 5000);
+  assert.match(option.footnotes[0].text, /four equal annual installments/);
+});
+
+test("parseForm4 names every reporting owner and flags amendments", () => {
+  const trades = parseForm4(readFixture(AMENDMENT), {
+    filingDate: "2024-04-09",
+  });
+
+  assert.deepEqual(
+    trades.map((trade) => trade.name),
+    ["Example Ventures Fund II, L.P.", "Example Ventures GP II, LLC"]
+  );
+  trades.forEach((trade) => {
+    assert.equal(trade.symbol, "EXTX");
+    assert.equal(trade.change, -120000);
+    assert.equal(trade.filingDate, "2024-04-09");
+    assert.equal(trade.formType, "4/A");
+    assert.equal(trade.isAmendment, true);
+    assert.equal(trade.originalFilingDate, "2024-04-04");
+    assert.equal(trade.aff10b5One, true);
+    assert.equal(trade.reportingOwners.length, 2);
+    assert.ok(trade.reportingOwners.every((owner) => owner.isTenPercentOwner));
+  });
+  assert.match(trades[0].footnotes[0].text, /Rule 10b5-1 trading plan/);
+
+  assert.throws(() => parseForm4("<html></html>"), /Not a Form 4/);
+});
+
+test("EdgarForm4Provider filters parsed filings again on every fetch", async () => {
+  const provider = new EdgarForm4Provider({ directory: FIXTURES });
+
+  const march = await provider.fetchTrades({
+    from: "2024-03-12",
+    to: "2024-03-31",
+  });
+  assert.equal(march.length, 2);
+
+  // Trades outside the first window are still returned for a later one
+  const earlier = await provider.fetchTrades({
+    from: "2024-03-01",
+    to: "2024-03-11",
+  });
+  assert.deepEqual(
+    earlier.map((trade) => trade.transactionCode),
+    ["F", "M"]
+  );
+  const all = await provider.fetchTrades({ symbol: "EXTX" });
+  assert.equal(all.length, 6);
+  assert.deepEqual(await provider.fetchTrades({ symbol: "ACME" }), []);
+});
+
+test("EdgarForm4Provider follows feed entries to the Form 4 XML once", async () => {
+  const base = "https://www.sec.gov/Archives/edgar/data/999999";
+  const responses = {
+    "https://example.com/form4.atom": `<?xml version="1.0"?>
+      <feed>
+        <entry>
+          <link href="${base}/000123456724000102/index.htm"/>
+          <updated>2024-04-09T16:30:00-04:00</updated>
+        </entry>
+      </feed>`,
+    [`${base}/000123456724000102/index.htm`]: `
+      <a href="/Archives/edgar/data/999999/000123456724000102/xslF345X05/${AMENDMENT}">HTML</a>
+      <a href="/Archives/edgar/data/999999/000123456724000102/${AMENDMENT}">XML</a>`,
+    [`https://www.sec.gov/Archives/edgar/data/999999/000123456724000102/${AMENDMENT}`]:
+      readFixture(AMENDMENT),
+  };
+  const requested = [];
+  const http = {
+    async get(url, config) {
+      requested.push(url);
+      assert.match(config.headers["User-Agent"], /tracker@example\.com/);
+      return { data: responses[url] };
+    },
+  };
+  const provider = new EdgarForm4Provider({
+    feedUrl: "https://example.com/form4.atom",
+    userAgent: "Example tracker@example.com",
+    http,
+  });
+
+  const trades = await provider.fetchTrades({ from: "2024-04-01" });
+  assert.equal(trades.length, 2);
+  assert.equal(trades[0].filingDate, "2024-04-09");
+  assert.equal(trades[0].accessionNumber, "0001234567-24-000102");
+
+  // The second fetch only reads the feed again
+  requested.length = 0;
+  assert.equal((await provider.fetchTrades({ from: "2024-04-01" })).length, 2);
+  assert.deepEqual(requested, ["https://example.com/form4.atom"]);
+});
+
+test("EdgarForm4Provider replaces amended trades and forgets removed files", async () => {
+  const dir = tempDir("edgar");
+  const original = path.join(dir, ORIGINAL);
+  fs.copyFileSync(path.join(FIXTURES, ORIGINAL), original);
+  // The same filing restated as a 4/A a week later
+  fs.writeFileSync(
+    path.join(dir, "0001234567-24-000150.xml"),
+    readFixture(ORIGINAL)
+      .replace(
+        "<documentType>4</documentType>",
+        "<documentType>4/A</documentType><dateOfOriginalSubmission>2024-03-13</dateOfOriginalSubmission>"
+      )
+      .replace("2024-03-13</signatureDate>", "2024-03-20</signatureDate>")
+  );
+  const provider = new EdgarForm4Provider({ directory: dir });
+
+  const [first] = parseForm4(readFixture(ORIGINAL));
+  const trades = await provider.fetchTrades();
+  assert.equal(trades.length, 4); // Not 8: each amended trade replaces its original
+  assert.ok(trades.every((trade) => trade.isAmendment));
+  assert.equal(trades[0].filingDate, "2024-03-20");
+  assert.equal(tradeId(trades[0]), tradeId(first)); // Updates the stored trade
+
+  fs.unlinkSync(original);
+  fs.unlinkSync(path.join(dir, "0001234567-24-000150.xml"));
+  assert.deepEqual(await provider.fetchTrades(), []);
+  assert.equal(provider.parsed.size, 0);
+});
+
+test("EdgarForm4Provider skips unparseable RSS dates instead of failing", async () => {
+  const url = `https://www.sec.gov/Archives/edgar/data/999999/${ORIGINAL}`;
+  const responses = {
+    "https://example.com/form4.rss": `<?xml version="1.0"?>
+      <rss><channel>
+        <item><link>${url}</link><pubDate>sometime last week</pubDate></item>
+      </channel></rss>`,
+    [url]: readFixture(ORIGINAL),
+  };
+  const provider = new EdgarForm4Provider({
+    feedUrl: "https://example.com/form4.rss",
+    http: { get: async (requested) => ({ data: responses[requested] }) },
+  });
+
+  const trades = await provider.fetchTrades();
+  assert.equal(trades.length, 4);
+  assert.equal(trades[0].filingDate, "2024-03-13"); // Signature date instead
+});
+
+test("10b5-1 plans are read from EDGAR filings and unknown for Finnhub sales", () => {
+  const [planned] = parseForm4(readFixture(AMENDMENT));
+  assert.equal(classifyTrade(planned).planned, true);
+  assert.equal(classifyTrade(planned).discretionary, false);
+
+  const unplanned = { ...planned, aff10b5One: false, footnotes: [] };
+  assert.equal(classifyTrade(unplanned).planned, false);
+  assert.equal(classifyTrade(unplanned).discretionary, true);
+
+  const footnoteOnly = { ...unplanned, footnotes: planned.footnotes };
+  assert.equal(classifyTrade(footnoteOnly).planned, true);
+
+  const finnhubSale = normalizeFinnhubTrade({
+    symbol: "EXTX",
+    name: "Doe Jane A",
+    change: -5000,
+    transactionCode: "S",
+    transactionPrice: 5.3,
+  });
+  assert.equal(classifyTrade(finnhubSale).planned, null); // Not reported
+  assert.equal(classifyTrade(finnhubSale).discretionary, true);
+  assert.equal(
+    classifyTrade({ ...finnhubSale, transactionCode: "P" }).planned,
+    false
+  );
+});
@@ -0,0 +1,247 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  marketCapSize,
+  percentOfHoldings,
+  enrichTrade,
+  describeFacets,
+} = require("../lib/enrichment");
+const { CompanyCache } = require("../lib/companies");
+const { parseTradeQuery, filterTrades } = require("../lib/query");
+const {
+  parseExportQuery,
+  exportColumns,
+  createCompanyLookup,
+  exportRecords,
+} = require("../lib/export");
+const { tempDir, sampleTrades } = require("./helpers");
+
+const [acmeBuy, acmeSale, glbxBuy, glbxAward] = sampleTrades;
+
+const ACME = {
+  symbol: "ACME",
+  name: "Acme Corp",
+  sector: "Services-Prepackaged Software",
+  exchange: "XNAS",
+  marketCap: 500e6,
+};
+const GLBX = {
+  symbol: "GLBX",
+  name: "Globex, Inc.",
+  sector: "Retail-Eating Places",
+  exchange: "XNYS",
+  marketCap: 40e6,
+};
+
+/**
+ * A CompanyService stand-in that answers from a table and counts lookups.
+ * @param {Object} profiles - Symbol -> profile, or an Error to throw
+ * @returns {Object} - `{ profile(symbol), calls }`
+ */
+function fakeService(profiles) {
+  const service = {
+    calls: [],
+    async profile(symbol) {
+      service.calls.push(symbol);
+      const answer = profiles[symbol];
+      if (answer instanceof Error) {
+        throw answer;
+      }
+      return answer || null;
+    },
+  };
+  return service;
+}
+
+test("marketCapSize buckets market caps", () => {
+  assert.equal(marketCapSize(40e6), "nano");
+  assert.equal(marketCapSize(50e6), "micro"); // Bounds are exclusive
+  assert.equal(marketCapSize(1.5e9), "small");
+  assert.equal(marketCapSize(3e12), "mega");
+  assert.equal(marketCapSize(null), null);
+  assert.equal(marketCapSize(0), null);
+});
+
+test("percentOfHoldings compares the change with the position before the trade", () => {
+  assert.equal(percentOfHoldings(glbxAward), 50); // 3,000 on top of 6,000
+  assert.equal(percentOfHoldings(acmeSale).toFixed(2), "3.03"); // 2,500 of 82,500
+  assert.equal(percentOfHoldings({ share: 1000, change: 1000 }), null); // New position
+  assert.equal(percentOfHoldings({ change: 1000 }), null);
+});
+
+test("enrichTrade attaches the company and relative sizes", () => {
+  const trade = enrichTrade(acmeBuy, ACME);
+
+  assert.deepEqual(trade.company, {
+    name: "Acme Corp",
+    sector: "Services-Prepackaged Software",
+    exchange: "XNAS",
+    marketCap: 500e6,
+    marketCapSize: "small",
+  });
+  assert.equal(trade.percentOfMarketCap, 0.025); // $125,000 of $500M
+  assert.equal(trade.percentOfHoldings.toFixed(2), "7.14");
+  assert.equal(trade.symbol, "ACME");
+});
+
+test("enrichTrade leaves company fields empty until the company is known", () => {
+  const trade = enrichTrade(acmeBuy, null);
+  assert.equal(trade.company, null);
+  assert.equal(trade.percentOfMarketCap, null);
+  assert.ok(trade.percentOfHoldings > 0); // Needs no company data
+
+  assert.equal(enrichTrade(glbxAward, GLBX).percentOfMarketCap, null); // No price
+});
+
+test("describeFacets counts trades per sector, exchange and size", () => {
+  const facets = describeFacets([
+    enrichTrade(acmeBuy, ACME),
+    enrichTrade(acmeSale, ACME),
+    enrichTrade(glbxBuy, GLBX),
+    enrichTrade(glbxAward, null),
+  ]);
+
+  assert.deepEqual(facets.exchanges, [
+    { value: "XNAS", label: "XNAS", count: 2 },
+    { value: "XNYS", label: "XNYS", count: 1 },
+  ]);
+  assert.deepEqual(
+    facets.marketCapSizes.map((size) => [size.value, size.count]),
+    [
+      ["nano", 1],
+      ["small", 2],
+    ]
+  );
+  assert.equal(facets.sectors.length, 2);
+  assert.equal(facets.unenriched, 1);
+});
+
+test("company filters match enriched trades only", () => {
+  const trades = [
+    enrichTrade(acmeBuy, ACME),
+    enrichTrade(acmeSale, ACME),
+    enrichTrade(glbxBuy, GLBX),
+    enrichTrade(glbxAward, null),
+  ];
+  const names = (query) =>
+    filterTrades(trades, parseTradeQuery(query)).map((trade) => trade.name);
+
+  assert.deepEqual(names({ sector: "retail-eating places" }), ["Smith Alex"]);
+  assert.deepEqual(names({ exchange: "xnas" }), ["Roe Richard", "Doe Jane"]);
+  assert.equal(names({ marketCapSize: "nano,small" }).length, 3);
+  assert.deepEqual(names({ minPercentOfMarketCap: "0.02" }), [
+    "Smith Alex", // $8,750 of $40M is 0.022%
+    "Doe Jane",
+  ]);
+  assert.deepEqual(names({ minPercentOfHoldings: "10" }), [
+    "Smith Alex",
+    "Lee Morgan",
+  ]);
+  assert.deepEqual(names({ sort: "marketCap", order: "desc" }).slice(0, 2), [
+    "Roe Richard",
+    "Doe Jane",
+  ]);
+  assert.throws(() => parseTradeQuery({ marketCapSize: "huge" }), {
+    field: "marketCapSize",
+  });
+});
+
+test("CompanyCache looks tickers up once and persists them", async () => {
+  const file = path.join(tempDir("companies"), "companies.json");
+  const service = fakeService({ ACME });
+  const cache = new CompanyCache(file, service);
+
+  assert.equal(cache.get("ACME"), null);
+  assert.equal((await cache.profile("ACME")).name, "Acme Corp");
+  assert.equal(await cache.profile("NOPE"), null);
+  await cache.profile("ACME");
+  await cache.profile("NOPE"); // Unknown tickers are cached too
+  assert.deepEqual(service.calls, ["ACME", "NOPE"]);
+
+  const reloaded = new CompanyCache(file, fakeService({}));
+  reloaded.load();
+  assert.equal(reloaded.get("ACME").marketCap, 500e6);
+  assert.equal(reloaded.isStale("NOPE"), false);
+});
+
+test("CompanyCache.refresh looks up due tickers in batches", async () => {
+  const file = path.join(tempDir("companies"), "companies.json");
+  const service = fakeService({ ACME, GLBX });
+  const cache = new CompanyCache(file, service);
+  const symbols = sampleTrades.map((trade) => trade.symbol);
+
+  assert.deepEqual(await cache.refresh(symbols, { limit: 1 }), {
+    due: 2,
+    refreshed: 1,
+    unknown: 0,
+    failed: 0,
+    remaining: 1,
+  });
+  assert.equal((await cache.refresh(symbols)).refreshed, 1);
+  assert.equal((await cache.refresh(symbols)).due, 0);
+  assert.deepEqual(service.calls, ["ACME", "GLBX"]);
+
+  // Expired entries are refreshed again
+  const expired = new CompanyCache(file, service, { maxAgeMs: -1 });
+  expired.load();
+  assert.equal((await expired.refresh(symbols)).refreshed, 2);
+});
+
+test("CompanyCache.refresh stops at the rate limit and retries later", async () => {
+  const file = path.join(tempDir("companies"), "companies.json");
+  const limited = Object.assign(new Error("Too Many Requests"), {
+    response: { status: 429 },
+  });
+  const service = fakeService({ ACME: limited, GLBX });
+  const cache = new CompanyCache(file, service);
+  const originalError = console.error;
+  console.error = () => {}; // The failure is expected
+
+  try {
+    const totals = await cache.refresh(["ACME", "GLBX"]);
+    assert.equal(totals.failed, 1);
+    assert.equal(totals.remaining, 1); // GLBX was not attempted
+    assert.deepEqual(service.calls, ["ACME"]);
+    assert.equal(cache.isStale("ACME"), true);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test("exports look up ratios for the first maxSymbols tickers only", async () => {
+  const looked = [];
+  const financialsService = {
+    async latest(symbol) {
+      looked.push(symbol);
+      return null;
+    },
+  };
+  const { include, maxSymbols } = parseExportQuery({
+    include: "ratios",
+    maxSymbols: "1",
+  });
+  const columns = exportColumns(include);
+  const lookup = createCompanyLookup(
+    { financialsService },
+    include,
+    undefined,
+    maxSymbols
+  );
+
+  const records = [];
+  for await (const record of exportRecords(sampleTrades, columns, lookup)) {
+    records.push(record);
+  }
+  assert.deepEqual(looked, ["ACME"]); // GLBX is past the cap
+  assert.equal(records.length, 4);
+  assert.equal(records[3].returnOnEquity, null);
+
+  assert.equal(parseExportQuery({}).maxSymbols, 5);
+  assert.throws(() => parseExportQuery({ maxSymbols: "100" }), {
+    field: "maxSymbols",
+  });
+  assert.throws(() => parseExportQuery({ format: "constructor" }), {
+    status: 400,
+  });
+});
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  safeRatio,
+  computeRatios,
+  financialSeries,
+} = require("../lib/financials");
+const { filing } = require("./helpers");
+
+// A healthy, fully reported quarter
+const healthy = {
+  revenues: 1000,
+  netIncome: 100,
+  assets: 2000,
+  currentAssets: 600,
+  currentLiabilities: 300,
+  liabilities: 1200,
+  equity: 800,
+};
+
+test("safeRatio divides and scales", () => {
+  assert.equal(safeRatio(50, 200), 0.25);
+  assert.equal(safeRatio(50, 200, 100), 25);
+  assert.equal(safeRatio(-50, 200, 100), -25);
+  assert.equal(safeRatio(0, 200), 0);
+});
+
+test("safeRatio is null for missing values and non-positive denominators", () => {
+  assert.equal(safeRatio(undefined, 200), null);
+  assert.equal(safeRatio(50, undefined), null);
+  assert.equal(safeRatio(null, 200), null);
+  assert.equal(safeRatio(50, 0), null);
+  assert.equal(safeRatio(50, -10), null);
+  assert.equal(safeRatio(NaN, 10), null);
+});
+
+test("computeRatios computes every ratio from a complete filing", () => {
+  assert.deepEqual(computeRatios(filing(healthy)), {
+    netProfitMargin: 10,
+    returnOnAssets: 5,
+    returnOnEquity: 12.5,
+    currentRatio: 2,
+    debtToEquity: 1.5,
+    assetTurnover: 0.5,
+  });
+});
+
+test("computeRatios returns null without financials", () => {
+  assert.equal(computeRatios(null), null);
+  assert.equal(computeRatios({}), null);
+  assert.equal(computeRatios({ results: [] }), null);
+});
+
+test("computeRatios leaves revenue ratios null when revenues are missing or zero", () => {
+  for (const revenues of [undefined, 0]) {
+    const ratios = computeRatios(filing({ ...healthy, revenues }));
+    assert.equal(ratios.netProfitMargin, null);
+    assert.equal(ratios.assetTurnover, revenues === 0 ? 0 : null);
+    assert.equal(ratios.returnOnAssets, 5); // Unaffected
+  }
+});
+
+test("computeRatios does not invent a current ratio when current liabilities are zero", () => {
+  // The old `|| 1` fallback reported the raw current assets (600) as the ratio
+  const ratios = computeRatios(filing({ ...healthy, currentLiabilities: 0 }));
+  assert.equal(ratios.currentRatio, null);
+});
+
+test("computeRatios leaves equity ratios null for zero or missing equity", () => {
+  for (const equity of [0, undefined]) {
+    const ratios = computeRatios(filing({ ...healthy, equity }));
+    assert.equal(ratios.returnOnEquity, null);
+    assert.equal(ratios.debtToEquity, null);
+  }
+});
+
+test("computeRatios leaves equity ratios null for negative equity", () => {
+  // A loss over negative equity would otherwise read as a positive return
+  const ratios = computeRatios(
+    filing({ ...healthy, netIncome: -100, liabilities: 2500, equity: -500 })
+  );
+  assert.equal(ratios.returnOnEquity, null);
+  assert.equal(ratios.debtToEquity, null);
+  assert.equal(ratios.netProfitMargin, -10);
+  assert.equal(ratios.returnOnAssets, -5);
+});
+
+test("computeRatios keeps losses negative", () => {
+  const ratios = computeRatios(filing({ ...healthy, netIncome: -50 }));
+  assert.equal(ratios.netProfitMargin, -5);
+  assert.equal(ratios.returnOnEquity, -6.25);
+});
+
+test("computeRatios leaves income ratios null when net income is missing", () => {
+  const ratios = computeRatios(filing({ ...healthy, netIncome: undefined }));
+  assert.equal(ratios.netProfitMargin, null);
+  assert.equal(ratios.returnOnAssets, null);
+  assert.equal(ratios.returnOnEquity, null);
+  assert.equal(ratios.currentRatio, 2);
+});
+
+test("financialSeries labels periods and skips filings without financials", () => {
+  const series = financialSeries([
+    filing(healthy, { fiscal_period: "Q1", end_date: "2024-03-31" }),
+    { fiscal_period: "Q2", fiscal_year: "2024" },
+    filing(
+      { ...healthy, revenues: 1100 },
+      { fiscal_period: "FY", fiscal_year: "2024", end_date: "2024-12-31" }
+    ),
+  ]);
+
+  assert.equal(series.length, 2);
+  assert.equal(series[0].label, "Q1 2024");
+  assert.equal(series[0].revenues, 1000);
+  assert.equal(series[0].netIncome, 100);
+  assert.equal(series[0].ratios.netProfitMargin, 10);
+  assert.equal(series[1].label, "FY 2024");
+  assert.equal(series[1].endDate, "2024-12-31");
+});
+
+test("financialSeries reports missing headline figures as null", () => {
+  const [period] = financialSeries([filing({ assets: 10 })]);
+  assert.equal(period.revenues, null);
+  assert.equal(period.netIncome, null);
+  assert.equal(period.ratios.returnOnAssets, null);
+});
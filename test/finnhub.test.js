@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { FinnhubProvider } = require("../lib/providers/finnhub");
+
+/**
+ * Finnhub stand-in with one trade per day between the given dates,
+ * answering like the real endpoint: newest first, cut off at `limit`.
+ * @param {string} first - First trade date (YYYY-MM-DD)
+ * @param {string} last - Last trade date (YYYY-MM-DD)
+ * @returns {Object} - `{ http, requests }`
+ */
+function finnhubStub(first, last) {
+  const requests = [];
+  const http = {
+    async get(url, { params }) {
+      requests.push(`${params.from}..${params.to}`);
+      const data = [];
+      for (
+        let time = Date.parse(params.to);
+        time >= Date.parse(params.from);
+        time -= 24 * 60 * 60 * 1000
+      ) {
+        const date = new Date(time).toISOString().slice(0, 10);
+        if (date >= first && date <= last) {
+          data.push({
+            symbol: "ACME",
+            name: "Doe Jane",
+            transactionDate: date,
+          });
+        }
+      }
+      return { data: { data: data.slice(0, params.limit) } };
+    },
+  };
+  return { http, requests };
+}
+
+test("FinnhubProvider splits a range that fills the row limit", async () => {
+  const { http, requests } = finnhubStub("2024-06-01", "2024-06-07");
+  const provider = new FinnhubProvider({ apiKey: "test", limit: 3, http });
+
+  const trades = await provider.fetchTrades({
+    from: "2024-06-01",
+    to: "2024-06-07",
+  });
+
+  assert.deepEqual(trades.map((trade) => trade.transactionDate).sort(), [
+    "2024-06-01",
+    "2024-06-02",
+    "2024-06-03",
+    "2024-06-04",
+    "2024-06-05",
+    "2024-06-06",
+    "2024-06-07",
+  ]);
+  assert.deepEqual(requests, [
+    "2024-06-01..2024-06-07",
+    "2024-06-01..2024-06-04",
+    "2024-06-01..2024-06-02",
+    "2024-06-03..2024-06-04",
+    "2024-06-05..2024-06-07", // Three trades still fill the limit
+    "2024-06-05..2024-06-06",
+    "2024-06-07..2024-06-07",
+  ]);
+});
+
+test("FinnhubProvider warns when a single day fills the row limit", async () => {
+  const { http } = finnhubStub("2024-06-01", "2024-06-01");
+  const provider = new FinnhubProvider({ apiKey: "test", limit: 1, http });
+
+  const warnings = [];
+  const originalWarn = console.warn;
+  console.warn = (message) => warnings.push(message);
+  try {
+    const trades = await provider.fetchTrades({
+      from: "2024-06-01",
+      to: "2024-06-01",
+    });
+    assert.equal(trades.length, 1);
+  } finally {
+    console.warn = originalWarn;
+  }
+  assert.match(
+    warnings[0],
+    /the limit\) for all symbols 2024-06-01\.\.2024-06-01/
+  );
+});
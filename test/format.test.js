@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  escapeHtml,
+  formatMetric,
+  formatReturn,
+  formatPrice,
+  formatUsd,
+  formatMarketCap,
+  formatPercent,
+  formatPercentile,
+  formatAge,
+  tradeValue,
+  tradeRowClass,
+} = require("../public/format");
+
+test("escapeHtml escapes markup and quotes", () => {
+  assert.equal(
+    escapeHtml(`<img src=x onerror="alert('x')">&`),
+    "&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;&amp;"
+  );
+  assert.equal(escapeHtml(null), "");
+  assert.equal(escapeHtml(undefined), "");
+  assert.equal(escapeHtml(-2500), "-2500");
+});
+
+test("formatMetric shows two decimals or N/A", () => {
+  assert.equal(formatMetric(12.345, "%"), "12.35%");
+  assert.equal(formatMetric(0), "0.00");
+  assert.equal(formatMetric("1.5"), "1.50");
+  assert.equal(formatMetric(null), "N/A");
+  assert.equal(formatMetric(undefined), "N/A");
+  assert.equal(formatMetric(Infinity), "N/A");
+  assert.equal(formatMetric(NaN), "N/A");
+});
+
+test("formatReturn shows signed percentages", () => {
+  assert.equal(formatReturn(0.0312), "+3.12%");
+  assert.equal(formatReturn(-0.05), "-5.00%");
+  assert.equal(formatReturn(0), "+0.00%");
+  assert.equal(formatReturn(null), "—");
+  assert.equal(formatReturn(NaN), "—");
+});
+
+test("formatPrice shows cents and N/A for missing or zero prices", () => {
+  assert.equal(formatPrice(12.5), "$12.50");
+  assert.equal(formatPrice("3.333"), "$3.33");
+  assert.equal(formatPrice(0), "N/A");
+  assert.equal(formatPrice(null), "N/A");
+  assert.equal(formatPrice(""), "N/A");
+});
+
+test("formatUsd rounds to whole dollars with the sign in front", () => {
+  assert.equal(formatUsd(1234567.6), "$1,234,568");
+  assert.equal(formatUsd(-32750), "-$32,750");
+  assert.equal(formatUsd(0), "$0");
+  assert.equal(formatUsd(null), "N/A");
+});
+
+test("formatMarketCap abbreviates large amounts", () => {
+  assert.equal(formatMarketCap(2.46e12), "$2.5T");
+  assert.equal(formatMarketCap(1234567890), "$1.2B");
+  assert.equal(formatMarketCap(48e6), "$48.0M");
+  assert.equal(formatMarketCap(950), "$950");
+  assert.equal(formatMarketCap(null), "N/A");
+  assert.equal(formatMarketCap(0), "N/A");
+});
+
+test("formatPercent keeps tiny percentages visible", () => {
+  assert.equal(formatPercent(7.1428), "7.14%");
+  assert.equal(formatPercent(0.0004), "<0.01%");
+  assert.equal(formatPercent(0), "0.00%");
+  assert.equal(formatPercent(null), "N/A");
+});
+
+test("formatPercentile writes ordinal ranks", () => {
+  assert.equal(formatPercentile(80), "80th");
+  assert.equal(formatPercentile(66.67), "67th");
+  assert.equal(formatPercentile(1), "1st");
+  assert.equal(formatPercentile(12), "12th");
+  assert.equal(formatPercentile(22.4), "22nd");
+  assert.equal(formatPercentile(null), "N/A");
+});
+
+test("formatAge uses the largest whole unit", () => {
+  assert.equal(formatAge(20), "less than a minute");
+  assert.equal(formatAge(60), "1 minute");
+  assert.equal(formatAge(45 * 60), "45 minutes");
+  assert.equal(formatAge(2 * 3600 + 59 * 60), "2 hours");
+  assert.equal(formatAge(86400), "1 day");
+  assert.equal(formatAge(null), "N/A");
+});
+
+test("tradeValue multiplies shares by price", () => {
+  assert.equal(tradeValue({ change: 10000, transactionPrice: 12.5 }), 125000);
+  assert.equal(tradeValue({ change: -2500, transactionPrice: "13.1" }), 32750); // Sales count as positive value
+  assert.equal(tradeValue({ change: 3000, transactionPrice: 0 }), null);
+  assert.equal(tradeValue({ change: 3000 }), null);
+  assert.equal(tradeValue({ transactionPrice: 5 }), null);
+});
+
+test("tradeRowClass styles rows by category", () => {
+  const buy = { category: "buy" };
+  assert.equal(
+    tradeRowClass({ classification: buy, transactionPrice: 12.5 }),
+    "highlight-green"
+  );
+  assert.equal(
+    tradeRowClass({ classification: buy, transactionPrice: 1.75 }),
+    "highlight-green-bold"
+  );
+  assert.equal(
+    tradeRowClass({ classification: buy, transactionPrice: null }),
+    "highlight-green" // No price is not a penny stock
+  );
+  assert.equal(
+    tradeRowClass({ classification: { category: "sell" } }),
+    "highlight-red"
+  );
+  assert.equal(
+    tradeRowClass({ classification: { category: "sell", planned: true } }),
+    "planned-sale"
+  );
+  assert.equal(
+    tradeRowClass({ classification: { category: "compensation" } }),
+    "category-compensation"
+  );
+  assert.equal(tradeRowClass({}), "category-other");
+});
@@ -0,0 +1,128 @@
+// Shared fixtures for the test suite.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { fixtureLocation } = require("../lib/fixtures");
+
+/**
+ * Create an empty temporary directory, removed when the process exits.
+ * @param {string} name - Directory name prefix
+ * @returns {string} - Absolute path
+ */
+function tempDir(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+  process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Save an upstream response where `ReplayHttp` looks for it.
+ * @param {string} dir - Fixtures directory
+ * @param {string} url - Request URL
+ * @param {Object} params - Query parameters the app sends (API keys are dropped)
+ * @param {*} data - Response body
+ * @param {number} [status=200] - HTTP status
+ */
+function recordFixture(dir, url, params, data, status = 200) {
+  const location = fixtureLocation(dir, url, params);
+  fs.mkdirSync(location.dir, { recursive: true });
+  fs.writeFileSync(
+    location.file,
+    JSON.stringify({
+      url,
+      params: location.params,
+      status,
+      recordedAt: new Date().toISOString(),
+      data,
+    })
+  );
+}
+
+/**
+ * Build a Polygon financials result with the given statement values.
+ * Omitted values are left out of the filing entirely, like Polygon does
+ * for line items a company does not report.
+ * @param {Object} values - `{ revenues, grossProfit, operatingIncome, netIncome, dilutedEps, basicEps, shares, assets, currentAssets, currentLiabilities, liabilities, longTermDebt, equity, operatingCashFlow, investingCashFlow }`
+ * @param {Object} [period] - `{ fiscal_period, fiscal_year, end_date }`
+ * @returns {Object} - Polygon financials result
+ */
+function filing(values, period = {}) {
+  const item = (value) => (value === undefined ? undefined : { value });
+  return {
+    fiscal_period: "Q2",
+    fiscal_year: "2024",
+    start_date: "2024-04-01",
+    end_date: "2024-06-30",
+    filing_date: "2024-08-01",
+    ...period,
+    financials: {
+      income_statement: {
+        revenues: item(values.revenues),
+        gross_profit: item(values.grossProfit),
+        operating_income_loss: item(values.operatingIncome),
+        net_income_loss: item(values.netIncome),
+        diluted_earnings_per_share: item(values.dilutedEps),
+        basic_earnings_per_share: item(values.basicEps),
+        basic_average_shares: item(values.shares),
+      },
+      balance_sheet: {
+        assets: item(values.assets),
+        current_assets: item(values.currentAssets),
+        current_liabilities: item(values.currentLiabilities),
+        liabilities: item(values.liabilities),
+        long_term_debt: item(values.longTermDebt),
+        equity: item(values.equity),
+      },
+      cash_flow_statement: {
+        net_cash_flow_from_operating_activities: item(values.operatingCashFlow),
+        net_cash_flow_from_investing_activities: item(values.investingCashFlow),
+      },
+    },
+  };
+}
+
+// Insider trades in Finnhub's shape, covering each row style
+const sampleTrades = [
+  {
+    symbol: "ACME",
+    name: "Doe Jane",
+    share: 150000,
+    change: 10000,
+    filingDate: "2024-06-05",
+    transactionDate: "2024-06-03",
+    transactionCode: "P",
+    transactionPrice: 12.5,
+  },
+  {
+    symbol: "ACME",
+    name: "Roe Richard",
+    share: 80000,
+    change: -2500,
+    filingDate: "2024-06-07",
+    transactionDate: "2024-06-04",
+    transactionCode: "S",
+    transactionPrice: 13.1,
+  },
+  {
+    symbol: "GLBX",
+    name: "Smith Alex",
+    share: 42000,
+    change: 5000,
+    filingDate: "2024-06-12",
+    transactionDate: "2024-06-10",
+    transactionCode: "P",
+    transactionPrice: 1.75,
+  },
+  {
+    symbol: "GLBX",
+    name: "Lee Morgan",
+    share: 9000,
+    change: 3000,
+    filingDate: "2024-05-22",
+    transactionDate: "2024-05-20",
+    transactionCode: "A",
+    transactionPrice: 0,
+  },
+];
+
+module.exports = { tempDir, recordFixture, filing, sampleTrades };
@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  validateHolding,
+  parseHoldingsCsv,
+  mergeHoldings,
+  insiderSentiment,
+  PortfolioService,
+} = require("../lib/holdings");
+const { sampleTrades } = require("./helpers");
+
+const NOW = Date.parse("2024-06-20T00:00:00Z");
+
+test("validateHolding normalizes symbols and numbers", () => {
+  assert.deepEqual(
+    validateHolding({
+      symbol: " acme ",
+      quantity: "1,200",
+      costBasis: "$9.50",
+    }),
+    { symbol: "ACME", quantity: 1200, costBasis: 9.5 }
+  );
+  assert.equal(
+    validateHolding({ symbol: "GLBX", quantity: 5 }).costBasis,
+    null
+  );
+  assert.throws(
+    () => validateHolding({ symbol: "GLBX", quantity: 0 }),
+    /"quantity" must be a positive number/
+  );
+  assert.throws(
+    () => validateHolding({ symbol: "GLBX", quantity: 5, costBasis: "-1" }),
+    /"costBasis"/
+  );
+});
+
+test("parseHoldingsCsv reads header aliases, quotes and combined lots", () => {
+  const csv = [
+    "﻿Ticker,Shares,Avg Cost,Account",
+    'acme,"1,000",$10.00,"Brokerage, taxable"',
+    "GLBX,200,2",
+    "",
+    "ACME,1000,14",
+  ].join("\r\n");
+
+  assert.deepEqual(parseHoldingsCsv(csv), [
+    { symbol: "ACME", quantity: 2000, costBasis: 12 },
+    { symbol: "GLBX", quantity: 200, costBasis: 2 },
+  ]);
+});
+
+test("parseHoldingsCsv lists the bad lines and imports nothing", () => {
+  assert.throws(
+    () => parseHoldingsCsv("symbol,quantity\nACME,ten\n123,5\nGLBX,5"),
+    /line 2: .*"quantity".*; line 3: .*"symbol"/
+  );
+  assert.throws(
+    () => parseHoldingsCsv("name,amount\nACME,5"),
+    /header row with "symbol" and "quantity"/
+  );
+  assert.throws(() => parseHoldingsCsv(" \n"), /empty/);
+});
+
+test("mergeHoldings updates held symbols and optionally drops the rest", () => {
+  const existing = [
+    { id: "h1", symbol: "ACME", quantity: 10, costBasis: 10 },
+    { id: "h2", symbol: "GLBX", quantity: 5, costBasis: null },
+  ];
+  const imported = [
+    { symbol: "ACME", quantity: 20, costBasis: 11 },
+    { symbol: "INIT", quantity: 1, costBasis: 3 },
+  ];
+
+  const merged = mergeHoldings(existing, imported, { now: "2024-06-20" });
+  assert.deepEqual(
+    { ...merged, holdings: merged.holdings.map((h) => h.symbol) },
+    { holdings: ["ACME", "GLBX", "INIT"], added: 1, updated: 1, removed: 0 }
+  );
+  assert.equal(merged.holdings[0].id, "h1");
+  assert.equal(merged.holdings[0].quantity, 20);
+
+  const replaced = mergeHoldings(existing, imported, { replace: true });
+  assert.deepEqual(
+    replaced.holdings.map((h) => h.symbol),
+    ["ACME", "INIT"]
+  );
+  assert.equal(replaced.removed, 1);
+});
+
+test("insiderSentiment nets open-market trades over 30 and 90 days", () => {
+  const [month, quarter] = insiderSentiment(sampleTrades, "ACME", NOW);
+
+  assert.deepEqual(month, {
+    days: 30,
+    netValue: 125000 - 32750,
+    buyers: 1,
+    sellers: 1,
+    clusterSize: 0, // A lone buyer is no cluster
+    signal: "buying",
+  });
+  assert.equal(quarter.days, 90);
+  assert.equal(
+    insiderSentiment(sampleTrades, "INIT", NOW)[0].signal,
+    "neutral"
+  );
+});
+
+test("PortfolioService values positions and skips unpriced ones in the totals", async () => {
+  const service = new PortfolioService({
+    priceService: {
+      latest: async (symbol) => {
+        if (symbol === "GLBX") {
+          throw new Error("No price data");
+        }
+        return { close: 15, date: "2024-06-14T00:00:00.000Z" };
+      },
+    },
+    tradeStore: { all: () => sampleTrades },
+  });
+  const originalError = console.error;
+  console.error = () => {}; // The GLBX price failure is expected
+  let summary;
+  try {
+    summary = await service.summary(
+      [
+        { symbol: "ACME", quantity: 100, costBasis: 12 },
+        { symbol: "INIT", quantity: 10, costBasis: null },
+        { symbol: "GLBX", quantity: 50, costBasis: 2 },
+      ],
+      NOW
+    );
+  } finally {
+    console.error = originalError;
+  }
+
+  const [acme, init, glbx] = summary.positions;
+  assert.equal(acme.marketValue, 1500);
+  assert.equal(acme.unrealizedPnl, 300);
+  assert.equal(acme.unrealizedPnlPercent, 25);
+  assert.equal(acme.sentiment[0].signal, "buying");
+  assert.equal(init.marketValue, 150);
+  assert.equal(init.unrealizedPnl, null);
+  assert.equal(glbx.price, null);
+  assert.deepEqual(summary.totals, {
+    marketValue: 1650,
+    costValue: 1200,
+    unrealizedPnl: 300,
+    unrealizedPnlPercent: 25,
+    unpriced: ["GLBX"],
+  });
+});
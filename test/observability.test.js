@@ -0,0 +1,220 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Logger, withContext } = require("../lib/logger");
+const { MetricsRegistry, instrumentHttp } = require("../lib/metrics");
+const { healthReport } = require("../lib/health");
+const { Job, nextRun } = require("../lib/jobs");
+
+const NOW = Date.parse("2024-06-14T12:00:00Z");
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * A logger that keeps its lines.
+ * @param {string} [level] - Lowest level written
+ * @returns {Object} - `{ logger, entries }` with the parsed lines
+ */
+function collectingLogger(level) {
+  const entries = [];
+  const stream = { write: (line) => entries.push(JSON.parse(line)) };
+  return { logger: new Logger({ level, stream }), entries };
+}
+
+test("Logger writes JSON lines with the fields of the current context", async () => {
+  const { logger, entries } = collectingLogger("info");
+
+  logger.debug("hidden");
+  await withContext({ requestId: "req-1" }, async () => {
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    logger.info("lookup", { symbol: "ACME" });
+    withContext({ job: "fetch-trades" }, () =>
+      logger.error("failed", {
+        error: Object.assign(new Error("Too many requests"), {
+          response: { status: 429 },
+        }),
+      })
+    );
+  });
+  logger.warn("outside");
+
+  assert.deepEqual(
+    entries.map(({ time, ...entry }) => entry),
+    [
+      { level: "info", msg: "lookup", requestId: "req-1", symbol: "ACME" },
+      {
+        level: "error",
+        msg: "failed",
+        requestId: "req-1",
+        job: "fetch-trades",
+        error: { message: "Too many requests", status: 429 },
+      },
+      { level: "warn", msg: "outside" },
+    ]
+  );
+  assert.ok(!Number.isNaN(Date.parse(entries[0].time)));
+  assert.throws(() => new Logger({ level: "verbose" }), /Unknown log level/);
+});
+
+test("MetricsRegistry renders counters, collected gauges and histograms", () => {
+  const metrics = new MetricsRegistry();
+  const requests = metrics.counter({
+    name: "app_requests_total",
+    help: "Requests.",
+  });
+  metrics.gauge({
+    name: "app_items",
+    help: "Items stored.",
+    collect: () => 3,
+  });
+  metrics.gauge({
+    name: "app_age_seconds",
+    help: "Age, absent until known.",
+    collect: () => [],
+  });
+  const duration = metrics.histogram({
+    name: "app_duration_seconds",
+    help: "Durations.",
+    buckets: [0.1, 1],
+  });
+
+  requests.inc({ provider: 'say "hi"' });
+  requests.inc({ provider: 'say "hi"' }, 2);
+  duration.observe({ provider: "tiingo" }, 0.05);
+  duration.observe({ provider: "tiingo" }, 0.5);
+  duration.observe({ provider: "tiingo" }, 3);
+
+  assert.equal(
+    metrics.render(),
+    [
+      "# HELP app_requests_total Requests.",
+      "# TYPE app_requests_total counter",
+      'app_requests_total{provider="say \\"hi\\""} 3',
+      "# HELP app_items Items stored.",
+      "# TYPE app_items gauge",
+      "app_items 3",
+      "# HELP app_age_seconds Age, absent until known.",
+      "# TYPE app_age_seconds gauge",
+      "# HELP app_duration_seconds Durations.",
+      "# TYPE app_duration_seconds histogram",
+      'app_duration_seconds_bucket{provider="tiingo",le="0.1"} 1',
+      'app_duration_seconds_bucket{provider="tiingo",le="1"} 2',
+      'app_duration_seconds_bucket{provider="tiingo",le="+Inf"} 3',
+      'app_duration_seconds_sum{provider="tiingo"} 3.55',
+      'app_duration_seconds_count{provider="tiingo"} 3',
+      "",
+    ].join("\n")
+  );
+  assert.throws(
+    () => metrics.counter({ name: "app_items", help: "Again." }),
+    /already registered/
+  );
+});
+
+test("instrumentHttp times requests and counts failures per provider", async () => {
+  const metrics = new MetricsRegistry();
+  const upstream = {
+    duration: metrics.histogram({ name: "duration", help: "Durations." }),
+    errors: metrics.counter({ name: "errors", help: "Errors." }),
+  };
+  const http = {
+    rateLimited: false,
+    get: async (url) => {
+      if (url.includes("missing")) {
+        throw Object.assign(new Error("Not found"), {
+          response: { status: 404 },
+        });
+      }
+      if (url.includes("down")) {
+        throw new Error("socket hang up");
+      }
+      return { data: url };
+    },
+  };
+  const client = instrumentHttp(http, "finnhub", upstream);
+
+  assert.equal(client.rateLimited, false); // Offline clients keep skipping the rate limits
+  assert.deepEqual(await client.get("https://example.test/ok"), {
+    data: "https://example.test/ok",
+  });
+  await assert.rejects(client.get("https://example.test/missing"), /Not found/);
+  await assert.rejects(client.get("https://example.test/down"), /hang up/);
+
+  const text = metrics.render();
+  assert.match(text, /duration_count\{provider="finnhub"\} 3/);
+  assert.match(text, /errors\{provider="finnhub",status="404"\} 1/);
+  assert.match(text, /errors\{provider="finnhub",status="network"\} 1/);
+});
+
+test("healthReport is degraded once the feed is older than its threshold", () => {
+  const job = new Job({
+    name: "fetch-trades",
+    run: async () => {},
+    staleAfterMs: 15 * MINUTE_MS,
+  });
+  const store = (size) => ({ size });
+  const report = (tradeStore, now = NOW) =>
+    healthReport({ job, tradeStore, provider: "finnhub" }, now);
+
+  // Never fetched and nothing stored: not ready yet
+  let health = report(store(0));
+  assert.equal(health.status, "degraded");
+  assert.equal(health.ready, false);
+  assert.equal(health.checks.feed.ageSeconds, null);
+
+  // Trades kept from an earlier run are worth serving
+  assert.equal(report(store(4)).ready, true);
+
+  job.state.lastSuccessAt = new Date(NOW - 5 * MINUTE_MS).toISOString();
+  health = report(store(4));
+  assert.equal(health.status, "ok");
+  assert.deepEqual(health.checks, {
+    feed: {
+      provider: "finnhub",
+      lastSuccessAt: job.state.lastSuccessAt,
+      lastRunAt: null,
+      lastError: null,
+      ageSeconds: 300,
+      staleAfterSeconds: 900,
+      stale: false,
+    },
+    trades: { stored: 4 },
+  });
+
+  job.state.lastError = "Request failed with status code 502";
+  health = report(store(4), NOW + 20 * MINUTE_MS);
+  assert.equal(health.status, "degraded");
+  assert.equal(health.ready, true);
+  assert.equal(health.checks.feed.ageSeconds, 25 * 60);
+  assert.equal(
+    health.checks.feed.lastError,
+    "Request failed with status code 502"
+  );
+});
+
+test("jobs compute their next run once and reuse it until it has passed", () => {
+  const job = new Job({
+    name: "fetch-trades",
+    run: async () => {},
+    schedule: "*/5 * * * *",
+  });
+  const at = (iso) => Date.parse(iso);
+
+  assert.equal(
+    job.status(at("2024-06-14T12:03:10Z")).nextRunAt,
+    "2024-06-14T12:05:00.000Z"
+  );
+  assert.equal(
+    job.status(at("2024-06-14T12:04:00Z")).nextRunAt,
+    "2024-06-14T12:05:00.000Z"
+  );
+  assert.equal(job.nextRunCache.after, at("2024-06-14T12:03:10Z")); // Not recomputed
+  assert.equal(
+    job.status(at("2024-06-14T12:05:00Z")).nextRunAt,
+    "2024-06-14T12:10:00.000Z"
+  );
+
+  assert.equal(
+    new Job({ name: "backfill", run: async () => {} }).status().nextRunAt,
+    null
+  );
+  assert.equal(nextRun("0 0 30 2 *"), null); // February 30th never comes
+});
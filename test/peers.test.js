@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parsePeerQuery,
+  sectorPeers,
+  percentileRank,
+  rankPeers,
+  PeerService,
+} = require("../lib/peers");
+const { computeRatios } = require("../lib/financials");
+const { filing, sampleTrades } = require("./helpers");
+
+const companies = [
+  { symbol: "ACME", sector: "Software", marketCap: 500e6 },
+  { symbol: "INIT", sector: "Software", marketCap: 50e9 },
+  { symbol: "HOOL", sector: "Software", marketCap: 900e6 },
+  { symbol: "NOCP", sector: "Software", marketCap: null },
+  { symbol: "GLBX", sector: "Retail", marketCap: 600e6 },
+];
+
+test("parsePeerQuery reads a peer list and the insider window", () => {
+  assert.deepEqual(parsePeerQuery({}, "ACME"), { peers: null, days: 90 });
+  assert.deepEqual(
+    parsePeerQuery(
+      { peers: ["hool, init", "ACME", "HOOL"], days: "30" },
+      "ACME"
+    ),
+    { peers: ["HOOL", "INIT"], days: 30 }
+  );
+  assert.throws(
+    () => parsePeerQuery({ peers: "HOOL,12" }, "ACME"),
+    /"peers" must be a ticker/
+  );
+  assert.throws(() => parsePeerQuery({ days: "400" }, "ACME"), /"days"/);
+});
+
+test("sectorPeers picks the same industry, closest in size first", () => {
+  assert.deepEqual(sectorPeers(companies, companies[0]), [
+    "HOOL",
+    "INIT",
+    "NOCP",
+  ]);
+  assert.deepEqual(sectorPeers(companies, companies[0], 1), ["HOOL"]);
+  assert.deepEqual(sectorPeers(companies, { symbol: "NEW" }), []);
+});
+
+test("percentileRank counts the peers a value beats", () => {
+  assert.equal(percentileRank(10, [10, 5, 20, null], true), 50);
+  assert.equal(percentileRank(0.5, [0.5, 1, 2], false), 100); // Lower debt ranks higher
+  assert.equal(percentileRank(3, [3, 3], true), 50); // Ties count half
+  assert.equal(percentileRank(null, [1, 2], true), null);
+  assert.equal(percentileRank(4, [4, null], true), null);
+});
+
+test("rankPeers ranks every member and computes medians", () => {
+  const { members, medians } = rankPeers([
+    { symbol: "ACME", ratios: { netProfitMargin: 12, debtToEquity: 0.4 } },
+    { symbol: "HOOL", ratios: { netProfitMargin: 8, debtToEquity: 1.2 } },
+    { symbol: "INIT", ratios: null },
+  ]);
+
+  assert.equal(members[0].percentiles.netProfitMargin, 100);
+  assert.equal(members[0].percentiles.debtToEquity, 100);
+  assert.equal(members[1].percentiles.netProfitMargin, 0);
+  assert.equal(members[2].percentiles.netProfitMargin, null);
+  assert.equal(medians.netProfitMargin, 10);
+  assert.equal(medians.returnOnAssets, null);
+});
+
+test("rankPeers leaves a negative-equity company's debt-to-equity unranked", () => {
+  const ratiosOf = (equity) =>
+    computeRatios(filing({ liabilities: 800, equity, assets: 1000 }));
+  const { members, medians } = rankPeers([
+    { symbol: "ACME", ratios: ratiosOf(500) },
+    { symbol: "HOOL", ratios: ratiosOf(250) },
+    { symbol: "DEFC", ratios: ratiosOf(-200) }, // Liabilities exceed assets
+  ]);
+
+  assert.equal(members[2].ratios.debtToEquity, null);
+  assert.equal(members[2].percentiles.debtToEquity, null);
+  assert.equal(members[0].percentiles.debtToEquity, 100);
+  assert.equal(medians.debtToEquity, (1.6 + 3.2) / 2);
+});
+
+test("PeerService compares ratios and insider activity with the industry", async () => {
+  const service = new PeerService({
+    companyCache: {
+      all: () => companies,
+      profile: async (symbol) =>
+        companies.find((company) => company.symbol === symbol) || null,
+      get: () => null,
+    },
+    financialsService: {
+      latest: async (symbol) => {
+        if (symbol === "NOCP") {
+          throw new Error("Polygon is down");
+        }
+        return filing({
+          revenues: 1000,
+          netIncome: symbol === "ACME" ? 150 : 100,
+          assets: 2000,
+          equity: 800,
+        });
+      },
+    },
+    tradeStore: { all: () => sampleTrades },
+  });
+  const originalError = console.error;
+  console.error = () => {}; // The NOCP failure is expected
+  let comparison;
+  try {
+    comparison = await service.compare("ACME", {
+      days: 30,
+      now: Date.parse("2024-06-20T00:00:00Z"),
+    });
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.equal(comparison.source, "sector");
+  assert.equal(comparison.sector, "Software");
+  assert.deepEqual(
+    comparison.companies.map((company) => company.symbol),
+    ["ACME", "HOOL", "INIT", "NOCP"]
+  );
+  const [acme, , , nocp] = comparison.companies;
+  assert.equal(acme.ratios.netProfitMargin, 15);
+  assert.equal(acme.percentiles.netProfitMargin, 100);
+  assert.equal(acme.insiders.netValue, 125000 - 32750);
+  assert.equal(nocp.ratios, null);
+  assert.equal(comparison.medians.netProfitMargin, 10);
+
+  assert.equal(await service.compare("GLBX"), null); // Alone in its industry
+});
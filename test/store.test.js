@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { TradeStore } = require("../lib/store");
+const { tempDir, sampleTrades } = require("./helpers");
+
+test("TradeStore keeps memory and file in step when an append fails", async () => {
+  const dir = tempDir("store");
+  const store = new TradeStore(path.join(dir, "trades.jsonl"));
+  store.load();
+  await store.upsert(sampleTrades.slice(0, 1));
+
+  const filePath = store.filePath;
+  store.filePath = dir; // Appending to a directory fails with EISDIR
+  await assert.rejects(store.upsert(sampleTrades), { code: "EISDIR" });
+  assert.equal(store.size, 1); // The failed trades were rolled back
+
+  // Later appends still reach the file
+  store.filePath = filePath;
+  const { inserted } = await store.upsert(sampleTrades);
+  assert.equal(inserted.length, sampleTrades.length - 1);
+
+  const reloaded = new TradeStore(filePath);
+  reloaded.load();
+  assert.equal(reloaded.size, sampleTrades.length);
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { TradeStore } = require("../lib/store");
+const { TradeStream } = require("../lib/stream");
+const { tempDir } = require("./helpers");
+
+/**
+ * Store holding `count` trades with sequence numbers 1..count.
+ * @param {number} count - Number of trades
+ * @returns {Promise<TradeStore>} - Loaded store
+ */
+async function storeWith(count) {
+  const store = new TradeStore(path.join(tempDir("stream"), "trades.jsonl"));
+  store.load();
+  await store.upsert(
+    Array.from({ length: count }, (_, index) => ({
+      symbol: "ACME",
+      name: `Insider ${index}`,
+      change: 100,
+      filingDate: "2024-06-05",
+      transactionDate: "2024-06-03",
+      transactionCode: "P",
+      transactionPrice: 10,
+    }))
+  );
+  return store;
+}
+
+/**
+ * Subscribe a fake client resuming from `lastEventId` and parse what it receives.
+ * @param {TradeStream} stream - Stream to subscribe to
+ * @param {string} lastEventId - Last-Event-ID header value
+ * @returns {Array} - `{ id, event, data }` per event
+ */
+function replay(stream, lastEventId) {
+  let written = "";
+  let close;
+  const req = {
+    get: (name) => (name === "Last-Event-ID" ? lastEventId : undefined),
+    query: {},
+    on: (event, listener) => (close = listener),
+  };
+  const res = {
+    set() {},
+    flushHeaders() {},
+    write: (chunk) => (written += chunk),
+  };
+  stream.subscribe(req, res);
+  close();
+  return written
+    .split("\n\n")
+    .filter((block) => block.includes("event:"))
+    .map((block) => {
+      const fields = Object.fromEntries(
+        block.split("\n").map((line) => line.split(/: (.*)/s).slice(0, 2))
+      );
+      return { ...fields, data: JSON.parse(fields.data) };
+    });
+}
+
+test("TradeStream replays missed trades in batches", async () => {
+  const stream = new TradeStream(await storeWith(25), { batchSize: 10 });
+
+  const events = replay(stream, "3");
+  assert.deepEqual(
+    events.map(({ id, event, data }) => [event, id, data.length]),
+    [
+      ["trades", "13", 10],
+      ["trades", "23", 10],
+      ["trades", "25", 2],
+    ]
+  );
+  assert.deepEqual(replay(stream, "25"), []);
+});
+
+test("TradeStream sends a reset instead of replaying too many trades", async () => {
+  const stream = new TradeStream(await storeWith(25), { replayLimit: 20 });
+
+  assert.deepEqual(replay(stream, "0"), [
+    { id: "25", event: "reset", data: { missed: 25 } },
+  ]);
+  assert.equal(replay(stream, "5")[0].data.length, 20);
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { readJson, writeJson } = require("../lib/json-file");
+const { UserStore } = require("../lib/users");
+const { tempDir } = require("./helpers");
+
+test("writeJson runs concurrent saves of one file in order", async () => {
+  const dir = tempDir("json-file");
+  const filePath = path.join(dir, "state.json");
+
+  await Promise.all(
+    Array.from({ length: 20 }, (_, index) => writeJson(filePath, { index }))
+  );
+
+  assert.deepEqual(readJson(filePath), { index: 19 }); // The last save wins
+  assert.deepEqual(fs.readdirSync(dir), ["state.json"]); // No temporary files left
+});
+
+test("UserStore lets only one of two concurrent registrations take a name", async () => {
+  const store = new UserStore(path.join(tempDir("users"), "users.json"));
+  store.load();
+
+  const results = await Promise.allSettled([
+    store.register("investor", "long-enough"),
+    store.register("Investor", "also-long-enough"),
+  ]);
+
+  assert.deepEqual(
+    results.map((result) => result.status),
+    ["fulfilled", "rejected"]
+  );
+  assert.equal(results[1].reason.status, 409);
+  assert.equal(store.users.size, 1);
+
+  await store.register("second", "long-enough");
+  const saved = new UserStore(store.filePath);
+  saved.load();
+  assert.equal(saved.users.size, 2);
+});